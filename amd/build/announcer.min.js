@@ -0,0 +1,11 @@
+define("tiny_speechtotext/announcer",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.announce=void 0;
+/**
+   * Screen reader announcements for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/announcer
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const regionId="tiny-speechtotext-announcer";_exports.announce=message=>{const region=(()=>{let region=document.getElementById(regionId);return region||(region=document.createElement("div"),region.id=regionId,region.className="sr-only",region.setAttribute("aria-live","polite"),region.setAttribute("aria-atomic","true"),document.body.appendChild(region)),region})();region.textContent="",setTimeout((()=>{region.textContent=message}),100)}}));
+
+//# sourceMappingURL=announcer.min.js.map
\ No newline at end of file
@@ -1,11 +1,10 @@
-define("tiny_speechtotext/commands",["exports","editor_tiny/utils","core/str","./common"],(function(_exports,_utils,_str,_common){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getSetup=void 0;
+define("tiny_speechtotext/commands",["exports","editor_tiny/utils","core/str","core/notification","./common","./options","./engines","./events","./session","./errors","./announcer","./meter","./preview","./storage","./history","./recorder","./historydialog","./readaloud","./pipeline","./pauses","./uncertain","./math","./replacements","./insertion","./voicecommands","./formatting"],(function(_exports,_utils,_str,_notification,_common,_options,_engines,_events,_session,_errors,_announcer,_meter,Preview,_storage,_history,_recorder,_historydialog,_readaloud,_pipeline,_pauses,_uncertain,_math,_replacements,_insertion,_voicecommands,_formatting){var e;
 /**
    * Commands helper for the Moodle tiny_speechtotext plugin.
    *
    * @module      tiny_speechtotext/commands
    * @copyright   2026
    * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */
-const editorStates=new WeakMap,getEditorState=editor=>(editorStates.has(editor)||editorStates.set(editor,{recognition:null,listening:!1,finalTranscript:"",previewContainer:null}),editorStates.get(editor)),punctuationMap={"full stop":".",period:".",dot:".",comma:",","question mark":"?","exclamation mark":"!","exclamation point":"!",semicolon:";","semi colon":";",colon:":",dash:"-",hyphen:"-",apostrophe:"'","quotation mark":'"',quote:'"',"open bracket":"(","close bracket":")","open parenthesis":"(","close parenthesis":")","new line":"\n","new paragraph":"\n\n"},sentenceEndingPunctuation=[".","?","!","\n\n"],getPunctuationSymbol=phrase=>{const normalized=phrase.toLowerCase().trim();return punctuationMap[normalized]||null},matchPunctuation=(words,startIndex)=>{for(let wordCount=3;wordCount>=1;wordCount--)if(startIndex+wordCount<=words.length){const phrase=words.slice(startIndex,startIndex+wordCount).join(" "),symbol=getPunctuationSymbol(phrase);if(symbol)return{symbol:symbol,wordsConsumed:wordCount}}return null},capitalizeWord=word=>word&&0!==word.length?word.charAt(0).toUpperCase()+word.slice(1):word,processTextWithPunctuation=text=>{if(!text||!text.trim())return"";const words=text.trim().split(/\s+/);let result="",shouldCapitalize=!1,i=0;for(;i<words.length;){const punctMatch=matchPunctuation(words,i);if(punctMatch)result+=punctMatch.symbol,"\n"!==punctMatch.symbol&&"\n\n"!==punctMatch.symbol&&(result+=" "),symbol=punctMatch.symbol,sentenceEndingPunctuation.includes(symbol)&&(shouldCapitalize=!0),i+=punctMatch.wordsConsumed;else{result+=0===(currentResult=result).length||currentResult.endsWith("\n")||currentResult.endsWith(" ")?"":" ";let word=words[i];shouldCapitalize&&(word=capitalizeWord(word),shouldCapitalize=!1),result+=word,i++}}var currentResult,symbol;return result},hidePreview=editor=>{const state=getEditorState(editor);state.previewContainer&&(state.previewContainer.remove(),state.previewContainer=null)},handleFinalTranscript=(editor,state)=>{if(!state.finalTranscript)return;const textToInsert=((editor,text)=>{const currentContent=editor.getContent({format:"text"});let finalText=text;var editorContent,textToInsert;return textToInsert=finalText,0!==(editorContent=currentContent).length&&/^[a-z]/.test(textToInsert)&&/[.!?]\s*$/.test(editorContent.trim())&&(finalText=capitalizeWord(finalText)),((editorContent,textToInsert)=>0!==editorContent.length&&!editorContent.endsWith(" ")&&!editorContent.endsWith("\n")&&!/^[.,!?;:)\]]/.test(textToInsert))(currentContent,finalText)&&(finalText=" "+finalText),finalText})(editor,processTextWithPunctuation(state.finalTranscript));editor.insertContent(textToInsert),state.finalTranscript="",updatePreview(editor,"")},updatePreview=(editor,text)=>{const state=getEditorState(editor);if(state.previewContainer){const textElement=state.previewContainer.querySelector(".tiny-speechtotext-preview-text");textElement&&(textElement.textContent=processTextWithPunctuation(text))}},handleAction=editor=>{const state=getEditorState(editor);if(state.listening)state.recognition.stop(),state.listening=!1,hidePreview(editor);else try{state.recognition||initializeRecognition(editor),(editor=>{const state=getEditorState(editor);if(state.previewContainer)return;state.previewContainer=document.createElement("div"),state.previewContainer.className="tiny-speechtotext-preview",state.previewContainer.innerHTML='\n        <div class="tiny-speechtotext-preview-header">\n            <span class="tiny-speechtotext-preview-title"></span>\n            <button class="tiny-speechtotext-preview-close" aria-label="Close preview">&times;</button>\n        </div>\n        <div class="tiny-speechtotext-preview-content">\n            <span class="tiny-speechtotext-preview-text"></span>\n        </div>\n    ';const style=document.createElement("style");style.textContent='\n        .tiny-speechtotext-preview {\n            position: fixed;\n            bottom: 20px;\n            right: 20px;\n            width: 350px;\n            max-width: calc(100vw - 40px);\n            background: #fff;\n            border: 2px solid #0f6cbf;\n            border-radius: 8px;\n            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);\n            z-index: 10000;\n            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;\n        }\n        .tiny-speechtotext-preview-header {\n            display: flex;\n            justify-content: space-between;\n            align-items: center;\n            padding: 12px 15px;\n            background: #0f6cbf;\n            color: white;\n            border-radius: 6px 6px 0 0;\n            font-weight: 600;\n            font-size: 14px;\n        }\n        .tiny-speechtotext-preview-close {\n            background: none;\n            border: none;\n            color: white;\n            font-size: 24px;\n            cursor: pointer;\n            padding: 0;\n            width: 24px;\n            height: 24px;\n            line-height: 20px;\n            border-radius: 4px;\n            transition: background 0.2s;\n        }\n        .tiny-speechtotext-preview-close:hover {\n            background: rgba(255, 255, 255, 0.2);\n        }\n        .tiny-speechtotext-preview-content {\n            padding: 15px;\n            min-height: 60px;\n            max-height: 200px;\n            overflow-y: auto;\n        }\n        .tiny-speechtotext-preview-text {\n            color: #333;\n            font-size: 14px;\n            line-height: 1.5;\n            display: block;\n        }\n        .tiny-speechtotext-preview-text:empty::before {\n            content: "Listening...";\n            color: #999;\n            font-style: italic;\n        }\n        @keyframes pulse {\n            0%, 100% { opacity: 1; }\n            50% { opacity: 0.5; }\n        }\n        .tiny-speechtotext-preview.listening .tiny-speechtotext-preview-header {\n            animation: pulse 2s infinite;\n        }\n    ',document.getElementById("tiny-speechtotext-preview-styles")||(style.id="tiny-speechtotext-preview-styles",document.head.appendChild(style)),document.body.appendChild(state.previewContainer),state.previewContainer.querySelector(".tiny-speechtotext-preview-close").addEventListener("click",(()=>{state.listening&&state.recognition&&(state.recognition.stop(),state.listening=!1),hidePreview(editor)})),(0,_str.get_string)("previewtitle",_common.component).then((str=>{const titleElement=state.previewContainer.querySelector(".tiny-speechtotext-preview-title");return titleElement&&(titleElement.textContent=str),str})).catch((()=>{const titleElement=state.previewContainer.querySelector(".tiny-speechtotext-preview-title");titleElement&&(titleElement.textContent="Speech Preview")})),state.previewContainer.classList.add("listening")})(editor),state.recognition.start(),state.listening=!0}catch(e){window.console.error("Speech recognition start error:",e),hidePreview(editor)}},initializeRecognition=editor=>{if(!("webkitSpeechRecognition"in window)&&!("SpeechRecognition"in window))return void window.console.warn("Speech API not supported in this browser");const state=getEditorState(editor),SpeechRecognition=window.SpeechRecognition||window.webkitSpeechRecognition;state.recognition=new SpeechRecognition,state.recognition.continuous=!0,state.recognition.interimResults=!0,state.recognition.lang="en-US",state.recognition.onresult=event=>((editor,state,event)=>{let interimTranscript="";for(let i=event.resultIndex;i<event.results.length;++i){const transcript=event.results[i][0].transcript;event.results[i].isFinal?state.finalTranscript+=transcript+" ":interimTranscript+=transcript}interimTranscript&&updatePreview(editor,interimTranscript),handleFinalTranscript(editor,state)})(editor,state,event),state.recognition.onerror=event=>{window.console.error("Speech recognition error:",event.error),state.listening=!1,hidePreview(editor)},state.recognition.onend=()=>{state.listening=!1,hidePreview(editor)}};_exports.getSetup=async()=>{const[buttonText,buttonImage]=await Promise.all([(0,_str.get_string)("buttontitle",_common.component),(0,_utils.getButtonImage)(_common.icon,_common.component)]);return editor=>{"webkitSpeechRecognition"in window||"SpeechRecognition"in window?(editor.ui.registry.addIcon(_common.icon,buttonImage.html),editor.ui.registry.addToggleButton(_common.buttonName,{icon:_common.icon,tooltip:buttonText,onAction:()=>handleAction(editor),onSetup:api=>{const state=getEditorState(editor),interval=setInterval((()=>{api.setActive(state.listening)}),100);return()=>{clearInterval(interval)}}}),editor.ui.registry.addMenuItem(_common.buttonName,{icon:_common.icon,text:buttonText,onAction:()=>handleAction(editor)})):window.console.warn("Speech API not supported in this browser")}}}));
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getSetup=void 0,_notification=(e=_notification)&&e.__esModule?e:{default:e},Preview=function(e,t){if("function"==typeof WeakMap)var r=new WeakMap,n=new WeakMap;return function(e,t){if(!t&&e&&e.__esModule)return e;var o,i,f={__proto__:null,default:e};if(null===e||"object"!=typeof e&&"function"!=typeof e)return f;if(o=t?n:r){if(o.has(e))return o.get(e);o.set(e,f)}for(const t in e)"default"!==t&&{}.hasOwnProperty.call(e,t)&&((i=(o=Object.defineProperty)&&Object.getOwnPropertyDescriptor(e,t))&&(i.get||i.set)?o(f,t,i):f[t]=e[t]);return f}(e,t)}(Preview);const readingTargets={selection:"readselection",sentence:"readsentence",last:"readlast",document:"readdocument"},modifierKeys={meta:["Meta","Control"],ctrl:["Control"],alt:["Alt"],shift:["Shift"],access:["Alt","Control","Shift"]},getInitialLanguage=editor=>{const chosen=(0,_session.getChosenLanguage)();return(0,_options.getLanguages)(editor).includes(chosen)?chosen:(0,_options.getLanguage)(editor)},editorStates=new WeakMap,getEditorState=editor=>(editorStates.has(editor)||editorStates.set(editor,{recognition:null,listening:!1,finalTranscript:"",language:getInitialLanguage(editor),restarting:!1,startedAt:0,failedRestarts:0,chunks:[],formats:new Set,math:null,silenceTimer:null,elapsedTimer:null,meter:null,pipeline:null,pauses:(0,_pauses.createPauseTracker)(),pause:0,uncertain:null,recording:null,unsavedRecording:null,ending:!1,holding:!1}),editorStates.get(editor)),getPreviewHandlers=editor=>({close:()=>{stopListening(editor),Preview.confirmClose(editor).then((close=>(close&&(Preview.hide(editor),saveRecording(editor,getEditorState(editor))),close))).catch(_notification.default.exception)},retry:()=>{editor.focus(),startListening(editor)},accept:text=>{editor.focus(),(0,_history.recordPhrase)(editor,text,text),insertText(editor,getEditorState(editor),text),getEditorState(editor).listening||Preview.hasPhrases(editor)||Preview.hide(editor),saveRecording(editor,getEditorState(editor))},discard:()=>{getEditorState(editor).listening||Preview.hasPhrases(editor)||Preview.hide(editor),saveRecording(editor,getEditorState(editor))},microphone:deviceId=>changeMicrophone(editor,deviceId)}),startLevelMeter=(editor,state)=>{if(!(0,_meter.isSupported)())return;let lastSound=Date.now();const meter=(0,_meter.startMeter)((0,_session.getMicrophone)(),(level=>{level>.15&&(lastSound=Date.now()),Preview.setLevel(editor,level),Preview.showNoInput(editor,Date.now()-lastSound>5e3)}));state.meter=meter,meter.then((()=>(0,_meter.getMicrophones)())).then((microphones=>(state.meter===meter&&state.recognition.canSelectMicrophone&&Preview.setMicrophones(editor,microphones,(0,_session.getMicrophone)()).catch(_notification.default.exception),microphones))).catch((()=>null))},stopLevelMeter=state=>{state.meter&&(state.meter.then((stop=>stop())).catch((()=>null)),state.meter=null)},saveRecording=(editor,state)=>{const recording=state.unsavedRecording;!recording||state.ending||Preview.hasPhrases(editor)||(state.unsavedRecording=null,state.chunks.indexOf(recording.chunk)!==state.chunks.length-1&&Promise.all([(0,_recorder.uploadRecording)(editor,recording.audio),(0,_str.get_string)("dictationrecording",_common.component)]).then((([url,title])=>((0,_recorder.insertRecording)(editor,(0,_voicecommands.getLastChunkRange)(editor,state.chunks),url,recording.audio.type,title),url))).catch(_notification.default.exception))},changeMicrophone=(editor,deviceId)=>{const state=getEditorState(editor);(0,_session.setMicrophone)(deviceId),state.recognition&&(state.recognition.deviceId=deviceId,state.listening&&(stopLevelMeter(state),startLevelMeter(editor,state),state.restarting=!0,state.recognition.stop()))},handleListeningStarted=editor=>{if((0,_options.isInterimPreviewEnabled)(editor)||(0,_options.isReviewModeEnabled)(editor)){const state=getEditorState(editor);Preview.showListening(editor,getPreviewHandlers(editor)).then((()=>(Preview.showRecording(editor,Boolean(state.recording&&state.recording.started)),state))).catch((()=>null)),((editor,state)=>{const startedAt=Date.now();clearInterval(state.elapsedTimer),state.elapsedTimer=setInterval((()=>Preview.setElapsed(editor,(Date.now()-startedAt)/1e3)),1e3),stopLevelMeter(state),startLevelMeter(editor,state)})(editor,state)}else Preview.hide(editor)},showError=(editor,error)=>{const state=getEditorState(editor);(0,_errors.getErrorMessage)(error,getLanguageLabel(state.language)).then((message=>(Preview.showError(editor,message,(0,_errors.isRetryable)(error),getPreviewHandlers(editor)),message))).catch((()=>null))},processTranscript=(editor,text,context={})=>{const state=getEditorState(editor);return state.pipeline||(state.pipeline=(0,_pipeline.createTranscriptPipeline)({numbers:(0,_options.isNumberFormattingEnabled)(editor),punctuation:(0,_options.isAutoPunctuationEnabled)(editor)?(0,_options.getPunctuationDictionaries)(editor):null,rules:(0,_options.getReplacementRules)(editor),sentencePause:(0,_options.getSentencePause)(editor)})),state.pipeline(text,{...context,language:state.language})},insertText=(editor,state,text,uncertain=[])=>{let offset=0;text.split(/(\n+)/).forEach((piece=>{const pieceStart=offset;if(offset+=piece.length,piece.startsWith("\n"))return void editor.undoManager.transact((()=>{editor.execCommand(piece.length>1?"mceInsertNewLine":"InsertLineBreak")}));const textToInsert=(0,_insertion.fitToContext)(piece,(0,_insertion.getSelectionContext)(editor,editor.selection.getRng()));if(!textToInsert)return;const shift=textToInsert.length-textToInsert.trimStart().length-(pieceStart+piece.length-piece.trimStart().length),parts=uncertain.filter((({start:start,end:end})=>start>=pieceStart&&end<=offset)).map((part=>({...part,start:part.start+shift,end:part.end+shift})));(0,_voicecommands.insertChunk)(editor,state.chunks,(0,_uncertain.getMarkedHtml)(editor,textToInsert,parts),(range=>{(0,_formatting.applyInlineFormats)(editor,state.formats,range)}))}))},insertFormula=(editor,state)=>{const spoken=state.math.join(" "),latex=(0,_math.toLatex)(spoken,state.language);if(state.math=null,latex){(0,_history.recordPhrase)(editor,spoken,latex);const textToInsert=(0,_insertion.fitToContext)(latex,(0,_insertion.getSelectionContext)(editor,editor.selection.getRng()));(0,_voicecommands.insertChunk)(editor,state.chunks,editor.dom.encode(textToInsert))}},readBack=(editor,target)=>{const state=getEditorState(editor),range=(0,_readaloud.isSupported)()?(0,_readaloud.getReadingRange)(editor,target,(0,_voicecommands.getLastChunkRange)(editor,state.chunks)):null;if(!range)return;const resume=state.listening;resume&&stopListening(editor),(0,_readaloud.readAloud)(editor,range,state.language,(0,_options.getReadAloudRate)(editor)).then((completed=>(completed&&resume&&startListening(editor),completed))).catch((()=>null))},registerReadAloud=(editor,buttonText,targetTexts,buttonImage)=>{const targets=Object.keys(readingTargets);(0,_readaloud.addHighlightStyle)(editor),editor.ui.registry.addIcon(_common.readAloudIcon,buttonImage.html),editor.ui.registry.addSplitButton(_common.readAloudButtonName,{icon:_common.readAloudIcon,tooltip:buttonText,onAction:()=>(editor=>{(0,_readaloud.isReading)(editor)?(0,_readaloud.stopReading)():readBack(editor,editor.selection.isCollapsed()?"document":"selection")})(editor),onItemAction:(api,target)=>readBack(editor,target),fetch:callback=>{callback(targets.map((target=>({type:"choiceitem",value:target,text:targetTexts[target]}))))},onSetup:api=>{const events=`${_events.eventTypes.readingStarted} ${_events.eventTypes.readingStopped}`,updateState=()=>{api.setActive((0,_readaloud.isReading)(editor))};return updateState(),editor.on(events,updateState),()=>{editor.off(events,updateState)}}}),editor.ui.registry.addNestedMenuItem(_common.readAloudButtonName,{icon:_common.readAloudIcon,text:buttonText,getSubmenuItems:()=>targets.map((target=>({type:"menuitem",text:targetTexts[target],onAction:()=>readBack(editor,target)})))})},handleFinalTranscript=(editor,state)=>{if(!state.finalTranscript)return;const command=(0,_voicecommands.matchCommand)(state.finalTranscript,state.language);let pause=state.pause;state.pause=0;const segments=command?[]:(0,_formatting.splitFormatting)(state.finalTranscript,state.language),hypotheses=1===segments.length?state.uncertain:null;state.uncertain=null,"readBack"===command||"readAll"===command?readBack(editor,"readAll"===command?"document":"last"):command?(0,_voicecommands.executeCommand)(editor,command,state.chunks):segments.forEach((segment=>{if(segment.format&&void 0!==segment.format.math)((editor,state,enable)=>{enable!==Boolean(state.math)&&(enable?state.math=[]:insertFormula(editor,state),(0,_str.get_string)(enable?"mathstarted":"mathended",_common.component).then((message=>((0,_announcer.announce)(message),message))).catch((()=>null)))})(editor,state,segment.format.math);else if(segment.format)(0,_formatting.applyFormatting)(editor,state.formats,segment.format);else if(state.math)state.math.push(segment.text);else{const{before:before}=(0,_insertion.getSelectionContext)(editor,editor.selection.getRng()),text=processTranscript(editor,segment.text,{before:before,pause:pause}),uncertain=hypotheses&&(0,_uncertain.findUncertainPart)(text,hypotheses.slice(1).map((hypothesis=>processTranscript(editor,hypothesis,{before:before,pause:pause}))));pause=0,(0,_history.recordPhrase)(editor,segment.text,text),insertText(editor,state,text,uncertain?[uncertain]:[])}})),state.finalTranscript=""},reviewPhrase=(editor,alternatives)=>{const processed=alternatives.map((alternative=>processTranscript(editor,alternative))).filter((text=>text));processed.length&&Preview.addPhrase(editor,[...new Set(processed)],getPreviewHandlers(editor))},getLanguageLabel=language=>{try{return new Intl.DisplayNames([document.documentElement.lang||"en"],{type:"language"}).of(language)||language}catch(e){return language}},startSilenceTimer=(editor,state)=>{clearTimeout(state.silenceTimer);const timeout=(0,_options.getSilenceTimeout)(editor);timeout>0&&(state.silenceTimer=setTimeout((()=>{stopListening(editor),showError(editor,"inactive")}),1e3*timeout))},setListening=(editor,state,listening)=>{state.listening!==listening&&(state.listening=listening,editor.getContainer().classList.toggle("tiny-speechtotext-dictating",listening),listening?((0,_options.isHistoryEnabled)(editor)&&(0,_history.startSession)(editor,state.language),((editor,state)=>{if(!(0,_options.isAudioRecordingEnabled)(editor)||!(0,_recorder.canRecord)(editor))return;const recording={started:!1,chunk:state.chunks[state.chunks.length-1]||null};recording.stop=(0,_recorder.startRecording)((0,_session.getMicrophone)()).then((stop=>(recording.started=!0,state.recording===recording&&Preview.showRecording(editor,!0),stop))).catch((()=>null)),state.recording=recording})(editor,state),(0,_events.notifyListeningStarted)(editor,state.language)):(((editor,state)=>{const recording=state.recording;recording&&(state.recording=null,Preview.showRecording(editor,!1),recording.stop.then((stop=>stop?stop():null)).then((audio=>(audio&&audio.size&&(state.unsavedRecording={audio:audio,chunk:recording.chunk},saveRecording(editor,state)),audio))).catch(_notification.default.exception))})(editor,state),(0,_session.release)(editor),(0,_events.notifyListeningStopped)(editor)))},stopListening=editor=>{const state=getEditorState(editor);clearTimeout(state.silenceTimer),state.listening&&state.recognition&&(state.restarting=!1,state.ending=!0,state.recognition.stop()),setListening(editor,state,!1)},startListening=editor=>{const state=getEditorState(editor);try{state.recognition||initializeRecognition(editor),(0,_session.activate)(editor,(()=>stopListening(editor))),(0,_readaloud.isReading)(editor)&&(0,_readaloud.stopReading)(),state.formats.clear(),state.math=null,state.pauses.reset(),state.recognition.lang=state.language,state.recognition.start(),state.startedAt=Date.now(),state.failedRestarts=0,setListening(editor,state,!0),startSilenceTimer(editor,state)}catch(e){window.console.error("Speech recognition start error:",e),(0,_session.release)(editor),(0,_events.notifyError)(editor,"start-failed")}},handleAction=editor=>{getEditorState(editor).listening?stopListening(editor):startListening(editor)},handleMenuChoice=(editor,value)=>{"followfocus"===value?(0,_session.setFollowingFocus)(!(0,_session.isFollowingFocus)()):"history"===value?(0,_historydialog.showHistory)(editor,(text=>insertText(editor,getEditorState(editor),text)),getLanguageLabel).catch(_notification.default.exception):((editor,language)=>{const state=getEditorState(editor);(0,_session.setChosenLanguage)(language),state.language!==language&&(state.language=language,state.recognition&&(state.listening?(state.restarting=!0,state.recognition.stop()):state.recognition.lang=language))})(editor,value)},registerShortcut=(editor,description)=>{const shortcut=(0,_options.getShortcut)(editor);if(!shortcut)return;if(!(0,_options.isPushToTalkEnabled)(editor))return void editor.addShortcut(shortcut,description,(()=>handleAction(editor)));const state=getEditorState(editor),releaseKeys=()=>{state.holding&&(state.holding=!1,stopListening(editor))};editor.addShortcut(shortcut,description,(()=>{state.listening||(state.holding=!0,startListening(editor))})),editor.on("keyup",(event=>{((event,shortcut)=>shortcut.split("+").some((part=>{if(modifierKeys[part])return modifierKeys[part].includes(event.key);const code=event.code.toLowerCase();return code===part||code===`key${part}`||code===`digit${part}`})))(event,shortcut)&&releaseKeys()})),editor.on("blur",releaseKeys)},initializeRecognition=editor=>{const state=getEditorState(editor);state.recognition=(0,_engines.createEngine)(editor),state.recognition.continuous=(0,_options.isContinuous)(editor),state.recognition.interimResults=(0,_options.isInterimPreviewEnabled)(editor),state.recognition.maxAlternatives=(0,_options.isReviewModeEnabled)(editor)||(0,_options.getConfidenceThreshold)(editor)>0?3:1,state.recognition.hints=(0,_replacements.getHints)((0,_options.getReplacementRules)(editor)),state.recognition.lang=state.language,state.recognition.deviceId=(0,_session.getMicrophone)(),state.recognition.onresult=event=>((editor,state,event)=>{let interimTranscript="",confidence=1;const finalAlternatives=[];startSilenceTimer(editor,state);for(let i=event.resultIndex;i<event.results.length;++i){const transcript=event.results[i][0].transcript;event.results[i].isFinal?(state.finalTranscript+=transcript+" ",finalAlternatives.push(Array.from(event.results[i],(alternative=>alternative.transcript))),event.results[i][0].confidence>0&&(confidence=Math.min(confidence,event.results[i][0].confidence))):interimTranscript+=transcript}const pause=(0,_pauses.trackPauses)(state.pauses,state.recognition,finalAlternatives.length>0,""!==interimTranscript,Date.now());finalAlternatives.length&&(state.pause=pause),interimTranscript&&(0,_events.notifyResult)(editor,interimTranscript,!1),state.uncertain=1===finalAlternatives.length&&confidence<(0,_options.getConfidenceThreshold)(editor)?finalAlternatives[0]:null,state.finalTranscript&&((0,_events.notifyResult)(editor,state.finalTranscript.trim(),!0),(0,_options.isReviewModeEnabled)(editor)&&!(0,_voicecommands.matchCommand)(state.finalTranscript,state.language)?(finalAlternatives.forEach((alternatives=>reviewPhrase(editor,alternatives))),state.finalTranscript=""):handleFinalTranscript(editor,state))})(editor,state,event),state.recognition.onerror=event=>{window.console.error("Speech recognition error:",event.error),state.listening&&("no-speech"===event.error&&(0,_options.isKeepAliveEnabled)(editor)||(clearTimeout(state.silenceTimer),state.restarting=!1,setListening(editor,state,!1),(0,_events.notifyError)(editor,event.error)))},state.recognition.onend=()=>{if(state.restarting){if(state.restarting=!1,restartRecognition(state))return}else if(state.listening&&(0,_options.isKeepAliveEnabled)(editor)){if(Date.now()-state.startedAt<1e3?state.failedRestarts++:state.failedRestarts=0,state.failedRestarts<3&&restartRecognition(state))return;return clearTimeout(state.silenceTimer),state.math&&insertFormula(editor,state),setListening(editor,state,!1),void(0,_events.notifyError)(editor,"restart-failed")}clearTimeout(state.silenceTimer),state.math&&insertFormula(editor,state),setListening(editor,state,!1),state.ending=!1,saveRecording(editor,state)}},restartRecognition=state=>{state.recognition.lang=state.language;try{return state.recognition.start(),state.startedAt=Date.now(),!0}catch(e){return window.console.error("Speech recognition restart error:",e),!1}};_exports.getSetup=async()=>{const[buttonText,followFocusText,startedText,holdingText,stoppedText,historyText,readAloudText,readSelectionText,readSentenceText,readLastText,readDocumentText,alternativesText,keepText,nextUncertainText,buttonImage,readAloudImage]=await Promise.all([(0,_str.get_string)("buttontitle",_common.component),(0,_str.get_string)("followfocus",_common.component),(0,_str.get_string)("dictationstarted",_common.component),(0,_str.get_string)("dictationstartedholding",_common.component),(0,_str.get_string)("dictationstopped",_common.component),(0,_str.get_string)("history",_common.component),(0,_str.get_string)("readaloud",_common.component),...Object.values(readingTargets).map((identifier=>(0,_str.get_string)(identifier,_common.component))),(0,_str.get_string)("uncertainalternatives",_common.component),(0,_str.get_string)("uncertainkeep",_common.component),(0,_str.get_string)("uncertainnext",_common.component),(0,_utils.getButtonImage)(_common.icon,_common.component),(0,_utils.getButtonImage)("readaloud",_common.component)]),readingTexts={selection:readSelectionText,sentence:readSentenceText,last:readLastText,document:readDocumentText};return(0,_history.pruneHistories)(),(0,_storage.clearOnLogout)(),editor=>{(0,_readaloud.isSupported)()&&registerReadAloud(editor,readAloudText,readingTexts,readAloudImage),(0,_engines.isAvailable)(editor)?(editor.on(_events.eventTypes.listeningStarted,(()=>handleListeningStarted(editor))),editor.on(_events.eventTypes.listeningStopped,(()=>{var state;state=getEditorState(editor),clearInterval(state.elapsedTimer),stopLevelMeter(state),Preview.showStopped(editor)})),editor.on(_events.eventTypes.error,(({error:error})=>showError(editor,error))),editor.on(_events.eventTypes.result,(({transcript:transcript,isFinal:isFinal})=>((editor,text,isFinal)=>{isFinal&&(0,_options.isReviewModeEnabled)(editor)?Preview.setText(editor,"",!1):Preview.setText(editor,processTranscript(editor,text),isFinal)})(editor,transcript,isFinal))),editor.on(_events.eventTypes.listeningStarted,(()=>(0,_announcer.announce)(getEditorState(editor).holding?holdingText:startedText))),editor.on(_events.eventTypes.listeningStopped,(()=>(0,_announcer.announce)(stoppedText))),registerShortcut(editor,buttonText),(0,_uncertain.registerUncertainReview)(editor,{alternatives:alternativesText,keep:keepText,next:nextUncertainText}),editor.on("focus",(()=>{const activeEditor=(0,_session.getActiveEditor)();activeEditor&&activeEditor!==editor&&(0,_session.isFollowingFocus)()&&startListening(editor)})),editor.ui.registry.addIcon(_common.icon,buttonImage.html),editor.ui.registry.addSplitButton(_common.buttonName,{icon:_common.icon,tooltip:buttonText,onAction:()=>handleAction(editor),onItemAction:(api,value)=>handleMenuChoice(editor,value),fetch:callback=>{callback([...(0,_options.getLanguages)(editor).map((language=>({type:"choiceitem",value:language,text:getLanguageLabel(language)}))),{type:"separator"},{type:"choiceitem",value:"followfocus",text:followFocusText},...(0,_options.isHistoryEnabled)(editor)?[{type:"choiceitem",value:"history",text:historyText}]:[]])},select:value=>"followfocus"===value?(0,_session.isFollowingFocus)():"history"!==value&&value===getEditorState(editor).language,onSetup:api=>{const events=`${_events.eventTypes.listeningStarted} ${_events.eventTypes.listeningStopped}`,updateState=()=>{api.setActive(getEditorState(editor).listening)};return updateState(),editor.on(events,updateState),()=>{editor.off(events,updateState)}}}),editor.ui.registry.addMenuItem(_common.buttonName,{icon:_common.icon,text:buttonText,shortcut:(0,_options.getShortcut)(editor),onAction:()=>handleAction(editor)})):window.console.warn("Speech recognition not supported in this browser")}}}));
 
 //# sourceMappingURL=commands.min.js.map
\ No newline at end of file
@@ -1,3 +1,11 @@
-define("tiny_speechtotext/common",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.pluginName=_exports.icon=_exports.default=_exports.component=_exports.buttonName=void 0;_exports.component="tiny_speechtotext";_exports.pluginName="tiny_speechtotext/plugin";_exports.buttonName="tiny_speechtotext";_exports.icon="icon";var _default={component:"tiny_speechtotext",pluginName:"tiny_speechtotext/plugin",buttonName:"tiny_speechtotext",icon:"icon"};return _exports.default=_default,_exports.default}));
+define("tiny_speechtotext/common",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.readAloudIcon=_exports.readAloudButtonName=_exports.pluginName=_exports.icon=_exports.default=_exports.component=_exports.buttonName=void 0;
+/**
+   * Common helper for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/common
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const component=_exports.component="tiny_speechtotext",pluginName=_exports.pluginName="tiny_speechtotext/plugin",buttonName=_exports.buttonName="tiny_speechtotext",icon=_exports.icon="icon",readAloudButtonName=_exports.readAloudButtonName="tiny_speechtotext_readaloud",readAloudIcon=_exports.readAloudIcon="tiny_speechtotext_readaloud";_exports.default={component:component,pluginName:pluginName,buttonName:buttonName,icon:icon,readAloudButtonName:readAloudButtonName,readAloudIcon:readAloudIcon}}));
 
 //# sourceMappingURL=common.min.js.map
\ No newline at end of file
@@ -1,3 +1,3 @@
-define("tiny_speechtotext/configuration",["exports","./common","editor_tiny/utils"],(function(_exports,_common,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.configure=void 0;_exports.configure=instanceConfig=>({toolbar:(0,_utils.addToolbarButton)(instanceConfig.toolbar,"content",_common.component)})}));
+define("tiny_speechtotext/configuration",["exports","./common","editor_tiny/utils"],(function(_exports,_common,_utils){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.configure=void 0;_exports.configure=instanceConfig=>({toolbar:(0,_utils.addToolbarButton)((0,_utils.addToolbarButton)(instanceConfig.toolbar,"content",_common.component),"content",_common.readAloudButtonName)})}));
 
 //# sourceMappingURL=configuration.min.js.map
\ No newline at end of file
@@ -0,0 +1,18 @@
+define("tiny_speechtotext/engine/base",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.default=void 0;_exports.default=
+/**
+   * Base class for recognition engines of the Moodle tiny_speechtotext plugin.
+   *
+   * Engines mirror the part of the Web Speech API SpeechRecognition interface
+   * used by the plugin: the lang, continuous and interimResults properties, the
+   * start/stop/abort methods and the onstart/onresult/onerror/onend handlers.
+   * Result events carry {resultIndex, results}, where each result is a list of
+   * alternatives ({transcript, confidence}) with an isFinal flag; error events
+   * carry {error, message} using the SpeechRecognition error codes.
+   *
+   * @module      tiny_speechtotext/engine/base
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+class{constructor(config={}){this.config=config,this.lang="en-US",this.continuous=!0,this.interimResults=!0,this.maxAlternatives=1,this.hints=[],this.deviceId="",this.onstart=null,this.onresult=null,this.onerror=null,this.onend=null}static isSupported(){return!1}get canSelectMicrophone(){return!1}get finalisesAtPauses(){return!0}start(){throw new Error("Recognition engines must implement start()")}stop(){throw new Error("Recognition engines must implement stop()")}abort(){this.stop()}dispatch(type,event={}){const handler=this[`on${type}`];"function"==typeof handler&&handler(event)}dispatchResult(transcript,isFinal,confidence=1){const result=[{transcript:transcript,confidence:confidence}];result.isFinal=isFinal,this.dispatch("result",{resultIndex:0,results:[result]})}dispatchError(error,message=""){this.dispatch("error",{error:error,message:message})}}}));
+
+//# sourceMappingURL=base.min.js.map
\ No newline at end of file
@@ -0,0 +1,29 @@
+define("tiny_speechtotext/engine/replay",["exports","./base"],(function(_exports,_base){var e;
+/**
+   * Scripted replay recognition engine for the Moodle tiny_speechtotext plugin.
+   *
+   * Instead of listening, the engine plays a script of recognition events, so
+   * that dictation can be tested without a microphone. It is only used in
+   * automated tests, which set the script as $CFG->tiny_speechtotext_replayscript
+   * or, on Behat sites, as the replayscript setting of the plugin. The script is
+   * a JSON array of steps, each at a time in milliseconds from the start of the script:
+   *
+   *     [
+   *         {"at": 500, "transcript": "hello"},
+   *         {"at": 1000, "transcript": "hello world", "final": true, "confidence": 0.9,
+   *             "alternatives": ["hello word"]},
+   *         {"at": 3000, "error": "network"},
+   *         {"at": 4000, "end": true}
+   *     ]
+   *
+   * Results are interim unless final. An error or end step ends the recognizer,
+   * as the browser recognizer does; starting it again, e.g. to keep dictation
+   * alive, carries on with the next step straight away. Once the whole script has been played
+   * the recognizer waits to be stopped, and starts the script over the next time.
+   *
+   * @module      tiny_speechtotext/engine/replay
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.parseScript=_exports.default=void 0,_base=(e=_base)&&e.__esModule?e:{default:e};const parseScript=script=>{let steps;try{steps=JSON.parse(script)}catch(e){return null}return Array.isArray(steps)&&steps.every((step=>step&&"object"==typeof step))?steps.map((step=>({...step,at:Math.max(0,Number(step.at)||0)}))).sort(((a,b)=>a.at-b.at)):null};_exports.parseScript=parseScript;class ReplayEngine extends _base.default{static isSupported(config){return Boolean(config&&config.script&&parseScript(config.script))}constructor(config={}){super(config),this.steps=parseScript(config.script||"")||[],this.position=0,this.active=!1,this.stopping=!1,this.timers=[]}start(){if(this.active)throw new Error("Recognition has already started");this.position>=this.steps.length&&(this.position=0),this.active=!0,this.stopping=!1,this.finals=[],this.interim=null;const offset=this.position<this.steps.length?this.steps[this.position].at:0;this.timers=[setTimeout((()=>this.dispatch("start")),0)],this.steps.slice(this.position).forEach((step=>{this.timers.push(setTimeout((()=>{this.position++,this.play(step)}),step.at-offset))}))}play(step){if(this.active)if(step.error)this.dispatchError(step.error,step.message||""),this.finish();else if(step.end)this.finish();else if("string"==typeof step.transcript){const isFinal=Boolean(step.final);(isFinal||this.interimResults)&&this.dispatchScriptedResult(step,isFinal),isFinal&&!this.continuous&&this.finish()}}dispatchScriptedResult(step,isFinal){const confidence=void 0===step.confidence?1:Number(step.confidence),result=[step.transcript,...step.alternatives||[]].slice(0,Math.max(1,this.maxAlternatives)).map(((transcript,index)=>({transcript:transcript,confidence:index?0:confidence})));result.isFinal=isFinal;const resultIndex=this.finals.length;isFinal?(this.finals.push(result),this.interim=null):this.interim=result,this.dispatch("result",{resultIndex:resultIndex,results:this.interim?[...this.finals,this.interim]:this.finals})}stop(){if(!this.active||this.stopping)return;this.stopping=!0;const interim=this.interim;this.clearTimers(),interim?setTimeout((()=>{this.dispatchScriptedResult({transcript:interim[0].transcript,confidence:interim[0].confidence},!0),this.finish()}),0):setTimeout((()=>this.finish()),0)}abort(){this.active&&(this.clearTimers(),this.interim=null,setTimeout((()=>this.finish()),0))}clearTimers(){this.timers.forEach((timer=>clearTimeout(timer))),this.timers=[]}finish(){this.active&&(this.active=!1,this.clearTimers(),this.dispatch("end"))}}_exports.default=ReplayEngine}));
+
+//# sourceMappingURL=replay.min.js.map
\ No newline at end of file
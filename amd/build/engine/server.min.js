@@ -0,0 +1,25 @@
+define("tiny_speechtotext/engine/server",["exports","./base","../meter"],(function(_exports,_base,_meter){var e;
+/**
+   * Speech server recognition engine for the Moodle tiny_speechtotext plugin.
+   *
+   * Microphone audio is sent to a configurable speech server. The transport
+   * depends on the endpoint URL:
+   *
+   * - http(s):// endpoints receive consecutive audio segments recorded with
+   *   MediaRecorder, posted as multipart form data with 'file' and 'language'
+   *   fields, and answer with JSON {text} (the Whisper server / OpenAI
+   *   transcription API convention). All results are final. Recognition hints
+   *   are sent as 'prompt'. Segments are cut when the speaker pauses, so that
+   *   words are not split between them, or once they reach the longest length
+   *   servers transcribe at once; segments without speech are not sent.
+   * - ws(s):// endpoints receive a {config: {sample_rate}} message followed by
+   *   16-bit mono PCM audio, and an {eof: 1} message on stop. They answer with
+   *   JSON {partial} for interim and {text} for final results (the Vosk server
+   *   convention).
+   *
+   * @module      tiny_speechtotext/engine/server
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.default=void 0,_base=(e=_base)&&e.__esModule?e:{default:e};class ServerEngine extends _base.default{static isSupported(config){return!!(config&&config.endpoint&&navigator.mediaDevices&&navigator.mediaDevices.getUserMedia)&&(/^wss?:/i.test(config.endpoint)?"WebSocket"in window&&"AudioContext"in window:"MediaRecorder"in window&&"fetch"in window)}get streaming(){return/^wss?:/i.test(this.config.endpoint)}get finalisesAtPauses(){return this.streaming}get canSelectMicrophone(){return!0}start(){if(this.active)throw new Error("Recognition has already started");this.active=!0,this.stopping=!1,this.aborted=!1,navigator.mediaDevices.getUserMedia({audio:(0,_meter.getAudioConstraints)(this.deviceId)}).then((stream=>{this.stream=stream,this.stopping?this.finish():(this.streaming?this.startStreaming():this.startSegments(),this.dispatch("start"))})).catch((e=>{const denied="NotAllowedError"===e.name||"SecurityError"===e.name;this.dispatchError(denied?"not-allowed":"audio-capture",e.message),this.finish()}))}stop(){this.active&&!this.stopping&&(this.stopping=!0,this.stream&&(this.streaming?this.stopStreaming():(clearInterval(this.levelTimer),this.recorder.stop())))}abort(){this.aborted=!0,this.socket&&this.socket.close(),this.recorder&&"inactive"!==this.recorder.state&&(this.recorder.onstop=null,this.recorder.stop()),this.finish()}dispatchResult(transcript,isFinal){this.aborted||super.dispatchResult(transcript,isFinal)}startSegments(){this.pending=Promise.resolve(),this.audioContext=new AudioContext;const analyser=this.audioContext.createAnalyser(),samples=new Float32Array(analyser.fftSize);this.audioContext.createMediaStreamSource(this.stream).connect(analyser),this.levelTimer=setInterval((()=>{analyser.getFloatTimeDomainData(samples),this.measureSegment((0,_meter.measureLevel)(samples),Date.now())}),100),this.recordSegment()}measureSegment(level,time){const segment=this.segment;if("recording"!==this.recorder.state)return;level>=.3?(segment.heard=!0,segment.silentSince=null):null===segment.silentSince&&(segment.silentSince=time);(segment.heard&&null!==segment.silentSince&&time-segment.silentSince>=800||time-segment.started>=3e4)&&this.recorder.stop()}recordSegment(){const recorder=new MediaRecorder(this.stream),segment={started:Date.now(),heard:!1,silentSince:null},parts=[];recorder.ondataavailable=event=>{event.data.size&&parts.push(event.data)},recorder.onstop=()=>{const blob=new Blob(parts,{type:recorder.mimeType});segment.heard&&(this.pending=this.pending.then((()=>this.transcribe(blob)))),this.stopping||!this.continuous?this.pending.then((()=>this.finish())).catch((()=>this.finish())):this.recordSegment()},this.recorder=recorder,this.segment=segment,recorder.start()}transcribe(blob){if(!blob.size||this.aborted)return Promise.resolve();const body=new FormData;return body.append("file",blob,"speech."+(blob.type.split(/[/;]/)[1]||"webm")),body.append("language",this.lang.split("-")[0]),body.append("response_format","json"),this.hints.length&&body.append("prompt",this.hints.join(", ")),fetch(this.config.endpoint,{method:"POST",body:body}).then((response=>{if(!response.ok)throw new Error(`Speech server responded with status ${response.status}`);return response.json()})).then((data=>{const text=(data.text||"").trim();return text&&this.dispatchResult(text,!0),text})).catch((e=>this.dispatchError("network",e.message)))}startStreaming(){this.audioContext=new AudioContext,this.socket=new WebSocket(this.config.endpoint);const source=this.audioContext.createMediaStreamSource(this.stream);this.processor=this.audioContext.createScriptProcessor(4096,1,1),this.processor.onaudioprocess=event=>{this.socket.readyState!==WebSocket.OPEN||this.stopping||this.socket.send((samples=>{const pcm=new Int16Array(samples.length);return samples.forEach(((sample,index)=>{const clamped=Math.max(-1,Math.min(1,sample));pcm[index]=clamped<0?32768*clamped:32767*clamped})),pcm.buffer})(event.inputBuffer.getChannelData(0)))},source.connect(this.processor),this.processor.connect(this.audioContext.destination),this.socket.onopen=()=>{this.socket.send(JSON.stringify({config:{sample_rate:this.audioContext.sampleRate}}))},this.socket.onmessage=event=>{let data=null;try{data=JSON.parse(event.data)}catch(e){data=null}data&&"object"==typeof data?data.text?(this.dispatchResult(data.text,!0),this.continuous||this.stop()):data.partial&&this.interimResults&&this.dispatchResult(data.partial,!1):this.dispatchError("network","Speech server sent an invalid message")},this.socket.onerror=()=>{this.dispatchError("network","Speech server connection failed")},this.socket.onclose=()=>this.finish()}stopStreaming(){this.processor.disconnect(),this.socket.readyState===WebSocket.OPEN?this.socket.send(JSON.stringify({eof:1})):(this.socket.close(),this.finish())}finish(){this.active&&(this.active=!1,clearInterval(this.levelTimer),this.stream&&(this.stream.getTracks().forEach((track=>track.stop())),this.stream=null),this.audioContext&&(this.audioContext.close().catch((()=>null)),this.audioContext=null),this.socket=null,this.recorder=null,this.dispatch("end"))}}_exports.default=ServerEngine}));
+
+//# sourceMappingURL=server.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("tiny_speechtotext/engine/webspeech",["exports","./base"],(function(_exports,_base){var e;
+/**
+   * Web Speech API recognition engine for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/engine/webspeech
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.default=void 0,_base=(e=_base)&&e.__esModule?e:{default:e};class WebSpeechEngine extends _base.default{static isSupported(){return"webkitSpeechRecognition"in window||"SpeechRecognition"in window}start(){if(!this.recognition){const SpeechRecognition=window.SpeechRecognition||window.webkitSpeechRecognition;this.recognition=new SpeechRecognition,this.recognition.onstart=event=>this.dispatch("start",event),this.recognition.onresult=event=>this.dispatch("result",event),this.recognition.onerror=event=>this.dispatch("error",event),this.recognition.onend=event=>this.dispatch("end",event)}this.recognition.lang=this.lang,this.recognition.continuous=this.continuous,this.recognition.interimResults=this.interimResults,this.recognition.maxAlternatives=this.maxAlternatives,this.setGrammars(),this.recognition.start()}setGrammars(){const SpeechGrammarList=window.SpeechGrammarList||window.webkitSpeechGrammarList;if(!SpeechGrammarList||!this.hints.length)return;const phrases=this.hints.map((hint=>hint.replace(/[;|<>*+=()[\]{}/\\"]/g," ").trim())).filter((hint=>hint));if(!phrases.length)return;const grammars=new SpeechGrammarList;grammars.addFromString(`#JSGF V1.0; grammar hints; public <hint> = ${phrases.join(" | ")} ;`,1),this.recognition.grammars=grammars}stop(){this.recognition&&this.recognition.stop()}abort(){this.recognition&&this.recognition.abort()}}_exports.default=WebSpeechEngine}));
+
+//# sourceMappingURL=webspeech.min.js.map
\ No newline at end of file
@@ -0,0 +1,10 @@
+define("tiny_speechtotext/engines",["exports","./engine/webspeech","./engine/server","./engine/replay","./options"],(function(_exports,_webspeech,_server,_replay,_options){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}
+/**
+   * Recognition engine registry for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/engines
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.registerEngine=_exports.isAvailable=_exports.createEngine=void 0,_webspeech=_interopRequireDefault(_webspeech),_server=_interopRequireDefault(_server),_replay=_interopRequireDefault(_replay);const engines={webspeech:_webspeech.default,server:_server.default,replay:_replay.default};_exports.registerEngine=(name,EngineClass)=>{engines[name]=EngineClass};const getEngineConfig=editor=>({endpoint:(0,_options.getServerEndpoint)(editor),script:(0,_options.getReplayScript)(editor)}),getEngineClass=editor=>{const config=getEngineConfig(editor),name=(0,_options.getEngine)(editor);return("auto"===name?[_webspeech.default,_server.default]:[engines[name]||_webspeech.default]).find((EngineClass=>EngineClass.isSupported(config)))||null};_exports.isAvailable=editor=>null!==getEngineClass(editor);_exports.createEngine=editor=>{const EngineClass=getEngineClass(editor);if(!EngineClass)throw new Error("No speech recognition engine is available in this browser");return new EngineClass(getEngineConfig(editor))}}));
+
+//# sourceMappingURL=engines.min.js.map
\ No newline at end of file
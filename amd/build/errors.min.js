@@ -0,0 +1,11 @@
+define("tiny_speechtotext/errors",["exports","core/str","./common"],(function(_exports,_str,_common){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.isRetryable=_exports.getErrorMessage=void 0;
+/**
+   * Recognition error messages for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/errors
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const errors={"not-allowed":{key:"error:notallowed",retry:!1},"service-not-allowed":{key:"error:notallowed",retry:!1},"audio-capture":{key:"error:audiocapture",retry:!0},network:{key:"error:network",retry:!0},"no-speech":{key:"error:nospeech",retry:!0},aborted:{key:"error:aborted",retry:!0},"language-not-supported":{key:"error:languagenotsupported",retry:!1},"start-failed":{key:"error:startfailed",retry:!0},"restart-failed":{key:"error:restartfailed",retry:!0},inactive:{key:"error:inactive",retry:!0}},unknownError={key:"error:unknown",retry:!0},getError=error=>errors[error]||unknownError;_exports.getErrorMessage=(error,language)=>(0,_str.get_string)(getError(error).key,_common.component,language);_exports.isRetryable=error=>getError(error).retry}));
+
+//# sourceMappingURL=errors.min.js.map
\ No newline at end of file
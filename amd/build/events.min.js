@@ -0,0 +1,15 @@
+define("tiny_speechtotext/events",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.notifyResult=_exports.notifyReadingStopped=_exports.notifyReadingStarted=_exports.notifyListeningStopped=_exports.notifyListeningStarted=_exports.notifyError=_exports.eventTypes=void 0;
+/**
+   * Editor events of the Moodle tiny_speechtotext plugin.
+   *
+   * Other plugins and themes can follow dictation with the TinyMCE event API:
+   *
+   *     editor.on('SpeechToTextStart', (e) => window.console.log(e.language));
+   *
+   * @module      tiny_speechtotext/events
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const eventTypes=_exports.eventTypes={listeningStarted:"SpeechToTextStart",listeningStopped:"SpeechToTextStop",error:"SpeechToTextError",result:"SpeechToTextResult",readingStarted:"SpeechToTextReadStart",readingStopped:"SpeechToTextReadStop"};_exports.notifyListeningStarted=(editor,language)=>editor.dispatch(eventTypes.listeningStarted,{language:language});_exports.notifyListeningStopped=editor=>editor.dispatch(eventTypes.listeningStopped);_exports.notifyError=(editor,error)=>editor.dispatch(eventTypes.error,{error:error});_exports.notifyResult=(editor,transcript,isFinal)=>editor.dispatch(eventTypes.result,{transcript:transcript,isFinal:isFinal});_exports.notifyReadingStarted=(editor,language)=>editor.dispatch(eventTypes.readingStarted,{language:language});_exports.notifyReadingStopped=(editor,completed)=>editor.dispatch(eventTypes.readingStopped,{completed:completed})}));
+
+//# sourceMappingURL=events.min.js.map
\ No newline at end of file
@@ -0,0 +1,14 @@
+define("tiny_speechtotext/formatting",["exports","./phrases"],(function(_exports,_phrases){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.splitFormatting=_exports.registerFormatting=_exports.applyInlineFormats=_exports.applyFormatting=void 0;
+/**
+   * Spoken formatting commands for the Moodle tiny_speechtotext plugin.
+   *
+   * Unlike editing commands, formatting commands may be spoken in the middle of
+   * an utterance ("this is start bold important stop bold").
+   *
+   * @module      tiny_speechtotext/formatting
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const startBold={inline:"bold",enable:!0},stopBold={inline:"bold",enable:!1},startItalic={inline:"italic",enable:!0},stopItalic={inline:"italic",enable:!1},startUnderline={inline:"underline",enable:!0},stopUnderline={inline:"underline",enable:!1},headingOne={block:"h1"},headingTwo={block:"h2"},headingThree={block:"h3"},normalText={block:"p"},bulletList={command:"InsertUnorderedList"},numberedList={command:"InsertOrderedList"},endList={command:"RemoveList"},nextItem={command:"mceInsertNewLine"},startMath={math:!0},endMath={math:!1},dictionaries={en:{"start bold":startBold,"bold on":startBold,"stop bold":stopBold,"end bold":stopBold,"bold off":stopBold,"start italic":startItalic,"italic on":startItalic,"stop italic":stopItalic,"end italic":stopItalic,"italic off":stopItalic,"start underline":startUnderline,"stop underline":stopUnderline,"end underline":stopUnderline,"heading one":headingOne,"heading 1":headingOne,"heading two":headingTwo,"heading 2":headingTwo,"heading three":headingThree,"heading 3":headingThree,"normal text":normalText,"bullet list":bulletList,"bulleted list":bulletList,"numbered list":numberedList,"end list":endList,"stop list":endList,"next item":nextItem,"start math":startMath,"math on":startMath,"end math":endMath,"stop math":endMath,"math off":endMath},fr:{"début gras":startBold,"fin gras":stopBold,"début italique":startItalic,"fin italique":stopItalic,"début souligné":startUnderline,"fin souligné":stopUnderline,"titre un":headingOne,"titre 1":headingOne,"titre deux":headingTwo,"titre 2":headingTwo,"titre trois":headingThree,"titre 3":headingThree,"texte normal":normalText,"liste à puces":bulletList,"liste numérotée":numberedList,"fin de liste":endList,"élément suivant":nextItem,"début maths":startMath,"fin maths":endMath},es:{"empezar negrita":startBold,"terminar negrita":stopBold,"empezar cursiva":startItalic,"terminar cursiva":stopItalic,"empezar subrayado":startUnderline,"terminar subrayado":stopUnderline,"título uno":headingOne,"título 1":headingOne,"título dos":headingTwo,"título 2":headingTwo,"título tres":headingThree,"título 3":headingThree,"texto normal":normalText,"lista con viñetas":bulletList,"lista numerada":numberedList,"terminar lista":endList,"siguiente elemento":nextItem,"empezar matemáticas":startMath,"terminar matemáticas":endMath}},lookups=new Map;_exports.registerFormatting=(language,dictionary)=>{const key=language.toLowerCase();dictionaries[key]=dictionary,lookups.delete(key)};_exports.splitFormatting=(text,language)=>{const lookup=(0,_phrases.getLookup)(dictionaries,lookups,language),words=(text||"").trim().split(/\s+/).filter((word=>word.length)),segments=[];let pending=[],i=0;const flush=()=>{pending.length&&(segments.push({text:pending.join(" ")}),pending=[])};for(;i<words.length;){const match=(0,_phrases.matchPhrase)(words,i,lookup);match?(flush(),segments.push({format:match.value}),i+=match.wordsConsumed):(pending.push(words[i]),i++)}return flush(),segments};_exports.applyFormatting=(editor,activeFormats,format)=>{format.inline?format.enable?activeFormats.add(format.inline):activeFormats.delete(format.inline):editor.undoManager.transact((()=>{format.block?editor.execCommand("FormatBlock",!1,format.block):editor.execCommand(format.command)}))};_exports.applyInlineFormats=(editor,activeFormats,range)=>{activeFormats.size&&!range.collapsed&&(editor.selection.setRng(range),activeFormats.forEach((name=>editor.formatter.apply(name))),editor.selection.collapse(!1))}}));
+
+//# sourceMappingURL=formatting.min.js.map
\ No newline at end of file
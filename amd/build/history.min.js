@@ -0,0 +1,17 @@
+define("tiny_speechtotext/history",["exports","editor_tiny/options","./storage"],(function(_exports,_options,Storage){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.startSession=_exports.recordPhrase=_exports.pruneHistories=_exports.getSessions=_exports.getSessionText=_exports.clearHistory=void 0,Storage=function(e,t){if("function"==typeof WeakMap)var r=new WeakMap,n=new WeakMap;return function(e,t){if(!t&&e&&e.__esModule)return e;var o,i,f={__proto__:null,default:e};if(null===e||"object"!=typeof e&&"function"!=typeof e)return f;if(o=t?n:r){if(o.has(e))return o.get(e);o.set(e,f)}for(const t in e)"default"!==t&&{}.hasOwnProperty.call(e,t)&&((i=(o=Object.defineProperty)&&Object.getOwnPropertyDescriptor(e,t))&&(i.get||i.set)?o(f,t,i):f[t]=e[t]);return f}(e,t)}
+/**
+   * Dictation history of the Moodle tiny_speechtotext plugin.
+   *
+   * Recent dictation sessions are kept in the browser, so that dictated text
+   * can be recovered after the page was left or reloaded. Each session lists
+   * what was heard and what was inserted. Nothing is sent to the server: the
+   * history is kept in the browser storage of the user, per editor field and
+   * context, for a week at most and for a limited number of fields, and can be
+   * cleared by the user at any time.
+   *
+   * @module      tiny_speechtotext/history
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */(Storage);const currentSessions=new WeakMap,getKey=editor=>`history/${(0,_options.getContextId)(editor)}/${editor.getElement().id||editor.id}`,readSessions=key=>{let sessions=[];try{sessions=JSON.parse(Storage.get(key)||"[]")}catch(e){return[]}const oldest=Date.now()-6048e5;return Array.isArray(sessions)?sessions.filter((session=>session.started>oldest)):[]},getSessions=editor=>readSessions(getKey(editor));_exports.getSessions=getSessions;_exports.pruneHistories=()=>{Storage.getKeys("history/").map((key=>{const sessions=readSessions(key);return{key:key,sessions:sessions,latest:Math.max(0,...sessions.map((session=>session.started)))}})).sort(((a,b)=>b.latest-a.latest)).forEach((({key:key,sessions:sessions},index)=>{!sessions.length||index>=50?Storage.remove(key):Storage.set(key,JSON.stringify(sessions))}))};_exports.startSession=(editor,language)=>{currentSessions.set(editor,{started:Date.now(),language:language,phrases:[]})};_exports.recordPhrase=(editor,heard,text)=>{const current=currentSessions.get(editor);if(!current||!text)return;const sessions=getSessions(editor).filter((session=>session.started!==current.started));current.phrases=[...current.phrases,{time:Date.now(),heard:heard,text:text}].slice(-200),sessions.unshift(current),Storage.set(getKey(editor),JSON.stringify(sessions.slice(0,10)))};_exports.clearHistory=editor=>{const current=currentSessions.get(editor);current&&currentSessions.set(editor,{...current,started:Date.now(),phrases:[]}),Storage.remove(getKey(editor))};_exports.getSessionText=session=>session.phrases.map((phrase=>phrase.text)).join(" ").replace(/ *\n */g,"\n")}));
+
+//# sourceMappingURL=history.min.js.map
\ No newline at end of file
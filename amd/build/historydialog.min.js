@@ -0,0 +1,10 @@
+define("tiny_speechtotext/historydialog",["exports","core/modal_factory","core/modal_events","core/notification","core/templates","core/toast","core/str","./common","./history"],(function(_exports,_modal_factory,_modal_events,_notification,_templates,_toast,_str,_common,_history){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}
+/**
+   * Dictation history dialogue of the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/historydialog
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.showHistory=void 0,_modal_factory=_interopRequireDefault(_modal_factory),_modal_events=_interopRequireDefault(_modal_events),_notification=_interopRequireDefault(_notification),_templates=_interopRequireDefault(_templates);const getContext=(sessions,getLanguageLabel)=>{const dateFormat=new Intl.DateTimeFormat(document.documentElement.lang||void 0,{dateStyle:"medium",timeStyle:"short"});return{sessions:sessions.map(((session,index)=>({index:index,heading:`${dateFormat.format(new Date(session.started))} (${getLanguageLabel(session.language)})`,phrases:session.phrases.map((({text:text,heard:heard})=>({text:text,heard:heard,changed:heard!==text})))}))),hassessions:sessions.length>0}};_exports.showHistory=async(editor,insert,getLanguageLabel)=>{const sessions=(0,_history.getSessions)(editor),modal=await _modal_factory.default.create({title:(0,_str.get_string)("history",_common.component),body:_templates.default.render(`${_common.component}/history`,getContext(sessions,getLanguageLabel)),large:!0,removeOnClose:!0});return modal.getRoot()[0].addEventListener("click",(event=>{const button=event.target.closest("[data-action]");if(!button)return;const session=sessions[button.dataset.session];switch(button.dataset.action){case"insert":modal.hide(),editor.focus(),insert((0,_history.getSessionText)(session));break;case"copy":(session=>navigator.clipboard.writeText((0,_history.getSessionText)(session)).then((()=>(0,_str.get_string)("copied",_common.component))).then((message=>(0,_toast.add)(message))))(session).catch(_notification.default.exception);break;case"clear":(0,_history.clearHistory)(editor),modal.setBody(_templates.default.render(`${_common.component}/history`,getContext([],getLanguageLabel)))}})),modal.getRoot().on(_modal_events.default.hidden,(()=>editor.focus())),modal.show(),modal}}));
+
+//# sourceMappingURL=historydialog.min.js.map
\ No newline at end of file
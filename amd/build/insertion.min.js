@@ -0,0 +1,15 @@
+define("tiny_speechtotext/insertion",["exports","./punctuation"],(function(_exports,_punctuation){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getSelectionContext=_exports.getRangeText=_exports.fitToContext=void 0;
+/**
+   * Fitting dictated text to its surroundings for the Moodle tiny_speechtotext plugin.
+   *
+   * Spacing and capitalisation depend only on the text of the block (paragraph,
+   * list item, table cell...) around the selection, so they are right wherever
+   * the caret is, and do not get slower as the document grows.
+   *
+   * @module      tiny_speechtotext/insertion
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const caretCharacters=/[\u200B\uFEFF]/g,openingPunctuation=/[([¿¡«]$/,closingPunctuation=/^[.,!?;:)\]»…।]/,sentenceEnding=/[.!?…।]$/,getRangeText=range=>{const fragment=range.cloneContents(),walker=range.startContainer.ownerDocument.createTreeWalker(fragment,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT);let text="";for(;walker.nextNode();){const node=walker.currentNode;node.nodeType===Node.TEXT_NODE?text+=node.data:"BR"===node.nodeName?text+="\n":"IMG"===node.nodeName&&(text+="￼")}return text.replace(caretCharacters,"").replace(/\u00A0/g," ")};_exports.getRangeText=getRangeText;_exports.getSelectionContext=(editor,range)=>{const dom=editor.dom,startBlock=dom.getParent(range.startContainer,dom.isBlock)||editor.getBody(),endBlock=dom.getParent(range.endContainer,dom.isBlock)||editor.getBody(),before=dom.createRng();before.setStart(startBlock,0),before.setEnd(range.startContainer,range.startOffset);const after=dom.createRng();return after.setStart(range.endContainer,range.endOffset),after.setEnd(endBlock,endBlock.childNodes.length),{before:getRangeText(before),after:getRangeText(after)}};_exports.fitToContext=(text,{before:before,after:after})=>{let result=text.trim();if(!result)return result;const preceding=before.trim();return(""===preceding||sentenceEnding.test(preceding))&&(result=(0,_punctuation.capitalizeWord)(result)),""===before||/\s$/.test(before)||openingPunctuation.test(before)||closingPunctuation.test(result)||(result=" "+result),""===after||/^\s/.test(after)||closingPunctuation.test(after)||openingPunctuation.test(result)||(result+=" "),result}}));
+
+//# sourceMappingURL=insertion.min.js.map
\ No newline at end of file
@@ -0,0 +1,20 @@
+define("tiny_speechtotext/math",["exports","./phrases","./numbers"],(function(_exports,_phrases,_numbers){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.toLatex=void 0;
+/**
+   * Spoken mathematics for the Moodle tiny_speechtotext plugin.
+   *
+   * Formulas spoken in math mode, such as "x squared plus two x over three",
+   * are converted to LaTeX between \( and \) delimiters, for the MathJax filter
+   * to render. Precedence follows how formulas are read aloud: "over" binds
+   * more loosely than juxtaposition and "times", and more tightly than "plus",
+   * while "all over" divides the whole sum before it. Roots take the sum that
+   * follows them, up to "all over", a relation or a spoken "end root"; spoken
+   * parentheses group anything. Numbers followed by a fraction word, such as
+   * "two thirds", are written as fractions. Other words are written as text.
+   *
+   * @module      tiny_speechtotext/math
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const plus={op:"+"},minus={op:"-"},plusMinus={op:"\\pm"},times={op:"\\cdot"},over={over:!0},allOver={allOver:!0},equals={relation:"="},lessThan={relation:"<"},greaterThan={relation:">"},lessOrEqual={relation:"\\leq"},greaterOrEqual={relation:"\\geq"},notEqual={relation:"\\neq"},approximately={relation:"\\approx"},squared={power:"2"},cubed={power:"3"},raise={raise:!0},subscript={subscript:!0},squareRoot={root:2},cubeRoot={root:3},endRoot={endRoot:!0},open={open:!0},close={close:!0},capital={capital:!0},filler={filler:!0},application={filler:!0,application:!0},createFractionWords=words=>Object.fromEntries(Object.entries(words).flatMap((([denominator,names])=>names.map((name=>[name,{denominator:Number(denominator)}]))))),greekLetters={alpha:{symbol:"\\alpha"},beta:{symbol:"\\beta"},gamma:{symbol:"\\gamma"},delta:{symbol:"\\delta"},epsilon:{symbol:"\\epsilon"},theta:{symbol:"\\theta"},lambda:{symbol:"\\lambda"},mu:{symbol:"\\mu"},pi:{symbol:"\\pi"},rho:{symbol:"\\rho"},sigma:{symbol:"\\sigma"},tau:{symbol:"\\tau"},phi:{symbol:"\\phi"},omega:{symbol:"\\omega"}},dictionaries={en:{...greekLetters,...createFractionWords({2:["half","halves"],3:["third","thirds"],4:["quarter","quarters","fourth","fourths"],5:["fifth","fifths"],6:["sixth","sixths"],7:["seventh","sevenths"],8:["eighth","eighths"],9:["ninth","ninths"],10:["tenth","tenths"]}),plus:plus,minus:minus,negative:minus,"plus or minus":plusMinus,times:times,"multiplied by":times,over:over,"divided by":over,"all over":allOver,"all divided by":allOver,equals:equals,"equal to":equals,"is equal to":equals,"is less than":lessThan,"less than":lessThan,"is greater than":greaterThan,"greater than":greaterThan,"is less than or equal to":lessOrEqual,"less than or equal to":lessOrEqual,"is greater than or equal to":greaterOrEqual,"greater than or equal to":greaterOrEqual,"is not equal to":notEqual,"not equal to":notEqual,"does not equal":notEqual,"is approximately equal to":approximately,"approximately equal to":approximately,"approximately equals":approximately,squared:squared,cubed:cubed,"to the power of":raise,"to the power":raise,"raised to the power of":raise,"raised to":raise,"to the":raise,power:{powerWord:!0},sub:subscript,subscript:subscript,"square root of":squareRoot,"square root":squareRoot,"root of":squareRoot,"cube root of":cubeRoot,"cube root":cubeRoot,"end root":endRoot,"close root":endRoot,sine:{func:"\\sin"},sin:{func:"\\sin"},cosine:{func:"\\cos"},cos:{func:"\\cos"},tangent:{func:"\\tan"},tan:{func:"\\tan"},log:{func:"\\log"},logarithm:{func:"\\log"},"natural log":{func:"\\ln"},ln:{func:"\\ln"},exponential:{func:"\\exp"},"open parenthesis":open,"open paren":open,"left parenthesis":open,"open bracket":open,"close parenthesis":close,"close paren":close,"right parenthesis":close,"close bracket":close,infinity:{symbol:"\\infty"},factorial:{factorial:!0},capital:capital,uppercase:capital,the:filler,of:application},fr:{...greekLetters,...createFractionWords({2:["demi","demis"],3:["tiers"],4:["quart","quarts"],5:["cinquième","cinquièmes"],6:["sixième","sixièmes"],7:["septième","septièmes"],8:["huitième","huitièmes"],9:["neuvième","neuvièmes"],10:["dixième","dixièmes"]}),"bêta":{symbol:"\\beta"},"thêta":{symbol:"\\theta"},"oméga":{symbol:"\\omega"},plus:plus,moins:minus,"plus ou moins":plusMinus,fois:times,"multiplié par":times,sur:over,"divisé par":over,"le tout sur":allOver,"le tout divisé par":allOver,"égal":equals,"égale":equals,"égal à":equals,"est égal à":equals,"inférieur à":lessThan,"est inférieur à":lessThan,"supérieur à":greaterThan,"est supérieur à":greaterThan,"inférieur ou égal à":lessOrEqual,"supérieur ou égal à":greaterOrEqual,"différent de":notEqual,"environ égal à":approximately,"au carré":squared,"au cube":cubed,puissance:raise,"à la puissance":raise,exposant:raise,indice:subscript,"racine carrée de":squareRoot,"racine carrée":squareRoot,"racine cubique de":cubeRoot,"racine cubique":cubeRoot,"fin de la racine":endRoot,sinus:{func:"\\sin"},cosinus:{func:"\\cos"},tangente:{func:"\\tan"},logarithme:{func:"\\log"},"logarithme népérien":{func:"\\ln"},exponentielle:{func:"\\exp"},"ouvrir la parenthèse":open,"ouvrez la parenthèse":open,"parenthèse ouvrante":open,"fermer la parenthèse":close,"fermez la parenthèse":close,"parenthèse fermante":close,infini:{symbol:"\\infty"},factorielle:{factorial:!0},majuscule:capital,de:application,du:application,le:filler,la:filler},es:{...greekLetters,...createFractionWords({2:["medio","medios"],3:["tercio","tercios"],4:["cuarto","cuartos"],5:["quinto","quintos"],6:["sexto","sextos"],7:["séptimo","séptimos"],8:["octavo","octavos"],9:["noveno","novenos"],10:["décimo","décimos"]}),alfa:{symbol:"\\alpha"},"épsilon":{symbol:"\\epsilon"},fi:{symbol:"\\phi"},"más":plus,menos:minus,"más o menos":plusMinus,por:times,"multiplicado por":times,sobre:over,"dividido por":over,"dividido entre":over,"todo sobre":allOver,"todo dividido entre":allOver,igual:equals,"igual a":equals,"es igual a":equals,"menor que":lessThan,"es menor que":lessThan,"mayor que":greaterThan,"es mayor que":greaterThan,"menor o igual que":lessOrEqual,"mayor o igual que":greaterOrEqual,"distinto de":notEqual,"aproximadamente igual a":approximately,"al cuadrado":squared,"al cubo":cubed,"elevado a":raise,"elevado a la":raise,"subíndice":subscript,"raíz cuadrada de":squareRoot,"raíz cuadrada":squareRoot,"raíz cúbica de":cubeRoot,"raíz cúbica":cubeRoot,"fin de la raíz":endRoot,seno:{func:"\\sin"},coseno:{func:"\\cos"},tangente:{func:"\\tan"},logaritmo:{func:"\\log"},"logaritmo natural":{func:"\\ln"},exponencial:{func:"\\exp"},"abrir paréntesis":open,"abre paréntesis":open,"cerrar paréntesis":close,"cierra paréntesis":close,infinito:{symbol:"\\infty"},factorial:{factorial:!0},"mayúscula":capital,de:application,del:application,el:filler,la:filler}},lookups=new Map,symbols={"+":plus,"-":minus,"−":minus,"±":plusMinus,"*":times,"×":times,"/":over,"÷":over,"=":equals,"<":lessThan,">":greaterThan,"≤":lessOrEqual,"≥":greaterOrEqual,"≠":notEqual,"^":raise,"(":open,")":close},escapeText=text=>text.replace(/[\\{}$&#^_%~]/g,(character=>`\\${character}`)),readToken=(words,index,{lookup:lookup,language:language})=>{if(index>=words.length)return null;const match=(0,_phrases.matchPhrase)(words,index,lookup);if(match)return{...match.value,end:index+match.wordsConsumed};const number=(0,_numbers.parseSpokenNumber)(words,index,language);if(number)return{number:number.value,end:number.end};const word=words[index];return/^\d+([.,]\d+)?$/.test(word)?{number:Number(word.replace(",",".")),end:index+1}:symbols[word]?{...symbols[word],end:index+1}:/^[a-z]$/i.test(word)?{variable:word.toLowerCase(),end:index+1}:{text:word,end:index+1}},unwrap=node=>"group"===node.kind?node.inner:node.latex,createText=words=>({latex:`\\text{${escapeText(words)}}`,kind:"text",words:words,endsText:!0}),juxtapose=(left,right)=>{if(!left.latex||!right.latex)return left.latex?left:right;if("text"===left.kind&&"text"===right.kind)return createText(`${left.words} ${right.words}`);if(left.endsText||"text"===right.kind){return{latex:(left.endsText?left.latex.replace(/\}$/," }"):left.latex)+("text"===right.kind?`\\text{ ${escapeText(right.words)}}`:right.latex),kind:"product",endsText:"text"===right.kind}}let separator="";return/^\d/.test(right.latex)?separator=" \\cdot ":/\\[a-z]+$/i.test(left.latex)&&/^[a-z0-9]/i.test(right.latex)&&(separator=" "),{latex:left.latex+separator+right.latex,kind:"product"}},parseFormula=(words,context)=>{let index=0;const peek=()=>readToken(words,index,context),peekPastFillers=()=>{let position=index,token=readToken(words,position,context);for(;token&&token.filler;)position=token.end,token=readToken(words,position,context);return token},startsFactor=token=>Boolean(token&&(void 0!==token.number||token.variable||token.symbol||token.func||token.root||token.open||token.capital||token.text||token.denominator));let parseRelation=null,parseSum=null;const parseAtom=()=>{let token=peek();for(;token&&token.filler;)index=token.end,token=peek();if(!token)return{latex:""};const start=index;if(index=token.end,void 0!==token.number){const fraction=peek();return fraction&&fraction.denominator?(index=fraction.end,{latex:`\\frac{${token.number}}{${fraction.denominator}}`,kind:"fraction"}):{latex:String(token.number),kind:"number"}}if(token.denominator){const ordinal=(0,_numbers.parseSpokenNumber)(words,start,context.language);return ordinal?(index=ordinal.end,{latex:String(ordinal.value),kind:"number"}):createText(words[start])}if(token.variable)return{latex:token.variable};if(token.capital){const letter=peek();return letter&&letter.variable?(index=letter.end,{latex:letter.variable.toUpperCase()}):{latex:""}}if(token.symbol)return{latex:token.symbol};if(token.func){const argument=parsePower(),separator="group"!==argument.kind&&argument.latex?" ":"";return{latex:token.func+separator+argument.latex}}if(token.root){const degree=2===token.root?"":`[${token.root}]`,radicand=parseSum(!1),end=peek();return end&&end.endRoot&&(index=end.end),{latex:`\\sqrt${degree}{${unwrap(radicand)}}`}}if(token.open){const inner=parseRelation(),end=peek();return end&&end.close&&(index=end.end),{latex:`(${inner.latex})`,inner:inner.latex,kind:"group"}}if(token.text){const start=index-1;return index=(position=>{let end=position;for(let token=readToken(words,end,context);token;token=readToken(words,token.end,context))if(token.text)end=token.end;else if(!token.filler||token.application)break;return end})(index),createText(words.slice(start,index).join(" "))}return{latex:token.op||token.relation||(token.close?")":"")}},raiseTo=(base,exponent)=>({latex:`${"power"===base.kind?`(${base.latex})`:base.latex}^{${exponent}}`,kind:"power"}),parsePower=()=>{let base=parseAtom();for(let token=peek();token;token=peek())if(token.power)index=token.end,base=raiseTo(base,token.power);else if(token.raise){index=token.end;const exponent=parseUnary(),after=peek();after&&after.powerWord&&(index=after.end),base=raiseTo(base,unwrap(exponent))}else if(token.subscript)index=token.end,base={latex:`${base.latex}_{${unwrap(parseAtom())}}`,kind:"subscript"};else{if(!token.factorial)break;index=token.end,base={latex:`${base.latex}!`}}return base},parseUnary=()=>{const token=peek();if(token&&("-"===token.op||"\\pm"===token.op)){index=token.end;const operand=parseUnary();return{latex:`${"-"===token.op?"-":"\\pm "}${operand.latex}`,kind:"unary"}}return parsePower()},parseProduct=()=>{let product=parseUnary();for(let token=peek();token;token=peek())if(token.application&&/^[a-z]$/i.test(product.latex))index=token.end,product={latex:`${product.latex}(${unwrap(parsePower())})`,kind:"application"};else if("\\cdot"===token.op)index=token.end,product={latex:`${product.latex} \\cdot ${parsePower().latex}`,kind:"product"};else{if(!startsFactor(peekPastFillers()))break;product=juxtapose(product,parsePower())}return product},parseFraction=()=>{let fraction=parseProduct();for(let token=peek();token&&token.over;token=peek()){index=token.end;const denominator=parseProduct();fraction={latex:`\\frac{${unwrap(fraction)}}{${unwrap(denominator)}}`,kind:"fraction"}}return fraction};parseSum=(divisible=!0)=>{let sum=parseFraction();for(let token=peek();token;token=peek())if(["+","-","\\pm"].includes(token.op))index=token.end,sum={latex:`${sum.latex} ${token.op} ${parseFraction().latex}`,kind:"sum"};else{if(!token.allOver||!divisible)break;index=token.end,sum={latex:`\\frac{${unwrap(sum)}}{${unwrap(parseProduct())}}`,kind:"fraction"}}return sum},parseRelation=()=>{let relation=parseSum();for(let token=peek();token&&token.relation;token=peek())index=token.end,relation={latex:`${relation.latex} ${token.relation} ${parseSum().latex}`,kind:"relation"};return relation};const parts=[];for(;index<words.length;)parts.push(parseRelation().latex);return parts.filter((part=>part.length)).join(" ")};_exports.toLatex=(text,language)=>{const context={lookup:(0,_phrases.getLookup)(dictionaries,lookups,language),language:language},latex=parseFormula((text=>text.trim().split(/\s+/).map((word=>word.replace(/[.,;:!?]+$/,""))).flatMap((word=>word.split(/(\d+(?:[.,]\d+)?|[-+−±*×/÷=<>≤≥≠^()])/))).filter((word=>word.length)))(text||""),context).trim();return latex?`\\( ${latex} \\)`:""}}));
+
+//# sourceMappingURL=math.min.js.map
\ No newline at end of file
@@ -0,0 +1,3 @@
+define("tiny_speechtotext/meter",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.startMeter=_exports.measureLevel=_exports.isSupported=_exports.getMicrophones=_exports.getAudioConstraints=void 0;_exports.isSupported=()=>Boolean(navigator.mediaDevices&&navigator.mediaDevices.getUserMedia&&(window.AudioContext||window.webkitAudioContext));_exports.getMicrophones=()=>navigator.mediaDevices&&navigator.mediaDevices.enumerateDevices?navigator.mediaDevices.enumerateDevices().then((devices=>devices.filter((device=>"audioinput"===device.kind)))):Promise.resolve([]);const getAudioConstraints=deviceId=>!deviceId||{deviceId:deviceId};_exports.getAudioConstraints=getAudioConstraints;const measureLevel=samples=>{const power=samples.reduce(((sum,sample)=>sum+sample*sample),0)/samples.length;if(!power)return 0;const decibels=10*Math.log10(power);return Math.min(1,Math.max(0,1-decibels/-60))};_exports.measureLevel=measureLevel;_exports.startMeter=(deviceId,onLevel)=>navigator.mediaDevices.getUserMedia({audio:getAudioConstraints(deviceId)}).then((stream=>{const context=new(window.AudioContext||window.webkitAudioContext),analyser=context.createAnalyser(),samples=new Float32Array(analyser.fftSize);context.createMediaStreamSource(stream).connect(analyser);const timer=setInterval((()=>{analyser.getFloatTimeDomainData(samples),onLevel(measureLevel(samples))}),100);return()=>{clearInterval(timer),stream.getTracks().forEach((track=>track.stop())),context.close().catch((()=>null))}}))}));
+
+//# sourceMappingURL=meter.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("tiny_speechtotext/numbers",["exports","./phrases"],(function(_exports,_phrases){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.parseSpokenNumber=_exports.normaliseNumbers=void 0;
+/**
+   * Spoken number formatting (inverse text normalisation) for the Moodle tiny_speechtotext plugin.
+   *
+   * Spoken numbers, ordinals, percentages, amounts of money, measurements,
+   * dates and times are written as figures, formatted for the recognition
+   * language with Intl. Numbers below ten are left as words, as style guides
+   * recommend, unless they carry a unit, a decimal part or a sign.
+   *
+   * @module      tiny_speechtotext/numbers
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const series=(forms,property,first,step,properties={})=>Object.fromEntries(forms.flatMap(((form,index)=>[].concat(form).map((word=>[word,{[property]:first+index*step,...properties}]))))),synonyms=(forms,properties)=>Object.fromEntries(forms.map((form=>[form,properties]))),dictionaries={en:{...series(["zero","one","two","three","four","five","six","seven","eight","nine"],"number",0,1,{kind:"unit"}),...series(["ten","eleven","twelve","thirteen","fourteen","fifteen","sixteen","seventeen","eighteen","nineteen"],"number",10,1,{kind:"teen"}),...series(["twenty","thirty","forty","fifty","sixty","seventy","eighty","ninety"],"number",20,10,{kind:"tens"}),...series(["first","second","third","fourth","fifth","sixth","seventh","eighth","ninth"],"number",1,1,{kind:"unit",ordinal:!0}),...series(["tenth","eleventh","twelfth","thirteenth","fourteenth","fifteenth","sixteenth","seventeenth","eighteenth","nineteenth"],"number",10,1,{kind:"teen",ordinal:!0}),...series(["twentieth","thirtieth","fortieth","fiftieth","sixtieth","seventieth","eightieth","ninetieth"],"number",20,10,{kind:"tens",ordinal:!0}),hundred:{multiplier:100},hundredth:{multiplier:100,ordinal:!0},thousand:{scale:1e3},thousandth:{scale:1e3,ordinal:!0},million:{scale:1e6},millionth:{scale:1e6,ordinal:!0},billion:{scale:1e9},and:{conjunction:!0},a:{article:!0},oh:{zero:!0},point:{decimal:!0},...synonyms(["minus","negative"],{negative:!0}),...synonyms(["percent","per cent"],{percent:!0}),...synonyms(["dollar","dollars"],{currency:"USD"}),...synonyms(["euro","euros"],{currency:"EUR"}),...synonyms(["pound","pounds"],{currency:"GBP"}),...synonyms(["rupee","rupees"],{currency:"INR"}),yen:{currency:"JPY"},...synonyms(["cent","cents","penny","pence"],{subunit:!0}),...synonyms(["kilometer","kilometers","kilometre","kilometres"],{unit:"km"}),...synonyms(["meter","meters","metre","metres"],{unit:"m"}),...synonyms(["centimeter","centimeters","centimetre","centimetres"],{unit:"cm"}),...synonyms(["millimeter","millimeters","millimetre","millimetres"],{unit:"mm"}),...synonyms(["kilogram","kilograms"],{unit:"kg"}),...synonyms(["gram","grams"],{unit:"g"}),...synonyms(["milligram","milligrams"],{unit:"mg"}),...synonyms(["liter","liters","litre","litres"],{unit:"L"}),...synonyms(["milliliter","milliliters","millilitre","millilitres"],{unit:"mL"}),...synonyms(["degree","degrees"],{unit:"°"}),...synonyms(["degrees celsius","degrees centigrade"],{unit:"°C"}),"degrees fahrenheit":{unit:"°F"},...synonyms(["kilometers per hour","kilometres per hour"],{unit:"km/h"}),...synonyms(["meters per second","metres per second"],{unit:"m/s"}),"miles per hour":{unit:"mph"},...series(["january","february","march","april","may","june","july","august","september","october","november","december"],"month",1,1),...synonyms(["am","a m","a.m."],{meridiem:"am"}),...synonyms(["pm","p m","p.m."],{meridiem:"pm"}),"o'clock":{oclock:!0},the:{determiner:!0},of:{preposition:!0}},fr:{...series(["zéro",["un","une"],"deux","trois","quatre","cinq","six","sept","huit","neuf"],"number",0,1,{kind:"unit"}),...series(["dix","onze","douze","treize","quatorze","quinze","seize","dix sept","dix huit","dix neuf"],"number",10,1,{kind:"teen"}),...series(["vingt","trente","quarante","cinquante"],"number",20,10,{kind:"tens"}),soixante:{number:60,kind:"tens",teens:!0},...synonyms(["quatre vingt","quatre vingts"],{number:80,kind:"tens",teens:!0}),...series([["premier","première"],["deuxième","second","seconde"],"troisième","quatrième","cinquième","sixième","septième","huitième","neuvième"],"number",1,1,{kind:"unit",ordinal:!0}),...series(["dixième","onzième","douzième","treizième","quatorzième","quinzième","seizième","dix septième","dix huitième","dix neuvième"],"number",10,1,{kind:"teen",ordinal:!0}),...series(["vingtième","trentième","quarantième","cinquantième"],"number",20,10,{kind:"tens",ordinal:!0}),...synonyms(["cent","cents"],{multiplier:100,bare:!0}),"centième":{multiplier:100,bare:!0,ordinal:!0},mille:{scale:1e3,bare:!0},"millième":{scale:1e3,bare:!0,ordinal:!0},...synonyms(["million","millions"],{scale:1e6}),...synonyms(["milliard","milliards"],{scale:1e9}),et:{conjunction:!0},virgule:{decimal:!0},moins:{negative:!0},"pour cent":{percent:!0},...synonyms(["euro","euros"],{currency:"EUR"}),...synonyms(["dollar","dollars"],{currency:"USD"}),...synonyms(["centime","centimes"],{subunit:!0}),...synonyms(["kilomètre","kilomètres"],{unit:"km"}),...synonyms(["mètre","mètres"],{unit:"m"}),...synonyms(["centimètre","centimètres"],{unit:"cm"}),...synonyms(["millimètre","millimètres"],{unit:"mm"}),...synonyms(["kilogramme","kilogrammes","kilo","kilos"],{unit:"kg"}),...synonyms(["gramme","grammes"],{unit:"g"}),...synonyms(["milligramme","milligrammes"],{unit:"mg"}),...synonyms(["litre","litres"],{unit:"L"}),...synonyms(["millilitre","millilitres"],{unit:"mL"}),...synonyms(["degré","degrés"],{unit:"°"}),...synonyms(["degré celsius","degrés celsius"],{unit:"°C"}),...synonyms(["kilomètres à l'heure","kilomètres heure"],{unit:"km/h"}),...series(["janvier","février","mars","avril","mai","juin","juillet","août","septembre","octobre","novembre","décembre"],"month",1,1),...synonyms(["heure","heures"],{hours:!0}),le:{determiner:!0}},es:{...series(["cero",["uno","un","una"],"dos","tres","cuatro","cinco","seis","siete","ocho","nueve"],"number",0,1,{kind:"unit"}),...series(["diez","once","doce","trece","catorce","quince","dieciséis","diecisiete","dieciocho","diecinueve","veinte",["veintiuno","veintiún","veintiuna"],"veintidós","veintitrés","veinticuatro","veinticinco","veintiséis","veintisiete","veintiocho","veintinueve"],"number",10,1,{kind:"teen"}),...series(["treinta","cuarenta","cincuenta","sesenta","setenta","ochenta","noventa"],"number",30,10,{kind:"tens"}),...series([["cien","ciento"],["doscientos","doscientas"],["trescientos","trescientas"],["cuatrocientos","cuatrocientas"],["quinientos","quinientas"],["seiscientos","seiscientas"],["setecientos","setecientas"],["ochocientos","ochocientas"],["novecientos","novecientas"]],"number",100,100,{kind:"hundreds"}),...series([["primero","primer","primera"],["segundo","segunda"],["tercero","tercer","tercera"],["cuarto","cuarta"],["quinto","quinta"],["sexto","sexta"],["séptimo","séptima"],["octavo","octava"],["noveno","novena"]],"number",1,1,{kind:"unit",ordinal:!0}),...synonyms(["décimo","décima"],{number:10,kind:"teen",ordinal:!0}),mil:{scale:1e3,bare:!0},...synonyms(["millón","millones"],{scale:1e6}),y:{conjunction:!0},...synonyms(["coma","punto"],{decimal:!0}),menos:{negative:!0},"por ciento":{percent:!0},...synonyms(["euro","euros"],{currency:"EUR"}),...synonyms(["dólar","dólares"],{currency:"USD"}),...synonyms(["céntimo","céntimos","centavo","centavos"],{subunit:!0}),...synonyms(["kilómetro","kilómetros"],{unit:"km"}),...synonyms(["metro","metros"],{unit:"m"}),...synonyms(["centímetro","centímetros"],{unit:"cm"}),...synonyms(["milímetro","milímetros"],{unit:"mm"}),...synonyms(["kilogramo","kilogramos","kilo","kilos"],{unit:"kg"}),...synonyms(["gramo","gramos"],{unit:"g"}),...synonyms(["miligramo","miligramos"],{unit:"mg"}),...synonyms(["litro","litros"],{unit:"L"}),...synonyms(["mililitro","mililitros"],{unit:"mL"}),...synonyms(["grado","grados"],{unit:"°"}),...synonyms(["grado celsius","grados celsius","grados centígrados"],{unit:"°C"}),"kilómetros por hora":{unit:"km/h"},...series(["enero","febrero","marzo","abril","mayo","junio","julio","agosto",["septiembre","setiembre"],"octubre","noviembre","diciembre"],"month",1,1),el:{determiner:!0},de:{preposition:!0}}},formats={en:{ordinal:number=>number+(!(number%100>=11&&number%100<=13)&&{1:"st",2:"nd",3:"rd"}[number%10]||"th"),yearPairs:!0,cardinalDays:!1},fr:{ordinal:number=>1===number?"1er":`${number}e`,yearPairs:!1,cardinalDays:!0},es:{ordinal:number=>`${number}.º`,yearPairs:!1,cardinalDays:!0}},lookups=new Map,allowedBefore={unit:[null,"tens","hundred","scale","conjunction"],teen:[null,"hundred","scale","conjunction"],tens:[null,"hundred","scale","conjunction"],hundreds:[null,"scale"]},attachedUnits=["°"],matchEntry=(words,index,lookup)=>{const match=(0,_phrases.matchPhrase)(words,index,lookup);return match?{...match.value,end:index+match.wordsConsumed}:null},parseCardinal=(words,start,lookup)=>{let total=0,current=0,last=null,lastTens=null,smallestScale=1/0,index=start,result=null;for(;index<words.length;){const entry=matchEntry(words,index,lookup);if(!entry)break;if(entry.conjunction){if(!["hundred","scale","tens"].includes(last))break;lastTens="tens"===last?lastTens:null,last="conjunction"}else if(entry.article){const next=matchEntry(words,entry.end,lookup);if(null!==last||!next||!next.multiplier&&!next.scale)break;current=1,last="unit"}else if(entry.kind){const teenAfterTens="teen"===entry.kind&&"tens"===last&&lastTens.teens,unitAfterTens="conjunction"!==last||!lastTens||"unit"===entry.kind;if(!allowedBefore[entry.kind].includes(last)&&!teenAfterTens||!unitAfterTens)break;current+=entry.number,last="hundreds"===entry.kind?"hundred":entry.kind,lastTens="tens"===entry.kind?entry:null}else if(entry.multiplier){const counted=["unit","teen"].includes(last)&&current<100;if(!counted&&(null!==last&&"scale"!==last||!entry.bare))break;current=(counted?current:1)*entry.multiplier,last="hundred"}else{if(!entry.scale)break;if(entry.scale>=smallestScale||"conjunction"===last||null===last&&!entry.bare)break;total+=(current||1)*entry.scale,current=0,smallestScale=entry.scale,last="scale"}if(index=entry.end,"conjunction"!==last&&(result={value:total+current,ordinal:Boolean(entry.ordinal),start:start,end:index},entry.ordinal))break}return result},parseNumber=(words,start,{lookup:lookup,format:format})=>{const sign=matchEntry(words,start,lookup),negative=Boolean(sign&&sign.negative);if(negative&&((words,index,lookup)=>{if(0===index)return!1;const entry=matchEntry(words,index-1,lookup);return/\d$/.test(words[index-1])||Boolean(entry&&(entry.kind||entry.multiplier||entry.scale))})(words,start,lookup))return null;let number=parseCardinal(words,negative?sign.end:start,lookup);if(!number)return null;format.yearPairs&&!negative&&(number=((words,first,lookup)=>{if(first.ordinal||first.end!==first.start+1||first.value<11||first.value>20)return null;let index=first.end;const zero=matchEntry(words,index,lookup);zero&&zero.zero&&(index=zero.end);const second=parseCardinal(words,index,lookup);return!second||second.value>99||(index!==first.end?second.value>9:second.value<10)?null:{value:100*first.value+second.value,ordinal:second.ordinal,year:!0,start:first.start,end:second.end}})(words,number,lookup)||number);let fraction="",end=number.end;const decimal=number.ordinal||number.year?null:matchEntry(words,end,lookup);if(decimal&&decimal.decimal){let index=decimal.end,digit=matchEntry(words,index,lookup);for(;digit&&(digit.zero||"unit"===digit.kind&&!digit.ordinal);)fraction+=digit.zero?"0":digit.number,index=digit.end,digit=matchEntry(words,index,lookup);fraction&&(end=index)}return{...number,fraction:fraction,negative:negative,end:end}},toValue=({value:value,fraction:fraction,negative:negative})=>(negative?-1:1)*Number(`${value}.${fraction||"0"}`),formatNumber=(number,locale,options={})=>new Intl.NumberFormat(locale,{useGrouping:number.value>=1e4,minimumFractionDigits:number.fraction.length,maximumFractionDigits:number.fraction.length,...options}).format("percent"===options.style?toValue(number)/100:toValue(number)),formatTime=(hours,minutes,locale)=>new Intl.DateTimeFormat(locale,{hour:"numeric",minute:"2-digit"}).format(new Date(2e3,0,1,hours,minutes)),matchTime=(words,start,{lookup:lookup,locale:locale})=>{const hour=parseCardinal(words,start,lookup);if(!hour||hour.ordinal||hour.value>23)return null;let next=matchEntry(words,hour.end,lookup);if(next&&next.hours){const minutes=parseCardinal(words,next.end,lookup),valid=minutes&&!minutes.ordinal&&minutes.value<60;return{text:formatTime(hour.value,valid?minutes.value:0,locale),end:valid?minutes.end:next.end}}if(hour.value<1||hour.value>12)return null;if(next&&next.oclock)return{text:`${hour.value}:00`,end:next.end};let minutes=0,index=hour.end;if(next&&next.zero){const unit=matchEntry(words,next.end,lookup);if(!unit||"unit"!==unit.kind||unit.ordinal)return null;minutes=unit.number,index=unit.end}else{const spoken=parseCardinal(words,index,lookup);spoken&&!spoken.ordinal&&spoken.value>=10&&spoken.value<60&&(minutes=spoken.value,index=spoken.end)}if(next=matchEntry(words,index,lookup),!next||!next.meridiem)return null;const hours=hour.value%12+("pm"===next.meridiem?12:0);return{text:formatTime(hours,minutes,locale),end:next.end}},parseYear=(words,start,context)=>{const preposition=matchEntry(words,start,context.lookup),index=preposition&&preposition.preposition?preposition.end:start;if(/^\d{4}$/.test(words[index]||""))return{value:Number(words[index]),end:index+1};const year=parseNumber(words,index,context);return!year||year.ordinal||year.fraction||year.negative||year.value<1e3||year.value>2999?null:year},formatDate=(day,month,year,locale)=>{const date=new Date(year?year.value:2e3,month-1,day);if(date.getMonth()!==month-1)return null;const options=year?{day:"numeric",month:"long",year:"numeric"}:{day:"numeric",month:"long"};return new Intl.DateTimeFormat(locale,options).format(date)},matchDate=(words,start,context)=>{const{lookup:lookup,format:format,locale:locale}=context,first=matchEntry(words,start,lookup);if(first&&first.month){const day=parseCardinal(words,first.end,lookup),year=day?parseYear(words,day.end,context):null;if(!day||day.value<1||!day.ordinal&&!year)return null;const text=formatDate(day.value,first.month,year,locale);return text?{text:text,end:year?year.end:day.end}:null}const day=parseCardinal(words,first&&first.determiner?first.end:start,lookup);if(!day||day.value<1||day.value>31)return null;let month=matchEntry(words,day.end,lookup);const preposition=Boolean(month&&month.preposition);if(preposition&&(month=matchEntry(words,month.end,lookup)),!month||!month.month||!(day.ordinal||preposition||format.cardinalDays))return null;const year=parseYear(words,month.end,context),text=formatDate(day.value,month.month,year,locale);return text?{text:text,end:year?year.end:month.end}:null},matchQuantity=(words,start,context)=>{const{lookup:lookup,format:format,locale:locale}=context,number=parseNumber(words,start,context);if(!number)return null;const next=number.ordinal||number.year?null:matchEntry(words,number.end,lookup);if(next&&next.percent)return{text:formatNumber(number,locale,{style:"percent"}),end:next.end};if(next&&next.currency)return((words,number,currency,{lookup:lookup,locale:locale})=>{let end=currency.end,cents=0;const conjunction=matchEntry(words,end,lookup),subunits=parseCardinal(words,conjunction&&conjunction.conjunction?conjunction.end:end,lookup),subunit=subunits&&!subunits.ordinal&&subunits.value<100?matchEntry(words,subunits.end,lookup):null;subunit&&subunit.subunit&&(cents=subunits.value,end=subunit.end);const digits=cents||number.fraction?2:0,amount=toValue(number)+(number.negative?-cents:cents)/100;return{text:new Intl.NumberFormat(locale,{style:"currency",currency:currency.currency,minimumFractionDigits:digits,maximumFractionDigits:digits}).format(amount),end:end}})(words,number,next,context);if(next&&next.unit){const space=attachedUnits.includes(next.unit)?"":" ";return{text:formatNumber(number,locale)+space+next.unit,end:next.end}}return number.ordinal?number.value>=10?{text:format.ordinal(number.value),end:number.end}:null:number.year?{text:String(number.value),end:number.end}:number.value>=10||number.fraction||number.negative?{text:formatNumber(number,locale),end:number.end}:null},getLocale=(language,fallback)=>{try{return Intl.getCanonicalLocales(language)[0]}catch(e){return fallback}};_exports.normaliseNumbers=(text,language)=>{const key=(0,_phrases.findDictionaryKey)(dictionaries,language);if(!key||!text.trim())return text;const lookup=(0,_phrases.getLookup)(dictionaries,lookups,language),context={lookup:lookup,format:formats[key],locale:getLocale(language,key)},words=((words,lookup)=>words.flatMap((word=>{const parts=word.split("-");return parts.length>1&&parts.every((part=>(0,_phrases.matchPhrase)([part],0,lookup)))?parts:[word]})))(text.trim().split(/\s+/),lookup),result=[];let index=0;for(;index<words.length;){const match=matchTime(words,index,context)||matchDate(words,index,context)||matchQuantity(words,index,context);match?(result.push(match.text),index=match.end):(result.push(words[index]),index++)}return result.join(" ")};_exports.parseSpokenNumber=(words,start,language)=>{const key=(0,_phrases.findDictionaryKey)(dictionaries,language);if(!key)return null;const lookup=(0,_phrases.getLookup)(dictionaries,lookups,language),number=parseNumber(words,start,{lookup:lookup,format:{...formats[key],yearPairs:!1}});return number?{value:toValue(number),ordinal:number.ordinal,end:number.end}:null}}));
+
+//# sourceMappingURL=numbers.min.js.map
\ No newline at end of file
@@ -0,0 +1,11 @@
+define("tiny_speechtotext/options",["exports","editor_tiny/options","./common"],(function(_exports,_options,_common){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.register=_exports.isReviewModeEnabled=_exports.isPushToTalkEnabled=_exports.isPreviewDocked=_exports.isNumberFormattingEnabled=_exports.isKeepAliveEnabled=_exports.isInterimPreviewEnabled=_exports.isHistoryEnabled=_exports.isContinuous=_exports.isAutoPunctuationEnabled=_exports.isAudioRecordingEnabled=_exports.getSilenceTimeout=_exports.getShortcut=_exports.getServerEndpoint=_exports.getSentencePause=_exports.getReplayScript=_exports.getReplacementRules=_exports.getReadAloudRate=_exports.getPunctuationDictionaries=_exports.getLanguages=_exports.getLanguage=_exports.getEngine=_exports.getConfidenceThreshold=void 0;
+/**
+   * Options helper for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/options
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const languageName=(0,_options.getPluginOptionName)(_common.pluginName,"language"),languagesName=(0,_options.getPluginOptionName)(_common.pluginName,"languages"),engineName=(0,_options.getPluginOptionName)(_common.pluginName,"engine"),serverEndpointName=(0,_options.getPluginOptionName)(_common.pluginName,"serverendpoint"),replayScriptName=(0,_options.getPluginOptionName)(_common.pluginName,"replayscript"),continuousName=(0,_options.getPluginOptionName)(_common.pluginName,"continuous"),interimPreviewName=(0,_options.getPluginOptionName)(_common.pluginName,"interimpreview"),autoPunctuationName=(0,_options.getPluginOptionName)(_common.pluginName,"autopunctuation"),punctuationName=(0,_options.getPluginOptionName)(_common.pluginName,"punctuation"),pausePunctuationName=(0,_options.getPluginOptionName)(_common.pluginName,"pausepunctuation"),silenceTimeoutName=(0,_options.getPluginOptionName)(_common.pluginName,"silencetimeout"),keepAliveName=(0,_options.getPluginOptionName)(_common.pluginName,"keepalive"),shortcutName=(0,_options.getPluginOptionName)(_common.pluginName,"shortcut"),pushToTalkName=(0,_options.getPluginOptionName)(_common.pluginName,"pushtotalk"),previewPositionName=(0,_options.getPluginOptionName)(_common.pluginName,"previewposition"),reviewModeName=(0,_options.getPluginOptionName)(_common.pluginName,"reviewmode"),historyName=(0,_options.getPluginOptionName)(_common.pluginName,"history"),confidenceThresholdName=(0,_options.getPluginOptionName)(_common.pluginName,"confidencethreshold"),recordAudioName=(0,_options.getPluginOptionName)(_common.pluginName,"recordaudio"),readAloudRateName=(0,_options.getPluginOptionName)(_common.pluginName,"readaloudrate"),numbersName=(0,_options.getPluginOptionName)(_common.pluginName,"numbers"),rulesName=(0,_options.getPluginOptionName)(_common.pluginName,"rules"),defaultLanguages=["en-US","en-GB","fr-FR","es-ES","de-DE","it-IT","pt-BR","bn-BD","hi-IN","ar-SA"];_exports.register=editor=>{const registerOption=editor.options.register;registerOption(languageName,{processor:"string",default:"en-US"}),registerOption(languagesName,{processor:"string[]",default:defaultLanguages}),registerOption(engineName,{processor:"string",default:"webspeech"}),registerOption(serverEndpointName,{processor:"string",default:""}),registerOption(replayScriptName,{processor:"string",default:""}),registerOption(continuousName,{processor:"boolean",default:!0}),registerOption(interimPreviewName,{processor:"boolean",default:!0}),registerOption(autoPunctuationName,{processor:"boolean",default:!0}),registerOption(punctuationName,{processor:"object",default:{}}),registerOption(pausePunctuationName,{processor:"number",default:0}),registerOption(silenceTimeoutName,{processor:"number",default:0}),registerOption(keepAliveName,{processor:"boolean",default:!0}),registerOption(shortcutName,{processor:"string",default:"alt+shift+d"}),registerOption(pushToTalkName,{processor:"boolean",default:!1}),registerOption(previewPositionName,{processor:"string",default:"corner"}),registerOption(reviewModeName,{processor:"boolean",default:!1}),registerOption(historyName,{processor:"boolean",default:!0}),registerOption(confidenceThresholdName,{processor:"number",default:0}),registerOption(recordAudioName,{processor:"boolean",default:!1}),registerOption(readAloudRateName,{processor:"number",default:1}),registerOption(numbersName,{processor:"boolean",default:!0}),registerOption(rulesName,{processor:"array",default:[]})};const getLanguage=editor=>editor.options.get(languageName);_exports.getLanguage=getLanguage;_exports.getLanguages=editor=>{const languages=editor.options.get(languagesName),language=getLanguage(editor);return languages.includes(language)?languages:[language,...languages]};_exports.getEngine=editor=>editor.options.get(engineName);_exports.getServerEndpoint=editor=>editor.options.get(serverEndpointName);_exports.getReplayScript=editor=>editor.options.get(replayScriptName);const isContinuous=editor=>editor.options.get(continuousName);_exports.isContinuous=isContinuous;_exports.isInterimPreviewEnabled=editor=>editor.options.get(interimPreviewName);_exports.isAutoPunctuationEnabled=editor=>editor.options.get(autoPunctuationName);_exports.getPunctuationDictionaries=editor=>editor.options.get(punctuationName);_exports.getSentencePause=editor=>editor.options.get(pausePunctuationName);_exports.getSilenceTimeout=editor=>editor.options.get(silenceTimeoutName);_exports.isKeepAliveEnabled=editor=>isContinuous(editor)&&editor.options.get(keepAliveName);_exports.getShortcut=editor=>editor.options.get(shortcutName).trim().toLowerCase();_exports.isPushToTalkEnabled=editor=>editor.options.get(pushToTalkName);_exports.isPreviewDocked=editor=>"docked"===editor.options.get(previewPositionName);_exports.isReviewModeEnabled=editor=>editor.options.get(reviewModeName);_exports.isHistoryEnabled=editor=>editor.options.get(historyName);_exports.getConfidenceThreshold=editor=>editor.options.get(confidenceThresholdName);_exports.isAudioRecordingEnabled=editor=>editor.options.get(recordAudioName);_exports.getReadAloudRate=editor=>editor.options.get(readAloudRateName);_exports.isNumberFormattingEnabled=editor=>editor.options.get(numbersName);_exports.getReplacementRules=editor=>editor.options.get(rulesName)}));
+
+//# sourceMappingURL=options.min.js.map
\ No newline at end of file
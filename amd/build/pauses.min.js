@@ -0,0 +1,22 @@
+define("tiny_speechtotext/pauses",["exports","./punctuation","./phrases"],(function(_exports,_punctuation,_phrases){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.trackPauses=_exports.createPauseTracker=_exports.createPauseStep=_exports.capitalizePronoun=_exports.addPauseBreak=void 0;
+/**
+   * Sentence breaks from pauses for the Moodle tiny_speechtotext plugin.
+   *
+   * Recognizers finalise a result whenever the speaker pauses. When the pause
+   * before an utterance is long enough, the previous sentence is ended with a
+   * full stop (or a question mark) and the utterance starts a new sentence.
+   * Pauses are measured from result timestamps, so that sequences of recorded
+   * results can be replayed:
+   *
+   *     const tracker = createPauseTracker();
+   *     tracker.addResult(true, 0);      // 0, the first utterance
+   *     tracker.addResult(false, 2500);  // next utterance starts being heard
+   *     tracker.addResult(true, 3000);   // 2500
+   *
+   * @module      tiny_speechtotext/pauses
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const questionWords={en:["who","whom","whose","what","which","when","where","why","how","are","am","was","were","does","did","can","could","would","should","shall","might","must","has","isn't","aren't","wasn't","weren't","doesn't","didn't","can't","couldn't","won't","wouldn't","shouldn't","haven't","hasn't"],fr:["qui","que","qu'est-ce","quoi","quand","où","pourquoi","comment","combien","quel","quelle","quels","quelles","lequel","laquelle","est-ce"]},capitalPronounLanguages=["en"],lowercasePronoun=/(^|[\s"(«])i(?=$|[\s,;:!?)"»]|['’][a-z]|\.(?![a-z]))/g,phraseEnding=/[.,!?;:…।([¿¡«\n-]$/,phraseStarting=/^[.,!?;:…।)]/,sentenceBoundary=/[.!?…।]\s+|\n/;_exports.createPauseTracker=()=>{let utteranceStart=null,lastFinal=null;return{addResult:(isFinal,time)=>{if(null===utteranceStart&&(utteranceStart=time),!isFinal)return 0;const pause=null===lastFinal?0:Math.max(0,utteranceStart-lastFinal);return lastFinal=time,utteranceStart=null,pause},reset:()=>{utteranceStart=null,lastFinal=null}}};_exports.trackPauses=(tracker,recognition,hasFinal,hasInterim,time)=>{if(!recognition.finalisesAtPauses||!recognition.interimResults)return 0;const pause=hasFinal?tracker.addResult(!0,time):0;return hasInterim&&tracker.addResult(!1,time),pause};const capitalizePronoun=(text,language)=>capitalPronounLanguages.includes((language||"").toLowerCase().split("-")[0])?text.replace(lowercasePronoun,"$1I"):text;_exports.capitalizePronoun=capitalizePronoun;const addPauseBreak=(text,{language:language,before:before="",pause:pause=0},sentencePause)=>{const result=capitalizePronoun(text,language),preceding=before.replace(/[ \t]+$/,"");if(!result.trim()||!preceding.trim()||pause<sentencePause)return result;if(phraseEnding.test(preceding)||phraseStarting.test(result.trimStart()))return result;const mark=((sentence,language)=>{const key=(0,_phrases.findDictionaryKey)(questionWords,language);if(!key)return!1;const firstWord=sentence.trim().split(/\s+/)[0].toLocaleLowerCase(language).replace(/’/g,"'");return questionWords[key].includes(firstWord)})(preceding.split(sentenceBoundary).pop(),language)?"?":".";return`${mark} ${(0,_punctuation.capitalizeWord)(result.trimStart())}`};_exports.addPauseBreak=addPauseBreak;_exports.createPauseStep=sentencePause=>(text,context)=>addPauseBreak(text,context,sentencePause)}));
+
+//# sourceMappingURL=pauses.min.js.map
\ No newline at end of file
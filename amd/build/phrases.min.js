@@ -0,0 +1,14 @@
+define("tiny_speechtotext/phrases",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.matchPhrase=_exports.getLookup=_exports.findDictionaryKey=void 0;
+/**
+   * Spoken phrase matching helper for the Moodle tiny_speechtotext plugin.
+   *
+   * Dictionaries are keyed by language tag or primary language subtag and map
+   * case-insensitive spoken phrases of any length to a value.
+   *
+   * @module      tiny_speechtotext/phrases
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const findDictionaryKey=(dictionaries,language)=>{const tag=(language||"").toLowerCase();return[tag,tag.split("-")[0]].find((candidate=>dictionaries[candidate]))||null};_exports.findDictionaryKey=findDictionaryKey;_exports.getLookup=(dictionaries,cache,language)=>{const key=findDictionaryKey(dictionaries,language);if(!key)return{phrases:new Map,maxWords:0,locale:language};if(!cache.has(key)){const phrases=new Map;let maxWords=0;Object.entries(dictionaries[key]).forEach((([phrase,value])=>{const words=phrase.toLocaleLowerCase(key).trim().split(/\s+/);phrases.set(words.join(" "),value),maxWords=Math.max(maxWords,words.length)})),cache.set(key,{phrases:phrases,maxWords:maxWords,locale:key})}return cache.get(key)};_exports.matchPhrase=(words,startIndex,lookup)=>{for(let wordCount=Math.min(lookup.maxWords,words.length-startIndex);wordCount>=1;wordCount--){const phrase=words.slice(startIndex,startIndex+wordCount).join(" ").toLocaleLowerCase(lookup.locale),value=lookup.phrases.get(phrase);if(void 0!==value)return{value:value,wordsConsumed:wordCount}}return null}}));
+
+//# sourceMappingURL=phrases.min.js.map
\ No newline at end of file
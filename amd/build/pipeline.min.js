@@ -0,0 +1,16 @@
+define("tiny_speechtotext/pipeline",["exports","./numbers","./punctuation","./replacements","./pauses"],(function(_exports,_numbers,_punctuation,_replacements,_pauses){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.createTranscriptPipeline=_exports.createPipeline=void 0;
+/**
+   * Transcript post-processing pipeline for the Moodle tiny_speechtotext plugin.
+   *
+   * Final transcripts run through a sequence of steps, each taking the text and
+   * a context ({language}, with {before, pause} for dictated text) and returning
+   * new text. Steps only process strings, so pipelines can be tested without a
+   * browser.
+   *
+   * @module      tiny_speechtotext/pipeline
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const createPipeline=steps=>(text,context)=>steps.reduce(((result,step)=>step(result,context)),text);_exports.createPipeline=createPipeline;const normaliseWhitespace=text=>text.trim().split(/\s+/).join(" "),convertNumbers=(text,{language:language})=>(0,_numbers.normaliseNumbers)(text,language);_exports.createTranscriptPipeline=({numbers:numbers,punctuation:punctuation,rules:rules,sentencePause:sentencePause})=>{const{phraseStep:phraseStep,patternStep:patternStep}=(0,_replacements.createReplacementSteps)(rules);return createPipeline([phraseStep,...numbers?[convertNumbers]:[],punctuation?(dictionaries=punctuation,(text,{language:language})=>(0,_punctuation.processTextWithPunctuation)(text,language,dictionaries)):normaliseWhitespace,patternStep,...sentencePause>0?[(0,_pauses.createPauseStep)(sentencePause)]:[]]);var dictionaries}}));
+
+//# sourceMappingURL=pipeline.min.js.map
\ No newline at end of file
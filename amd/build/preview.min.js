@@ -0,0 +1,10 @@
+define("tiny_speechtotext/preview",["exports","core/modal_events","core/modal_factory","core/templates","core/notification","core/str","./common","./options"],(function(_exports,_modal_events,_modal_factory,_templates,_notification,_str,_common,_options){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}
+/**
+   * Dictation preview panel for the Moodle tiny_speechtotext plugin.
+   *
+   * @module      tiny_speechtotext/preview
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.showStopped=_exports.showRecording=_exports.showNoInput=_exports.showListening=_exports.showError=_exports.setText=_exports.setMicrophones=_exports.setLevel=_exports.setElapsed=_exports.hide=_exports.hasPhrases=_exports.confirmClose=_exports.addPhrase=void 0,_modal_events=_interopRequireDefault(_modal_events),_modal_factory=_interopRequireDefault(_modal_factory),_templates=_interopRequireDefault(_templates),_notification=_interopRequireDefault(_notification);const panels=new WeakMap,render=async editor=>{const label=(editor=>{const element=editor.getElement(),label=element.id?document.querySelector(`label[for="${CSS.escape(element.id)}"]`):null,text=label?label.textContent:element.getAttribute("aria-label");return text?text.trim().replace(/\s+/g," "):""})(editor),target=await(label?(0,_str.get_string)("dictatinginto",_common.component,label):(0,_str.get_string)("dictatingintounnamed",_common.component)),id=`${editor.id}_speechtotext_preview`,docked=(0,_options.isPreviewDocked)(editor),review=(0,_options.isReviewModeEnabled)(editor),{html:html,js:js}=await _templates.default.renderForPromise(`${_common.component}/preview`,{id:id,target:target,docked:docked,review:review});return docked?editor.getContainer().insertAdjacentHTML("afterend",html):document.body.insertAdjacentHTML("beforeend",html),_templates.default.runTemplateJS(js),document.getElementById(id)},getPhrases=container=>Array.from(container.querySelectorAll('[data-region="phrase"]')),clearPhrases=container=>{getPhrases(container).forEach((phrase=>phrase.remove())),container.querySelector('[data-region="review-actions"]').hidden=!0},removePhrase=(container,phrase)=>{const next=phrase.nextElementSibling||phrase.previousElementSibling;return phrase.remove(),container.querySelector('[data-region="review-actions"]').hidden=!next,next?next.querySelector("textarea"):null},focusPhrase=field=>{field&&field.isConnected&&field.focus()},show=(editor,handlers)=>{let panel=panels.get(editor);return panel||(panel={container:null,phrases:Promise.resolve()},panel.rendered=render(editor).then((container=>panels.get(editor)!==panel?(container.remove(),null):(container.addEventListener("click",(event=>{const button=event.target.closest("[data-action]");button&&((container,button,handlers)=>{switch(button.dataset.action){case"close":handlers.close();break;case"retry":handlers.retry();break;case"alternative":button.closest('[data-region="phrase"]').querySelector("textarea").value=button.textContent.trim();break;case"acceptphrase":{const phrase=button.closest('[data-region="phrase"]'),text=phrase.querySelector("textarea").value.trim(),next=removePhrase(container,phrase);handlers.accept(text),focusPhrase(next);break}case"discardphrase":{const next=removePhrase(container,button.closest('[data-region="phrase"]'));handlers.discard(),focusPhrase(next);break}case"accept":{const text=getPhrases(container).map((phrase=>phrase.querySelector("textarea").value.trim())).join(" ");clearPhrases(container),handlers.accept(text);break}case"discard":clearPhrases(container),handlers.discard()}})(container,button,handlers)})),container.addEventListener("change",(event=>{event.target.matches('[data-region="microphone"]')&&handlers.microphone(event.target.value)})),container.addEventListener("keydown",(event=>{"Escape"===event.key&&handlers.close()})),panel.container=container,container))).catch((e=>(_notification.default.exception(e),null))),panels.set(editor,panel)),panel.rendered};_exports.showListening=(editor,handlers)=>show(editor,handlers).then((container=>(container&&(container.querySelector('[data-region="noinput"]').hidden=!0,container.querySelector('[data-region="error"]').hidden=!0,container.querySelector('[data-action="retry"]').hidden=!0,container.querySelector('[data-region="placeholder"]').hidden=!1,container.querySelector('[data-region="text"]').textContent="",container.classList.add("listening")),container)));_exports.showError=(editor,message,retryable,handlers)=>show(editor,handlers).then((container=>{if(container){const retryButton=container.querySelector('[data-action="retry"]');container.classList.remove("listening"),container.querySelector('[data-region="noinput"]').hidden=!0,container.querySelector('[data-region="placeholder"]').hidden=!0,container.querySelector('[data-region="text"]').textContent="",container.querySelector('[data-region="error"]').textContent=message,container.querySelector('[data-region="error"]').hidden=!1,retryButton.hidden=!retryable,retryable&&retryButton.focus()}return container}));_exports.showStopped=editor=>{const panel=panels.get(editor);panel&&panel.container&&getPhrases(panel.container).length?(panel.container.classList.remove("listening"),panel.container.querySelector('[data-region="noinput"]').hidden=!0,panel.container.querySelector('[data-region="placeholder"]').hidden=!0,panel.container.querySelector('[data-region="text"]').textContent=""):hide(editor)};_exports.addPhrase=(editor,alternatives,handlers)=>show(editor,handlers).then((container=>{const panel=panels.get(editor);return container&&panel?(panel.phrases=panel.phrases.then((async()=>{const list=container.querySelector('[data-region="phrases"]'),[text,...others]=alternatives,{html:html,js:js}=await _templates.default.renderForPromise(`${_common.component}/review_phrase`,{number:list.children.length+1,text:text,alternatives:others,hasalternatives:others.length>0});return _templates.default.appendNodeContents(list,html,js),container.querySelector('[data-region="review-actions"]').hidden=!1,container})).catch((e=>(_notification.default.exception(e),null))),panel.phrases):null}));const hasPhrases=editor=>{const panel=panels.get(editor);return Boolean(panel&&panel.container&&getPhrases(panel.container).length)};_exports.hasPhrases=hasPhrases;_exports.confirmClose=async editor=>{if(!hasPhrases(editor))return!0;const modal=await _modal_factory.default.create({type:_modal_factory.default.types.SAVE_CANCEL,title:(0,_str.get_string)("discardphrasestitle",_common.component),body:(0,_str.get_string)("discardphrasesconfirm",_common.component,getPhrases(panels.get(editor).container).length),removeOnClose:!0});return modal.setSaveButtonText((0,_str.get_string)("discardphrases",_common.component)),new Promise((resolve=>{let discard=!1;modal.getRoot().on(_modal_events.default.save,(()=>{discard=!0})),modal.getRoot().on(_modal_events.default.hidden,(()=>resolve(discard))),modal.show()}))};_exports.setText=(editor,text,isFinal)=>{const panel=panels.get(editor);panel&&panel.container&&(panel.container.querySelector('[data-region="placeholder"]').hidden=""!==text,panel.container.querySelector('[data-region="text"]').textContent=text,panel.container.classList.toggle("final",isFinal))};const getRegion=(editor,region)=>{const panel=panels.get(editor);return panel&&panel.container?panel.container.querySelector(`[data-region="${region}"]`):null};_exports.setLevel=(editor,level)=>{const meter=getRegion(editor,"meter");meter&&(meter.hidden=!1,meter.querySelector('[data-region="level"]').style.width=`${Math.round(100*level)}%`)};_exports.setElapsed=(editor,seconds)=>{const elapsed=getRegion(editor,"elapsed");if(elapsed){const minutes=Math.floor(seconds/60);elapsed.textContent=`${minutes}:${String(Math.floor(seconds%60)).padStart(2,"0")}`}};_exports.showNoInput=(editor,visible)=>{const warning=getRegion(editor,"noinput");warning&&warning.hidden===visible&&(warning.hidden=!visible)};_exports.showRecording=(editor,visible)=>{const notice=getRegion(editor,"recording");notice&&(notice.hidden=!visible)};_exports.setMicrophones=async(editor,microphones,selected)=>{const region=getRegion(editor,"microphones");if(!region)return;const select=region.querySelector("select"),options=await Promise.all(microphones.map((async({deviceId:deviceId,label:label},index)=>{const option=document.createElement("option");return option.value=deviceId,option.textContent=label||await(0,_str.get_string)("microphonenumber",_common.component,index+1),option.selected=deviceId===selected,option})));select.replaceChildren(...options),region.hidden=microphones.length<2};const hide=editor=>{const panel=panels.get(editor);panel&&(panels.delete(editor),panel.container&&(panel.container.contains(document.activeElement)&&editor.focus(),panel.container.remove()))};_exports.hide=hide}));
+
+//# sourceMappingURL=preview.min.js.map
\ No newline at end of file
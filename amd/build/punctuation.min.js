@@ -0,0 +1,14 @@
+define("tiny_speechtotext/punctuation",["exports","./phrases"],(function(_exports,_phrases){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.processTextWithPunctuation=_exports.capitalizeWord=void 0;
+/**
+   * Spoken punctuation helper for the Moodle tiny_speechtotext plugin.
+   *
+   * The dictionaries of spoken punctuation per language are JSON files in the
+   * punctuation directory of the plugin, passed to the editor in its options.
+   *
+   * @module      tiny_speechtotext/punctuation
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const lookups=new WeakMap,openingPunctuation=["(","¿","¡","«"],matchPunctuation=(words,index,lookup)=>{const match=(0,_phrases.matchPhrase)(words,index,lookup.phrases);if(match)return match;const endMatch=(0,_phrases.matchPhrase)(words,index,lookup.endPhrases);return endMatch&&index+endMatch.wordsConsumed===words.length?endMatch:null},isSentenceEnding=symbol=>/[.?!।…]$|\n\n$/.test(symbol),isOpening=symbol=>openingPunctuation.includes(symbol),capitalizeWord=word=>word&&0!==word.length?word.charAt(0).toUpperCase()+word.slice(1):word;_exports.capitalizeWord=capitalizeWord;const getSpacingBefore=currentResult=>0===currentResult.length||currentResult.endsWith("\n")||currentResult.endsWith(" ")||isOpening(currentResult.slice(-1))?"":" ";_exports.processTextWithPunctuation=(text,language,dictionaries)=>{if(!text||!text.trim())return"";const lookup=((dictionaries,language)=>{if(!lookups.has(dictionaries)){const getPart=part=>Object.fromEntries(Object.entries(dictionaries).map((([key,dictionary])=>[key,dictionary[part]||{}])));lookups.set(dictionaries,{phrases:{dictionaries:getPart("phrases"),cache:new Map},endPhrases:{dictionaries:getPart("endphrases"),cache:new Map}})}const{phrases:phrases,endPhrases:endPhrases}=lookups.get(dictionaries);return{phrases:(0,_phrases.getLookup)(phrases.dictionaries,phrases.cache,language),endPhrases:(0,_phrases.getLookup)(endPhrases.dictionaries,endPhrases.cache,language)}})(dictionaries,language),words=text.trim().split(/\s+/);let result="",shouldCapitalize=!1,i=0;for(;i<words.length;){const punctMatch=matchPunctuation(words,i,lookup);if(punctMatch){const symbol=punctMatch.value;isOpening(symbol)?(result+=getSpacingBefore(result),result+=symbol):(result=result.replace(/ $/,"")+symbol,symbol.endsWith("\n")||(result+=" ")),isSentenceEnding(symbol)&&(shouldCapitalize=!0),i+=punctMatch.wordsConsumed}else{result+=getSpacingBefore(result);let word=words[i];shouldCapitalize&&(word=capitalizeWord(word),shouldCapitalize=!1),result+=word,i++}}return result}}));
+
+//# sourceMappingURL=punctuation.min.js.map
\ No newline at end of file
@@ -0,0 +1,20 @@
+define("tiny_speechtotext/readaloud",["exports","./events","./textrange"],(function(_exports,_events,_textrange){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.stopReading=_exports.splitUtterances=_exports.readAloud=_exports.isSupported=_exports.isReading=_exports.getReadingRange=_exports.addHighlightStyle=void 0;
+/**
+   * Reading text aloud for the Moodle tiny_speechtotext plugin.
+   *
+   * Text can be heard back for proofreading with the browser speech synthesis,
+   * in the dictation language and at the rate set by the administrator, each
+   * word being highlighted in the editor as it is read. Words are highlighted
+   * with the CSS Custom Highlight API where supported, and by selecting them
+   * otherwise.
+   *
+   * Text is read one sentence at a time, as some browsers stop reading a long
+   * utterance part way through.
+   *
+   * @module      tiny_speechtotext/readaloud
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const sentenceEnd=/[.!?…।]+["'»)\]]*\s*|\n+/g;let reading=null;_exports.isSupported=()=>"speechSynthesis"in window&&"SpeechSynthesisUtterance"in window;_exports.isReading=editor=>Boolean(reading&&reading.editor===editor);_exports.addHighlightStyle=editor=>{editor.on("init",(()=>{editor.dom.addStyle("::highlight(tiny-speechtotext-reading) { background-color: #ffe066; color: #000; }")}))};const canHighlight=editor=>{const win=editor.getWin();return Boolean(win.CSS&&win.CSS.highlights&&win.Highlight)},highlight=(editor,range)=>{if(canHighlight(editor)){const win=editor.getWin();range?win.CSS.highlights.set("tiny-speechtotext-reading",new win.Highlight(range)):win.CSS.highlights.delete("tiny-speechtotext-reading")}else range&&editor.selection.setRng(range);range&&range.startContainer.parentElement&&range.startContainer.parentElement.scrollIntoView({block:"nearest"})};_exports.getReadingRange=(editor,target,lastChunk)=>{const selection=editor.selection.getRng();switch(target){case"selection":return selection.collapsed?null:selection;case"last":return lastChunk;case"sentence":{const dom=editor.dom,block=dom.getParent(selection.startContainer,dom.isBlock)||editor.getBody(),blockRange=dom.createRng();blockRange.selectNodeContents(block);const{text:text,segments:segments}=(0,_textrange.collectText)(editor,blockRange),before=dom.createRng();before.setStart(block,0),before.setEnd(selection.startContainer,selection.startOffset);const caret=(0,_textrange.collectText)(editor,before).text.length,ends=Array.from(text.matchAll(sentenceEnd),(match=>({end:match.index+match[0].trimEnd().length,next:match.index+match[0].length}))),previous=ends.filter((({next:next})=>next<=caret)).pop(),following=ends.find((({next:next})=>next>caret)),start=previous?previous.next:0,end=following?following.end:text.length;return end>start?(0,_textrange.getTextRange)(editor,segments,start,end):null}default:{const range=editor.dom.createRng();return range.selectNodeContents(editor.getBody()),range}}};const splitUtterances=text=>{const parts=[],addPart=(start,end)=>{for(;end-start>200;){const breaks=Array.from(text.slice(start,start+200).matchAll(/([,;:])?\s+/g)).filter((match=>match.index>0)),pause=breaks.filter((match=>match[1])).pop()||breaks.pop(),cut=pause?start+pause.index+pause[0].length:start+200;parts.push({start:start,end:cut}),start=cut}parts.push({start:start,end:end})};let start=0;for(const match of text.matchAll(sentenceEnd))addPart(start,match.index+match[0].length),start=match.index+match[0].length;return addPart(start,text.length),parts.filter((({start:start,end:end})=>text.slice(start,end).trim()))};_exports.splitUtterances=splitUtterances;const stopReading=()=>{reading&&(reading.finish(!1),window.speechSynthesis.cancel())};_exports.stopReading=stopReading;_exports.readAloud=(editor,range,language,rate=1)=>new Promise((resolve=>{stopReading();const{text:text,segments:segments}=(0,_textrange.collectText)(editor,range),parts=splitUtterances(text);if(!parts.length)return void resolve(!1);const voice=(language=>{const normalise=tag=>tag.toLowerCase().replace("_","-"),tag=normalise(language),voices=window.speechSynthesis.getVoices();let candidates=voices.filter((voice=>normalise(voice.lang)===tag));return candidates.length||(candidates=voices.filter((voice=>normalise(voice.lang).split("-")[0]===tag.split("-")[0]))),candidates.find((voice=>voice.default))||candidates.find((voice=>voice.localService))||candidates[0]||null})(language),selection=editor.selection.getRng().cloneRange(),selecting=!canHighlight(editor),current={editor:editor,finish:completed=>{reading===current&&(reading=null,highlight(editor,null),selecting&&editor.selection.setRng(selection),(0,_events.notifyReadingStopped)(editor,completed),resolve(completed))}},speak=index=>{if(reading!==current)return;if(index>=parts.length)return void current.finish(!0);const{start:start,end:end}=parts[index],partText=text.slice(start,end),utterance=new window.SpeechSynthesisUtterance(partText);utterance.lang=language,utterance.rate=rate,voice&&(utterance.voice=voice),utterance.onboundary=event=>{if(event.name&&"word"!==event.name)return;const length=event.charLength||/^\S*/.exec(partText.slice(event.charIndex))[0].length,wordStart=start+event.charIndex;highlight(editor,(0,_textrange.getTextRange)(editor,segments,wordStart,wordStart+length))},utterance.onend=()=>speak(index+1),utterance.onerror=()=>current.finish(!1),window.speechSynthesis.speak(utterance)};reading=current,(0,_events.notifyReadingStarted)(editor,language),speak(0)}))}));
+
+//# sourceMappingURL=readaloud.min.js.map
\ No newline at end of file
@@ -0,0 +1,14 @@
+define("tiny_speechtotext/recorder",["exports","editor_tiny/uploader","editor_tiny/options","./meter"],(function(_exports,_uploader,_options,_meter){var e;
+/**
+   * Audio recording of dictation for the Moodle tiny_speechtotext plugin.
+   *
+   * The microphone is recorded alongside the recognition engine. Once dictation
+   * stops, the recording is uploaded to the draft file area of the editor like
+   * any other media file, and an audio player is inserted after the dictated text.
+   *
+   * @module      tiny_speechtotext/recorder
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.uploadRecording=_exports.startRecording=_exports.insertRecording=_exports.canRecord=void 0,_uploader=(e=_uploader)&&e.__esModule?e:{default:e};const fileExtensions={"audio/webm":"webm","audio/ogg":"ogg","audio/mp4":"m4a","audio/mpeg":"mp3"};_exports.canRecord=editor=>{if(!("MediaRecorder"in window)||!navigator.mediaDevices||!navigator.mediaDevices.getUserMedia)return!1;const filePicker=(0,_options.getFilePicker)(editor,"media");return Boolean(filePicker&&filePicker.repositories&&Object.values(filePicker.repositories).some((repository=>"upload"===repository.type)))};_exports.startRecording=deviceId=>navigator.mediaDevices.getUserMedia({audio:(0,_meter.getAudioConstraints)(deviceId)}).then((stream=>{const recorder=new MediaRecorder(stream),parts=[];return recorder.ondataavailable=event=>{event.data.size&&parts.push(event.data)},recorder.start(),()=>new Promise((resolve=>{recorder.onstop=()=>{stream.getTracks().forEach((track=>track.stop())),resolve(new Blob(parts,{type:recorder.mimeType}))},recorder.stop()}))}));_exports.uploadRecording=(editor,audio)=>{const type=audio.type.split(";")[0],fileName=`dictation-${(new Date).toISOString().replace(/\..*$/,"").replace(/[-:]/g,"").replace("T","-")}.${fileExtensions[type]||"webm"}`;return(0,_uploader.default)(editor,"media",audio,fileName,(()=>null))};_exports.insertRecording=(editor,range,url,type,title)=>{const dom=editor.dom,html=dom.createHTML("audio",{controls:"controls",title:title},dom.createHTML("source",{src:url,type:type.split(";")[0]})+dom.createHTML("a",{href:url},dom.encode(title)));editor.undoManager.transact((()=>{if(!range||!editor.getBody().contains(range.endContainer))return void editor.insertContent(html);const bookmark=editor.selection.getBookmark(),target=dom.createRng();target.setStart(range.endContainer,range.endOffset),editor.selection.setRng(target),editor.insertContent(" "+html),editor.selection.moveToBookmark(bookmark)}))}}));
+
+//# sourceMappingURL=recorder.min.js.map
\ No newline at end of file
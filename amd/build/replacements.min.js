@@ -0,0 +1,23 @@
+define("tiny_speechtotext/replacements",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.validatePattern=_exports.getHints=_exports.createReplacementSteps=_exports.compileRules=_exports.compileRule=_exports.applyRules=void 0;
+/**
+   * Course replacement rules for the Moodle tiny_speechtotext plugin.
+   *
+   * Rules replace a spoken phrase, or text matching a regular expression, with
+   * written text. A phrase without replacement is vocabulary, written exactly as
+   * entered. Only string processing happens here, so rules can be tested
+   * without a browser.
+   *
+   * Spoken phrases match the words as recognised, so that "node dot js" can be
+   * written "Node.js" before "dot" becomes a full stop. They are replaced by
+   * placeholders that the later steps of the pipeline leave alone, and the
+   * written text is only put in once spoken punctuation has been converted, so
+   * that it stays exactly as entered, line breaks included. Regular expressions
+   * then match the converted text.
+   *
+   * @module      tiny_speechtotext/replacements
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const placeholders=/\uE000([\uE100-\uF8FF])/g,escapeRegExp=text=>text.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),validatePattern=pattern=>{try{return new RegExp(pattern,"gi"),null}catch(e){return e.message}};_exports.validatePattern=validatePattern;const compileRule=({phrase:phrase,replacement:replacement,regex:regex})=>{if(regex)return null===validatePattern(phrase)?{pattern:new RegExp(phrase,"gi"),replacement:replacement||""}:null;const words=phrase.trim().split(/\s+/).map(escapeRegExp).join("\\s+"),written=replacement||phrase.trim();return{pattern:new RegExp(`(^|[^\\w\\u00C0-\\uFFFF])${words}(?=$|[^\\w\\u00C0-\\uFFFF])`,"gi"),replacement:(match,before)=>before+written}};_exports.compileRule=compileRule;const compileRules=rules=>rules.map(compileRule).filter((rule=>null!==rule));_exports.compileRules=compileRules;const applyRules=(text,compiledRules)=>compiledRules.reduce(((result,{pattern:pattern,replacement:replacement})=>result.replace(pattern,replacement)),text);_exports.applyRules=applyRules;_exports.createReplacementSteps=rules=>{const phraseRules=rules.filter((rule=>!rule.regex)),placeholderRules=compileRules(phraseRules.map(((rule,index)=>({phrase:rule.phrase,replacement:String.fromCharCode(57344,57600+index)})))),written=phraseRules.map((rule=>rule.replacement||rule.phrase.trim())),patternRules=compileRules(rules.filter((rule=>rule.regex)));return{phraseStep:text=>applyRules(text,placeholderRules),patternStep:text=>applyRules(text.replace(placeholders,((placeholder,rule)=>written[rule.charCodeAt(0)-57600])),patternRules)}};_exports.getHints=rules=>[...new Set(rules.filter((rule=>!rule.regex)).map((rule=>rule.phrase.trim())))]}));
+
+//# sourceMappingURL=replacements.min.js.map
\ No newline at end of file
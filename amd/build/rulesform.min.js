@@ -0,0 +1,15 @@
+define("tiny_speechtotext/rulesform",["exports","core/notification","core/str","core_form/events","./common","./replacements"],(function(_exports,_notification,_str,_events,_common,_replacements){var e;
+/**
+   * Checking of the replacement rules form of the Moodle tiny_speechtotext plugin.
+   *
+   * Regular expression rules run in the browser, so their patterns are checked
+   * here, with the regular expression syntax they run with. The error of the
+   * browser is shown on the phrase as it is edited, and the form is not saved
+   * while a pattern is not valid.
+   *
+   * @module      tiny_speechtotext/rulesform
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_notification=(e=_notification)&&e.__esModule?e:{default:e};const checkRule=(form,phraseField)=>{const index=phraseField.name.match(/^phrase\[(\d+)\]$/)[1],regexField=form.querySelector(`input[type="checkbox"][name="isregex[${index}]"]`),pattern=phraseField.value.trim();return regexField&&regexField.checked&&pattern?(0,_replacements.validatePattern)(pattern):null},showError=(phraseField,error)=>(error?(0,_str.get_string)("error:invalidpattern",_common.component,error):Promise.resolve("")).then((message=>(0,_events.notifyFieldValidationFailure)(phraseField,message))).catch(_notification.default.exception);_exports.init=formId=>{const form=document.getElementById(formId);if(!form)return;form.addEventListener("change",(event=>{const match=event.target.name&&event.target.name.match(/^(phrase|isregex)\[(\d+)\]$/);if(match){const phraseField=form.querySelector(`input[name="phrase[${match[2]}]"]`);showError(phraseField,checkRule(form,phraseField))}})),form.addEventListener("submit",(event=>{if(event.submitter&&"submitbutton"!==event.submitter.name)return;const invalid=Array.from(form.querySelectorAll('input[name^="phrase["]')).map((phraseField=>({phraseField:phraseField,error:checkRule(form,phraseField)}))).filter((({error:error})=>null!==error));invalid.length&&(event.preventDefault(),invalid.forEach((({phraseField:phraseField,error:error})=>showError(phraseField,error))),invalid[0].phraseField.focus())}))}}));
+
+//# sourceMappingURL=rulesform.min.js.map
\ No newline at end of file
@@ -0,0 +1,13 @@
+define("tiny_speechtotext/session",["exports","./storage"],(function(_exports,Storage){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.setMicrophone=_exports.setFollowingFocus=_exports.setChosenLanguage=_exports.release=_exports.isFollowingFocus=_exports.getMicrophone=_exports.getChosenLanguage=_exports.getActiveEditor=_exports.activate=void 0,Storage=function(e,t){if("function"==typeof WeakMap)var r=new WeakMap,n=new WeakMap;return function(e,t){if(!t&&e&&e.__esModule)return e;var o,i,f={__proto__:null,default:e};if(null===e||"object"!=typeof e&&"function"!=typeof e)return f;if(o=t?n:r){if(o.has(e))return o.get(e);o.set(e,f)}for(const t in e)"default"!==t&&{}.hasOwnProperty.call(e,t)&&((i=(o=Object.defineProperty)&&Object.getOwnPropertyDescriptor(e,t))&&(i.get||i.set)?o(f,t,i):f[t]=e[t]);return f}(e,t)}
+/**
+   * Page-level dictation session for the Moodle tiny_speechtotext plugin.
+   *
+   * At most one editor on the page dictates at a time, so there is only ever
+   * one microphone in use and one preview panel.
+   *
+   * @module      tiny_speechtotext/session
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */(Storage);let activeEditor=null,stopActive=null;_exports.getActiveEditor=()=>activeEditor;_exports.activate=(editor,stop)=>{activeEditor&&activeEditor!==editor&&stopActive(),activeEditor=editor,stopActive=stop};_exports.release=editor=>{activeEditor===editor&&(activeEditor=null,stopActive=null)};_exports.isFollowingFocus=()=>"1"===Storage.get("followfocus");_exports.setFollowingFocus=follow=>{Storage.set("followfocus",follow?"1":"0")};_exports.getMicrophone=()=>Storage.get("microphone")||"";_exports.setMicrophone=deviceId=>{Storage.set("microphone",deviceId)};_exports.getChosenLanguage=()=>Storage.get("language")||"";_exports.setChosenLanguage=language=>{Storage.set("language",language)}}));
+
+//# sourceMappingURL=session.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("tiny_speechtotext/storage",["exports","core/config"],(function(_exports,_config){var e;
+/**
+   * Browser storage of the Moodle tiny_speechtotext plugin.
+   *
+   * Preferences and the dictation history are kept in window.localStorage rather
+   * than core/localstorage, which empties itself whenever the caches of the site
+   * are purged. Keys are scoped to the site and the user, so that neither other
+   * Moodle sites nor other users of the same browser see them, and are removed
+   * when the user logs out.
+   *
+   * @module      tiny_speechtotext/storage
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.set=_exports.remove=_exports.getKeys=_exports.get=_exports.clearOnLogout=_exports.clear=void 0,_config=(e=_config)&&e.__esModule?e:{default:e};let clearingOnLogout=!1;const getStorageKey=key=>`tiny_speechtotext/${_config.default.wwwroot}/${_config.default.userId}/${key}`;_exports.get=key=>{try{return window.localStorage.getItem(getStorageKey(key))}catch(e){return null}};_exports.set=(key,value)=>{try{return window.localStorage.setItem(getStorageKey(key),value),!0}catch(e){return!1}};const remove=key=>{try{window.localStorage.removeItem(getStorageKey(key))}catch(e){}};_exports.remove=remove;const getKeys=(prefix="")=>{const storagePrefix=getStorageKey(""),keys=[];try{for(let i=0;i<window.localStorage.length;i++){const storageKey=window.localStorage.key(i);storageKey.startsWith(storagePrefix+prefix)&&keys.push(storageKey.slice(storagePrefix.length))}}catch(e){}return keys};_exports.getKeys=getKeys;const clear=()=>{getKeys().forEach(remove)};_exports.clear=clear;_exports.clearOnLogout=()=>{if(clearingOnLogout)return;clearingOnLogout=!0;const selector=`a[href^="${_config.default.wwwroot}/login/logout.php"]`;document.addEventListener("click",(event=>{event.target instanceof Element&&event.target.closest(selector)&&clear()}))}}));
+
+//# sourceMappingURL=storage.min.js.map
\ No newline at end of file
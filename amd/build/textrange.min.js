@@ -0,0 +1,14 @@
+define("tiny_speechtotext/textrange",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.getTextRange=_exports.getSentenceBeforeCaret=_exports.collectText=void 0;
+/**
+   * Text of editor content for the Moodle tiny_speechtotext plugin.
+   *
+   * The text of a range is collected with the text nodes it comes from, so that
+   * parts found by searching the text can be located in the editor again.
+   *
+   * @module      tiny_speechtotext/textrange
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const sentenceBreak=/[.!?…।]+["'»)\]]*\s+|\n+/g,collectText=(editor,range)=>{const dom=editor.dom,ancestor=range.commonAncestorContainer,root=ancestor.nodeType===Node.TEXT_NODE?ancestor.parentNode:ancestor,walker=root.ownerDocument.createTreeWalker(root,NodeFilter.SHOW_TEXT|NodeFilter.SHOW_ELEMENT),segments=[];let text="",lastBlock=null;for(;walker.nextNode();){const node=walker.currentNode;if(range.intersectsNode(node))if("BR"===node.nodeName)text+="\n";else if(node.nodeType===Node.TEXT_NODE){const start=node===range.startContainer?range.startOffset:0,end=node===range.endContainer?range.endOffset:node.data.length,block=dom.getParent(node,dom.isBlock);lastBlock&&block!==lastBlock&&(text+="\n"),lastBlock=block,segments.push({node:node,offset:start,index:text.length,length:end-start}),text+=node.data.slice(start,end)}}return{text:text,segments:segments}};_exports.collectText=collectText;const getTextRange=(editor,segments,start,end)=>{const first=segments.find((({index:index,length:length})=>start>=index&&start<index+length)),last=segments.find((({index:index,length:length})=>end>index&&end<=index+length));if(!first||!last)return null;const range=editor.dom.createRng();return range.setStart(first.node,first.offset+start-first.index),range.setEnd(last.node,last.offset+end-last.index),range};_exports.getTextRange=getTextRange;_exports.getSentenceBeforeCaret=(editor,caret)=>{const dom=editor.dom,block=dom.getParent(caret.startContainer,dom.isBlock)||editor.getBody(),before=dom.createRng();before.setStart(block,0),before.setEnd(caret.startContainer,caret.startOffset);const{text:text,segments:segments}=collectText(editor,before),sentence=text.trimEnd(),breaks=Array.from(sentence.matchAll(sentenceBreak)),start=breaks.length?breaks[breaks.length-1].index+breaks[breaks.length-1][0].length:0;if(sentence.length<=start)return null;const last=segments[segments.length-1];return getTextRange(editor,segments,start,Math.max(sentence.length,last.index+last.length))}}));
+
+//# sourceMappingURL=textrange.min.js.map
\ No newline at end of file
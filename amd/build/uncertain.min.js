@@ -0,0 +1,16 @@
+define("tiny_speechtotext/uncertain",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.selectNextUncertain=_exports.registerUncertainReview=_exports.getMarkedHtml=_exports.findUncertainPart=void 0;
+/**
+   * Review of uncertain words for the Moodle tiny_speechtotext plugin.
+   *
+   * Words the recognizer was unsure about are inserted wrapped in a marker
+   * holding the other hypotheses. A context toolbar on the marker offers to
+   * replace the words with one of them or keep them. Markers are removed when
+   * the content is saved, so they never reach the submitted text.
+   *
+   * @module      tiny_speechtotext/uncertain
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const markerClass="tiny-speechtotext-uncertain",alternativesAttribute="data-speechtotext-alternatives",getWords=text=>Array.from(text.matchAll(/\S+/g),(match=>({word:match[0],start:match.index,end:match.index+match[0].length})));_exports.findUncertainPart=(text,hypotheses)=>{const words=getWords(text);if(!words.length)return null;const spoken=words.map((({word:word})=>word)),others=hypotheses.map((hypothesis=>getWords(hypothesis).map((({word:word})=>word)))).filter((other=>other.join(" ")!==spoken.join(" ")));if(!others.length)return{start:words[0].start,end:words[words.length-1].end,alternatives:[]};const first=Math.min(...others.map((other=>{let count=0;for(;count<spoken.length&&count<other.length&&spoken[count]===other[count];)count++;return count})));let start=first,last=spoken.length-Math.min(...others.map((other=>{let count=0;for(;count<spoken.length-first&&count<other.length-first&&spoken[spoken.length-1-count]===other[other.length-1-count];)count++;return count})));last===start&&(start>0?start--:last++);const part=spoken.slice(start,last).join(" "),alternatives=others.map((other=>other.slice(start,other.length-(spoken.length-last)).join(" "))).filter(((alternative,index,all)=>alternative&&alternative!==part&&all.indexOf(alternative)===index));return{start:words[start].start,end:words[last-1].end,alternatives:alternatives}};_exports.getMarkedHtml=(editor,text,parts)=>{let html="",position=0;return parts.forEach((({start:start,end:end,alternatives:alternatives})=>{html+=editor.dom.encode(text.slice(position,start)),html+=editor.dom.createHTML("span",{class:markerClass,[alternativesAttribute]:JSON.stringify(alternatives)},editor.dom.encode(text.slice(start,end))),position=end})),html+editor.dom.encode(text.slice(position))};const getMarker=(editor,node)=>editor.dom.getParent(node,`span.${markerClass}`)||null,getAlternatives=marker=>{try{const alternatives=JSON.parse(marker.getAttribute("data-speechtotext-alternatives"));return Array.isArray(alternatives)?alternatives:[]}catch(e){return[]}},resolveMarker=(editor,marker,replacement)=>{editor.undoManager.transact((()=>{if(null===replacement)editor.dom.remove(marker,!0);else{const text=editor.getDoc().createTextNode(replacement);editor.dom.replace(text,marker),editor.selection.setCursorLocation(text,replacement.length)}})),editor.nodeChanged()},selectNextUncertain=editor=>{const markers=editor.dom.select(`span.${markerClass}`);if(!markers.length)return!1;const selection=editor.selection.getRng(),next=markers.find((marker=>selection.comparePoint(marker,0)>0))||markers[0];return editor.selection.select(next),editor.selection.scrollIntoView(next),editor.nodeChanged(),!0};_exports.selectNextUncertain=selectNextUncertain;_exports.registerUncertainReview=(editor,{alternatives:alternatives,keep:keep,next:next})=>{editor.on("PreInit",(()=>{editor.serializer.addAttributeFilter("data-speechtotext-alternatives",(nodes=>nodes.forEach((node=>node.unwrap()))))})),editor.on("init",(()=>{editor.dom.addStyle(`.${markerClass} { text-decoration: underline wavy #c25700; text-decoration-skip-ink: none; }`)})),editor.ui.registry.addMenuButton("tiny_speechtotext_alternatives",{text:alternatives,onSetup:api=>{const updateState=()=>{const marker=getMarker(editor,editor.selection.getNode());api.setEnabled(Boolean(marker)&&getAlternatives(marker).length>0)};return updateState(),editor.on("NodeChange",updateState),()=>{editor.off("NodeChange",updateState)}},fetch:callback=>{const marker=getMarker(editor,editor.selection.getNode());callback(getAlternatives(marker).map((alternative=>({type:"menuitem",text:alternative,onAction:()=>resolveMarker(editor,marker,alternative)}))))}}),editor.ui.registry.addButton("tiny_speechtotext_keep",{icon:"checkmark",tooltip:keep,onAction:()=>{const marker=getMarker(editor,editor.selection.getNode());marker&&resolveMarker(editor,marker,null)}}),editor.ui.registry.addButton("tiny_speechtotext_nextuncertain",{icon:"chevron-right",tooltip:next,onAction:()=>selectNextUncertain(editor)}),editor.ui.registry.addContextToolbar(markerClass,{predicate:node=>Boolean(getMarker(editor,node)),items:"tiny_speechtotext_alternatives tiny_speechtotext_keep tiny_speechtotext_nextuncertain",position:"node",scope:"node"})}}));
+
+//# sourceMappingURL=uncertain.min.js.map
\ No newline at end of file
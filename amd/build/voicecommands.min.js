@@ -0,0 +1,15 @@
+define("tiny_speechtotext/voicecommands",["exports","./phrases","./textrange","./uncertain"],(function(_exports,_phrases,_textrange,_uncertain){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.registerCommands=_exports.matchCommand=_exports.insertChunk=_exports.getLastChunkRange=_exports.executeCommand=void 0;
+/**
+   * Spoken editing commands for the Moodle tiny_speechtotext plugin.
+   *
+   * A command is recognised when a finalised utterance consists of nothing but
+   * the command phrase, so that dictating "please delete that file" still
+   * inserts text. Reading commands (readBack, readAll) are executed by the caller.
+   *
+   * @module      tiny_speechtotext/voicecommands
+   * @copyright   2026
+   * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const commandPhrases={en:{"scratch that":"scratchThat","delete that":"scratchThat","delete last phrase":"scratchThat","delete last word":"deleteLastWord","delete previous word":"deleteLastWord","delete last sentence":"deleteLastSentence","delete previous sentence":"deleteLastSentence",undo:"undo","undo that":"undo",redo:"redo","redo that":"redo","select previous word":"selectPreviousWord","select last word":"selectPreviousWord","select last sentence":"selectLastSentence","select previous sentence":"selectLastSentence","move to end":"moveToEnd","go to end":"moveToEnd","go to the end":"moveToEnd","read that back":"readBack","read it back":"readBack","read back":"readBack","read everything":"readAll","read it all":"readAll","next uncertain word":"nextUncertain","next uncertain":"nextUncertain"},fr:{"efface ça":"scratchThat","supprime ça":"scratchThat","supprimer la dernière phrase dictée":"scratchThat","supprimer le dernier mot":"deleteLastWord","supprimer la dernière phrase":"deleteLastSentence",annuler:"undo","rétablir":"redo","sélectionner le mot précédent":"selectPreviousWord","sélectionner la dernière phrase":"selectLastSentence","aller à la fin":"moveToEnd","relis ça":"readBack",relire:"readBack","lis tout":"readAll","tout relire":"readAll","mot incertain suivant":"nextUncertain"},es:{"borra eso":"scratchThat","borrar eso":"scratchThat","borrar la última palabra":"deleteLastWord","borrar última palabra":"deleteLastWord","borrar la última frase":"deleteLastSentence","borrar última frase":"deleteLastSentence",deshacer:"undo",rehacer:"redo","seleccionar la palabra anterior":"selectPreviousWord","seleccionar palabra anterior":"selectPreviousWord","seleccionar la última frase":"selectLastSentence","ir al final":"moveToEnd","lee eso":"readBack","leer eso":"readBack","lee todo":"readAll","leer todo":"readAll","siguiente palabra dudosa":"nextUncertain"}},normalise=(text,locale)=>text.toLocaleLowerCase(locale).replace(/[.,!?¡¿;:]/g,"").trim().split(/\s+/).join(" ");_exports.registerCommands=(language,phrases)=>{commandPhrases[language.toLowerCase()]=phrases};_exports.matchCommand=(text,language)=>{const key=(0,_phrases.findDictionaryKey)(commandPhrases,language);if(!key||!text)return null;const utterance=normalise(text,key),match=Object.entries(commandPhrases[key]).find((([phrase])=>normalise(phrase,key)===utterance));return match?match[1]:null};_exports.insertChunk=(editor,chunks,content,decorate=null)=>{const start=editor.selection.getRng().cloneRange();editor.undoManager.transact((()=>{if(editor.insertContent(content),decorate){const caret=editor.selection.getRng(),inserted=editor.dom.createRng();inserted.setStart(start.startContainer,start.startOffset),inserted.setEnd(caret.endContainer,caret.endOffset),decorate(inserted)}}));const end=editor.selection.getRng(),range=editor.dom.createRng();range.setStart(start.startContainer,start.startOffset),range.setEnd(end.endContainer,end.endOffset),chunks.push({range:range,text:range.toString()}),chunks.length>50&&chunks.shift()};const isChunkIntact=(editor,{range:range,text:text})=>!range.collapsed&&range.toString()===text&&editor.getBody().contains(range.commonAncestorContainer);_exports.getLastChunkRange=(editor,chunks)=>{const chunk=chunks.slice().reverse().find((candidate=>isChunkIntact(editor,candidate)));return chunk?chunk.range:null};const selectBackwards=(editor,granularity)=>{if(editor.selection.collapse(!1),"sentence"===granularity){const range=(0,_textrange.getSentenceBeforeCaret)(editor,editor.selection.getRng());if(!range)return!1;editor.selection.setRng(range)}else{const selection=editor.selection.getSel();if(!selection||"function"!=typeof selection.modify)return!1;selection.modify("extend","backward",granularity)}return editor.nodeChanged(),!editor.selection.isCollapsed()},deleteBackwards=(editor,granularity)=>!!selectBackwards(editor,granularity)&&(editor.undoManager.transact((()=>{editor.execCommand("Delete")})),!0);_exports.executeCommand=(editor,command,chunks)=>{switch(command){case"scratchThat":return((editor,chunks)=>{for(;chunks.length;){const chunk=chunks.pop();if(isChunkIntact(editor,chunk))return editor.undoManager.transact((()=>{editor.selection.setRng(chunk.range),editor.execCommand("Delete")})),!0}return!1})(editor,chunks);case"deleteLastWord":return deleteBackwards(editor,"word");case"deleteLastSentence":return deleteBackwards(editor,"sentence");case"undo":return!!editor.undoManager.hasUndo()&&(editor.undoManager.undo(),!0);case"redo":return!!editor.undoManager.hasRedo()&&(editor.undoManager.redo(),!0);case"selectPreviousWord":return selectBackwards(editor,"word");case"selectLastSentence":return selectBackwards(editor,"sentence");case"moveToEnd":return editor.selection.select(editor.getBody(),!0),editor.selection.collapse(!1),editor.nodeChanged(),!0;case"nextUncertain":return(0,_uncertain.selectNextUncertain)(editor);default:return!1}}}));
+
+//# sourceMappingURL=voicecommands.min.js.map
\ No newline at end of file
@@ -0,0 +1,57 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Screen reader announcements for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/announcer
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const regionId = 'tiny-speechtotext-announcer';
+
+/**
+ * Get the live region used for announcements, creating it if needed.
+ *
+ * @returns {HTMLElement}
+ */
+const getRegion = () => {
+    let region = document.getElementById(regionId);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = regionId;
+        region.className = 'sr-only';
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    return region;
+};
+
+/**
+ * Announce a message to screen reader users without moving focus.
+ *
+ * @param {string} message The message
+ */
+export const announce = (message) => {
+    const region = getRegion();
+
+    // Clear first so that repeating the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+};
@@ -23,7 +23,122 @@
 
 import {getButtonImage} from 'editor_tiny/utils';
 import {get_string as getString} from 'core/str';
-import {component, buttonName, icon} from './common';
+import Notification from 'core/notification';
+import {component, buttonName, icon, readAloudButtonName, readAloudIcon} from './common';
+import {
+    getConfidenceThreshold,
+    getLanguage,
+    getLanguages,
+    getPunctuationDictionaries,
+    getReadAloudRate,
+    getReplacementRules,
+    getSentencePause,
+    getShortcut,
+    getSilenceTimeout,
+    isAudioRecordingEnabled,
+    isAutoPunctuationEnabled,
+    isContinuous,
+    isHistoryEnabled,
+    isInterimPreviewEnabled,
+    isKeepAliveEnabled,
+    isNumberFormattingEnabled,
+    isPushToTalkEnabled,
+    isReviewModeEnabled,
+} from './options';
+import {createEngine, isAvailable} from './engines';
+import {
+    eventTypes,
+    notifyError,
+    notifyListeningStarted,
+    notifyListeningStopped,
+    notifyResult,
+} from './events';
+import {
+    activate,
+    getActiveEditor,
+    getChosenLanguage,
+    getMicrophone,
+    isFollowingFocus,
+    release,
+    setChosenLanguage,
+    setFollowingFocus,
+    setMicrophone,
+} from './session';
+import {getErrorMessage, isRetryable} from './errors';
+import {announce} from './announcer';
+import {getMicrophones, isSupported as isMeterSupported, startMeter} from './meter';
+import * as Preview from './preview';
+import {clearOnLogout} from './storage';
+import {pruneHistories, recordPhrase, startSession} from './history';
+import {canRecord, insertRecording, startRecording, uploadRecording} from './recorder';
+import {showHistory} from './historydialog';
+import {
+    addHighlightStyle,
+    getReadingRange,
+    isReading,
+    isSupported as isReadAloudSupported,
+    readAloud,
+    stopReading,
+} from './readaloud';
+import {createTranscriptPipeline} from './pipeline';
+import {createPauseTracker, trackPauses} from './pauses';
+import {findUncertainPart, getMarkedHtml, registerUncertainReview} from './uncertain';
+import {toLatex} from './math';
+import {getHints} from './replacements';
+import {fitToContext, getSelectionContext} from './insertion';
+import {executeCommand, getLastChunkRange, insertChunk, matchCommand} from './voicecommands';
+import {applyFormatting, applyInlineFormats, splitFormatting} from './formatting';
+
+// Value of the split button menu item toggling whether dictation follows focus
+const followFocusValue = 'followfocus';
+
+// Value of the split button menu item showing the dictation history
+const historyValue = 'history';
+
+// What can be read aloud, with the strings of their menu items
+const readingTargets = {
+    selection: 'readselection',
+    sentence: 'readsentence',
+    last: 'readlast',
+    document: 'readdocument',
+};
+
+// A recognizer ending sooner than this after starting is failing rather than timing out, in milliseconds
+const minimumSessionLength = 1000;
+
+// Number of failing recognizers in a row after which keep-alive gives up
+const maxFailedRestarts = 3;
+
+// Number of recognition hypotheses offered for each phrase in review mode, or for uncertain words
+const reviewAlternatives = 3;
+
+// Microphone input level (between 0 and 1) below which nothing is heard
+const silentLevel = 0.15;
+
+// Time without sound after which users are warned that the microphone picks up nothing, in milliseconds
+const noInputDelay = 5000;
+
+// KeyboardEvent key values of the modifiers in TinyMCE shortcut notation
+const modifierKeys = {
+    meta: ['Meta', 'Control'],
+    ctrl: ['Control'],
+    alt: ['Alt'],
+    shift: ['Shift'],
+    access: ['Alt', 'Control', 'Shift'],
+};
+
+/**
+ * Get the language to dictate in when the editor is first used.
+ *
+ * The language the user last chose is kept while the editor still offers it.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The language tag
+ */
+const getInitialLanguage = (editor) => {
+    const chosen = getChosenLanguage();
+    return getLanguages(editor).includes(chosen) ? chosen : getLanguage(editor);
+};
 
 // Map to store editor-specific state
 const editorStates = new WeakMap();
@@ -40,371 +155,471 @@ const getEditorState = (editor) => {
             recognition: null,
             listening: false,
             finalTranscript: '',
-            previewContainer: null
+            language: getInitialLanguage(editor),
+            restarting: false,
+            startedAt: 0,
+            failedRestarts: 0,
+            chunks: [],
+            formats: new Set(),
+            math: null,
+            silenceTimer: null,
+            elapsedTimer: null,
+            meter: null,
+            pipeline: null,
+            pauses: createPauseTracker(),
+            pause: 0,
+            uncertain: null,
+            recording: null,
+            unsavedRecording: null,
+            ending: false,
+            holding: false
         });
     }
     return editorStates.get(editor);
 };
 
-// Define punctuation replacements (case-insensitive)
-const punctuationMap = {
-    'full stop': '.',
-    'period': '.',
-    'dot': '.',
-    'comma': ',',
-    'question mark': '?',
-    'exclamation mark': '!',
-    'exclamation point': '!',
-    'semicolon': ';',
-    'semi colon': ';',
-    'colon': ':',
-    'dash': '-',
-    'hyphen': '-',
-    'apostrophe': "'",
-    'quotation mark': '"',
-    'quote': '"',
-    'open bracket': '(',
-    'close bracket': ')',
-    'open parenthesis': '(',
-    'close parenthesis': ')',
-    'new line': '\n',
-    'new paragraph': '\n\n'
-};
-
-// Punctuation marks that trigger capitalization of next word
-const sentenceEndingPunctuation = ['.', '?', '!', '\n\n'];
+/**
+ * Get what to do when the user acts on the preview panel.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Object} The preview handlers
+ */
+const getPreviewHandlers = (editor) => ({
+    close: () => {
+        stopListening(editor);
+        // Phrases awaiting review are only lost once the user confirms
+        Preview.confirmClose(editor).then((close) => {
+            if (close) {
+                Preview.hide(editor);
+                saveRecording(editor, getEditorState(editor));
+            }
+            return close;
+        }).catch(Notification.exception);
+    },
+    retry: () => {
+        editor.focus();
+        startListening(editor);
+    },
+    accept: (text) => {
+        editor.focus();
+        recordPhrase(editor, text, text);
+        insertText(editor, getEditorState(editor), text);
+        if (!getEditorState(editor).listening && !Preview.hasPhrases(editor)) {
+            Preview.hide(editor);
+        }
+        saveRecording(editor, getEditorState(editor));
+    },
+    discard: () => {
+        if (!getEditorState(editor).listening && !Preview.hasPhrases(editor)) {
+            Preview.hide(editor);
+        }
+        saveRecording(editor, getEditorState(editor));
+    },
+    microphone: (deviceId) => changeMicrophone(editor, deviceId),
+});
 
 /**
- * Check if a punctuation symbol ends a sentence.
+ * Show the microphone input level in the preview, warning when no sound comes in.
  *
- * @param {string} symbol The punctuation symbol
- * @returns {boolean} True if it ends a sentence
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
  */
-const isSentenceEnding = (symbol) => sentenceEndingPunctuation.includes(symbol);
+const startLevelMeter = (editor, state) => {
+    if (!isMeterSupported()) {
+        return;
+    }
+
+    let lastSound = Date.now();
+    const meter = startMeter(getMicrophone(), (level) => {
+        if (level > silentLevel) {
+            lastSound = Date.now();
+        }
+        Preview.setLevel(editor, level);
+        Preview.showNoInput(editor, Date.now() - lastSound > noInputDelay);
+    });
+    state.meter = meter;
+
+    // Microphone labels are only known once one is captured
+    meter.then(() => getMicrophones()).then((microphones) => {
+        if (state.meter === meter && state.recognition.canSelectMicrophone) {
+            Preview.setMicrophones(editor, microphones, getMicrophone()).catch(Notification.exception);
+        }
+        return microphones;
+    }).catch(() => null);
+};
 
 /**
- * Check if a word/phrase is a spoken punctuation.
+ * Stop measuring the microphone input level.
  *
- * @param {string} phrase The phrase to check
- * @returns {string|null} The punctuation symbol if matched, null otherwise
+ * @param {Object} state The editor state
  */
-const getPunctuationSymbol = (phrase) => {
-    const normalized = phrase.toLowerCase().trim();
-    return punctuationMap[normalized] || null;
+const stopLevelMeter = (state) => {
+    if (state.meter) {
+        state.meter.then((stop) => stop()).catch(() => null);
+        state.meter = null;
+    }
 };
 
 /**
- * Try to match multi-word punctuation from a word array.
+ * Show for how long dictation has been running and how loud the microphone input is.
  *
- * @param {Array} words Array of words
- * @param {number} startIndex Starting index in the array
- * @returns {Object} Object with {symbol, wordsConsumed} or null if no match
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
  */
-const matchPunctuation = (words, startIndex) => {
-    // Try matching 3 words, then 2, then 1
-    for (let wordCount = 3; wordCount >= 1; wordCount--) {
-        if (startIndex + wordCount <= words.length) {
-            const phrase = words.slice(startIndex, startIndex + wordCount).join(' ');
-            const symbol = getPunctuationSymbol(phrase);
+const startIndicators = (editor, state) => {
+    const startedAt = Date.now();
 
-            if (symbol) {
-                return {symbol, wordsConsumed: wordCount};
-            }
-        }
-    }
-    return null;
+    clearInterval(state.elapsedTimer);
+    state.elapsedTimer = setInterval(() => Preview.setElapsed(editor, (Date.now() - startedAt) / 1000), 1000);
+    stopLevelMeter(state);
+    startLevelMeter(editor, state);
 };
 
 /**
- * Capitalize the first letter of a word.
+ * Stop the elapsed time and input level indicators.
  *
- * @param {string} word The word to capitalize
- * @returns {string} The capitalized word
+ * @param {Object} state The editor state
  */
-const capitalizeWord = (word) => {
-    if (!word || word.length === 0) {
-        return word;
-    }
-    return word.charAt(0).toUpperCase() + word.slice(1);
+const stopIndicators = (state) => {
+    clearInterval(state.elapsedTimer);
+    stopLevelMeter(state);
 };
 
 /**
- * Add appropriate spacing before text.
+ * Record the microphone during dictation, if enabled and the user may add files to the text.
  *
- * @param {string} currentResult Current result string
- * @returns {string} Space character or empty string
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
  */
-const getSpacingBefore = (currentResult) => {
-    if (currentResult.length === 0) {
-        return '';
-    }
-    if (currentResult.endsWith('\n') || currentResult.endsWith(' ')) {
-        return '';
+const startAudioRecording = (editor, state) => {
+    if (!isAudioRecordingEnabled(editor) || !canRecord(editor)) {
+        return;
     }
-    return ' ';
+
+    const recording = {
+        started: false,
+        // The last chunk dictated before recording, to tell whether anything was dictated since
+        chunk: state.chunks[state.chunks.length - 1] || null,
+    };
+    recording.stop = startRecording(getMicrophone()).then((stop) => {
+        recording.started = true;
+        if (state.recording === recording) {
+            Preview.showRecording(editor, true);
+        }
+        return stop;
+    }).catch(() => null);
+    state.recording = recording;
 };
 
 /**
- * Process and convert text with punctuation handling.
+ * Stop recording, and save the recording once the text dictated meanwhile is known.
  *
- * @param {string} text The text to process
- * @returns {string} The processed text with proper spacing and capitalization
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
  */
-const processTextWithPunctuation = (text) => {
-    if (!text || !text.trim()) {
-        return '';
+const stopAudioRecording = (editor, state) => {
+    const recording = state.recording;
+    if (!recording) {
+        return;
     }
+    state.recording = null;
+    Preview.showRecording(editor, false);
 
-    const words = text.trim().split(/\s+/);
-    let result = '';
-    let shouldCapitalize = false;
-    let i = 0;
+    recording.stop.then((stop) => (stop ? stop() : null)).then((audio) => {
+        if (audio && audio.size) {
+            state.unsavedRecording = {audio, chunk: recording.chunk};
+            saveRecording(editor, state);
+        }
+        return audio;
+    }).catch(Notification.exception);
+};
 
-    while (i < words.length) {
-        const punctMatch = matchPunctuation(words, i);
+/**
+ * Save the stopped recording with an audio player after the text dictated, if any text was dictated.
+ *
+ * The last results arrive after dictation stops, and phrases awaiting review may still be
+ * accepted, so the recording is kept until both are settled. A recording of a session that
+ * inserted nothing, e.g. cancelled, without speech or with all its phrases discarded, is dropped
+ * rather than uploaded.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
+ */
+const saveRecording = (editor, state) => {
+    const recording = state.unsavedRecording;
+    if (!recording || state.ending || Preview.hasPhrases(editor)) {
+        return;
+    }
+    state.unsavedRecording = null;
 
-        if (punctMatch) {
-            // Add punctuation symbol directly (no space before)
-            result += punctMatch.symbol;
+    if (state.chunks.indexOf(recording.chunk) === state.chunks.length - 1) {
+        return;
+    }
+    Promise.all([
+        uploadRecording(editor, recording.audio),
+        getString('dictationrecording', component),
+    ]).then(([url, title]) => {
+        insertRecording(editor, getLastChunkRange(editor, state.chunks), url, recording.audio.type, title);
+        return url;
+    }).catch(Notification.exception);
+};
 
-            // Add space after (except newlines)
-            if (punctMatch.symbol !== '\n' && punctMatch.symbol !== '\n\n') {
-                result += ' ';
-            }
+/**
+ * Dictate with another microphone, restarting the recognizer if listening.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} deviceId The device id of the microphone
+ */
+const changeMicrophone = (editor, deviceId) => {
+    const state = getEditorState(editor);
 
-            // Mark next word for capitalization if sentence-ending
-            if (isSentenceEnding(punctMatch.symbol)) {
-                shouldCapitalize = true;
-            }
+    setMicrophone(deviceId);
+    if (!state.recognition) {
+        return;
+    }
+    state.recognition.deviceId = deviceId;
 
-            i += punctMatch.wordsConsumed;
-        } else {
-            // Regular word - add spacing and handle capitalization
-            result += getSpacingBefore(result);
+    if (state.listening) {
+        stopLevelMeter(state);
+        startLevelMeter(editor, state);
 
-            let word = words[i];
-            if (shouldCapitalize) {
-                word = capitalizeWord(word);
-                shouldCapitalize = false;
-            }
-
-            result += word;
-            i++;
-        }
+        // The onend handler starts the recognizer again with the new microphone
+        state.restarting = true;
+        state.recognition.stop();
     }
+};
 
-    return result;
+/**
+ * Show the preview when dictation starts, clearing any earlier error, with the elapsed time and input level.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+const handleListeningStarted = (editor) => {
+    if (isInterimPreviewEnabled(editor) || isReviewModeEnabled(editor)) {
+        const state = getEditorState(editor);
+        Preview.showListening(editor, getPreviewHandlers(editor)).then(() => {
+            Preview.showRecording(editor, Boolean(state.recording && state.recording.started));
+            return state;
+        }).catch(() => null);
+        startIndicators(editor, state);
+    } else {
+        // The preview may only be open to show an error
+        Preview.hide(editor);
+    }
 };
 
 /**
- * Create and show the preview container.
+ * Explain a recognition error in the preview, offering to try again where that may help.
  *
  * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} error The SpeechRecognition error code
  */
-const showPreview = (editor) => {
+const showError = (editor, error) => {
     const state = getEditorState(editor);
 
-    if (state.previewContainer) {
-        return; // Already exists
-    }
-
-    // Create preview container
-    state.previewContainer = document.createElement('div');
-    state.previewContainer.className = 'tiny-speechtotext-preview';
-    state.previewContainer.innerHTML = `
-        <div class="tiny-speechtotext-preview-header">
-            <span class="tiny-speechtotext-preview-title"></span>
-            <button class="tiny-speechtotext-preview-close" aria-label="Close preview">&times;</button>
-        </div>
-        <div class="tiny-speechtotext-preview-content">
-            <span class="tiny-speechtotext-preview-text"></span>
-        </div>
-    `;
-
-    // Add styles
-    const style = document.createElement('style');
-    style.textContent = `
-        .tiny-speechtotext-preview {
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            width: 350px;
-            max-width: calc(100vw - 40px);
-            background: #fff;
-            border: 2px solid #0f6cbf;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-            z-index: 10000;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-        }
-        .tiny-speechtotext-preview-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            padding: 12px 15px;
-            background: #0f6cbf;
-            color: white;
-            border-radius: 6px 6px 0 0;
-            font-weight: 600;
-            font-size: 14px;
-        }
-        .tiny-speechtotext-preview-close {
-            background: none;
-            border: none;
-            color: white;
-            font-size: 24px;
-            cursor: pointer;
-            padding: 0;
-            width: 24px;
-            height: 24px;
-            line-height: 20px;
-            border-radius: 4px;
-            transition: background 0.2s;
-        }
-        .tiny-speechtotext-preview-close:hover {
-            background: rgba(255, 255, 255, 0.2);
-        }
-        .tiny-speechtotext-preview-content {
-            padding: 15px;
-            min-height: 60px;
-            max-height: 200px;
-            overflow-y: auto;
-        }
-        .tiny-speechtotext-preview-text {
-            color: #333;
-            font-size: 14px;
-            line-height: 1.5;
-            display: block;
-        }
-        .tiny-speechtotext-preview-text:empty::before {
-            content: "Listening...";
-            color: #999;
-            font-style: italic;
-        }
-        @keyframes pulse {
-            0%, 100% { opacity: 1; }
-            50% { opacity: 0.5; }
-        }
-        .tiny-speechtotext-preview.listening .tiny-speechtotext-preview-header {
-            animation: pulse 2s infinite;
-        }
-    `;
+    getErrorMessage(error, getLanguageLabel(state.language)).then((message) => {
+        Preview.showError(editor, message, isRetryable(error), getPreviewHandlers(editor));
+        return message;
+    }).catch(() => null);
+};
 
-    if (!document.getElementById('tiny-speechtotext-preview-styles')) {
-        style.id = 'tiny-speechtotext-preview-styles';
-        document.head.appendChild(style);
-    }
+/**
+ * Run a transcript through the post-processing pipeline of the editor.
+ *
+ * This writes spoken numbers in figures, unless disabled in the course, converts
+ * spoken punctuation, unless disabled by the administrator, applies the
+ * replacement rules of the course and, if enabled, starts new sentences after pauses.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} text The transcript
+ * @param {Object} [context] Where the text is dictated: the text before the insertion point and the pause before it
+ * @returns {string} The processed text
+ */
+const processTranscript = (editor, text, context = {}) => {
+    const state = getEditorState(editor);
 
-    // Add to document
-    document.body.appendChild(state.previewContainer);
+    if (!state.pipeline) {
+        state.pipeline = createTranscriptPipeline({
+            numbers: isNumberFormattingEnabled(editor),
+            punctuation: isAutoPunctuationEnabled(editor) ? getPunctuationDictionaries(editor) : null,
+            rules: getReplacementRules(editor),
+            sentencePause: getSentencePause(editor),
+        });
+    }
+    return state.pipeline(text, {...context, language: state.language});
+};
 
-    // Set up close button
-    const closeButton = state.previewContainer.querySelector('.tiny-speechtotext-preview-close');
-    closeButton.addEventListener('click', () => {
-        if (state.listening && state.recognition) {
-            state.recognition.stop();
-            state.listening = false;
+/**
+ * Insert processed text, turning spoken line and paragraph breaks into editor structure.
+ *
+ * Dictated text replaces the selection, spaced and capitalised to fit the text around it.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
+ * @param {string} text The processed text to insert
+ * @param {Object[]} [uncertain] The parts of the text to mark as uncertain, see findUncertainPart()
+ */
+const insertText = (editor, state, text, uncertain = []) => {
+    let offset = 0;
+
+    text.split(/(\n+)/).forEach((piece) => {
+        const pieceStart = offset;
+        offset += piece.length;
+
+        if (piece.startsWith('\n')) {
+            // A single newline is a line break, more start a new paragraph (or list item)
+            editor.undoManager.transact(() => {
+                editor.execCommand(piece.length > 1 ? 'mceInsertNewLine' : 'InsertLineBreak');
+            });
+            return;
         }
-        hidePreview(editor);
-    });
 
-    // Load and set the title
-    getString('previewtitle', component).then((str) => {
-        const titleElement = state.previewContainer.querySelector('.tiny-speechtotext-preview-title');
-        if (titleElement) {
-            titleElement.textContent = str;
-        }
-        return str;
-    }).catch(() => {
-        const titleElement = state.previewContainer.querySelector('.tiny-speechtotext-preview-title');
-        if (titleElement) {
-            titleElement.textContent = 'Speech Preview';
+        const textToInsert = fitToContext(piece, getSelectionContext(editor, editor.selection.getRng()));
+        if (!textToInsert) {
+            return;
         }
-    });
 
-    // Add listening class
-    state.previewContainer.classList.add('listening');
+        // Move the uncertain parts of the piece to the trimmed and spaced text
+        const shift = (textToInsert.length - textToInsert.trimStart().length)
+            - (pieceStart + piece.length - piece.trimStart().length);
+        const parts = uncertain
+            .filter(({start, end}) => start >= pieceStart && end <= offset)
+            .map((part) => ({...part, start: part.start + shift, end: part.end + shift}));
+
+        // Insert into editor, remembering the chunk for "scratch that"
+        insertChunk(editor, state.chunks, getMarkedHtml(editor, textToInsert, parts), (range) => {
+            applyInlineFormats(editor, state.formats, range);
+        });
+    });
 };
 
 /**
- * Hide and remove the preview container.
+ * Insert the formula spoken in math mode as LaTeX, and leave math mode.
  *
  * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
  */
-const hidePreview = (editor) => {
-    const state = getEditorState(editor);
-
-    if (state.previewContainer) {
-        state.previewContainer.remove();
-        state.previewContainer = null;
+const insertFormula = (editor, state) => {
+    const spoken = state.math.join(' ');
+    const latex = toLatex(spoken, state.language);
+    state.math = null;
+
+    if (latex) {
+        recordPhrase(editor, spoken, latex);
+        const textToInsert = fitToContext(latex, getSelectionContext(editor, editor.selection.getRng()));
+        insertChunk(editor, state.chunks, editor.dom.encode(textToInsert));
     }
 };
 
 /**
- * Check if text should be capitalized based on editor content.
+ * Start or end math mode, in which dictation is collected as a formula.
  *
- * @param {string} editorContent Current editor content
- * @param {string} textToInsert Text that will be inserted
- * @returns {boolean} True if text should be capitalized
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
+ * @param {boolean} enable Whether to start math mode
  */
-const shouldCapitalizeText = (editorContent, textToInsert) => {
-    // Don't capitalize if editor is empty or text doesn't start with lowercase letter
-    if (editorContent.length === 0 || !/^[a-z]/.test(textToInsert)) {
-        return false;
+const setMathMode = (editor, state, enable) => {
+    if (enable === Boolean(state.math)) {
+        return;
     }
 
-    // Capitalize if previous content ended with sentence-ending punctuation
-    return /[.!?]\s*$/.test(editorContent.trim());
+    if (enable) {
+        state.math = [];
+    } else {
+        insertFormula(editor, state);
+    }
+    getString(enable ? 'mathstarted' : 'mathended', component).then((message) => {
+        announce(message);
+        return message;
+    }).catch(() => null);
 };
 
 /**
- * Check if spacing is needed before new text.
+ * Read text of the editor aloud in the dictation language.
+ *
+ * Dictation pauses while reading, so that it does not take down what is read.
  *
- * @param {string} editorContent Current editor content
- * @param {string} textToInsert Text that will be inserted
- * @returns {boolean} True if space is needed
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} target What to read: 'selection', 'sentence', 'last' (dictated text) or 'document'
  */
-const needsSpaceBefore = (editorContent, textToInsert) => {
-    if (editorContent.length === 0) {
-        return false;
-    }
-
-    // No space if editor content ends with space or newline
-    if (editorContent.endsWith(' ') || editorContent.endsWith('\n')) {
-        return false;
+const readBack = (editor, target) => {
+    const state = getEditorState(editor);
+    const range = isReadAloudSupported() ? getReadingRange(editor, target, getLastChunkRange(editor, state.chunks)) : null;
+    if (!range) {
+        return;
     }
 
-    // No space if new text starts with punctuation
-    if (/^[.,!?;:)\]]/.test(textToInsert)) {
-        return false;
+    const resume = state.listening;
+    if (resume) {
+        stopListening(editor);
     }
-
-    return true;
+    readAloud(editor, range, state.language, getReadAloudRate(editor)).then((completed) => {
+        if (completed && resume) {
+            startListening(editor);
+        }
+        return completed;
+    }).catch(() => null);
 };
 
 /**
- * Prepare text for insertion into editor.
+ * Handle the read aloud button action: stop reading, or read the selection or else everything.
  *
  * @param {Editor} editor The TinyMCE editor instance
- * @param {string} text The processed text to insert
- * @returns {string} The final text ready for insertion
  */
-const prepareTextForInsertion = (editor, text) => {
-    const currentContent = editor.getContent({format: 'text'});
-
-    let finalText = text;
-
-    // Apply capitalization if needed
-    if (shouldCapitalizeText(currentContent, finalText)) {
-        finalText = capitalizeWord(finalText);
+const handleReadAction = (editor) => {
+    if (isReading(editor)) {
+        stopReading();
+    } else {
+        readBack(editor, editor.selection.isCollapsed() ? 'document' : 'selection');
     }
+};
 
-    // Add spacing if needed
-    if (needsSpaceBefore(currentContent, finalText)) {
-        finalText = ' ' + finalText;
-    }
+/**
+ * Register the read aloud button and menu item.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} buttonText The button title
+ * @param {Object} targetTexts The menu item titles, by reading target
+ * @param {Object} buttonImage The button icon
+ */
+const registerReadAloud = (editor, buttonText, targetTexts, buttonImage) => {
+    const targets = Object.keys(readingTargets);
+
+    addHighlightStyle(editor);
+    editor.ui.registry.addIcon(readAloudIcon, buttonImage.html);
+
+    editor.ui.registry.addSplitButton(readAloudButtonName, {
+        icon: readAloudIcon,
+        tooltip: buttonText,
+        onAction: () => handleReadAction(editor),
+        onItemAction: (api, target) => readBack(editor, target),
+        fetch: (callback) => {
+            callback(targets.map((target) => ({type: 'choiceitem', value: target, text: targetTexts[target]})));
+        },
+        onSetup: (api) => {
+            const events = `${eventTypes.readingStarted} ${eventTypes.readingStopped}`;
+            const updateState = () => {
+                api.setActive(isReading(editor));
+            };
+
+            updateState();
+            editor.on(events, updateState);
+
+            return () => {
+                editor.off(events, updateState);
+            };
+        }
+    });
 
-    return finalText;
+    editor.ui.registry.addNestedMenuItem(readAloudButtonName, {
+        icon: readAloudIcon,
+        text: buttonText,
+        getSubmenuItems: () => targets.map((target) => ({
+            type: 'menuitem',
+            text: targetTexts[target],
+            onAction: () => readBack(editor, target),
+        })),
+    });
 };
 
 /**
@@ -418,18 +633,50 @@ const handleFinalTranscript = (editor, state) => {
         return;
     }
 
-    // Process text with punctuation conversion
-    const processedText = processTextWithPunctuation(state.finalTranscript);
+    const command = matchCommand(state.finalTranscript, state.language);
+
+    // Only the first dictated text follows the pause, later segments follow formatting commands
+    let pause = state.pause;
+    state.pause = 0;
 
-    // Prepare text with proper spacing and capitalization
-    const textToInsert = prepareTextForInsertion(editor, processedText);
+    // Hypotheses of an uncertain phrase, which only match the text without formatting commands
+    const segments = command ? [] : splitFormatting(state.finalTranscript, state.language);
+    const hypotheses = segments.length === 1 ? state.uncertain : null;
+    state.uncertain = null;
 
-    // Insert into editor
-    editor.insertContent(textToInsert);
+    if (command === 'readBack' || command === 'readAll') {
+        // Spoken request to hear the text
+        readBack(editor, command === 'readAll' ? 'document' : 'last');
+    } else if (command) {
+        // Spoken editing command rather than dictation
+        executeCommand(editor, command, state.chunks);
+    } else {
+        segments.forEach((segment) => {
+            if (segment.format && segment.format.math !== undefined) {
+                // "start math" or "end math"
+                setMathMode(editor, state, segment.format.math);
+            } else if (segment.format) {
+                // Spoken formatting command between dictated text
+                applyFormatting(editor, state.formats, segment.format);
+            } else if (state.math) {
+                // Part of a formula, inserted once math mode ends
+                state.math.push(segment.text);
+            } else {
+                // Process text with punctuation conversion
+                const {before} = getSelectionContext(editor, editor.selection.getRng());
+                const text = processTranscript(editor, segment.text, {before, pause});
+                const uncertain = hypotheses && findUncertainPart(text, hypotheses.slice(1).map(
+                    (hypothesis) => processTranscript(editor, hypothesis, {before, pause})
+                ));
+                pause = 0;
+                recordPhrase(editor, segment.text, text);
+                insertText(editor, state, text, uncertain ? [uncertain] : []);
+            }
+        });
+    }
 
     // Reset state
     state.finalTranscript = '';
-    updatePreview(editor, '');
 };
 
 /**
@@ -441,92 +688,328 @@ const handleFinalTranscript = (editor, state) => {
  */
 const handleRecognitionResult = (editor, state, event) => {
     let interimTranscript = '';
+    let confidence = 1;
+    const finalAlternatives = [];
+
+    // Speech was heard, so the silence timeout starts again
+    startSilenceTimer(editor, state);
 
     // Collect interim and final results
     for (let i = event.resultIndex; i < event.results.length; ++i) {
         const transcript = event.results[i][0].transcript;
         if (event.results[i].isFinal) {
             state.finalTranscript += transcript + ' ';
+            finalAlternatives.push(Array.from(event.results[i], (alternative) => alternative.transcript));
+            if (event.results[i][0].confidence > 0) {
+                // Recognizers not scoring their results report a confidence of 0
+                confidence = Math.min(confidence, event.results[i][0].confidence);
+            }
         } else {
             interimTranscript += transcript;
         }
     }
 
-    // Update preview with interim results
+    // Time the pauses between utterances, where the recognizer allows
+    const pause = trackPauses(state.pauses, state.recognition, finalAlternatives.length > 0, interimTranscript !== '', Date.now());
+    if (finalAlternatives.length) {
+        state.pause = pause;
+    }
+
+    // Let the preview and other subscribers follow the interim results
     if (interimTranscript) {
-        updatePreview(editor, interimTranscript);
+        notifyResult(editor, interimTranscript, false);
     }
 
+    // Keep the hypotheses of a single uncertain phrase, to mark the words they disagree on
+    state.uncertain = finalAlternatives.length === 1 && confidence < getConfidenceThreshold(editor)
+        ? finalAlternatives[0] : null;
+
     // Handle final transcript
-    handleFinalTranscript(editor, state);
+    if (state.finalTranscript) {
+        notifyResult(editor, state.finalTranscript.trim(), true);
+        if (isReviewModeEnabled(editor) && !matchCommand(state.finalTranscript, state.language)) {
+            finalAlternatives.forEach((alternatives) => reviewPhrase(editor, alternatives));
+            state.finalTranscript = '';
+        } else {
+            handleFinalTranscript(editor, state);
+        }
+    }
+};
+
+/**
+ * Add a recognised phrase to the preview for review, rather than inserting it.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string[]} alternatives The transcripts of the phrase, most likely first
+ */
+const reviewPhrase = (editor, alternatives) => {
+    const processed = alternatives.map((alternative) => processTranscript(editor, alternative)).filter((text) => text);
+    if (processed.length) {
+        Preview.addPhrase(editor, [...new Set(processed)], getPreviewHandlers(editor));
+    }
 };
 
 /**
- * Update the preview with interim text.
+ * Show recognised text in the preview.
  *
  * @param {Editor} editor The TinyMCE editor instance
- * @param {string} text The interim text to display
+ * @param {string} text The recognised text
+ * @param {boolean} isFinal Whether the text is final
+ */
+const updatePreview = (editor, text, isFinal) => {
+    if (isFinal && isReviewModeEnabled(editor)) {
+        // Final text is listed for review instead
+        Preview.setText(editor, '', false);
+        return;
+    }
+    Preview.setText(editor, processTranscript(editor, text), isFinal);
+};
+
+/**
+ * Get a human readable name for a recognition language.
+ *
+ * @param {string} language The language tag
+ * @returns {string} The language name, or the tag if it cannot be resolved
  */
-const updatePreview = (editor, text) => {
+const getLanguageLabel = (language) => {
+    try {
+        const displayNames = new Intl.DisplayNames([document.documentElement.lang || 'en'], {type: 'language'});
+        return displayNames.of(language) || language;
+    } catch (e) {
+        return language;
+    }
+};
+
+/**
+ * Change the recognition language of an editor.
+ *
+ * If dictation is in progress the recognizer is stopped and restarted with the
+ * new language once it has delivered its pending results. The choice is
+ * remembered for the editors the user opens next.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} language The language tag
+ */
+const setLanguage = (editor, language) => {
     const state = getEditorState(editor);
 
-    if (state.previewContainer) {
-        const textElement = state.previewContainer.querySelector('.tiny-speechtotext-preview-text');
-        if (textElement) {
-            // Process and display text with punctuation conversion
-            textElement.textContent = processTextWithPunctuation(text);
+    setChosenLanguage(language);
+    if (state.language === language) {
+        return;
+    }
+    state.language = language;
+
+    if (!state.recognition) {
+        return;
+    }
+
+    if (state.listening) {
+        // The onend handler picks up the new language and starts again
+        state.restarting = true;
+        state.recognition.stop();
+    } else {
+        state.recognition.lang = language;
+    }
+};
+
+/**
+ * Start (or restart) the timer ending dictation after a period of silence.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
+ */
+const startSilenceTimer = (editor, state) => {
+    clearTimeout(state.silenceTimer);
+
+    const timeout = getSilenceTimeout(editor);
+    if (timeout > 0) {
+        state.silenceTimer = setTimeout(() => {
+            stopListening(editor);
+            showError(editor, 'inactive');
+        }, timeout * 1000);
+    }
+};
+
+/**
+ * Record whether the editor is listening, notifying subscribers of changes.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} state The editor state
+ * @param {boolean} listening Whether dictation is in progress
+ */
+const setListening = (editor, state, listening) => {
+    if (state.listening === listening) {
+        return;
+    }
+
+    state.listening = listening;
+    editor.getContainer().classList.toggle('tiny-speechtotext-dictating', listening);
+    if (listening) {
+        if (isHistoryEnabled(editor)) {
+            startSession(editor, state.language);
         }
+        startAudioRecording(editor, state);
+        notifyListeningStarted(editor, state.language);
+    } else {
+        stopAudioRecording(editor, state);
+        release(editor);
+        notifyListeningStopped(editor);
     }
 };
 
 /**
- * Handle the button action to start/stop speech recognition.
+ * Stop listening on purpose, e.g. from the button or the preview close button.
  *
  * @param {Editor} editor The TinyMCE editor instance
  */
-const handleAction = (editor) => {
+const stopListening = (editor) => {
     const state = getEditorState(editor);
 
-    if (!state.listening) {
-        // Start listening
-        try {
-            if (!state.recognition) {
-                initializeRecognition(editor);
-            }
-            showPreview(editor);
-            state.recognition.start();
-            state.listening = true;
-        } catch (e) {
-            window.console.error('Speech recognition start error:', e);
-            hidePreview(editor);
+    clearTimeout(state.silenceTimer);
+    if (state.listening && state.recognition) {
+        state.restarting = false;
+        // The recording is saved once the recognizer has delivered its last results
+        state.ending = true;
+        state.recognition.stop();
+    }
+    setListening(editor, state, false);
+};
+
+/**
+ * Start listening, stopping dictation in any other editor on the page.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+const startListening = (editor) => {
+    const state = getEditorState(editor);
+
+    try {
+        if (!state.recognition) {
+            initializeRecognition(editor);
+        }
+        activate(editor, () => stopListening(editor));
+        if (isReading(editor)) {
+            // Dictation would take down what is read
+            stopReading();
         }
+        state.formats.clear();
+        state.math = null;
+        state.pauses.reset();
+        state.recognition.lang = state.language;
+        state.recognition.start();
+        state.startedAt = Date.now();
+        state.failedRestarts = 0;
+        setListening(editor, state, true);
+        startSilenceTimer(editor, state);
+    } catch (e) {
+        window.console.error('Speech recognition start error:', e);
+        release(editor);
+        notifyError(editor, 'start-failed');
+    }
+};
+
+/**
+ * Handle the button action to start/stop speech recognition.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+const handleAction = (editor) => {
+    if (!getEditorState(editor).listening) {
+        startListening(editor);
     } else {
-        // Stop listening
-        state.recognition.stop();
-        state.listening = false;
-        hidePreview(editor);
+        stopListening(editor);
     }
 };
 
 /**
- * Initialize the speech recognition.
+ * Handle a choice in the split button menu.
  *
  * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} value The language tag, the follow focus toggle or the history
  */
-const initializeRecognition = (editor) => {
-    // Check if Web Speech API is supported
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-        window.console.warn("Speech API not supported in this browser");
+const handleMenuChoice = (editor, value) => {
+    if (value === followFocusValue) {
+        setFollowingFocus(!isFollowingFocus());
+    } else if (value === historyValue) {
+        showHistory(editor, (text) => insertText(editor, getEditorState(editor), text), getLanguageLabel)
+            .catch(Notification.exception);
+    } else {
+        setLanguage(editor, value);
+    }
+};
+
+/**
+ * Check whether a key event is for one of the keys of a shortcut.
+ *
+ * @param {KeyboardEvent} event The key event
+ * @param {string} shortcut The shortcut in TinyMCE notation, e.g. 'alt+shift+d'
+ * @returns {boolean}
+ */
+const isShortcutKey = (event, shortcut) => shortcut.split('+').some((part) => {
+    if (modifierKeys[part]) {
+        return modifierKeys[part].includes(event.key);
+    }
+    // Compare physical keys, as modifiers such as Alt change the character typed
+    const code = event.code.toLowerCase();
+    return code === part || code === `key${part}` || code === `digit${part}`;
+});
+
+/**
+ * Register the keyboard shortcut toggling dictation, or running it while held in push-to-talk mode.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} description The description of the shortcut
+ */
+const registerShortcut = (editor, description) => {
+    const shortcut = getShortcut(editor);
+    if (!shortcut) {
         return;
     }
 
+    if (!isPushToTalkEnabled(editor)) {
+        editor.addShortcut(shortcut, description, () => handleAction(editor));
+        return;
+    }
+
+    const state = getEditorState(editor);
+    const releaseKeys = () => {
+        if (state.holding) {
+            // Stopping the recognizer delivers the final transcript of what was said
+            state.holding = false;
+            stopListening(editor);
+        }
+    };
+
+    // Key repeats fire the shortcut again while held, so only start once
+    editor.addShortcut(shortcut, description, () => {
+        if (!state.listening) {
+            state.holding = true;
+            startListening(editor);
+        }
+    });
+    editor.on('keyup', (event) => {
+        if (isShortcutKey(event, shortcut)) {
+            releaseKeys();
+        }
+    });
+    editor.on('blur', releaseKeys);
+};
+
+/**
+ * Initialize the speech recognition engine.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+const initializeRecognition = (editor) => {
     const state = getEditorState(editor);
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 
-    state.recognition = new SpeechRecognition();
-    state.recognition.continuous = true;
-    state.recognition.interimResults = true;
-    state.recognition.lang = 'en-US';
+    state.recognition = createEngine(editor);
+    state.recognition.continuous = isContinuous(editor);
+    state.recognition.interimResults = isInterimPreviewEnabled(editor);
+    state.recognition.maxAlternatives = isReviewModeEnabled(editor) || getConfidenceThreshold(editor) > 0 ? reviewAlternatives : 1;
+    state.recognition.hints = getHints(getReplacementRules(editor));
+    state.recognition.lang = state.language;
+    state.recognition.deviceId = getMicrophone();
 
     // Handle speech recognition results
     state.recognition.onresult = (event) => handleRecognitionResult(editor, state, event);
@@ -534,17 +1017,75 @@ const initializeRecognition = (editor) => {
     // Handle errors
     state.recognition.onerror = (event) => {
         window.console.error('Speech recognition error:', event.error);
-        state.listening = false;
-        hidePreview(editor);
+        if (!state.listening) {
+            // Dictation was stopped on purpose, e.g. 'aborted' once the recognizer is stopped
+            return;
+        }
+        if (event.error === 'no-speech' && isKeepAliveEnabled(editor)) {
+            // A pause, not an error: the recognizer is restarted when it ends
+            return;
+        }
+        clearTimeout(state.silenceTimer);
+        state.restarting = false;
+        setListening(editor, state, false);
+        notifyError(editor, event.error);
     };
 
     // Handle end event
     state.recognition.onend = () => {
-        state.listening = false;
-        hidePreview(editor);
+        if (state.restarting) {
+            // Language switch: start again without closing the preview
+            state.restarting = false;
+            if (restartRecognition(state)) {
+                return;
+            }
+        } else if (state.listening && isKeepAliveEnabled(editor)) {
+            // The recognizer ended by itself, e.g. after a pause or its time limit
+            if (Date.now() - state.startedAt < minimumSessionLength) {
+                state.failedRestarts++;
+            } else {
+                state.failedRestarts = 0;
+            }
+            if (state.failedRestarts < maxFailedRestarts && restartRecognition(state)) {
+                return;
+            }
+            clearTimeout(state.silenceTimer);
+            if (state.math) {
+                insertFormula(editor, state);
+            }
+            setListening(editor, state, false);
+            notifyError(editor, 'restart-failed');
+            return;
+        }
+        clearTimeout(state.silenceTimer);
+        if (state.math) {
+            // Dictation ended before "end math"
+            insertFormula(editor, state);
+        }
+        setListening(editor, state, false);
+        state.ending = false;
+        saveRecording(editor, state);
     };
 };
 
+/**
+ * Start the recognizer again within the same dictation session.
+ *
+ * @param {Object} state The editor state
+ * @returns {boolean} Whether the recognizer started
+ */
+const restartRecognition = (state) => {
+    state.recognition.lang = state.language;
+    try {
+        state.recognition.start();
+        state.startedAt = Date.now();
+        return true;
+    } catch (e) {
+        window.console.error('Speech recognition restart error:', e);
+        return false;
+    }
+};
+
 /**
  * Get the setup function for the buttons and menu items.
  *
@@ -553,38 +1094,128 @@ const initializeRecognition = (editor) => {
 export const getSetup = async() => {
     const [
         buttonText,
+        followFocusText,
+        startedText,
+        holdingText,
+        stoppedText,
+        historyText,
+        readAloudText,
+        readSelectionText,
+        readSentenceText,
+        readLastText,
+        readDocumentText,
+        alternativesText,
+        keepText,
+        nextUncertainText,
         buttonImage,
+        readAloudImage,
     ] = await Promise.all([
         getString('buttontitle', component),
+        getString('followfocus', component),
+        getString('dictationstarted', component),
+        getString('dictationstartedholding', component),
+        getString('dictationstopped', component),
+        getString('history', component),
+        getString('readaloud', component),
+        ...Object.values(readingTargets).map((identifier) => getString(identifier, component)),
+        getString('uncertainalternatives', component),
+        getString('uncertainkeep', component),
+        getString('uncertainnext', component),
         getButtonImage(icon, component),
+        getButtonImage('readaloud', component),
     ]);
+    const readingTexts = {
+        selection: readSelectionText,
+        sentence: readSentenceText,
+        last: readLastText,
+        document: readDocumentText,
+    };
+
+    // Keep the browser storage of the user from growing, and from outliving their session.
+    pruneHistories();
+    clearOnLogout();
 
     return (editor) => {
-        // Check if Web Speech API is supported
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            window.console.warn("Speech API not supported in this browser");
+        // Reading aloud only needs speech synthesis
+        if (isReadAloudSupported()) {
+            registerReadAloud(editor, readAloudText, readingTexts, readAloudImage);
+        }
+
+        // Check if the configured recognition engine can run here
+        if (!isAvailable(editor)) {
+            window.console.warn("Speech recognition not supported in this browser");
             return;
         }
 
+        // Show the preview while listening, and keep it open to explain errors.
+        editor.on(eventTypes.listeningStarted, () => handleListeningStarted(editor));
+        editor.on(eventTypes.listeningStopped, () => {
+            stopIndicators(getEditorState(editor));
+            Preview.showStopped(editor);
+        });
+        editor.on(eventTypes.error, ({error}) => showError(editor, error));
+        editor.on(eventTypes.result, ({transcript, isFinal}) => updatePreview(editor, transcript, isFinal));
+
+        // Tell screen reader users when dictation starts and stops.
+        editor.on(eventTypes.listeningStarted, () => announce(getEditorState(editor).holding ? holdingText : startedText));
+        editor.on(eventTypes.listeningStopped, () => announce(stoppedText));
+
+        // Toggle dictation, or hold to dictate, from the keyboard.
+        registerShortcut(editor, buttonText);
+
+        // Review words dictated with low confidence, whose markers are not saved.
+        registerUncertainReview(editor, {alternatives: alternativesText, keep: keepText, next: nextUncertainText});
+
+        // Move dictation to this editor when it gets focus, if the user opted in.
+        editor.on('focus', () => {
+            const activeEditor = getActiveEditor();
+            if (activeEditor && activeEditor !== editor && isFollowingFocus()) {
+                startListening(editor);
+            }
+        });
+
         // Register the icon.
         editor.ui.registry.addIcon(icon, buttonImage.html);
 
-        // Register the toggle button.
-        editor.ui.registry.addToggleButton(buttonName, {
+        // Register the split button, with the recognition languages in its menu.
+        editor.ui.registry.addSplitButton(buttonName, {
             icon: icon,
             tooltip: buttonText,
             onAction: () => handleAction(editor),
+            onItemAction: (api, value) => handleMenuChoice(editor, value),
+            fetch: (callback) => {
+                callback([
+                    ...getLanguages(editor).map((language) => ({
+                        type: 'choiceitem',
+                        value: language,
+                        text: getLanguageLabel(language),
+                    })),
+                    {type: 'separator'},
+                    {type: 'choiceitem', value: followFocusValue, text: followFocusText},
+                    ...(isHistoryEnabled(editor) ? [{type: 'choiceitem', value: historyValue, text: historyText}] : []),
+                ]);
+            },
+            select: (value) => {
+                if (value === followFocusValue) {
+                    return isFollowingFocus();
+                }
+                if (value === historyValue) {
+                    return false;
+                }
+                return value === getEditorState(editor).language;
+            },
             onSetup: (api) => {
-                const state = getEditorState(editor);
+                const events = `${eventTypes.listeningStarted} ${eventTypes.listeningStopped}`;
                 const updateState = () => {
-                    api.setActive(state.listening);
+                    api.setActive(getEditorState(editor).listening);
                 };
 
-                // Update state periodically
-                const interval = setInterval(updateState, 100);
+                // Follow the dictation state
+                updateState();
+                editor.on(events, updateState);
 
                 return () => {
-                    clearInterval(interval);
+                    editor.off(events, updateState);
                 };
             }
         });
@@ -593,6 +1224,7 @@ export const getSetup = async() => {
         editor.ui.registry.addMenuItem(buttonName, {
             icon: icon,
             text: buttonText,
+            shortcut: getShortcut(editor),
             onAction: () => handleAction(editor),
         });
     };
@@ -25,12 +25,16 @@ const component = 'tiny_speechtotext';
 const pluginName = 'tiny_speechtotext/plugin';
 const buttonName = 'tiny_speechtotext';
 const icon = 'icon';
+const readAloudButtonName = 'tiny_speechtotext_readaloud';
+const readAloudIcon = 'tiny_speechtotext_readaloud';
 
 export default {
     component,
     pluginName,
     buttonName,
     icon,
+    readAloudButtonName,
+    readAloudIcon,
 };
 
 export {
@@ -38,4 +42,6 @@ export {
     pluginName,
     buttonName,
     icon,
+    readAloudButtonName,
+    readAloudIcon,
 };
@@ -21,11 +21,11 @@
  * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import {component as buttonName} from './common';
+import {component as buttonName, readAloudButtonName} from './common';
 import {addToolbarButton} from 'editor_tiny/utils';
 
 export const configure = (instanceConfig) => {
     return {
-        toolbar: addToolbarButton(instanceConfig.toolbar, 'content', buttonName),
+        toolbar: addToolbarButton(addToolbarButton(instanceConfig.toolbar, 'content', buttonName), 'content', readAloudButtonName),
     };
 };
@@ -0,0 +1,135 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Base class for recognition engines of the Moodle tiny_speechtotext plugin.
+ *
+ * Engines mirror the part of the Web Speech API SpeechRecognition interface
+ * used by the plugin: the lang, continuous and interimResults properties, the
+ * start/stop/abort methods and the onstart/onresult/onerror/onend handlers.
+ * Result events carry {resultIndex, results}, where each result is a list of
+ * alternatives ({transcript, confidence}) with an isFinal flag; error events
+ * carry {error, message} using the SpeechRecognition error codes.
+ *
+ * @module      tiny_speechtotext/engine/base
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+export default class Engine {
+    /**
+     * Constructor.
+     *
+     * @param {Object} config The engine configuration from the plugin options
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.lang = 'en-US';
+        this.continuous = true;
+        this.interimResults = true;
+        this.maxAlternatives = 1;
+        this.hints = [];
+        this.deviceId = '';
+        this.onstart = null;
+        this.onresult = null;
+        this.onerror = null;
+        this.onend = null;
+    }
+
+    /**
+     * Check whether the engine can run in this browser with this configuration.
+     *
+     * @param {Object} config The engine configuration
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return false;
+    }
+
+    /**
+     * Whether the engine captures the microphone chosen as deviceId, rather than the default one.
+     *
+     * @returns {boolean}
+     */
+    get canSelectMicrophone() {
+        return false;
+    }
+
+    /**
+     * Whether results are finalised when the speaker pauses, rather than at arbitrary points.
+     *
+     * @returns {boolean}
+     */
+    get finalisesAtPauses() {
+        return true;
+    }
+
+    /**
+     * Start recognising speech.
+     */
+    start() {
+        throw new Error('Recognition engines must implement start()');
+    }
+
+    /**
+     * Stop listening, delivering the results of audio already captured.
+     */
+    stop() {
+        throw new Error('Recognition engines must implement stop()');
+    }
+
+    /**
+     * Stop listening and discard any pending results.
+     */
+    abort() {
+        this.stop();
+    }
+
+    /**
+     * Call one of the event handlers, if set.
+     *
+     * @param {string} type The event type (start, result, error or end)
+     * @param {Object} [event] The event data
+     */
+    dispatch(type, event = {}) {
+        const handler = this[`on${type}`];
+        if (typeof handler === 'function') {
+            handler(event);
+        }
+    }
+
+    /**
+     * Dispatch a single recognition result.
+     *
+     * @param {string} transcript The recognised text
+     * @param {boolean} isFinal Whether the result is final
+     * @param {number} [confidence] The recognition confidence between 0 and 1
+     */
+    dispatchResult(transcript, isFinal, confidence = 1) {
+        const result = [{transcript, confidence}];
+        result.isFinal = isFinal;
+        this.dispatch('result', {resultIndex: 0, results: [result]});
+    }
+
+    /**
+     * Dispatch a recognition error.
+     *
+     * @param {string} error The SpeechRecognition error code
+     * @param {string} [message] Details for the console
+     */
+    dispatchError(error, message = '') {
+        this.dispatch('error', {error, message});
+    }
+}
@@ -0,0 +1,220 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Scripted replay recognition engine for the Moodle tiny_speechtotext plugin.
+ *
+ * Instead of listening, the engine plays a script of recognition events, so
+ * that dictation can be tested without a microphone. It is only used in
+ * automated tests, which set the script as $CFG->tiny_speechtotext_replayscript
+ * or, on Behat sites, as the replayscript setting of the plugin. The script is
+ * a JSON array of steps, each at a time in milliseconds from the start of the script:
+ *
+ *     [
+ *         {"at": 500, "transcript": "hello"},
+ *         {"at": 1000, "transcript": "hello world", "final": true, "confidence": 0.9,
+ *             "alternatives": ["hello word"]},
+ *         {"at": 3000, "error": "network"},
+ *         {"at": 4000, "end": true}
+ *     ]
+ *
+ * Results are interim unless final. An error or end step ends the recognizer,
+ * as the browser recognizer does; starting it again, e.g. to keep dictation
+ * alive, carries on with the next step straight away. Once the whole script has been played
+ * the recognizer waits to be stopped, and starts the script over the next time.
+ *
+ * @module      tiny_speechtotext/engine/replay
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Engine from './base';
+
+/**
+ * Parse a replay script.
+ *
+ * @param {string} script The script as JSON
+ * @returns {Object[]|null} The steps in time order, or null if the script is not valid
+ */
+export const parseScript = (script) => {
+    let steps;
+    try {
+        steps = JSON.parse(script);
+    } catch (e) {
+        return null;
+    }
+
+    if (!Array.isArray(steps) || !steps.every((step) => step && typeof step === 'object')) {
+        return null;
+    }
+    return steps
+        .map((step) => ({...step, at: Math.max(0, Number(step.at) || 0)}))
+        .sort((a, b) => a.at - b.at);
+};
+
+export default class ReplayEngine extends Engine {
+    /**
+     * Check whether a valid replay script is configured.
+     *
+     * @param {Object} config The engine configuration
+     * @returns {boolean}
+     */
+    static isSupported(config) {
+        return Boolean(config && config.script && parseScript(config.script));
+    }
+
+    /**
+     * Constructor.
+     *
+     * @param {Object} config The engine configuration, with the script
+     */
+    constructor(config = {}) {
+        super(config);
+        this.steps = parseScript(config.script || '') || [];
+        this.position = 0;
+        this.active = false;
+        this.stopping = false;
+        this.timers = [];
+    }
+
+    /**
+     * Start playing the script from the next step.
+     */
+    start() {
+        if (this.active) {
+            throw new Error('Recognition has already started');
+        }
+
+        if (this.position >= this.steps.length) {
+            this.position = 0;
+        }
+        this.active = true;
+        this.stopping = false;
+        this.finals = [];
+        this.interim = null;
+
+        // The start event comes first, then the steps at their times relative to the first one of this run
+        const offset = this.position < this.steps.length ? this.steps[this.position].at : 0;
+        this.timers = [setTimeout(() => this.dispatch('start'), 0)];
+        this.steps.slice(this.position).forEach((step) => {
+            this.timers.push(setTimeout(() => {
+                this.position++;
+                this.play(step);
+            }, step.at - offset));
+        });
+    }
+
+    /**
+     * Play one step of the script.
+     *
+     * @param {Object} step The step
+     */
+    play(step) {
+        if (!this.active) {
+            return;
+        }
+
+        if (step.error) {
+            this.dispatchError(step.error, step.message || '');
+            this.finish();
+        } else if (step.end) {
+            this.finish();
+        } else if (typeof step.transcript === 'string') {
+            const isFinal = Boolean(step.final);
+            if (isFinal || this.interimResults) {
+                this.dispatchScriptedResult(step, isFinal);
+            }
+            if (isFinal && !this.continuous) {
+                this.finish();
+            }
+        }
+    }
+
+    /**
+     * Dispatch a scripted result, as part of the results of the session like the browser recognizer does.
+     *
+     * @param {Object} step The result step, with transcript, confidence and alternatives
+     * @param {boolean} isFinal Whether the result is final
+     */
+    dispatchScriptedResult(step, isFinal) {
+        const confidence = step.confidence === undefined ? 1 : Number(step.confidence);
+        const result = [step.transcript, ...(step.alternatives || [])]
+            .slice(0, Math.max(1, this.maxAlternatives))
+            .map((transcript, index) => ({transcript, confidence: index ? 0 : confidence}));
+        result.isFinal = isFinal;
+
+        const resultIndex = this.finals.length;
+        if (isFinal) {
+            this.finals.push(result);
+            this.interim = null;
+        } else {
+            this.interim = result;
+        }
+        this.dispatch('result', {resultIndex, results: this.interim ? [...this.finals, this.interim] : this.finals});
+    }
+
+    /**
+     * Stop playing, delivering the pending interim result as final.
+     */
+    stop() {
+        if (!this.active || this.stopping) {
+            return;
+        }
+        this.stopping = true;
+
+        const interim = this.interim;
+        this.clearTimers();
+        if (interim) {
+            setTimeout(() => {
+                this.dispatchScriptedResult({transcript: interim[0].transcript, confidence: interim[0].confidence}, true);
+                this.finish();
+            }, 0);
+        } else {
+            setTimeout(() => this.finish(), 0);
+        }
+    }
+
+    /**
+     * Stop playing and discard the pending interim result.
+     */
+    abort() {
+        if (!this.active) {
+            return;
+        }
+        this.clearTimers();
+        this.interim = null;
+        setTimeout(() => this.finish(), 0);
+    }
+
+    /**
+     * Cancel the steps still to play.
+     */
+    clearTimers() {
+        this.timers.forEach((timer) => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    /**
+     * End the session.
+     */
+    finish() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+        this.clearTimers();
+        this.dispatch('end');
+    }
+}
@@ -0,0 +1,398 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Speech server recognition engine for the Moodle tiny_speechtotext plugin.
+ *
+ * Microphone audio is sent to a configurable speech server. The transport
+ * depends on the endpoint URL:
+ *
+ * - http(s):// endpoints receive consecutive audio segments recorded with
+ *   MediaRecorder, posted as multipart form data with 'file' and 'language'
+ *   fields, and answer with JSON {text} (the Whisper server / OpenAI
+ *   transcription API convention). All results are final. Recognition hints
+ *   are sent as 'prompt'. Segments are cut when the speaker pauses, so that
+ *   words are not split between them, or once they reach the longest length
+ *   servers transcribe at once; segments without speech are not sent.
+ * - ws(s):// endpoints receive a {config: {sample_rate}} message followed by
+ *   16-bit mono PCM audio, and an {eof: 1} message on stop. They answer with
+ *   JSON {partial} for interim and {text} for final results (the Vosk server
+ *   convention).
+ *
+ * @module      tiny_speechtotext/engine/server
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Engine from './base';
+import {getAudioConstraints, measureLevel} from '../meter';
+
+// Longest audio segment posted to HTTP endpoints, in milliseconds
+const maxSegmentLength = 30000;
+
+// Silence after speech ending an audio segment, in milliseconds
+const segmentPause = 800;
+
+// Input level of speech, between 0 and 1, as measured by the meter (about -42 dBFS)
+const speechLevel = 0.3;
+
+// Interval between input level measurements while recording segments, in milliseconds
+const measureInterval = 100;
+
+// Number of samples per audio buffer streamed to WebSocket endpoints
+const bufferSize = 4096;
+
+/**
+ * Convert floating point audio samples to 16-bit PCM.
+ *
+ * @param {Float32Array} samples The samples, between -1 and 1
+ * @returns {ArrayBuffer} The PCM data
+ */
+const toPcm16 = (samples) => {
+    const pcm = new Int16Array(samples.length);
+    samples.forEach((sample, index) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        pcm[index] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    });
+    return pcm.buffer;
+};
+
+export default class ServerEngine extends Engine {
+    /**
+     * Check whether a speech server is configured and the browser can capture audio.
+     *
+     * @param {Object} config The engine configuration
+     * @returns {boolean}
+     */
+    static isSupported(config) {
+        if (!config || !config.endpoint || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return false;
+        }
+        if (/^wss?:/i.test(config.endpoint)) {
+            return ('WebSocket' in window) && ('AudioContext' in window);
+        }
+        return ('MediaRecorder' in window) && ('fetch' in window);
+    }
+
+    /**
+     * Whether the endpoint streams audio over a WebSocket.
+     *
+     * @returns {boolean}
+     */
+    get streaming() {
+        return /^wss?:/i.test(this.config.endpoint);
+    }
+
+    /**
+     * Whether results are finalised when the speaker pauses. HTTP endpoints only send final results, so the
+     * pauses between segments cannot be told apart from the speech in them.
+     *
+     * @returns {boolean}
+     */
+    get finalisesAtPauses() {
+        return this.streaming;
+    }
+
+    /**
+     * Whether the engine captures the microphone chosen as deviceId.
+     *
+     * @returns {boolean}
+     */
+    get canSelectMicrophone() {
+        return true;
+    }
+
+    /**
+     * Capture the microphone and start sending audio to the server.
+     */
+    start() {
+        if (this.active) {
+            throw new Error('Recognition has already started');
+        }
+
+        this.active = true;
+        this.stopping = false;
+        this.aborted = false;
+
+        navigator.mediaDevices.getUserMedia({audio: getAudioConstraints(this.deviceId)})
+            .then((stream) => {
+                this.stream = stream;
+                if (this.stopping) {
+                    this.finish();
+                    return;
+                }
+
+                if (this.streaming) {
+                    this.startStreaming();
+                } else {
+                    this.startSegments();
+                }
+                this.dispatch('start');
+                return;
+            })
+            .catch((e) => {
+                const denied = e.name === 'NotAllowedError' || e.name === 'SecurityError';
+                this.dispatchError(denied ? 'not-allowed' : 'audio-capture', e.message);
+                this.finish();
+            });
+    }
+
+    /**
+     * Stop capturing; results for audio already captured are still delivered.
+     */
+    stop() {
+        if (!this.active || this.stopping) {
+            return;
+        }
+        this.stopping = true;
+
+        if (!this.stream) {
+            // Still waiting for microphone access, finished once it resolves
+            return;
+        }
+
+        if (this.streaming) {
+            this.stopStreaming();
+        } else {
+            clearInterval(this.levelTimer);
+            this.recorder.stop();
+        }
+    }
+
+    /**
+     * Stop capturing and discard pending results.
+     */
+    abort() {
+        this.aborted = true;
+        if (this.socket) {
+            this.socket.close();
+        }
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.onstop = null;
+            this.recorder.stop();
+        }
+        this.finish();
+    }
+
+    /**
+     * Dispatch a result unless the session was aborted.
+     *
+     * @param {string} transcript The recognised text
+     * @param {boolean} isFinal Whether the result is final
+     */
+    dispatchResult(transcript, isFinal) {
+        if (!this.aborted) {
+            super.dispatchResult(transcript, isFinal);
+        }
+    }
+
+    /**
+     * Start recording audio segments for an HTTP endpoint, measuring the input level to find pauses.
+     */
+    startSegments() {
+        this.pending = Promise.resolve();
+        this.audioContext = new AudioContext();
+
+        const analyser = this.audioContext.createAnalyser();
+        const samples = new Float32Array(analyser.fftSize);
+        this.audioContext.createMediaStreamSource(this.stream).connect(analyser);
+        this.levelTimer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            this.measureSegment(measureLevel(samples), Date.now());
+        }, measureInterval);
+
+        this.recordSegment();
+    }
+
+    /**
+     * Follow the input level of the segment being recorded, and cut it at a pause after speech or at its longest.
+     *
+     * @param {number} level The input level between 0 and 1
+     * @param {number} time The time of the measurement, in milliseconds
+     */
+    measureSegment(level, time) {
+        const segment = this.segment;
+        if (this.recorder.state !== 'recording') {
+            return;
+        }
+
+        if (level >= speechLevel) {
+            segment.heard = true;
+            segment.silentSince = null;
+        } else if (segment.silentSince === null) {
+            segment.silentSince = time;
+        }
+
+        const paused = segment.heard && segment.silentSince !== null && time - segment.silentSince >= segmentPause;
+        if (paused || time - segment.started >= maxSegmentLength) {
+            this.recorder.stop();
+        }
+    }
+
+    /**
+     * Record one audio segment and queue its transcription once complete.
+     */
+    recordSegment() {
+        const recorder = new MediaRecorder(this.stream);
+        const segment = {started: Date.now(), heard: false, silentSince: null};
+        const parts = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) {
+                parts.push(event.data);
+            }
+        };
+        recorder.onstop = () => {
+            const blob = new Blob(parts, {type: recorder.mimeType});
+
+            // Transcribe segments with speech one after the other so results arrive in order
+            if (segment.heard) {
+                this.pending = this.pending.then(() => this.transcribe(blob));
+            }
+
+            if (this.stopping || !this.continuous) {
+                this.pending.then(() => this.finish()).catch(() => this.finish());
+            } else {
+                this.recordSegment();
+            }
+        };
+
+        this.recorder = recorder;
+        this.segment = segment;
+        recorder.start();
+    }
+
+    /**
+     * Post an audio segment to the HTTP endpoint and dispatch its transcript.
+     *
+     * @param {Blob} blob The recorded audio
+     * @returns {Promise}
+     */
+    transcribe(blob) {
+        if (!blob.size || this.aborted) {
+            return Promise.resolve();
+        }
+
+        const body = new FormData();
+        body.append('file', blob, 'speech.' + (blob.type.split(/[/;]/)[1] || 'webm'));
+        body.append('language', this.lang.split('-')[0]);
+        body.append('response_format', 'json');
+        if (this.hints.length) {
+            // Whisper servers take a prompt with the vocabulary to expect
+            body.append('prompt', this.hints.join(', '));
+        }
+
+        return fetch(this.config.endpoint, {method: 'POST', body})
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`Speech server responded with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((data) => {
+                const text = (data.text || '').trim();
+                if (text) {
+                    this.dispatchResult(text, true);
+                }
+                return text;
+            })
+            .catch((e) => this.dispatchError('network', e.message));
+    }
+
+    /**
+     * Stream PCM audio to the WebSocket endpoint.
+     */
+    startStreaming() {
+        this.audioContext = new AudioContext();
+        this.socket = new WebSocket(this.config.endpoint);
+
+        const source = this.audioContext.createMediaStreamSource(this.stream);
+        this.processor = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
+        this.processor.onaudioprocess = (event) => {
+            if (this.socket.readyState === WebSocket.OPEN && !this.stopping) {
+                this.socket.send(toPcm16(event.inputBuffer.getChannelData(0)));
+            }
+        };
+        source.connect(this.processor);
+        this.processor.connect(this.audioContext.destination);
+
+        this.socket.onopen = () => {
+            this.socket.send(JSON.stringify({config: {'sample_rate': this.audioContext.sampleRate}}));
+        };
+        this.socket.onmessage = (event) => {
+            let data = null;
+            try {
+                data = JSON.parse(event.data);
+            } catch (e) {
+                data = null;
+            }
+            if (!data || typeof data !== 'object') {
+                this.dispatchError('network', 'Speech server sent an invalid message');
+                return;
+            }
+
+            if (data.text) {
+                this.dispatchResult(data.text, true);
+                if (!this.continuous) {
+                    this.stop();
+                }
+            } else if (data.partial && this.interimResults) {
+                this.dispatchResult(data.partial, false);
+            }
+        };
+        this.socket.onerror = () => {
+            this.dispatchError('network', 'Speech server connection failed');
+        };
+        this.socket.onclose = () => this.finish();
+    }
+
+    /**
+     * Ask the WebSocket endpoint for its final result; it closes the connection afterwards.
+     */
+    stopStreaming() {
+        this.processor.disconnect();
+
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({eof: 1}));
+        } else {
+            this.socket.close();
+            this.finish();
+        }
+    }
+
+    /**
+     * Release the microphone and end the session.
+     */
+    finish() {
+        if (!this.active) {
+            return;
+        }
+        this.active = false;
+
+        clearInterval(this.levelTimer);
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => null);
+            this.audioContext = null;
+        }
+        this.socket = null;
+        this.recorder = null;
+
+        this.dispatch('end');
+    }
+}
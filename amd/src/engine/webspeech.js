@@ -0,0 +1,95 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Web Speech API recognition engine for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/engine/webspeech
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Engine from './base';
+
+export default class WebSpeechEngine extends Engine {
+    /**
+     * Check whether the browser implements the Web Speech API.
+     *
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return ('webkitSpeechRecognition' in window) || ('SpeechRecognition' in window);
+    }
+
+    /**
+     * Start recognising speech with the browser recognizer.
+     */
+    start() {
+        if (!this.recognition) {
+            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+            this.recognition = new SpeechRecognition();
+            this.recognition.onstart = (event) => this.dispatch('start', event);
+            this.recognition.onresult = (event) => this.dispatch('result', event);
+            this.recognition.onerror = (event) => this.dispatch('error', event);
+            this.recognition.onend = (event) => this.dispatch('end', event);
+        }
+
+        this.recognition.lang = this.lang;
+        this.recognition.continuous = this.continuous;
+        this.recognition.interimResults = this.interimResults;
+        this.recognition.maxAlternatives = this.maxAlternatives;
+        this.setGrammars();
+        this.recognition.start();
+    }
+
+    /**
+     * Give the recognizer the hinted phrases as a grammar, where grammars are supported.
+     */
+    setGrammars() {
+        const SpeechGrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+        if (!SpeechGrammarList || !this.hints.length) {
+            return;
+        }
+
+        // Leave out characters with a meaning in JSGF
+        const phrases = this.hints.map((hint) => hint.replace(/[;|<>*+=()[\]{}/\\"]/g, ' ').trim()).filter((hint) => hint);
+        if (!phrases.length) {
+            return;
+        }
+
+        const grammars = new SpeechGrammarList();
+        grammars.addFromString(`#JSGF V1.0; grammar hints; public <hint> = ${phrases.join(' | ')} ;`, 1);
+        this.recognition.grammars = grammars;
+    }
+
+    /**
+     * Stop listening, delivering the pending results.
+     */
+    stop() {
+        if (this.recognition) {
+            this.recognition.stop();
+        }
+    }
+
+    /**
+     * Stop listening and discard the pending results.
+     */
+    abort() {
+        if (this.recognition) {
+            this.recognition.abort();
+        }
+    }
+}
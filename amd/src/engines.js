@@ -0,0 +1,94 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Recognition engine registry for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/engines
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import WebSpeechEngine from './engine/webspeech';
+import ServerEngine from './engine/server';
+import ReplayEngine from './engine/replay';
+import {getEngine, getReplayScript, getServerEndpoint} from './options';
+
+// Engine classes by admin setting value
+const engines = {
+    webspeech: WebSpeechEngine,
+    server: ServerEngine,
+    replay: ReplayEngine,
+};
+
+/**
+ * Register an additional recognition engine.
+ *
+ * @param {string} name The engine name used in the plugin configuration
+ * @param {Engine} EngineClass The engine class, extending tiny_speechtotext/engine/base
+ */
+export const registerEngine = (name, EngineClass) => {
+    engines[name] = EngineClass;
+};
+
+/**
+ * Get the engine configuration of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Object} The engine configuration
+ */
+const getEngineConfig = (editor) => ({
+    endpoint: getServerEndpoint(editor),
+    script: getReplayScript(editor),
+});
+
+/**
+ * Get the engine class configured for an editor.
+ *
+ * The 'auto' engine uses the browser recognizer where available and the
+ * speech server otherwise.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Engine|null} The engine class, or null if it cannot run in this browser
+ */
+const getEngineClass = (editor) => {
+    const config = getEngineConfig(editor);
+    const name = getEngine(editor);
+    const candidates = name === 'auto' ? [WebSpeechEngine, ServerEngine] : [engines[name] || WebSpeechEngine];
+
+    return candidates.find((EngineClass) => EngineClass.isSupported(config)) || null;
+};
+
+/**
+ * Check whether dictation is available in an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isAvailable = (editor) => getEngineClass(editor) !== null;
+
+/**
+ * Create the recognition engine for an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Engine} The engine
+ */
+export const createEngine = (editor) => {
+    const EngineClass = getEngineClass(editor);
+    if (!EngineClass) {
+        throw new Error('No speech recognition engine is available in this browser');
+    }
+    return new EngineClass(getEngineConfig(editor));
+};
@@ -0,0 +1,70 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Recognition error messages for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/errors
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {get_string as getString} from 'core/str';
+import {component} from './common';
+
+// Lang string, and whether trying again may help, by error code
+const errors = {
+    'not-allowed': {key: 'error:notallowed', retry: false},
+    'service-not-allowed': {key: 'error:notallowed', retry: false},
+    'audio-capture': {key: 'error:audiocapture', retry: true},
+    'network': {key: 'error:network', retry: true},
+    'no-speech': {key: 'error:nospeech', retry: true},
+    'aborted': {key: 'error:aborted', retry: true},
+    'language-not-supported': {key: 'error:languagenotsupported', retry: false},
+    'start-failed': {key: 'error:startfailed', retry: true},
+    'restart-failed': {key: 'error:restartfailed', retry: true},
+    'inactive': {key: 'error:inactive', retry: true},
+};
+
+// Used for codes without a message of their own
+const unknownError = {key: 'error:unknown', retry: true};
+
+/**
+ * Get the description of an error code.
+ *
+ * @param {string} error The SpeechRecognition error code
+ * @returns {Object} The lang string key and whether trying again may help
+ */
+const getError = (error) => errors[error] || unknownError;
+
+/**
+ * Get the message explaining an error to the user.
+ *
+ * @param {string} error The SpeechRecognition error code
+ * @param {string} language The name of the recognition language
+ * @returns {Promise<string>} The localised message
+ */
+export const getErrorMessage = (error, language) => getString(getError(error).key, component, language);
+
+/**
+ * Whether starting dictation again may succeed after an error.
+ *
+ * Errors needing action outside the page, such as allowing microphone access
+ * or choosing another language, are not worth retrying as is.
+ *
+ * @param {string} error The SpeechRecognition error code
+ * @returns {boolean}
+ */
+export const isRetryable = (error) => getError(error).retry;
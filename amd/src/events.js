@@ -0,0 +1,148 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Editor events of the Moodle tiny_speechtotext plugin.
+ *
+ * Other plugins and themes can follow dictation with the TinyMCE event API:
+ *
+ *     editor.on('SpeechToTextStart', (e) => window.console.log(e.language));
+ *
+ * @module      tiny_speechtotext/events
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Events for the tiny_speechtotext plugin.
+ *
+ * @constant
+ * @property {String} listeningStarted See {@link event:SpeechToTextStart}
+ * @property {String} listeningStopped See {@link event:SpeechToTextStop}
+ * @property {String} error See {@link event:SpeechToTextError}
+ * @property {String} result See {@link event:SpeechToTextResult}
+ * @property {String} readingStarted See {@link event:SpeechToTextReadStart}
+ * @property {String} readingStopped See {@link event:SpeechToTextReadStop}
+ */
+export const eventTypes = {
+    /**
+     * Dictation started in the editor.
+     *
+     * @event SpeechToTextStart
+     * @type {Object}
+     * @property {String} language The recognition language tag
+     */
+    listeningStarted: 'SpeechToTextStart',
+
+    /**
+     * Dictation stopped in the editor, on purpose or not.
+     *
+     * @event SpeechToTextStop
+     * @type {Object}
+     */
+    listeningStopped: 'SpeechToTextStop',
+
+    /**
+     * The recognition engine reported an error.
+     *
+     * @event SpeechToTextError
+     * @type {Object}
+     * @property {String} error The SpeechRecognition error code, 'start-failed' if dictation could not start
+     *     or 'restart-failed' if keep-alive could not restart the recognizer
+     */
+    error: 'SpeechToTextError',
+
+    /**
+     * Speech was recognised.
+     *
+     * @event SpeechToTextResult
+     * @type {Object}
+     * @property {String} transcript The interim or final transcript
+     * @property {Boolean} isFinal Whether the transcript is final
+     */
+    result: 'SpeechToTextResult',
+
+    /**
+     * Text of the editor started being read aloud.
+     *
+     * @event SpeechToTextReadStart
+     * @type {Object}
+     * @property {String} language The language tag the text is read in
+     */
+    readingStarted: 'SpeechToTextReadStart',
+
+    /**
+     * Reading aloud ended, finished or not.
+     *
+     * @event SpeechToTextReadStop
+     * @type {Object}
+     * @property {Boolean} completed Whether all the text was read
+     */
+    readingStopped: 'SpeechToTextReadStop',
+};
+
+/**
+ * Trigger an event that dictation started.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} language The recognition language tag
+ * @fires SpeechToTextStart
+ */
+export const notifyListeningStarted = (editor, language) => editor.dispatch(eventTypes.listeningStarted, {language});
+
+/**
+ * Trigger an event that dictation stopped.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @fires SpeechToTextStop
+ */
+export const notifyListeningStopped = (editor) => editor.dispatch(eventTypes.listeningStopped);
+
+/**
+ * Trigger an event that recognition failed.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} error The SpeechRecognition error code
+ * @fires SpeechToTextError
+ */
+export const notifyError = (editor, error) => editor.dispatch(eventTypes.error, {error});
+
+/**
+ * Trigger an event that speech was recognised.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} transcript The interim or final transcript
+ * @param {boolean} isFinal Whether the transcript is final
+ * @fires SpeechToTextResult
+ */
+export const notifyResult = (editor, transcript, isFinal) => editor.dispatch(eventTypes.result, {transcript, isFinal});
+
+/**
+ * Trigger an event that text started being read aloud.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} language The language tag the text is read in
+ * @fires SpeechToTextReadStart
+ */
+export const notifyReadingStarted = (editor, language) => editor.dispatch(eventTypes.readingStarted, {language});
+
+/**
+ * Trigger an event that reading aloud ended.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {boolean} completed Whether all the text was read
+ * @fires SpeechToTextReadStop
+ */
+export const notifyReadingStopped = (editor, completed) => editor.dispatch(eventTypes.readingStopped, {completed});
@@ -0,0 +1,223 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken formatting commands for the Moodle tiny_speechtotext plugin.
+ *
+ * Unlike editing commands, formatting commands may be spoken in the middle of
+ * an utterance ("this is start bold important stop bold").
+ *
+ * @module      tiny_speechtotext/formatting
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getLookup, matchPhrase} from './phrases';
+
+const startBold = {inline: 'bold', enable: true};
+const stopBold = {inline: 'bold', enable: false};
+const startItalic = {inline: 'italic', enable: true};
+const stopItalic = {inline: 'italic', enable: false};
+const startUnderline = {inline: 'underline', enable: true};
+const stopUnderline = {inline: 'underline', enable: false};
+const headingOne = {block: 'h1'};
+const headingTwo = {block: 'h2'};
+const headingThree = {block: 'h3'};
+const normalText = {block: 'p'};
+const bulletList = {command: 'InsertUnorderedList'};
+const numberedList = {command: 'InsertOrderedList'};
+const endList = {command: 'RemoveList'};
+const nextItem = {command: 'mceInsertNewLine'};
+const startMath = {math: true};
+const endMath = {math: false};
+
+// Spoken formatting phrases per language
+const dictionaries = {
+    en: {
+        'start bold': startBold,
+        'bold on': startBold,
+        'stop bold': stopBold,
+        'end bold': stopBold,
+        'bold off': stopBold,
+        'start italic': startItalic,
+        'italic on': startItalic,
+        'stop italic': stopItalic,
+        'end italic': stopItalic,
+        'italic off': stopItalic,
+        'start underline': startUnderline,
+        'stop underline': stopUnderline,
+        'end underline': stopUnderline,
+        'heading one': headingOne,
+        'heading 1': headingOne,
+        'heading two': headingTwo,
+        'heading 2': headingTwo,
+        'heading three': headingThree,
+        'heading 3': headingThree,
+        'normal text': normalText,
+        'bullet list': bulletList,
+        'bulleted list': bulletList,
+        'numbered list': numberedList,
+        'end list': endList,
+        'stop list': endList,
+        'next item': nextItem,
+        'start math': startMath,
+        'math on': startMath,
+        'end math': endMath,
+        'stop math': endMath,
+        'math off': endMath
+    },
+    fr: {
+        'début gras': startBold,
+        'fin gras': stopBold,
+        'début italique': startItalic,
+        'fin italique': stopItalic,
+        'début souligné': startUnderline,
+        'fin souligné': stopUnderline,
+        'titre un': headingOne,
+        'titre 1': headingOne,
+        'titre deux': headingTwo,
+        'titre 2': headingTwo,
+        'titre trois': headingThree,
+        'titre 3': headingThree,
+        'texte normal': normalText,
+        'liste à puces': bulletList,
+        'liste numérotée': numberedList,
+        'fin de liste': endList,
+        'élément suivant': nextItem,
+        'début maths': startMath,
+        'fin maths': endMath
+    },
+    es: {
+        'empezar negrita': startBold,
+        'terminar negrita': stopBold,
+        'empezar cursiva': startItalic,
+        'terminar cursiva': stopItalic,
+        'empezar subrayado': startUnderline,
+        'terminar subrayado': stopUnderline,
+        'título uno': headingOne,
+        'título 1': headingOne,
+        'título dos': headingTwo,
+        'título 2': headingTwo,
+        'título tres': headingThree,
+        'título 3': headingThree,
+        'texto normal': normalText,
+        'lista con viñetas': bulletList,
+        'lista numerada': numberedList,
+        'terminar lista': endList,
+        'siguiente elemento': nextItem,
+        'empezar matemáticas': startMath,
+        'terminar matemáticas': endMath
+    }
+};
+
+// Lookup tables built from the dictionaries, keyed by dictionary language
+const lookups = new Map();
+
+/**
+ * Register or replace the spoken formatting phrases of a language.
+ *
+ * @param {string} language The language tag or primary language subtag
+ * @param {Object} dictionary Map of spoken phrases to formatting commands
+ */
+export const registerFormatting = (language, dictionary) => {
+    const key = language.toLowerCase();
+    dictionaries[key] = dictionary;
+    lookups.delete(key);
+};
+
+/**
+ * Split an utterance into dictated text and formatting commands.
+ *
+ * @param {string} text The utterance
+ * @param {string} language The recognition language tag
+ * @returns {Array} Segments of {text} or {format}, in spoken order
+ */
+export const splitFormatting = (text, language) => {
+    const lookup = getLookup(dictionaries, lookups, language);
+    const words = (text || '').trim().split(/\s+/).filter((word) => word.length);
+    const segments = [];
+    let pending = [];
+    let i = 0;
+
+    const flush = () => {
+        if (pending.length) {
+            segments.push({text: pending.join(' ')});
+            pending = [];
+        }
+    };
+
+    while (i < words.length) {
+        const match = matchPhrase(words, i, lookup);
+
+        if (match) {
+            flush();
+            segments.push({format: match.value});
+            i += match.wordsConsumed;
+        } else {
+            pending.push(words[i]);
+            i++;
+        }
+    }
+    flush();
+
+    return segments;
+};
+
+/**
+ * Apply a spoken formatting command to the editor.
+ *
+ * Inline formats are not applied immediately: they are added to or removed
+ * from the set of active formats, which is applied to subsequently dictated text.
+ * Math mode commands ({math}) are handled by the caller.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Set} activeFormats The inline formats active for dictation
+ * @param {Object} format The formatting command from splitFormatting
+ */
+export const applyFormatting = (editor, activeFormats, format) => {
+    if (format.inline) {
+        if (format.enable) {
+            activeFormats.add(format.inline);
+        } else {
+            activeFormats.delete(format.inline);
+        }
+        return;
+    }
+
+    editor.undoManager.transact(() => {
+        if (format.block) {
+            editor.execCommand('FormatBlock', false, format.block);
+        } else {
+            editor.execCommand(format.command);
+        }
+    });
+};
+
+/**
+ * Apply the active inline formats to a range of dictated content.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Set} activeFormats The inline formats active for dictation
+ * @param {Range} range The range of dictated content
+ */
+export const applyInlineFormats = (editor, activeFormats, range) => {
+    if (!activeFormats.size || range.collapsed) {
+        return;
+    }
+
+    editor.selection.setRng(range);
+    activeFormats.forEach((name) => editor.formatter.apply(name));
+    editor.selection.collapse(false);
+};
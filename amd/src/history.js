@@ -0,0 +1,157 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Dictation history of the Moodle tiny_speechtotext plugin.
+ *
+ * Recent dictation sessions are kept in the browser, so that dictated text
+ * can be recovered after the page was left or reloaded. Each session lists
+ * what was heard and what was inserted. Nothing is sent to the server: the
+ * history is kept in the browser storage of the user, per editor field and
+ * context, for a week at most and for a limited number of fields, and can be
+ * cleared by the user at any time.
+ *
+ * @module      tiny_speechtotext/history
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getContextId} from 'editor_tiny/options';
+import * as Storage from './storage';
+
+// Number of sessions kept per editor
+const maxSessions = 10;
+
+// Number of phrases kept per session
+const maxPhrases = 200;
+
+// Time after which sessions are forgotten, in milliseconds
+const maxAge = 7 * 24 * 60 * 60 * 1000;
+
+// Number of editors whose history is kept, the most recently used first
+const maxEditors = 50;
+
+// The session in progress in each editor
+const currentSessions = new WeakMap();
+
+/**
+ * Get the storage key of the history of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string}
+ */
+const getKey = (editor) => `history/${getContextId(editor)}/${editor.getElement().id || editor.id}`;
+
+/**
+ * Get the stored sessions of a history, forgetting those too old.
+ *
+ * @param {string} key The storage key of the history
+ * @returns {Object[]} The recent sessions, most recent first
+ */
+const readSessions = (key) => {
+    let sessions = [];
+    try {
+        sessions = JSON.parse(Storage.get(key) || '[]');
+    } catch (e) {
+        return [];
+    }
+
+    const oldest = Date.now() - maxAge;
+    return Array.isArray(sessions) ? sessions.filter((session) => session.started > oldest) : [];
+};
+
+/**
+ * Get the recent dictation sessions of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Object[]} The sessions {started, language, phrases}, most recent first, where
+ *     phrases are {time, heard, text} in the order dictated
+ */
+export const getSessions = (editor) => readSessions(getKey(editor));
+
+/**
+ * Remove the sessions that are too old from the browser storage.
+ *
+ * The history of an editor with no recent session is removed, as are the histories of
+ * the least recently used editors beyond the number kept.
+ */
+export const pruneHistories = () => {
+    const histories = Storage.getKeys('history/').map((key) => {
+        const sessions = readSessions(key);
+        return {key, sessions, latest: Math.max(0, ...sessions.map((session) => session.started))};
+    });
+
+    histories.sort((a, b) => b.latest - a.latest).forEach(({key, sessions}, index) => {
+        if (!sessions.length || index >= maxEditors) {
+            Storage.remove(key);
+        } else {
+            Storage.set(key, JSON.stringify(sessions));
+        }
+    });
+};
+
+/**
+ * Start recording a dictation session.
+ *
+ * The session is only stored once a phrase is recorded.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} language The recognition language tag
+ */
+export const startSession = (editor, language) => {
+    currentSessions.set(editor, {started: Date.now(), language, phrases: []});
+};
+
+/**
+ * Record a phrase of the session in progress.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} heard The text as recognised
+ * @param {string} text The text as inserted
+ */
+export const recordPhrase = (editor, heard, text) => {
+    const current = currentSessions.get(editor);
+    if (!current || !text) {
+        return;
+    }
+
+    const sessions = getSessions(editor).filter((session) => session.started !== current.started);
+    current.phrases = [...current.phrases, {time: Date.now(), heard, text}].slice(-maxPhrases);
+    sessions.unshift(current);
+    Storage.set(getKey(editor), JSON.stringify(sessions.slice(0, maxSessions)));
+};
+
+/**
+ * Forget the dictation history of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const clearHistory = (editor) => {
+    const current = currentSessions.get(editor);
+    if (current) {
+        // Phrases dictated from now on start a new session
+        currentSessions.set(editor, {...current, started: Date.now(), phrases: []});
+    }
+    Storage.remove(getKey(editor));
+};
+
+/**
+ * Get the text inserted during a session.
+ *
+ * @param {Object} session The session from getSessions()
+ * @returns {string} The text, with line breaks as dictated
+ */
+export const getSessionText = (session) => session.phrases.map((phrase) => phrase.text).join(' ')
+    .replace(/ *\n */g, '\n');
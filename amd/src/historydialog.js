@@ -0,0 +1,109 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Dictation history dialogue of the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/historydialog
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalFactory from 'core/modal_factory';
+import ModalEvents from 'core/modal_events';
+import Notification from 'core/notification';
+import Templates from 'core/templates';
+import {add as addToast} from 'core/toast';
+import {get_string as getString} from 'core/str';
+import {component} from './common';
+import {clearHistory, getSessionText, getSessions} from './history';
+
+/**
+ * Get the template context listing the sessions of an editor.
+ *
+ * @param {Object[]} sessions The sessions from getSessions()
+ * @param {function} getLanguageLabel Gets the name of a recognition language
+ * @returns {Object} The context of the tiny_speechtotext/history template
+ */
+const getContext = (sessions, getLanguageLabel) => {
+    const dateFormat = new Intl.DateTimeFormat(document.documentElement.lang || undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+    });
+
+    return {
+        sessions: sessions.map((session, index) => ({
+            index,
+            heading: `${dateFormat.format(new Date(session.started))} (${getLanguageLabel(session.language)})`,
+            phrases: session.phrases.map(({text, heard}) => ({text, heard, changed: heard !== text})),
+        })),
+        hassessions: sessions.length > 0,
+    };
+};
+
+/**
+ * Copy the text of a session to the clipboard.
+ *
+ * @param {Object} session The session
+ * @returns {Promise}
+ */
+const copySession = (session) => navigator.clipboard.writeText(getSessionText(session))
+    .then(() => getString('copied', component))
+    .then((message) => addToast(message));
+
+/**
+ * Show the dictation history of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {function} insert Called with the text of a session to insert it in the editor
+ * @param {function} getLanguageLabel Gets the name of a recognition language
+ * @returns {Promise}
+ */
+export const showHistory = async(editor, insert, getLanguageLabel) => {
+    const sessions = getSessions(editor);
+    const modal = await ModalFactory.create({
+        title: getString('history', component),
+        body: Templates.render(`${component}/history`, getContext(sessions, getLanguageLabel)),
+        large: true,
+        removeOnClose: true,
+    });
+
+    modal.getRoot()[0].addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            return;
+        }
+        const session = sessions[button.dataset.session];
+
+        switch (button.dataset.action) {
+            case 'insert':
+                modal.hide();
+                editor.focus();
+                insert(getSessionText(session));
+                break;
+            case 'copy':
+                copySession(session).catch(Notification.exception);
+                break;
+            case 'clear':
+                clearHistory(editor);
+                modal.setBody(Templates.render(`${component}/history`, getContext([], getLanguageLabel)));
+                break;
+        }
+    });
+    modal.getRoot().on(ModalEvents.hidden, () => editor.focus());
+    modal.show();
+
+    return modal;
+};
@@ -0,0 +1,126 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Fitting dictated text to its surroundings for the Moodle tiny_speechtotext plugin.
+ *
+ * Spacing and capitalisation depend only on the text of the block (paragraph,
+ * list item, table cell...) around the selection, so they are right wherever
+ * the caret is, and do not get slower as the document grows.
+ *
+ * @module      tiny_speechtotext/insertion
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {capitalizeWord} from './punctuation';
+
+// Zero width characters TinyMCE leaves around the caret, e.g. next to inline formatting
+const caretCharacters = /[\u200B\uFEFF]/g;
+
+// Text ending with these is directly followed by the next word
+const openingPunctuation = /[([¿¡«]$/;
+
+// Text starting with these directly follows the previous word
+const closingPunctuation = /^[.,!?;:)\]»…।]/;
+
+// Trimmed text ending with these is followed by a new sentence
+const sentenceEnding = /[.!?…।]$/;
+
+/**
+ * Get the text of a range, with line breaks as newlines.
+ *
+ * @param {Range} range The range
+ * @returns {string} The text
+ */
+export const getRangeText = (range) => {
+    const fragment = range.cloneContents();
+    const walker = range.startContainer.ownerDocument.createTreeWalker(
+        fragment,
+        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT
+    );
+
+    let text = '';
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.TEXT_NODE) {
+            text += node.data;
+        } else if (node.nodeName === 'BR') {
+            text += '\n';
+        } else if (node.nodeName === 'IMG') {
+            // Images stand in for a word
+            text += '\uFFFC';
+        }
+    }
+
+    return text.replace(caretCharacters, '').replace(/\u00A0/g, ' ');
+};
+
+/**
+ * Get the text before and after a selection within its blocks.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range} range The selection range
+ * @returns {Object} The text before the start and after the end of the selection
+ */
+export const getSelectionContext = (editor, range) => {
+    const dom = editor.dom;
+    const startBlock = dom.getParent(range.startContainer, dom.isBlock) || editor.getBody();
+    const endBlock = dom.getParent(range.endContainer, dom.isBlock) || editor.getBody();
+
+    const before = dom.createRng();
+    before.setStart(startBlock, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+
+    const after = dom.createRng();
+    after.setStart(range.endContainer, range.endOffset);
+    after.setEnd(endBlock, endBlock.childNodes.length);
+
+    return {
+        before: getRangeText(before),
+        after: getRangeText(after),
+    };
+};
+
+/**
+ * Add spacing and capitalisation to text for insertion between the given text.
+ *
+ * @param {string} text The text to insert
+ * @param {Object} context The text before and after the insertion point
+ * @param {string} context.before The text before, within the same block
+ * @param {string} context.after The text after, within the same block
+ * @returns {string} The text to insert
+ */
+export const fitToContext = (text, {before, after}) => {
+    let result = text.trim();
+    if (!result) {
+        return result;
+    }
+
+    const preceding = before.trim();
+    if (preceding === '' || sentenceEnding.test(preceding)) {
+        result = capitalizeWord(result);
+    }
+
+    if (before !== '' && !/\s$/.test(before) && !openingPunctuation.test(before) && !closingPunctuation.test(result)) {
+        result = ' ' + result;
+    }
+
+    if (after !== '' && !/^\s/.test(after) && !closingPunctuation.test(after) && !openingPunctuation.test(result)) {
+        result += ' ';
+    }
+
+    return result;
+};
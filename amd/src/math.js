@@ -0,0 +1,675 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken mathematics for the Moodle tiny_speechtotext plugin.
+ *
+ * Formulas spoken in math mode, such as "x squared plus two x over three",
+ * are converted to LaTeX between \( and \) delimiters, for the MathJax filter
+ * to render. Precedence follows how formulas are read aloud: "over" binds
+ * more loosely than juxtaposition and "times", and more tightly than "plus",
+ * while "all over" divides the whole sum before it. Roots take the sum that
+ * follows them, up to "all over", a relation or a spoken "end root"; spoken
+ * parentheses group anything. Numbers followed by a fraction word, such as
+ * "two thirds", are written as fractions. Other words are written as text.
+ *
+ * @module      tiny_speechtotext/math
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getLookup, matchPhrase} from './phrases';
+import {parseSpokenNumber} from './numbers';
+
+const plus = {op: '+'};
+const minus = {op: '-'};
+const plusMinus = {op: '\\pm'};
+const times = {op: '\\cdot'};
+const over = {over: true};
+const allOver = {allOver: true};
+const equals = {relation: '='};
+const lessThan = {relation: '<'};
+const greaterThan = {relation: '>'};
+const lessOrEqual = {relation: '\\leq'};
+const greaterOrEqual = {relation: '\\geq'};
+const notEqual = {relation: '\\neq'};
+const approximately = {relation: '\\approx'};
+const squared = {power: '2'};
+const cubed = {power: '3'};
+const raise = {raise: true};
+const subscript = {subscript: true};
+const squareRoot = {root: 2};
+const cubeRoot = {root: 3};
+const endRoot = {endRoot: true};
+const open = {open: true};
+const close = {close: true};
+const capital = {capital: true};
+const filler = {filler: true};
+const application = {filler: true, application: true};
+
+/**
+ * Create the tokens of the words naming fractions, such as "half" in "one half".
+ *
+ * @param {Object} words The singular and plural words, by denominator
+ * @returns {Object} The tokens by word
+ */
+const createFractionWords = (words) => Object.fromEntries(Object.entries(words)
+    .flatMap(([denominator, names]) => names.map((name) => [name, {denominator: Number(denominator)}])));
+
+// Greek letters, spelt the same way in most languages
+const greekLetters = {
+    'alpha': {symbol: '\\alpha'},
+    'beta': {symbol: '\\beta'},
+    'gamma': {symbol: '\\gamma'},
+    'delta': {symbol: '\\delta'},
+    'epsilon': {symbol: '\\epsilon'},
+    'theta': {symbol: '\\theta'},
+    'lambda': {symbol: '\\lambda'},
+    'mu': {symbol: '\\mu'},
+    'pi': {symbol: '\\pi'},
+    'rho': {symbol: '\\rho'},
+    'sigma': {symbol: '\\sigma'},
+    'tau': {symbol: '\\tau'},
+    'phi': {symbol: '\\phi'},
+    'omega': {symbol: '\\omega'},
+};
+
+// Spoken mathematics phrases per language
+const dictionaries = {
+    en: {
+        ...greekLetters,
+        ...createFractionWords({
+            2: ['half', 'halves'],
+            3: ['third', 'thirds'],
+            4: ['quarter', 'quarters', 'fourth', 'fourths'],
+            5: ['fifth', 'fifths'],
+            6: ['sixth', 'sixths'],
+            7: ['seventh', 'sevenths'],
+            8: ['eighth', 'eighths'],
+            9: ['ninth', 'ninths'],
+            10: ['tenth', 'tenths'],
+        }),
+        'plus': plus,
+        'minus': minus,
+        'negative': minus,
+        'plus or minus': plusMinus,
+        'times': times,
+        'multiplied by': times,
+        'over': over,
+        'divided by': over,
+        'all over': allOver,
+        'all divided by': allOver,
+        'equals': equals,
+        'equal to': equals,
+        'is equal to': equals,
+        'is less than': lessThan,
+        'less than': lessThan,
+        'is greater than': greaterThan,
+        'greater than': greaterThan,
+        'is less than or equal to': lessOrEqual,
+        'less than or equal to': lessOrEqual,
+        'is greater than or equal to': greaterOrEqual,
+        'greater than or equal to': greaterOrEqual,
+        'is not equal to': notEqual,
+        'not equal to': notEqual,
+        'does not equal': notEqual,
+        'is approximately equal to': approximately,
+        'approximately equal to': approximately,
+        'approximately equals': approximately,
+        'squared': squared,
+        'cubed': cubed,
+        'to the power of': raise,
+        'to the power': raise,
+        'raised to the power of': raise,
+        'raised to': raise,
+        'to the': raise,
+        'power': {powerWord: true},
+        'sub': subscript,
+        'subscript': subscript,
+        'square root of': squareRoot,
+        'square root': squareRoot,
+        'root of': squareRoot,
+        'cube root of': cubeRoot,
+        'cube root': cubeRoot,
+        'end root': endRoot,
+        'close root': endRoot,
+        'sine': {func: '\\sin'},
+        'sin': {func: '\\sin'},
+        'cosine': {func: '\\cos'},
+        'cos': {func: '\\cos'},
+        'tangent': {func: '\\tan'},
+        'tan': {func: '\\tan'},
+        'log': {func: '\\log'},
+        'logarithm': {func: '\\log'},
+        'natural log': {func: '\\ln'},
+        'ln': {func: '\\ln'},
+        'exponential': {func: '\\exp'},
+        'open parenthesis': open,
+        'open paren': open,
+        'left parenthesis': open,
+        'open bracket': open,
+        'close parenthesis': close,
+        'close paren': close,
+        'right parenthesis': close,
+        'close bracket': close,
+        'infinity': {symbol: '\\infty'},
+        'factorial': {factorial: true},
+        'capital': capital,
+        'uppercase': capital,
+        'the': filler,
+        'of': application,
+    },
+    fr: {
+        ...greekLetters,
+        ...createFractionWords({
+            2: ['demi', 'demis'],
+            3: ['tiers'],
+            4: ['quart', 'quarts'],
+            5: ['cinquième', 'cinquièmes'],
+            6: ['sixième', 'sixièmes'],
+            7: ['septième', 'septièmes'],
+            8: ['huitième', 'huitièmes'],
+            9: ['neuvième', 'neuvièmes'],
+            10: ['dixième', 'dixièmes'],
+        }),
+        'bêta': {symbol: '\\beta'},
+        'thêta': {symbol: '\\theta'},
+        'oméga': {symbol: '\\omega'},
+        'plus': plus,
+        'moins': minus,
+        'plus ou moins': plusMinus,
+        'fois': times,
+        'multiplié par': times,
+        'sur': over,
+        'divisé par': over,
+        'le tout sur': allOver,
+        'le tout divisé par': allOver,
+        'égal': equals,
+        'égale': equals,
+        'égal à': equals,
+        'est égal à': equals,
+        'inférieur à': lessThan,
+        'est inférieur à': lessThan,
+        'supérieur à': greaterThan,
+        'est supérieur à': greaterThan,
+        'inférieur ou égal à': lessOrEqual,
+        'supérieur ou égal à': greaterOrEqual,
+        'différent de': notEqual,
+        'environ égal à': approximately,
+        'au carré': squared,
+        'au cube': cubed,
+        'puissance': raise,
+        'à la puissance': raise,
+        'exposant': raise,
+        'indice': subscript,
+        'racine carrée de': squareRoot,
+        'racine carrée': squareRoot,
+        'racine cubique de': cubeRoot,
+        'racine cubique': cubeRoot,
+        'fin de la racine': endRoot,
+        'sinus': {func: '\\sin'},
+        'cosinus': {func: '\\cos'},
+        'tangente': {func: '\\tan'},
+        'logarithme': {func: '\\log'},
+        'logarithme népérien': {func: '\\ln'},
+        'exponentielle': {func: '\\exp'},
+        'ouvrir la parenthèse': open,
+        'ouvrez la parenthèse': open,
+        'parenthèse ouvrante': open,
+        'fermer la parenthèse': close,
+        'fermez la parenthèse': close,
+        'parenthèse fermante': close,
+        'infini': {symbol: '\\infty'},
+        'factorielle': {factorial: true},
+        'majuscule': capital,
+        'de': application,
+        'du': application,
+        'le': filler,
+        'la': filler,
+    },
+    es: {
+        ...greekLetters,
+        ...createFractionWords({
+            2: ['medio', 'medios'],
+            3: ['tercio', 'tercios'],
+            4: ['cuarto', 'cuartos'],
+            5: ['quinto', 'quintos'],
+            6: ['sexto', 'sextos'],
+            7: ['séptimo', 'séptimos'],
+            8: ['octavo', 'octavos'],
+            9: ['noveno', 'novenos'],
+            10: ['décimo', 'décimos'],
+        }),
+        'alfa': {symbol: '\\alpha'},
+        'épsilon': {symbol: '\\epsilon'},
+        'fi': {symbol: '\\phi'},
+        'más': plus,
+        'menos': minus,
+        'más o menos': plusMinus,
+        'por': times,
+        'multiplicado por': times,
+        'sobre': over,
+        'dividido por': over,
+        'dividido entre': over,
+        'todo sobre': allOver,
+        'todo dividido entre': allOver,
+        'igual': equals,
+        'igual a': equals,
+        'es igual a': equals,
+        'menor que': lessThan,
+        'es menor que': lessThan,
+        'mayor que': greaterThan,
+        'es mayor que': greaterThan,
+        'menor o igual que': lessOrEqual,
+        'mayor o igual que': greaterOrEqual,
+        'distinto de': notEqual,
+        'aproximadamente igual a': approximately,
+        'al cuadrado': squared,
+        'al cubo': cubed,
+        'elevado a': raise,
+        'elevado a la': raise,
+        'subíndice': subscript,
+        'raíz cuadrada de': squareRoot,
+        'raíz cuadrada': squareRoot,
+        'raíz cúbica de': cubeRoot,
+        'raíz cúbica': cubeRoot,
+        'fin de la raíz': endRoot,
+        'seno': {func: '\\sin'},
+        'coseno': {func: '\\cos'},
+        'tangente': {func: '\\tan'},
+        'logaritmo': {func: '\\log'},
+        'logaritmo natural': {func: '\\ln'},
+        'exponencial': {func: '\\exp'},
+        'abrir paréntesis': open,
+        'abre paréntesis': open,
+        'cerrar paréntesis': close,
+        'cierra paréntesis': close,
+        'infinito': {symbol: '\\infty'},
+        'factorial': {factorial: true},
+        'mayúscula': capital,
+        'de': application,
+        'del': application,
+        'el': filler,
+        'la': filler,
+    },
+};
+
+// Lookup tables built from the dictionaries, keyed by dictionary language
+const lookups = new Map();
+
+// Symbols the recogniser may write instead of words
+const symbols = {
+    '+': plus,
+    '-': minus,
+    '−': minus,
+    '±': plusMinus,
+    '*': times,
+    '×': times,
+    '/': over,
+    '÷': over,
+    '=': equals,
+    '<': lessThan,
+    '>': greaterThan,
+    '≤': lessOrEqual,
+    '≥': greaterOrEqual,
+    '≠': notEqual,
+    '^': raise,
+    '(': open,
+    ')': close,
+};
+
+/**
+ * Split a spoken formula into words, separating digits and symbols written by the recogniser.
+ *
+ * @param {string} text The spoken formula
+ * @returns {string[]} The words
+ */
+const splitWords = (text) => text.trim().split(/\s+/)
+    .map((word) => word.replace(/[.,;:!?]+$/, ''))
+    .flatMap((word) => word.split(/(\d+(?:[.,]\d+)?|[-+−±*×/÷=<>≤≥≠^()])/))
+    .filter((word) => word.length);
+
+/**
+ * Escape text for \text{}.
+ *
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+const escapeText = (text) => text.replace(/[\\{}$&#^_%~]/g, (character) => `\\${character}`);
+
+/**
+ * Read the token at a position.
+ *
+ * @param {string[]} words The words
+ * @param {number} index The position
+ * @param {Object} context The lookup table and recognition language
+ * @returns {Object|null} The token, with the position after it as end, or null at the end of the formula
+ */
+const readToken = (words, index, {lookup, language}) => {
+    if (index >= words.length) {
+        return null;
+    }
+
+    const match = matchPhrase(words, index, lookup);
+    if (match) {
+        return {...match.value, end: index + match.wordsConsumed};
+    }
+    const number = parseSpokenNumber(words, index, language);
+    if (number) {
+        return {number: number.value, end: number.end};
+    }
+
+    const word = words[index];
+    if (/^\d+([.,]\d+)?$/.test(word)) {
+        return {number: Number(word.replace(',', '.')), end: index + 1};
+    }
+    if (symbols[word]) {
+        return {...symbols[word], end: index + 1};
+    }
+    if (/^[a-z]$/i.test(word)) {
+        return {variable: word.toLowerCase(), end: index + 1};
+    }
+    return {text: word, end: index + 1};
+};
+
+/**
+ * Get the LaTeX of a parsed node without the parentheses of a group, for use within braces.
+ *
+ * @param {Object} node The node
+ * @returns {string}
+ */
+const unwrap = (node) => (node.kind === 'group' ? node.inner : node.latex);
+
+/**
+ * Write words as text.
+ *
+ * @param {string} words The words, separated by spaces
+ * @returns {Object} The text node
+ */
+const createText = (words) => ({latex: `\\text{${escapeText(words)}}`, kind: 'text', words, endsText: true});
+
+/**
+ * Write two factors next to each other as a product.
+ *
+ * Text is spaced from what is next to it, which math mode would not do.
+ *
+ * @param {Object} left The left factor
+ * @param {Object} right The right factor
+ * @returns {Object} The product
+ */
+const juxtapose = (left, right) => {
+    if (!left.latex || !right.latex) {
+        return left.latex ? left : right;
+    }
+
+    if (left.kind === 'text' && right.kind === 'text') {
+        return createText(`${left.words} ${right.words}`);
+    }
+    if (left.endsText || right.kind === 'text') {
+        const leftLatex = left.endsText ? left.latex.replace(/\}$/, ' }') : left.latex;
+        const rightLatex = right.kind === 'text' ? `\\text{ ${escapeText(right.words)}}` : right.latex;
+        return {latex: leftLatex + rightLatex, kind: 'product', endsText: right.kind === 'text'};
+    }
+
+    let separator = '';
+    if (/^\d/.test(right.latex)) {
+        separator = ' \\cdot ';
+    } else if (/\\[a-z]+$/i.test(left.latex) && /^[a-z0-9]/i.test(right.latex)) {
+        separator = ' ';
+    }
+    return {latex: left.latex + separator + right.latex, kind: 'product'};
+};
+
+/**
+ * Parse a spoken formula.
+ *
+ * @param {string[]} words The words of the formula
+ * @param {Object} context The lookup table and recognition language
+ * @returns {string} The LaTeX
+ */
+const parseFormula = (words, context) => {
+    let index = 0;
+
+    const peek = () => readToken(words, index, context);
+
+    // The next token that is not a filler word, such as "the"
+    const peekPastFillers = () => {
+        let position = index;
+        let token = readToken(words, position, context);
+        while (token && token.filler) {
+            position = token.end;
+            token = readToken(words, position, context);
+        }
+        return token;
+    };
+
+    // The position after the words of a text, including filler words between them such as "the"
+    const findTextEnd = (position) => {
+        let end = position;
+        for (let token = readToken(words, end, context); token; token = readToken(words, token.end, context)) {
+            if (token.text) {
+                end = token.end;
+            } else if (!token.filler || token.application) {
+                break;
+            }
+        }
+        return end;
+    };
+
+    const startsFactor = (token) => Boolean(token && (token.number !== undefined || token.variable || token.symbol
+        || token.func || token.root || token.open || token.capital || token.text || token.denominator));
+
+    let parseRelation = null;
+    let parseSum = null;
+
+    const parseAtom = () => {
+        let token = peek();
+        while (token && token.filler) {
+            index = token.end;
+            token = peek();
+        }
+        if (!token) {
+            return {latex: ''};
+        }
+        const start = index;
+        index = token.end;
+
+        if (token.number !== undefined) {
+            // Spoken fractions: "one half", "two thirds"
+            const fraction = peek();
+            if (fraction && fraction.denominator) {
+                index = fraction.end;
+                return {latex: `\\frac{${token.number}}{${fraction.denominator}}`, kind: 'fraction'};
+            }
+            return {latex: String(token.number), kind: 'number'};
+        }
+        if (token.denominator) {
+            // Not after a number, the word is an ordinal such as in "to the third", or text
+            const ordinal = parseSpokenNumber(words, start, context.language);
+            if (ordinal) {
+                index = ordinal.end;
+                return {latex: String(ordinal.value), kind: 'number'};
+            }
+            return createText(words[start]);
+        }
+        if (token.variable) {
+            return {latex: token.variable};
+        }
+        if (token.capital) {
+            const letter = peek();
+            if (letter && letter.variable) {
+                index = letter.end;
+                return {latex: letter.variable.toUpperCase()};
+            }
+            return {latex: ''};
+        }
+        if (token.symbol) {
+            return {latex: token.symbol};
+        }
+        if (token.func) {
+            const argument = parsePower();
+            const separator = argument.kind === 'group' || !argument.latex ? '' : ' ';
+            return {latex: token.func + separator + argument.latex};
+        }
+        if (token.root) {
+            const degree = token.root === 2 ? '' : `[${token.root}]`;
+            const radicand = parseSum(false);
+            const end = peek();
+            if (end && end.endRoot) {
+                index = end.end;
+            }
+            return {latex: `\\sqrt${degree}{${unwrap(radicand)}}`};
+        }
+        if (token.open) {
+            const inner = parseRelation();
+            const end = peek();
+            if (end && end.close) {
+                index = end.end;
+            }
+            return {latex: `(${inner.latex})`, inner: inner.latex, kind: 'group'};
+        }
+        if (token.text) {
+            const start = index - 1;
+            index = findTextEnd(index);
+            return createText(words.slice(start, index).join(' '));
+        }
+
+        // An operator where a value was expected, written as it is
+        return {latex: token.op || token.relation || (token.close ? ')' : '')};
+    };
+
+    const raiseTo = (base, exponent) => {
+        const latex = base.kind === 'power' ? `(${base.latex})` : base.latex;
+        return {latex: `${latex}^{${exponent}}`, kind: 'power'};
+    };
+
+    const parsePower = () => {
+        let base = parseAtom();
+
+        for (let token = peek(); token; token = peek()) {
+            if (token.power) {
+                index = token.end;
+                base = raiseTo(base, token.power);
+            } else if (token.raise) {
+                // "to the power of n", "to the third (power)"
+                index = token.end;
+                const exponent = parseUnary();
+                const after = peek();
+                if (after && after.powerWord) {
+                    index = after.end;
+                }
+                base = raiseTo(base, unwrap(exponent));
+            } else if (token.subscript) {
+                index = token.end;
+                base = {latex: `${base.latex}_{${unwrap(parseAtom())}}`, kind: 'subscript'};
+            } else if (token.factorial) {
+                index = token.end;
+                base = {latex: `${base.latex}!`};
+            } else {
+                break;
+            }
+        }
+        return base;
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (token && (token.op === '-' || token.op === '\\pm')) {
+            index = token.end;
+            const operand = parseUnary();
+            return {latex: `${token.op === '-' ? '-' : '\\pm '}${operand.latex}`, kind: 'unary'};
+        }
+        return parsePower();
+    };
+
+    const parseProduct = () => {
+        let product = parseUnary();
+
+        for (let token = peek(); token; token = peek()) {
+            if (token.application && /^[a-z]$/i.test(product.latex)) {
+                // Function application: "f of x"
+                index = token.end;
+                product = {latex: `${product.latex}(${unwrap(parsePower())})`, kind: 'application'};
+            } else if (token.op === '\\cdot') {
+                index = token.end;
+                product = {latex: `${product.latex} \\cdot ${parsePower().latex}`, kind: 'product'};
+            } else if (startsFactor(peekPastFillers())) {
+                product = juxtapose(product, parsePower());
+            } else {
+                break;
+            }
+        }
+        return product;
+    };
+
+    const parseFraction = () => {
+        let fraction = parseProduct();
+
+        for (let token = peek(); token && token.over; token = peek()) {
+            index = token.end;
+            const denominator = parseProduct();
+            fraction = {latex: `\\frac{${unwrap(fraction)}}{${unwrap(denominator)}}`, kind: 'fraction'};
+        }
+        return fraction;
+    };
+
+    // Sums within roots leave "all over" to the sum around the root
+    parseSum = (divisible = true) => {
+        let sum = parseFraction();
+
+        for (let token = peek(); token; token = peek()) {
+            if (['+', '-', '\\pm'].includes(token.op)) {
+                index = token.end;
+                sum = {latex: `${sum.latex} ${token.op} ${parseFraction().latex}`, kind: 'sum'};
+            } else if (token.allOver && divisible) {
+                index = token.end;
+                sum = {latex: `\\frac{${unwrap(sum)}}{${unwrap(parseProduct())}}`, kind: 'fraction'};
+            } else {
+                break;
+            }
+        }
+        return sum;
+    };
+
+    parseRelation = () => {
+        let relation = parseSum();
+
+        for (let token = peek(); token && token.relation; token = peek()) {
+            index = token.end;
+            relation = {latex: `${relation.latex} ${token.relation} ${parseSum().latex}`, kind: 'relation'};
+        }
+        return relation;
+    };
+
+    // Anything left over, such as a stray closing parenthesis, starts a new part
+    const parts = [];
+    while (index < words.length) {
+        parts.push(parseRelation().latex);
+    }
+    return parts.filter((part) => part.length).join(' ');
+};
+
+/**
+ * Convert a spoken formula to LaTeX between \( and \) delimiters.
+ *
+ * @param {string} text The spoken formula
+ * @param {string} language The recognition language tag
+ * @returns {string} The LaTeX, or an empty string if nothing was spoken
+ */
+export const toLatex = (text, language) => {
+    const context = {lookup: getLookup(dictionaries, lookups, language), language};
+    const latex = parseFormula(splitWords(text || ''), context).trim();
+    return latex ? `\\( ${latex} \\)` : '';
+};
@@ -0,0 +1,104 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Microphone input level meter for the Moodle tiny_speechtotext plugin.
+ *
+ * The meter captures the microphone alongside the recognition engine, so that
+ * users can see whether they are being picked up whichever engine is used.
+ *
+ * @module      tiny_speechtotext/meter
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+// Interval between level measurements, in milliseconds
+const measureInterval = 100;
+
+// Input level shown as an empty meter, in decibels relative to full scale
+const floorDecibels = -60;
+
+/**
+ * Check whether the browser can measure the microphone input level.
+ *
+ * @returns {boolean}
+ */
+export const isSupported = () => Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia
+    && (window.AudioContext || window.webkitAudioContext));
+
+/**
+ * Get the microphones of the device.
+ *
+ * Their labels are only known once the user allowed microphone access.
+ *
+ * @returns {Promise<MediaDeviceInfo[]>} The audio inputs
+ */
+export const getMicrophones = () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return Promise.resolve([]);
+    }
+    return navigator.mediaDevices.enumerateDevices()
+        .then((devices) => devices.filter((device) => device.kind === 'audioinput'));
+};
+
+/**
+ * Get the audio constraints capturing a microphone.
+ *
+ * @param {string} deviceId The microphone, or an empty string for the default one
+ * @returns {Object|boolean} The audio constraints for getUserMedia()
+ */
+export const getAudioConstraints = (deviceId) => (deviceId ? {deviceId} : true);
+
+/**
+ * Measure the level of audio samples.
+ *
+ * @param {Float32Array} samples The samples, between -1 and 1
+ * @returns {number} The level between 0 (silent) and 1 (full scale), on a logarithmic scale
+ */
+export const measureLevel = (samples) => {
+    const power = samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length;
+    if (!power) {
+        return 0;
+    }
+    const decibels = 10 * Math.log10(power);
+    return Math.min(1, Math.max(0, 1 - decibels / floorDecibels));
+};
+
+/**
+ * Start measuring the input level of a microphone.
+ *
+ * @param {string} deviceId The microphone, or an empty string for the default one
+ * @param {function} onLevel Called with the level between 0 and 1, ten times a second
+ * @returns {Promise<function>} Resolved with the function stopping the meter, rejected if the microphone cannot be captured
+ */
+export const startMeter = (deviceId, onLevel) => navigator.mediaDevices.getUserMedia({audio: getAudioConstraints(deviceId)})
+    .then((stream) => {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContext();
+        const analyser = context.createAnalyser();
+        const samples = new Float32Array(analyser.fftSize);
+
+        context.createMediaStreamSource(stream).connect(analyser);
+        const timer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            onLevel(measureLevel(samples));
+        }, measureInterval);
+
+        return () => {
+            clearInterval(timer);
+            stream.getTracks().forEach((track) => track.stop());
+            context.close().catch(() => null);
+        };
+    });
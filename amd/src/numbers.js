@@ -0,0 +1,745 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken number formatting (inverse text normalisation) for the Moodle tiny_speechtotext plugin.
+ *
+ * Spoken numbers, ordinals, percentages, amounts of money, measurements,
+ * dates and times are written as figures, formatted for the recognition
+ * language with Intl. Numbers below ten are left as words, as style guides
+ * recommend, unless they carry a unit, a decimal part or a sign.
+ *
+ * @module      tiny_speechtotext/numbers
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {findDictionaryKey, getLookup, matchPhrase} from './phrases';
+
+/**
+ * Build dictionary entries numbering a series of spoken forms.
+ *
+ * @param {Array} forms The spoken forms, a string or an array of synonyms per entry
+ * @param {string} property The property holding the number
+ * @param {number} first The number of the first entry
+ * @param {number} step The difference between the numbers of consecutive entries
+ * @param {Object} [properties] Other properties of all the entries
+ * @returns {Object} The dictionary entries
+ */
+const series = (forms, property, first, step, properties = {}) => Object.fromEntries(forms.flatMap(
+    (form, index) => [].concat(form).map((word) => [word, {[property]: first + index * step, ...properties}])
+));
+
+/**
+ * Build dictionary entries sharing the same meaning.
+ *
+ * @param {string[]} forms The spoken forms
+ * @param {Object} properties The meaning of the forms
+ * @returns {Object} The dictionary entries
+ */
+const synonyms = (forms, properties) => Object.fromEntries(forms.map((form) => [form, properties]));
+
+// Number words of each language (case-insensitive phrases of any length). Words
+// with a number have a kind: 'unit' (0-9), 'teen' (a complete number below
+// 100 such as 10-19), 'tens' (20, 30...) or 'hundreds' (100, 200...).
+const dictionaries = {
+    en: {
+        ...series(['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'], 'number', 0, 1,
+            {kind: 'unit'}),
+        ...series(['ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen',
+            'nineteen'], 'number', 10, 1, {kind: 'teen'}),
+        ...series(['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'], 'number', 20, 10,
+            {kind: 'tens'}),
+        ...series(['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth'], 'number', 1, 1,
+            {kind: 'unit', ordinal: true}),
+        ...series(['tenth', 'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth',
+            'eighteenth', 'nineteenth'], 'number', 10, 1, {kind: 'teen', ordinal: true}),
+        ...series(['twentieth', 'thirtieth', 'fortieth', 'fiftieth', 'sixtieth', 'seventieth', 'eightieth', 'ninetieth'],
+            'number', 20, 10, {kind: 'tens', ordinal: true}),
+        'hundred': {multiplier: 100},
+        'hundredth': {multiplier: 100, ordinal: true},
+        'thousand': {scale: 1e3},
+        'thousandth': {scale: 1e3, ordinal: true},
+        'million': {scale: 1e6},
+        'millionth': {scale: 1e6, ordinal: true},
+        'billion': {scale: 1e9},
+        'and': {conjunction: true},
+        'a': {article: true},
+        'oh': {zero: true},
+        'point': {decimal: true},
+        ...synonyms(['minus', 'negative'], {negative: true}),
+        ...synonyms(['percent', 'per cent'], {percent: true}),
+        ...synonyms(['dollar', 'dollars'], {currency: 'USD'}),
+        ...synonyms(['euro', 'euros'], {currency: 'EUR'}),
+        ...synonyms(['pound', 'pounds'], {currency: 'GBP'}),
+        ...synonyms(['rupee', 'rupees'], {currency: 'INR'}),
+        'yen': {currency: 'JPY'},
+        ...synonyms(['cent', 'cents', 'penny', 'pence'], {subunit: true}),
+        ...synonyms(['kilometer', 'kilometers', 'kilometre', 'kilometres'], {unit: 'km'}),
+        ...synonyms(['meter', 'meters', 'metre', 'metres'], {unit: 'm'}),
+        ...synonyms(['centimeter', 'centimeters', 'centimetre', 'centimetres'], {unit: 'cm'}),
+        ...synonyms(['millimeter', 'millimeters', 'millimetre', 'millimetres'], {unit: 'mm'}),
+        ...synonyms(['kilogram', 'kilograms'], {unit: 'kg'}),
+        ...synonyms(['gram', 'grams'], {unit: 'g'}),
+        ...synonyms(['milligram', 'milligrams'], {unit: 'mg'}),
+        ...synonyms(['liter', 'liters', 'litre', 'litres'], {unit: 'L'}),
+        ...synonyms(['milliliter', 'milliliters', 'millilitre', 'millilitres'], {unit: 'mL'}),
+        ...synonyms(['degree', 'degrees'], {unit: '°'}),
+        ...synonyms(['degrees celsius', 'degrees centigrade'], {unit: '°C'}),
+        'degrees fahrenheit': {unit: '°F'},
+        ...synonyms(['kilometers per hour', 'kilometres per hour'], {unit: 'km/h'}),
+        ...synonyms(['meters per second', 'metres per second'], {unit: 'm/s'}),
+        'miles per hour': {unit: 'mph'},
+        ...series(['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+            'november', 'december'], 'month', 1, 1),
+        ...synonyms(['am', 'a m', 'a.m.'], {meridiem: 'am'}),
+        ...synonyms(['pm', 'p m', 'p.m.'], {meridiem: 'pm'}),
+        "o'clock": {oclock: true},
+        'the': {determiner: true},
+        'of': {preposition: true},
+    },
+    fr: {
+        ...series(['zéro', ['un', 'une'], 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf'], 'number', 0, 1,
+            {kind: 'unit'}),
+        ...series(['dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix sept', 'dix huit', 'dix neuf'],
+            'number', 10, 1, {kind: 'teen'}),
+        ...series(['vingt', 'trente', 'quarante', 'cinquante'], 'number', 20, 10, {kind: 'tens'}),
+        // Followed by teens: soixante-dix is 70, quatre-vingt-dix is 90
+        'soixante': {number: 60, kind: 'tens', teens: true},
+        ...synonyms(['quatre vingt', 'quatre vingts'], {number: 80, kind: 'tens', teens: true}),
+        ...series([['premier', 'première'], ['deuxième', 'second', 'seconde'], 'troisième', 'quatrième', 'cinquième',
+            'sixième', 'septième', 'huitième', 'neuvième'], 'number', 1, 1, {kind: 'unit', ordinal: true}),
+        ...series(['dixième', 'onzième', 'douzième', 'treizième', 'quatorzième', 'quinzième', 'seizième', 'dix septième',
+            'dix huitième', 'dix neuvième'], 'number', 10, 1, {kind: 'teen', ordinal: true}),
+        ...series(['vingtième', 'trentième', 'quarantième', 'cinquantième'], 'number', 20, 10, {kind: 'tens', ordinal: true}),
+        ...synonyms(['cent', 'cents'], {multiplier: 100, bare: true}),
+        'centième': {multiplier: 100, bare: true, ordinal: true},
+        'mille': {scale: 1e3, bare: true},
+        'millième': {scale: 1e3, bare: true, ordinal: true},
+        ...synonyms(['million', 'millions'], {scale: 1e6}),
+        ...synonyms(['milliard', 'milliards'], {scale: 1e9}),
+        'et': {conjunction: true},
+        'virgule': {decimal: true},
+        'moins': {negative: true},
+        'pour cent': {percent: true},
+        ...synonyms(['euro', 'euros'], {currency: 'EUR'}),
+        ...synonyms(['dollar', 'dollars'], {currency: 'USD'}),
+        ...synonyms(['centime', 'centimes'], {subunit: true}),
+        ...synonyms(['kilomètre', 'kilomètres'], {unit: 'km'}),
+        ...synonyms(['mètre', 'mètres'], {unit: 'm'}),
+        ...synonyms(['centimètre', 'centimètres'], {unit: 'cm'}),
+        ...synonyms(['millimètre', 'millimètres'], {unit: 'mm'}),
+        ...synonyms(['kilogramme', 'kilogrammes', 'kilo', 'kilos'], {unit: 'kg'}),
+        ...synonyms(['gramme', 'grammes'], {unit: 'g'}),
+        ...synonyms(['milligramme', 'milligrammes'], {unit: 'mg'}),
+        ...synonyms(['litre', 'litres'], {unit: 'L'}),
+        ...synonyms(['millilitre', 'millilitres'], {unit: 'mL'}),
+        ...synonyms(['degré', 'degrés'], {unit: '°'}),
+        ...synonyms(['degré celsius', 'degrés celsius'], {unit: '°C'}),
+        ...synonyms(["kilomètres à l'heure", 'kilomètres heure'], {unit: 'km/h'}),
+        ...series(['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre',
+            'novembre', 'décembre'], 'month', 1, 1),
+        ...synonyms(['heure', 'heures'], {hours: true}),
+        'le': {determiner: true},
+    },
+    es: {
+        ...series(['cero', ['uno', 'un', 'una'], 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'],
+            'number', 0, 1, {kind: 'unit'}),
+        ...series(['diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho',
+            'diecinueve', 'veinte', ['veintiuno', 'veintiún', 'veintiuna'], 'veintidós', 'veintitrés', 'veinticuatro',
+            'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'], 'number', 10, 1, {kind: 'teen'}),
+        ...series(['treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'], 'number', 30, 10,
+            {kind: 'tens'}),
+        ...series([['cien', 'ciento'], ['doscientos', 'doscientas'], ['trescientos', 'trescientas'],
+            ['cuatrocientos', 'cuatrocientas'], ['quinientos', 'quinientas'], ['seiscientos', 'seiscientas'],
+            ['setecientos', 'setecientas'], ['ochocientos', 'ochocientas'], ['novecientos', 'novecientas']],
+        'number', 100, 100, {kind: 'hundreds'}),
+        ...series([['primero', 'primer', 'primera'], ['segundo', 'segunda'], ['tercero', 'tercer', 'tercera'],
+            ['cuarto', 'cuarta'], ['quinto', 'quinta'], ['sexto', 'sexta'], ['séptimo', 'séptima'], ['octavo', 'octava'],
+            ['noveno', 'novena']], 'number', 1, 1, {kind: 'unit', ordinal: true}),
+        ...synonyms(['décimo', 'décima'], {number: 10, kind: 'teen', ordinal: true}),
+        'mil': {scale: 1e3, bare: true},
+        ...synonyms(['millón', 'millones'], {scale: 1e6}),
+        'y': {conjunction: true},
+        ...synonyms(['coma', 'punto'], {decimal: true}),
+        'menos': {negative: true},
+        'por ciento': {percent: true},
+        ...synonyms(['euro', 'euros'], {currency: 'EUR'}),
+        ...synonyms(['dólar', 'dólares'], {currency: 'USD'}),
+        ...synonyms(['céntimo', 'céntimos', 'centavo', 'centavos'], {subunit: true}),
+        ...synonyms(['kilómetro', 'kilómetros'], {unit: 'km'}),
+        ...synonyms(['metro', 'metros'], {unit: 'm'}),
+        ...synonyms(['centímetro', 'centímetros'], {unit: 'cm'}),
+        ...synonyms(['milímetro', 'milímetros'], {unit: 'mm'}),
+        ...synonyms(['kilogramo', 'kilogramos', 'kilo', 'kilos'], {unit: 'kg'}),
+        ...synonyms(['gramo', 'gramos'], {unit: 'g'}),
+        ...synonyms(['miligramo', 'miligramos'], {unit: 'mg'}),
+        ...synonyms(['litro', 'litros'], {unit: 'L'}),
+        ...synonyms(['mililitro', 'mililitros'], {unit: 'mL'}),
+        ...synonyms(['grado', 'grados'], {unit: '°'}),
+        ...synonyms(['grado celsius', 'grados celsius', 'grados centígrados'], {unit: '°C'}),
+        'kilómetros por hora': {unit: 'km/h'},
+        ...series(['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', ['septiembre', 'setiembre'],
+            'octubre', 'noviembre', 'diciembre'], 'month', 1, 1),
+        'el': {determiner: true},
+        'de': {preposition: true},
+    },
+};
+
+// How numbers are written in each language
+const formats = {
+    en: {
+        ordinal: (number) => {
+            const suffixes = {1: 'st', 2: 'nd', 3: 'rd'};
+            const teen = number % 100 >= 11 && number % 100 <= 13;
+            return number + ((!teen && suffixes[number % 10]) || 'th');
+        },
+        // "Nineteen ninety nine" and "twenty oh five" are years
+        yearPairs: true,
+        // "The two may..." is not a date, "the second of May" is
+        cardinalDays: false,
+    },
+    fr: {
+        ordinal: (number) => (number === 1 ? '1er' : `${number}e`),
+        yearPairs: false,
+        cardinalDays: true,
+    },
+    es: {
+        ordinal: (number) => `${number}.º`,
+        yearPairs: false,
+        cardinalDays: true,
+    },
+};
+
+// Lookup tables built from the dictionaries, keyed by dictionary language
+const lookups = new Map();
+
+// Kinds of number word that may directly precede each kind of number word
+const allowedBefore = {
+    unit: [null, 'tens', 'hundred', 'scale', 'conjunction'],
+    teen: [null, 'hundred', 'scale', 'conjunction'],
+    tens: [null, 'hundred', 'scale', 'conjunction'],
+    hundreds: [null, 'scale'],
+};
+
+// Unit symbols written without a space after the number
+const attachedUnits = ['°'];
+
+/**
+ * Match a dictionary entry at a position.
+ *
+ * @param {string[]} words The words
+ * @param {number} index The position
+ * @param {Object} lookup The lookup table of the language
+ * @returns {Object|null} The entry, with the position after it as end
+ */
+const matchEntry = (words, index, lookup) => {
+    const match = matchPhrase(words, index, lookup);
+    return match ? {...match.value, end: index + match.wordsConsumed} : null;
+};
+
+/**
+ * Parse a spoken whole number, such as "two hundred and five" or "twenty fifth".
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {Object} lookup The lookup table of the language
+ * @returns {Object|null} The number {value, ordinal, start, end}, or null if there is none
+ */
+const parseCardinal = (words, start, lookup) => {
+    let total = 0;
+    let current = 0;
+    let last = null;
+    let lastTens = null;
+    let smallestScale = Infinity;
+    let index = start;
+    let result = null;
+
+    while (index < words.length) {
+        const entry = matchEntry(words, index, lookup);
+        if (!entry) {
+            break;
+        }
+
+        if (entry.conjunction) {
+            // "hundred and five", "vingt et un", "treinta y cinco"
+            if (!['hundred', 'scale', 'tens'].includes(last)) {
+                break;
+            }
+            lastTens = last === 'tens' ? lastTens : null;
+            last = 'conjunction';
+        } else if (entry.article) {
+            // "a hundred", "a thousand"
+            const next = matchEntry(words, entry.end, lookup);
+            if (last !== null || !next || !(next.multiplier || next.scale)) {
+                break;
+            }
+            current = 1;
+            last = 'unit';
+        } else if (entry.kind) {
+            const teenAfterTens = entry.kind === 'teen' && last === 'tens' && lastTens.teens;
+            const unitAfterTens = last !== 'conjunction' || !lastTens || entry.kind === 'unit';
+            if (!(allowedBefore[entry.kind].includes(last) || teenAfterTens) || !unitAfterTens) {
+                break;
+            }
+            current += entry.number;
+            last = entry.kind === 'hundreds' ? 'hundred' : entry.kind;
+            lastTens = entry.kind === 'tens' ? entry : null;
+        } else if (entry.multiplier) {
+            // "two hundred", "nineteen hundred", or "cent" on its own
+            const counted = ['unit', 'teen'].includes(last) && current < 100;
+            if (!counted && !((last === null || last === 'scale') && entry.bare)) {
+                break;
+            }
+            current = (counted ? current : 1) * entry.multiplier;
+            last = 'hundred';
+        } else if (entry.scale) {
+            if (entry.scale >= smallestScale || last === 'conjunction' || (last === null && !entry.bare)) {
+                break;
+            }
+            total += (current || 1) * entry.scale;
+            current = 0;
+            smallestScale = entry.scale;
+            last = 'scale';
+        } else {
+            break;
+        }
+
+        index = entry.end;
+        if (last !== 'conjunction') {
+            result = {value: total + current, ordinal: Boolean(entry.ordinal), start, end: index};
+            if (entry.ordinal) {
+                break;
+            }
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Parse a year spoken as two pairs of digits, such as "nineteen ninety nine" or "twenty oh five".
+ *
+ * @param {string[]} words The words
+ * @param {Object} first The number spoken first, from parseCardinal()
+ * @param {Object} lookup The lookup table of the language
+ * @returns {Object|null} The year, or null if the words do not continue as a year
+ */
+const parseYearPair = (words, first, lookup) => {
+    if (first.ordinal || first.end !== first.start + 1 || first.value < 11 || first.value > 20) {
+        return null;
+    }
+
+    let index = first.end;
+    const zero = matchEntry(words, index, lookup);
+    if (zero && zero.zero) {
+        index = zero.end;
+    }
+
+    const second = parseCardinal(words, index, lookup);
+    if (!second || second.value > 99 || (index !== first.end ? second.value > 9 : second.value < 10)) {
+        return null;
+    }
+    return {value: first.value * 100 + second.value, ordinal: second.ordinal, year: true, start: first.start, end: second.end};
+};
+
+/**
+ * Check whether the word before a position ends a number, so that a sign there subtracts, as in "ten minus three".
+ *
+ * @param {string[]} words The words
+ * @param {number} index The position
+ * @param {Object} lookup The lookup table of the language
+ * @returns {boolean}
+ */
+const followsNumber = (words, index, lookup) => {
+    if (index === 0) {
+        return false;
+    }
+    const entry = matchEntry(words, index - 1, lookup);
+    return /\d$/.test(words[index - 1]) || Boolean(entry && (entry.kind || entry.multiplier || entry.scale));
+};
+
+/**
+ * Parse a spoken number, possibly negative or with a decimal part.
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {Object} context The lookup table and format of the language
+ * @returns {Object|null} The number {value, fraction, negative, ordinal, year, end}, or null if there is none
+ */
+const parseNumber = (words, start, {lookup, format}) => {
+    const sign = matchEntry(words, start, lookup);
+    const negative = Boolean(sign && sign.negative);
+    if (negative && followsNumber(words, start, lookup)) {
+        return null;
+    }
+
+    let number = parseCardinal(words, negative ? sign.end : start, lookup);
+    if (!number) {
+        return null;
+    }
+    if (format.yearPairs && !negative) {
+        number = parseYearPair(words, number, lookup) || number;
+    }
+
+    // Digits after the decimal point, such as "point one four"
+    let fraction = '';
+    let end = number.end;
+    const decimal = !number.ordinal && !number.year ? matchEntry(words, end, lookup) : null;
+    if (decimal && decimal.decimal) {
+        let index = decimal.end;
+        let digit = matchEntry(words, index, lookup);
+        while (digit && (digit.zero || (digit.kind === 'unit' && !digit.ordinal))) {
+            fraction += digit.zero ? '0' : digit.number;
+            index = digit.end;
+            digit = matchEntry(words, index, lookup);
+        }
+        if (fraction) {
+            end = index;
+        }
+    }
+
+    return {...number, fraction, negative, end};
+};
+
+/**
+ * Get the numeric value of a parsed number.
+ *
+ * @param {Object} number The number from parseNumber()
+ * @returns {number}
+ */
+const toValue = ({value, fraction, negative}) => (negative ? -1 : 1) * Number(`${value}.${fraction || '0'}`);
+
+/**
+ * Write a parsed number in figures.
+ *
+ * @param {Object} number The number from parseNumber()
+ * @param {string} locale The locale
+ * @param {Object} [options] Other Intl.NumberFormat options
+ * @returns {string}
+ */
+const formatNumber = (number, locale, options = {}) => new Intl.NumberFormat(locale, {
+    useGrouping: number.value >= 10000,
+    minimumFractionDigits: number.fraction.length,
+    maximumFractionDigits: number.fraction.length,
+    ...options,
+}).format(options.style === 'percent' ? toValue(number) / 100 : toValue(number));
+
+/**
+ * Match an amount of money, such as "five dollars and twenty cents".
+ *
+ * @param {string[]} words The words
+ * @param {Object} number The amount from parseNumber()
+ * @param {Object} currency The currency entry following the amount
+ * @param {Object} context The lookup table, format and locale of the language
+ * @returns {Object} The match {text, end}
+ */
+const matchMoney = (words, number, currency, {lookup, locale}) => {
+    let end = currency.end;
+    let cents = 0;
+
+    const conjunction = matchEntry(words, end, lookup);
+    const subunits = parseCardinal(words, conjunction && conjunction.conjunction ? conjunction.end : end, lookup);
+    const subunit = subunits && !subunits.ordinal && subunits.value < 100 ? matchEntry(words, subunits.end, lookup) : null;
+    if (subunit && subunit.subunit) {
+        cents = subunits.value;
+        end = subunit.end;
+    }
+
+    const digits = cents || number.fraction ? 2 : 0;
+    const amount = toValue(number) + (number.negative ? -cents : cents) / 100;
+    const text = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: currency.currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    }).format(amount);
+
+    return {text, end};
+};
+
+/**
+ * Write a time of day.
+ *
+ * @param {number} hours The hours, 0 to 23
+ * @param {number} minutes The minutes
+ * @param {string} locale The locale
+ * @returns {string}
+ */
+const formatTime = (hours, minutes, locale) => new Intl.DateTimeFormat(locale, {hour: 'numeric', minute: '2-digit'})
+    .format(new Date(2000, 0, 1, hours, minutes));
+
+/**
+ * Match a time of day, such as "three thirty pm", "five o'clock" or "quinze heures trente".
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {Object} context The lookup table, format and locale of the language
+ * @returns {Object|null} The match {text, end}, or null if there is none
+ */
+const matchTime = (words, start, {lookup, locale}) => {
+    const hour = parseCardinal(words, start, lookup);
+    if (!hour || hour.ordinal || hour.value > 23) {
+        return null;
+    }
+
+    let next = matchEntry(words, hour.end, lookup);
+    if (next && next.hours) {
+        const minutes = parseCardinal(words, next.end, lookup);
+        const valid = minutes && !minutes.ordinal && minutes.value < 60;
+        return {text: formatTime(hour.value, valid ? minutes.value : 0, locale), end: valid ? minutes.end : next.end};
+    }
+    if (hour.value < 1 || hour.value > 12) {
+        return null;
+    }
+    if (next && next.oclock) {
+        return {text: `${hour.value}:00`, end: next.end};
+    }
+
+    // Minutes are "thirty" or "oh five"
+    let minutes = 0;
+    let index = hour.end;
+    if (next && next.zero) {
+        const unit = matchEntry(words, next.end, lookup);
+        if (!unit || unit.kind !== 'unit' || unit.ordinal) {
+            return null;
+        }
+        minutes = unit.number;
+        index = unit.end;
+    } else {
+        const spoken = parseCardinal(words, index, lookup);
+        if (spoken && !spoken.ordinal && spoken.value >= 10 && spoken.value < 60) {
+            minutes = spoken.value;
+            index = spoken.end;
+        }
+    }
+
+    next = matchEntry(words, index, lookup);
+    if (!next || !next.meridiem) {
+        return null;
+    }
+    const hours = hour.value % 12 + (next.meridiem === 'pm' ? 12 : 0);
+    return {text: formatTime(hours, minutes, locale), end: next.end};
+};
+
+/**
+ * Parse the year of a date, if any.
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position after the day and month
+ * @param {Object} context The lookup table, format and locale of the language
+ * @returns {Object|null} The year {value, end}, or null if there is none
+ */
+const parseYear = (words, start, context) => {
+    const preposition = matchEntry(words, start, context.lookup);
+    const index = preposition && preposition.preposition ? preposition.end : start;
+
+    if (/^\d{4}$/.test(words[index] || '')) {
+        return {value: Number(words[index]), end: index + 1};
+    }
+    const year = parseNumber(words, index, context);
+    if (!year || year.ordinal || year.fraction || year.negative || year.value < 1000 || year.value > 2999) {
+        return null;
+    }
+    return year;
+};
+
+/**
+ * Write a date, if valid.
+ *
+ * @param {number} day The day of the month
+ * @param {number} month The month, 1 to 12
+ * @param {Object|null} year The year from parseYear()
+ * @param {string} locale The locale
+ * @returns {string|null}
+ */
+const formatDate = (day, month, year, locale) => {
+    const date = new Date(year ? year.value : 2000, month - 1, day);
+    if (date.getMonth() !== month - 1) {
+        return null;
+    }
+
+    const options = year ? {day: 'numeric', month: 'long', year: 'numeric'} : {day: 'numeric', month: 'long'};
+    return new Intl.DateTimeFormat(locale, options).format(date);
+};
+
+/**
+ * Match a date, such as "january fifth twenty twenty six", "the fifth of may" or "cinco de mayo".
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {Object} context The lookup table, format and locale of the language
+ * @returns {Object|null} The match {text, end}, or null if there is none
+ */
+const matchDate = (words, start, context) => {
+    const {lookup, format, locale} = context;
+    const first = matchEntry(words, start, lookup);
+
+    if (first && first.month) {
+        // Month first: unless ordinal, the day needs a year to tell "may five" from a date
+        const day = parseCardinal(words, first.end, lookup);
+        const year = day ? parseYear(words, day.end, context) : null;
+        if (!day || day.value < 1 || (!day.ordinal && !year)) {
+            return null;
+        }
+        const text = formatDate(day.value, first.month, year, locale);
+        return text ? {text, end: year ? year.end : day.end} : null;
+    }
+
+    // Day first, optionally after "the" and followed by "of"
+    const day = parseCardinal(words, first && first.determiner ? first.end : start, lookup);
+    if (!day || day.value < 1 || day.value > 31) {
+        return null;
+    }
+    let month = matchEntry(words, day.end, lookup);
+    const preposition = Boolean(month && month.preposition);
+    if (preposition) {
+        month = matchEntry(words, month.end, lookup);
+    }
+    if (!month || !month.month || !(day.ordinal || preposition || format.cardinalDays)) {
+        return null;
+    }
+
+    const year = parseYear(words, month.end, context);
+    const text = formatDate(day.value, month.month, year, locale);
+    return text ? {text, end: year ? year.end : month.end} : null;
+};
+
+/**
+ * Match a number with what it counts, or a number to write in figures.
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {Object} context The lookup table, format and locale of the language
+ * @returns {Object|null} The match {text, end}, or null if there is none
+ */
+const matchQuantity = (words, start, context) => {
+    const {lookup, format, locale} = context;
+    const number = parseNumber(words, start, context);
+    if (!number) {
+        return null;
+    }
+
+    const next = !number.ordinal && !number.year ? matchEntry(words, number.end, lookup) : null;
+    if (next && next.percent) {
+        return {text: formatNumber(number, locale, {style: 'percent'}), end: next.end};
+    }
+    if (next && next.currency) {
+        return matchMoney(words, number, next, context);
+    }
+    if (next && next.unit) {
+        const space = attachedUnits.includes(next.unit) ? '' : ' ';
+        return {text: formatNumber(number, locale) + space + next.unit, end: next.end};
+    }
+
+    // Small numbers stay in words
+    if (number.ordinal) {
+        return number.value >= 10 ? {text: format.ordinal(number.value), end: number.end} : null;
+    }
+    if (number.year) {
+        return {text: String(number.value), end: number.end};
+    }
+    if (number.value >= 10 || number.fraction || number.negative) {
+        return {text: formatNumber(number, locale), end: number.end};
+    }
+    return null;
+};
+
+/**
+ * Split hyphenated numbers such as "twenty-five" or "quatre-vingt-dix" into words.
+ *
+ * @param {string[]} words The words
+ * @param {Object} lookup The lookup table of the language
+ * @returns {string[]} The words, with hyphenated numbers split
+ */
+const splitHyphens = (words, lookup) => words.flatMap((word) => {
+    const parts = word.split('-');
+    if (parts.length > 1 && parts.every((part) => matchPhrase([part], 0, lookup))) {
+        return parts;
+    }
+    return [word];
+});
+
+/**
+ * Get a locale Intl can format for, from a recognition language tag.
+ *
+ * @param {string} language The language tag
+ * @param {string} fallback The locale to use if Intl does not accept the tag
+ * @returns {string}
+ */
+const getLocale = (language, fallback) => {
+    try {
+        return Intl.getCanonicalLocales(language)[0];
+    } catch (e) {
+        return fallback;
+    }
+};
+
+/**
+ * Write spoken numbers, dates, times and quantities in figures.
+ *
+ * Languages without a number dictionary are left as they are.
+ *
+ * @param {string} text The transcript
+ * @param {string} language The recognition language tag
+ * @returns {string} The transcript with numbers in figures
+ */
+export const normaliseNumbers = (text, language) => {
+    const key = findDictionaryKey(dictionaries, language);
+    if (!key || !text.trim()) {
+        return text;
+    }
+
+    const lookup = getLookup(dictionaries, lookups, language);
+    const context = {lookup, format: formats[key], locale: getLocale(language, key)};
+    const words = splitHyphens(text.trim().split(/\s+/), lookup);
+    const result = [];
+
+    let index = 0;
+    while (index < words.length) {
+        const match = matchTime(words, index, context) || matchDate(words, index, context) || matchQuantity(words, index, context);
+        if (match) {
+            result.push(match.text);
+            index = match.end;
+        } else {
+            result.push(words[index]);
+            index++;
+        }
+    }
+
+    return result.join(' ');
+};
+
+/**
+ * Parse a spoken number, as a value rather than written text.
+ *
+ * Years spoken as pairs of digits are not recognised, so that "twenty twenty"
+ * stays two numbers.
+ *
+ * @param {string[]} words The words
+ * @param {number} start The position of the first word
+ * @param {string} language The recognition language tag
+ * @returns {Object|null} The number {value, ordinal, end}, or null if there is none
+ */
+export const parseSpokenNumber = (words, start, language) => {
+    const key = findDictionaryKey(dictionaries, language);
+    if (!key) {
+        return null;
+    }
+
+    const lookup = getLookup(dictionaries, lookups, language);
+    const number = parseNumber(words, start, {lookup, format: {...formats[key], yearPairs: false}});
+    return number ? {value: toValue(number), ordinal: number.ordinal, end: number.end} : null;
+};
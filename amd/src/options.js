@@ -0,0 +1,367 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Options helper for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/options
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getPluginOptionName} from 'editor_tiny/options';
+import {pluginName} from './common';
+
+const languageName = getPluginOptionName(pluginName, 'language');
+const languagesName = getPluginOptionName(pluginName, 'languages');
+const engineName = getPluginOptionName(pluginName, 'engine');
+const serverEndpointName = getPluginOptionName(pluginName, 'serverendpoint');
+const replayScriptName = getPluginOptionName(pluginName, 'replayscript');
+const continuousName = getPluginOptionName(pluginName, 'continuous');
+const interimPreviewName = getPluginOptionName(pluginName, 'interimpreview');
+const autoPunctuationName = getPluginOptionName(pluginName, 'autopunctuation');
+const punctuationName = getPluginOptionName(pluginName, 'punctuation');
+const pausePunctuationName = getPluginOptionName(pluginName, 'pausepunctuation');
+const silenceTimeoutName = getPluginOptionName(pluginName, 'silencetimeout');
+const keepAliveName = getPluginOptionName(pluginName, 'keepalive');
+const shortcutName = getPluginOptionName(pluginName, 'shortcut');
+const pushToTalkName = getPluginOptionName(pluginName, 'pushtotalk');
+const previewPositionName = getPluginOptionName(pluginName, 'previewposition');
+const reviewModeName = getPluginOptionName(pluginName, 'reviewmode');
+const historyName = getPluginOptionName(pluginName, 'history');
+const confidenceThresholdName = getPluginOptionName(pluginName, 'confidencethreshold');
+const recordAudioName = getPluginOptionName(pluginName, 'recordaudio');
+const readAloudRateName = getPluginOptionName(pluginName, 'readaloudrate');
+const numbersName = getPluginOptionName(pluginName, 'numbers');
+const rulesName = getPluginOptionName(pluginName, 'rules');
+
+// Recognition languages offered in the language menu unless configured otherwise
+const defaultLanguages = [
+    'en-US',
+    'en-GB',
+    'fr-FR',
+    'es-ES',
+    'de-DE',
+    'it-IT',
+    'pt-BR',
+    'bn-BD',
+    'hi-IN',
+    'ar-SA',
+];
+
+/**
+ * Register the options for the Tiny Speech to Text plugin.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const register = (editor) => {
+    const registerOption = editor.options.register;
+
+    registerOption(languageName, {
+        processor: 'string',
+        "default": 'en-US',
+    });
+
+    registerOption(languagesName, {
+        processor: 'string[]',
+        "default": defaultLanguages,
+    });
+
+    registerOption(engineName, {
+        processor: 'string',
+        "default": 'webspeech',
+    });
+
+    registerOption(serverEndpointName, {
+        processor: 'string',
+        "default": '',
+    });
+
+    registerOption(replayScriptName, {
+        processor: 'string',
+        "default": '',
+    });
+
+    registerOption(continuousName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(interimPreviewName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(autoPunctuationName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(punctuationName, {
+        processor: 'object',
+        "default": {},
+    });
+
+    registerOption(pausePunctuationName, {
+        processor: 'number',
+        "default": 0,
+    });
+
+    registerOption(silenceTimeoutName, {
+        processor: 'number',
+        "default": 0,
+    });
+
+    registerOption(keepAliveName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(shortcutName, {
+        processor: 'string',
+        "default": 'alt+shift+d',
+    });
+
+    registerOption(pushToTalkName, {
+        processor: 'boolean',
+        "default": false,
+    });
+
+    registerOption(previewPositionName, {
+        processor: 'string',
+        "default": 'corner',
+    });
+
+    registerOption(reviewModeName, {
+        processor: 'boolean',
+        "default": false,
+    });
+
+    registerOption(historyName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(confidenceThresholdName, {
+        processor: 'number',
+        "default": 0,
+    });
+
+    registerOption(recordAudioName, {
+        processor: 'boolean',
+        "default": false,
+    });
+
+    registerOption(readAloudRateName, {
+        processor: 'number',
+        "default": 1,
+    });
+
+    registerOption(numbersName, {
+        processor: 'boolean',
+        "default": true,
+    });
+
+    registerOption(rulesName, {
+        processor: 'array',
+        "default": [],
+    });
+};
+
+/**
+ * Get the default recognition language (BCP 47 tag) for the editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The language tag
+ */
+export const getLanguage = (editor) => editor.options.get(languageName);
+
+/**
+ * Get the recognition languages the user may switch between.
+ *
+ * The default language is always included.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string[]} The language tags
+ */
+export const getLanguages = (editor) => {
+    const languages = editor.options.get(languagesName);
+    const language = getLanguage(editor);
+
+    if (languages.includes(language)) {
+        return languages;
+    }
+    return [language, ...languages];
+};
+
+/**
+ * Get the name of the recognition engine chosen by the administrator.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The engine name ('webspeech', 'server' or 'auto', or 'replay' in automated tests)
+ */
+export const getEngine = (editor) => editor.options.get(engineName);
+
+/**
+ * Get the speech server endpoint used by the server engine.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The endpoint URL, or an empty string if none is configured
+ */
+export const getServerEndpoint = (editor) => editor.options.get(serverEndpointName);
+
+/**
+ * Get the script of recognition events played by the replay engine in automated tests.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The script as JSON, or an empty string outside automated tests
+ */
+export const getReplayScript = (editor) => editor.options.get(replayScriptName);
+
+/**
+ * Whether dictation continues until stopped, rather than ending after one utterance.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isContinuous = (editor) => editor.options.get(continuousName);
+
+/**
+ * Whether interim results are shown in the preview panel while speaking.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isInterimPreviewEnabled = (editor) => editor.options.get(interimPreviewName);
+
+/**
+ * Whether spoken punctuation such as "comma" is converted to punctuation marks.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isAutoPunctuationEnabled = (editor) => editor.options.get(autoPunctuationName);
+
+/**
+ * Get the spoken punctuation dictionaries.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Object} The dictionaries keyed by language, each with phrases and endphrases
+ */
+export const getPunctuationDictionaries = (editor) => editor.options.get(punctuationName);
+
+/**
+ * Get the pause after which dictated text starts a new sentence.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {number} The pause in milliseconds, 0 if pauses do not break sentences
+ */
+export const getSentencePause = (editor) => editor.options.get(pausePunctuationName);
+
+/**
+ * Get the number of seconds without speech after which dictation stops.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {number} The timeout in seconds, 0 for no timeout
+ */
+export const getSilenceTimeout = (editor) => editor.options.get(silenceTimeoutName);
+
+/**
+ * Whether continuous dictation carries on when the recognizer ends by itself.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isKeepAliveEnabled = (editor) => isContinuous(editor) && editor.options.get(keepAliveName);
+
+/**
+ * Get the keyboard shortcut toggling dictation, in TinyMCE shortcut notation.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The shortcut, e.g. 'alt+shift+d', or an empty string for none
+ */
+export const getShortcut = (editor) => editor.options.get(shortcutName).trim().toLowerCase();
+
+/**
+ * Whether dictation only runs while the keyboard shortcut is held down.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isPushToTalkEnabled = (editor) => editor.options.get(pushToTalkName);
+
+/**
+ * Whether the preview panel is docked below the editor, rather than floating in a corner of the window.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isPreviewDocked = (editor) => editor.options.get(previewPositionName) === 'docked';
+
+/**
+ * Whether recognised phrases are collected in the preview for review, rather than inserted directly.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isReviewModeEnabled = (editor) => editor.options.get(reviewModeName);
+
+/**
+ * Whether recent dictation sessions are kept in the browser, to recover dictated text.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isHistoryEnabled = (editor) => editor.options.get(historyName);
+
+/**
+ * Get the recognition confidence below which dictated words are marked for review.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {number} The confidence between 0 and 1, 0 to mark nothing
+ */
+export const getConfidenceThreshold = (editor) => editor.options.get(confidenceThresholdName);
+
+/**
+ * Whether dictation is recorded and saved as an audio file with the text.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isAudioRecordingEnabled = (editor) => editor.options.get(recordAudioName);
+
+/**
+ * Get the rate at which text is read aloud.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {number} The speaking rate, 1 for the normal rate of the voice
+ */
+export const getReadAloudRate = (editor) => editor.options.get(readAloudRateName);
+
+/**
+ * Whether spoken numbers, dates, times and units are written as figures in the course the editor is used in.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isNumberFormattingEnabled = (editor) => editor.options.get(numbersName);
+
+/**
+ * Get the replacement rules of the course the editor is used in.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Object[]} The rules, with phrase, replacement and regex properties
+ */
+export const getReplacementRules = (editor) => editor.options.get(rulesName);
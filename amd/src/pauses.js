@@ -0,0 +1,214 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Sentence breaks from pauses for the Moodle tiny_speechtotext plugin.
+ *
+ * Recognizers finalise a result whenever the speaker pauses. When the pause
+ * before an utterance is long enough, the previous sentence is ended with a
+ * full stop (or a question mark) and the utterance starts a new sentence.
+ * Pauses are measured from result timestamps, so that sequences of recorded
+ * results can be replayed:
+ *
+ *     const tracker = createPauseTracker();
+ *     tracker.addResult(true, 0);      // 0, the first utterance
+ *     tracker.addResult(false, 2500);  // next utterance starts being heard
+ *     tracker.addResult(true, 3000);   // 2500
+ *
+ * @module      tiny_speechtotext/pauses
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {capitalizeWord} from './punctuation';
+import {findDictionaryKey} from './phrases';
+
+// Words starting a question, per language. Words often starting statements too, such as the names
+// "Will" and "May" or "have" in "have a look", are left out. Spanish questions open with "¿",
+// which cannot be added once the question is inserted, so they end with a full stop.
+const questionWords = {
+    en: [
+        'who', 'whom', 'whose', 'what', 'which', 'when', 'where', 'why', 'how',
+        'are', 'am', 'was', 'were', 'does', 'did', 'can', 'could', 'would',
+        'should', 'shall', 'might', 'must', 'has',
+        "isn't", "aren't", "wasn't", "weren't", "doesn't", "didn't", "can't", "couldn't", "won't", "wouldn't",
+        "shouldn't", "haven't", "hasn't",
+    ],
+    fr: [
+        'qui', 'que', "qu'est-ce", 'quoi', 'quand', 'où', 'pourquoi', 'comment', 'combien',
+        'quel', 'quelle', 'quels', 'quelles', 'lequel', 'laquelle', 'est-ce',
+    ],
+};
+
+// Languages whose first person pronoun is a capital "I"
+const capitalPronounLanguages = ['en'];
+
+// The pronoun "i" on its own or in contractions such as "i'm", but not in abbreviations such as "i.e."
+const lowercasePronoun = /(^|[\s"(«])i(?=$|[\s,;:!?)"»]|['’][a-z]|\.(?![a-z]))/g;
+
+// Text ending with these needs no mark before the next sentence
+const phraseEnding = /[.,!?;:…।([¿¡«\n-]$/;
+
+// Text starting with these already ends the previous sentence or phrase, e.g. a spoken "full stop"
+const phraseStarting = /^[.,!?;:…।)]/;
+
+// Marks ending the sentences of the text before the insertion point
+const sentenceBoundary = /[.!?…।]\s+|\n/;
+
+/**
+ * Create a tracker measuring the pauses between utterances.
+ *
+ * An utterance starts with its first interim result and ends with its final
+ * result. The pause before an utterance runs from the final result of the
+ * previous one until the utterance starts. Without interim results the final
+ * result is also the first one, so the pause would include the utterance:
+ * only track recognizers delivering interim results.
+ *
+ * @returns {Object} The tracker, with addResult(isFinal, time) and reset() methods
+ */
+export const createPauseTracker = () => {
+    let utteranceStart = null;
+    let lastFinal = null;
+
+    return {
+        /**
+         * Record a recognition result.
+         *
+         * @param {boolean} isFinal Whether the result is final
+         * @param {number} time When the result was received, in milliseconds
+         * @returns {number} For final results, the pause before the utterance in milliseconds (0 for the
+         *     first utterance), otherwise 0
+         */
+        addResult: (isFinal, time) => {
+            if (utteranceStart === null) {
+                utteranceStart = time;
+            }
+            if (!isFinal) {
+                return 0;
+            }
+
+            const pause = lastFinal === null ? 0 : Math.max(0, utteranceStart - lastFinal);
+            lastFinal = time;
+            utteranceStart = null;
+            return pause;
+        },
+
+        /**
+         * Forget earlier utterances, e.g. when dictation starts again.
+         */
+        reset: () => {
+            utteranceStart = null;
+            lastFinal = null;
+        },
+    };
+};
+
+/**
+ * Time the pauses before the utterances of a recognition result event.
+ *
+ * Pauses are only timed for recognizers finalising results when the speaker
+ * pauses and delivering interim results. Without interim results the start of
+ * an utterance is only known once it is final, so pauses cannot be told apart
+ * from speech and no sentence breaks are added.
+ *
+ * @param {Object} tracker The tracker from createPauseTracker()
+ * @param {Engine} recognition The recognizer
+ * @param {boolean} hasFinal Whether the event has final results
+ * @param {boolean} hasInterim Whether the event has interim results
+ * @param {number} time When the event was received, in milliseconds
+ * @returns {number} The pause before the final utterance in milliseconds, or 0
+ */
+export const trackPauses = (tracker, recognition, hasFinal, hasInterim, time) => {
+    if (!recognition.finalisesAtPauses || !recognition.interimResults) {
+        return 0;
+    }
+
+    const pause = hasFinal ? tracker.addResult(true, time) : 0;
+    if (hasInterim) {
+        tracker.addResult(false, time);
+    }
+    return pause;
+};
+
+/**
+ * Capitalise the pronoun "I" in languages that write it so.
+ *
+ * @param {string} text The text
+ * @param {string} language The recognition language tag
+ * @returns {string} The text
+ */
+export const capitalizePronoun = (text, language) => {
+    if (!capitalPronounLanguages.includes((language || '').toLowerCase().split('-')[0])) {
+        return text;
+    }
+    return text.replace(lowercasePronoun, '$1I');
+};
+
+/**
+ * Check whether a sentence is a question, from its first word.
+ *
+ * @param {string} sentence The sentence
+ * @param {string} language The recognition language tag
+ * @returns {boolean}
+ */
+const isQuestion = (sentence, language) => {
+    const key = findDictionaryKey(questionWords, language);
+    if (!key) {
+        return false;
+    }
+
+    const firstWord = sentence.trim().split(/\s+/)[0].toLocaleLowerCase(language).replace(/’/g, "'");
+    return questionWords[key].includes(firstWord);
+};
+
+/**
+ * Start a new sentence with text dictated after a pause.
+ *
+ * The sentence before the insertion point is ended with a full stop, or a
+ * question mark if it starts with a question word, unless it already ends
+ * with punctuation or the text starts with punctuation (spoken by the user).
+ * The pronoun "I" is capitalised whatever the pause.
+ *
+ * @param {string} text The processed transcript
+ * @param {Object} context The pipeline context
+ * @param {string} context.language The recognition language tag
+ * @param {string} [context.before] The text before the insertion point, within the same block
+ * @param {number} [context.pause] The pause before the utterance, in milliseconds
+ * @param {number} sentencePause The pause starting a new sentence, in milliseconds
+ * @returns {string} The text
+ */
+export const addPauseBreak = (text, {language, before = '', pause = 0}, sentencePause) => {
+    const result = capitalizePronoun(text, language);
+    const preceding = before.replace(/[ \t]+$/, '');
+
+    if (!result.trim() || !preceding.trim() || pause < sentencePause) {
+        return result;
+    }
+    if (phraseEnding.test(preceding) || phraseStarting.test(result.trimStart())) {
+        return result;
+    }
+
+    const sentence = preceding.split(sentenceBoundary).pop();
+    const mark = isQuestion(sentence, language) ? '?' : '.';
+    return `${mark} ${capitalizeWord(result.trimStart())}`;
+};
+
+/**
+ * Create a pipeline step starting new sentences after pauses.
+ *
+ * @param {number} sentencePause The pause starting a new sentence, in milliseconds
+ * @returns {function} The step, taking the text and the context
+ */
+export const createPauseStep = (sentencePause) => (text, context) => addPauseBreak(text, context, sentencePause);
@@ -0,0 +1,92 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken phrase matching helper for the Moodle tiny_speechtotext plugin.
+ *
+ * Dictionaries are keyed by language tag or primary language subtag and map
+ * case-insensitive spoken phrases of any length to a value.
+ *
+ * @module      tiny_speechtotext/phrases
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Find the dictionary key for a recognition language.
+ *
+ * A dictionary for the full tag (e.g. 'fr-ca') is preferred over one for the
+ * primary language ('fr').
+ *
+ * @param {Object} dictionaries The dictionaries keyed by language
+ * @param {string} language The recognition language tag
+ * @returns {string|null} The dictionary key, or null if there is none
+ */
+export const findDictionaryKey = (dictionaries, language) => {
+    const tag = (language || '').toLowerCase();
+    return [tag, tag.split('-')[0]].find((candidate) => dictionaries[candidate]) || null;
+};
+
+/**
+ * Get the lookup table of a recognition language, building it on first use.
+ *
+ * Languages without a dictionary get an empty table.
+ *
+ * @param {Object} dictionaries The dictionaries keyed by language
+ * @param {Map} cache The lookup tables already built, keyed by dictionary key
+ * @param {string} language The recognition language tag
+ * @returns {Object} The lookup with {phrases, maxWords, locale}
+ */
+export const getLookup = (dictionaries, cache, language) => {
+    const key = findDictionaryKey(dictionaries, language);
+
+    if (!key) {
+        return {phrases: new Map(), maxWords: 0, locale: language};
+    }
+
+    if (!cache.has(key)) {
+        const phrases = new Map();
+        let maxWords = 0;
+        Object.entries(dictionaries[key]).forEach(([phrase, value]) => {
+            const words = phrase.toLocaleLowerCase(key).trim().split(/\s+/);
+            phrases.set(words.join(' '), value);
+            maxWords = Math.max(maxWords, words.length);
+        });
+        cache.set(key, {phrases, maxWords, locale: key});
+    }
+    return cache.get(key);
+};
+
+/**
+ * Try to match the longest spoken phrase from a word array.
+ *
+ * @param {Array} words Array of words
+ * @param {number} startIndex Starting index in the array
+ * @param {Object} lookup The lookup table of the active language
+ * @returns {Object} Object with {value, wordsConsumed} or null if no match
+ */
+export const matchPhrase = (words, startIndex, lookup) => {
+    const longest = Math.min(lookup.maxWords, words.length - startIndex);
+
+    for (let wordCount = longest; wordCount >= 1; wordCount--) {
+        const phrase = words.slice(startIndex, startIndex + wordCount).join(' ').toLocaleLowerCase(lookup.locale);
+        const value = lookup.phrases.get(phrase);
+
+        if (value !== undefined) {
+            return {value, wordsConsumed: wordCount};
+        }
+    }
+    return null;
+};
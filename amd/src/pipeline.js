@@ -0,0 +1,99 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Transcript post-processing pipeline for the Moodle tiny_speechtotext plugin.
+ *
+ * Final transcripts run through a sequence of steps, each taking the text and
+ * a context ({language}, with {before, pause} for dictated text) and returning
+ * new text. Steps only process strings, so pipelines can be tested without a
+ * browser.
+ *
+ * @module      tiny_speechtotext/pipeline
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {normaliseNumbers} from './numbers';
+import {processTextWithPunctuation} from './punctuation';
+import {createReplacementSteps} from './replacements';
+import {createPauseStep} from './pauses';
+
+/**
+ * Create a pipeline running text through steps in turn.
+ *
+ * @param {function[]} steps The steps, called with the text and the context
+ * @returns {function} The pipeline, called with the text and the context
+ */
+export const createPipeline = (steps) => (text, context) => steps.reduce((result, step) => step(result, context), text);
+
+/**
+ * Collapse whitespace, for transcripts without spoken punctuation conversion.
+ *
+ * @param {string} text The text
+ * @returns {string} The text
+ */
+const normaliseWhitespace = (text) => text.trim().split(/\s+/).join(' ');
+
+/**
+ * Create a step converting spoken punctuation in the language of the context.
+ *
+ * @param {Object} dictionaries The spoken punctuation dictionaries keyed by language
+ * @returns {function} The step, taking the text and the context
+ */
+const createPunctuationStep = (dictionaries) => (text, {language}) => processTextWithPunctuation(text, language, dictionaries);
+
+/**
+ * Write spoken numbers in figures, in the language of the context.
+ *
+ * @param {string} text The text
+ * @param {Object} context The pipeline context
+ * @returns {string} The text
+ */
+const convertNumbers = (text, {language}) => normaliseNumbers(text, language);
+
+/**
+ * Create the pipeline processing dictated transcripts.
+ *
+ * The steps run in this order:
+ *
+ * 1. Spoken phrases of the replacement rules are matched on the words as
+ *    recognised, e.g. "node dot js", and held back as placeholders.
+ * 2. Numbers are written in figures, before punctuation, which would
+ *    otherwise take decimal points such as "point" or "virgule" for
+ *    punctuation marks.
+ * 3. Spoken punctuation is converted, or else whitespace is collapsed.
+ * 4. The written text of the phrases is put in, e.g. "Node.js", and the
+ *    regular expression rules are applied to the converted text.
+ * 5. Sentences are broken at pauses, once spoken punctuation is known.
+ *
+ * @param {Object} settings The processing settings
+ * @param {boolean} settings.numbers Whether to write spoken numbers in figures
+ * @param {Object|null} settings.punctuation The spoken punctuation dictionaries, null not to convert spoken punctuation
+ * @param {Object[]} settings.rules The course replacement rules
+ * @param {number} settings.sentencePause The pause starting a new sentence in milliseconds, 0 for none
+ * @returns {function} The pipeline, called with the transcript and the context
+ */
+export const createTranscriptPipeline = ({numbers, punctuation, rules, sentencePause}) => {
+    const {phraseStep, patternStep} = createReplacementSteps(rules);
+
+    return createPipeline([
+        phraseStep,
+        ...(numbers ? [convertNumbers] : []),
+        punctuation ? createPunctuationStep(punctuation) : normaliseWhitespace,
+        patternStep,
+        ...(sentencePause > 0 ? [createPauseStep(sentencePause)] : []),
+    ]);
+};
@@ -27,6 +27,7 @@ import {getPluginMetadata} from 'editor_tiny/utils';
 import {component, pluginName} from './common';
 import * as Commands from './commands';
 import * as Configuration from './configuration';
+import * as Options from './options';
 
 // Setup the Speech to Text Plugin.
 // eslint-disable-next-line no-async-promise-executor
@@ -44,6 +45,9 @@ export default new Promise(async(resolve) => {
     // Note: The PluginManager.add function does not accept a Promise.
     // Any asynchronous code must be run before this point.
     tinyMCE.PluginManager.add(pluginName, (editor) => {
+        // Register options.
+        Options.register(editor);
+
         // Setup the Commands (buttons, menu items, and so on).
         setupCommands(editor);
 
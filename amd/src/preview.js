@@ -0,0 +1,488 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Dictation preview panel for the Moodle tiny_speechtotext plugin.
+ *
+ * @module      tiny_speechtotext/preview
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import ModalEvents from 'core/modal_events';
+import ModalFactory from 'core/modal_factory';
+import Templates from 'core/templates';
+import Notification from 'core/notification';
+import {get_string as getString} from 'core/str';
+import {component} from './common';
+import {isPreviewDocked, isReviewModeEnabled} from './options';
+
+// Preview panels by editor, with the promise of their container while rendering
+const panels = new WeakMap();
+
+/**
+ * Get the label of the form field an editor belongs to.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {string} The label, or an empty string if the editor has none
+ */
+const getEditorLabel = (editor) => {
+    const element = editor.getElement();
+    const label = element.id ? document.querySelector(`label[for="${CSS.escape(element.id)}"]`) : null;
+    const text = label ? label.textContent : element.getAttribute('aria-label');
+
+    return text ? text.trim().replace(/\s+/g, ' ') : '';
+};
+
+/**
+ * Render the preview panel of an editor and add it to the page.
+ *
+ * The panel is either docked below the editor or floats in a corner of the window.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Promise<HTMLElement>} The panel
+ */
+const render = async(editor) => {
+    const label = getEditorLabel(editor);
+    const target = await (label ? getString('dictatinginto', component, label) : getString('dictatingintounnamed', component));
+    const id = `${editor.id}_speechtotext_preview`;
+    const docked = isPreviewDocked(editor);
+
+    const review = isReviewModeEnabled(editor);
+
+    const {html, js} = await Templates.renderForPromise(`${component}/preview`, {id, target, docked, review});
+    if (docked) {
+        editor.getContainer().insertAdjacentHTML('afterend', html);
+    } else {
+        document.body.insertAdjacentHTML('beforeend', html);
+    }
+    Templates.runTemplateJS(js);
+
+    return document.getElementById(id);
+};
+
+/**
+ * Get the phrases awaiting review in a panel.
+ *
+ * @param {HTMLElement} container The panel
+ * @returns {HTMLElement[]} The phrase elements
+ */
+const getPhrases = (container) => Array.from(container.querySelectorAll('[data-region="phrase"]'));
+
+/**
+ * Remove the phrases awaiting review from a panel.
+ *
+ * @param {HTMLElement} container The panel
+ */
+const clearPhrases = (container) => {
+    getPhrases(container).forEach((phrase) => phrase.remove());
+    container.querySelector('[data-region="review-actions"]').hidden = true;
+};
+
+/**
+ * Remove a phrase awaiting review from a panel.
+ *
+ * @param {HTMLElement} container The panel
+ * @param {HTMLElement} phrase The phrase element
+ * @returns {HTMLElement|null} The text field of the next phrase to review, if any
+ */
+const removePhrase = (container, phrase) => {
+    const next = phrase.nextElementSibling || phrase.previousElementSibling;
+    phrase.remove();
+    container.querySelector('[data-region="review-actions"]').hidden = !next;
+
+    return next ? next.querySelector('textarea') : null;
+};
+
+/**
+ * Move focus to the next phrase to review, if any.
+ *
+ * @param {HTMLElement|null} field The text field of the phrase
+ */
+const focusPhrase = (field) => {
+    if (field && field.isConnected) {
+        field.focus();
+    }
+};
+
+/**
+ * Handle a click on one of the buttons of a panel.
+ *
+ * @param {HTMLElement} container The panel
+ * @param {HTMLElement} button The button
+ * @param {Object} handlers What to do when the user acts on the panel, see show()
+ */
+const handleButton = (container, button, handlers) => {
+    switch (button.dataset.action) {
+        case 'close':
+            handlers.close();
+            break;
+        case 'retry':
+            handlers.retry();
+            break;
+        case 'alternative':
+            button.closest('[data-region="phrase"]').querySelector('textarea').value = button.textContent.trim();
+            break;
+        case 'acceptphrase': {
+            const phrase = button.closest('[data-region="phrase"]');
+            const text = phrase.querySelector('textarea').value.trim();
+            const next = removePhrase(container, phrase);
+            handlers.accept(text);
+            focusPhrase(next);
+            break;
+        }
+        case 'discardphrase': {
+            const next = removePhrase(container, button.closest('[data-region="phrase"]'));
+            handlers.discard();
+            focusPhrase(next);
+            break;
+        }
+        case 'accept': {
+            const text = getPhrases(container).map((phrase) => phrase.querySelector('textarea').value.trim()).join(' ');
+            clearPhrases(container);
+            handlers.accept(text);
+            break;
+        }
+        case 'discard':
+            clearPhrases(container);
+            handlers.discard();
+            break;
+    }
+};
+
+/**
+ * Show the preview panel of an editor, if not already shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} handlers What to do when the user acts on the panel
+ * @param {function} handlers.close Called when the panel is closed, see confirmClose()
+ * @param {function} handlers.retry Called when the user asks to try again after an error
+ * @param {function} handlers.accept Called with the reviewed text when the user accepts all or one of the phrases
+ * @param {function} handlers.discard Called when the user discards all or one of the phrases awaiting review
+ * @param {function} handlers.microphone Called with the device id when the user chooses another microphone
+ * @returns {Promise<HTMLElement|null>} The panel, or null if it was hidden while rendering
+ */
+const show = (editor, handlers) => {
+    let panel = panels.get(editor);
+    if (panel) {
+        return panel.rendered;
+    }
+
+    panel = {container: null, phrases: Promise.resolve()};
+    panel.rendered = render(editor).then((container) => {
+        if (panels.get(editor) !== panel) {
+            // Hidden while rendering
+            container.remove();
+            return null;
+        }
+
+        container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (button) {
+                handleButton(container, button, handlers);
+            }
+        });
+        container.addEventListener('change', (event) => {
+            if (event.target.matches('[data-region="microphone"]')) {
+                handlers.microphone(event.target.value);
+            }
+        });
+        container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                handlers.close();
+            }
+        });
+
+        panel.container = container;
+        return container;
+    }).catch((e) => {
+        Notification.exception(e);
+        return null;
+    });
+    panels.set(editor, panel);
+
+    return panel.rendered;
+};
+
+/**
+ * Show the preview panel waiting for speech, clearing any earlier error.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} handlers What to do when the user acts on the panel, see show()
+ * @returns {Promise}
+ */
+export const showListening = (editor, handlers) => show(editor, handlers).then((container) => {
+    if (container) {
+        container.querySelector('[data-region="noinput"]').hidden = true;
+        container.querySelector('[data-region="error"]').hidden = true;
+        container.querySelector('[data-action="retry"]').hidden = true;
+        container.querySelector('[data-region="placeholder"]').hidden = false;
+        container.querySelector('[data-region="text"]').textContent = '';
+        container.classList.add('listening');
+    }
+    return container;
+});
+
+/**
+ * Show an error in the preview panel.
+ *
+ * Focus moves to the retry button, if any, so that keyboard users can try again at once.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} message The error message
+ * @param {boolean} retryable Whether to offer to try again
+ * @param {Object} handlers What to do when the user acts on the panel, see show()
+ * @returns {Promise}
+ */
+export const showError = (editor, message, retryable, handlers) => show(editor, handlers).then((container) => {
+    if (container) {
+        const retryButton = container.querySelector('[data-action="retry"]');
+
+        container.classList.remove('listening');
+        container.querySelector('[data-region="noinput"]').hidden = true;
+        container.querySelector('[data-region="placeholder"]').hidden = true;
+        container.querySelector('[data-region="text"]').textContent = '';
+        container.querySelector('[data-region="error"]').textContent = message;
+        container.querySelector('[data-region="error"]').hidden = false;
+        retryButton.hidden = !retryable;
+        if (retryable) {
+            retryButton.focus();
+        }
+    }
+    return container;
+});
+
+/**
+ * Show that dictation stopped, keeping the panel open while phrases await review.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const showStopped = (editor) => {
+    const panel = panels.get(editor);
+    if (!panel || !panel.container || !getPhrases(panel.container).length) {
+        hide(editor);
+        return;
+    }
+
+    panel.container.classList.remove('listening');
+    panel.container.querySelector('[data-region="noinput"]').hidden = true;
+    panel.container.querySelector('[data-region="placeholder"]').hidden = true;
+    panel.container.querySelector('[data-region="text"]').textContent = '';
+};
+
+/**
+ * Add a recognised phrase for review to the preview panel.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string[]} alternatives The transcripts of the phrase, most likely first
+ * @param {Object} handlers What to do when the user acts on the panel, see show()
+ * @returns {Promise}
+ */
+export const addPhrase = (editor, alternatives, handlers) => show(editor, handlers).then((container) => {
+    const panel = panels.get(editor);
+    if (!container || !panel) {
+        return null;
+    }
+
+    // Render one phrase after the other so they stay in the order spoken
+    panel.phrases = panel.phrases.then(async() => {
+        const list = container.querySelector('[data-region="phrases"]');
+        const [text, ...others] = alternatives;
+        const {html, js} = await Templates.renderForPromise(`${component}/review_phrase`, {
+            number: list.children.length + 1,
+            text,
+            alternatives: others,
+            hasalternatives: others.length > 0,
+        });
+        Templates.appendNodeContents(list, html, js);
+        container.querySelector('[data-region="review-actions"]').hidden = false;
+        return container;
+    }).catch((e) => {
+        Notification.exception(e);
+        return null;
+    });
+    return panel.phrases;
+});
+
+/**
+ * Whether phrases await review in the preview panel of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const hasPhrases = (editor) => {
+    const panel = panels.get(editor);
+    return Boolean(panel && panel.container && getPhrases(panel.container).length);
+};
+
+/**
+ * Ask whether to discard the phrases awaiting review before the preview panel is closed.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {Promise<boolean>} Whether the panel may be closed: there are no phrases, or the user discards them
+ */
+export const confirmClose = async(editor) => {
+    if (!hasPhrases(editor)) {
+        return true;
+    }
+
+    const modal = await ModalFactory.create({
+        type: ModalFactory.types.SAVE_CANCEL,
+        title: getString('discardphrasestitle', component),
+        body: getString('discardphrasesconfirm', component, getPhrases(panels.get(editor).container).length),
+        removeOnClose: true,
+    });
+    modal.setSaveButtonText(getString('discardphrases', component));
+
+    return new Promise((resolve) => {
+        let discard = false;
+        modal.getRoot().on(ModalEvents.save, () => {
+            discard = true;
+        });
+        modal.getRoot().on(ModalEvents.hidden, () => resolve(discard));
+        modal.show();
+    });
+};
+
+/**
+ * Show recognised text in the preview panel, if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} text The recognised text
+ * @param {boolean} isFinal Whether the text is final, rather than an interim guess
+ */
+export const setText = (editor, text, isFinal) => {
+    const panel = panels.get(editor);
+    if (!panel || !panel.container) {
+        return;
+    }
+
+    panel.container.querySelector('[data-region="placeholder"]').hidden = text !== '';
+    panel.container.querySelector('[data-region="text"]').textContent = text;
+    panel.container.classList.toggle('final', isFinal);
+};
+
+/**
+ * Get an element of the preview panel of an editor, if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} region The data-region of the element
+ * @returns {HTMLElement|null}
+ */
+const getRegion = (editor, region) => {
+    const panel = panels.get(editor);
+    return panel && panel.container ? panel.container.querySelector(`[data-region="${region}"]`) : null;
+};
+
+/**
+ * Show the microphone input level in the preview panel, if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {number} level The level between 0 and 1
+ */
+export const setLevel = (editor, level) => {
+    const meter = getRegion(editor, 'meter');
+    if (meter) {
+        meter.hidden = false;
+        meter.querySelector('[data-region="level"]').style.width = `${Math.round(level * 100)}%`;
+    }
+};
+
+/**
+ * Show for how long dictation has been running in the preview panel, if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {number} seconds The elapsed time in seconds
+ */
+export const setElapsed = (editor, seconds) => {
+    const elapsed = getRegion(editor, 'elapsed');
+    if (elapsed) {
+        const minutes = Math.floor(seconds / 60);
+        elapsed.textContent = `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+};
+
+/**
+ * Show or hide the warning that the microphone picks up no sound, in the preview panel if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {boolean} visible Whether to show the warning
+ */
+export const showNoInput = (editor, visible) => {
+    const warning = getRegion(editor, 'noinput');
+    if (warning && warning.hidden === visible) {
+        warning.hidden = !visible;
+    }
+};
+
+/**
+ * Show or hide that the microphone is being recorded, in the preview panel if shown.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {boolean} visible Whether to show the notice
+ */
+export const showRecording = (editor, visible) => {
+    const notice = getRegion(editor, 'recording');
+    if (notice) {
+        notice.hidden = !visible;
+    }
+};
+
+/**
+ * Offer a choice of microphone in the preview panel, if shown and there are several.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object[]} microphones The microphones, with deviceId and label properties
+ * @param {string} selected The device id of the microphone in use, or an empty string for the default one
+ */
+export const setMicrophones = async(editor, microphones, selected) => {
+    const region = getRegion(editor, 'microphones');
+    if (!region) {
+        return;
+    }
+
+    const select = region.querySelector('select');
+    const options = await Promise.all(microphones.map(async({deviceId, label}, index) => {
+        const option = document.createElement('option');
+        option.value = deviceId;
+        option.textContent = label || await getString('microphonenumber', component, index + 1);
+        option.selected = deviceId === selected;
+        return option;
+    }));
+    select.replaceChildren(...options);
+    region.hidden = microphones.length < 2;
+};
+
+/**
+ * Remove the preview panel of an editor, if shown.
+ *
+ * If the panel had focus, it goes back to the editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const hide = (editor) => {
+    const panel = panels.get(editor);
+    if (!panel) {
+        return;
+    }
+
+    panels.delete(editor);
+    if (panel.container) {
+        if (panel.container.contains(document.activeElement)) {
+            editor.focus();
+        }
+        panel.container.remove();
+    }
+};
@@ -0,0 +1,190 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken punctuation helper for the Moodle tiny_speechtotext plugin.
+ *
+ * The dictionaries of spoken punctuation per language are JSON files in the
+ * punctuation directory of the plugin, passed to the editor in its options.
+ *
+ * @module      tiny_speechtotext/punctuation
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {getLookup, matchPhrase} from './phrases';
+
+// Lookup tables built from the dictionaries, by dictionaries and part
+const lookups = new WeakMap();
+
+// Punctuation marks that open a phrase and attach to the following word
+const openingPunctuation = ['(', '¿', '¡', '«'];
+
+/**
+ * Get the lookup tables of a recognition language.
+ *
+ * @param {Object} dictionaries The dictionaries keyed by language, each with phrases and endphrases
+ * @param {string} language The recognition language tag
+ * @returns {Object} The lookups of phrases converted anywhere and of those only ending an utterance
+ */
+const getLookups = (dictionaries, language) => {
+    if (!lookups.has(dictionaries)) {
+        const getPart = (part) => Object.fromEntries(
+            Object.entries(dictionaries).map(([key, dictionary]) => [key, dictionary[part] || {}])
+        );
+        lookups.set(dictionaries, {
+            phrases: {dictionaries: getPart('phrases'), cache: new Map()},
+            endPhrases: {dictionaries: getPart('endphrases'), cache: new Map()},
+        });
+    }
+
+    const {phrases, endPhrases} = lookups.get(dictionaries);
+    return {
+        phrases: getLookup(phrases.dictionaries, phrases.cache, language),
+        endPhrases: getLookup(endPhrases.dictionaries, endPhrases.cache, language),
+    };
+};
+
+/**
+ * Match spoken punctuation at a word.
+ *
+ * End phrases, such as the French "point" which is also a common word, only
+ * match when they are the last words of the utterance.
+ *
+ * @param {string[]} words The words of the utterance
+ * @param {number} index The index of the word
+ * @param {Object} lookup The lookups from getLookups
+ * @returns {Object|null} Object with {value, wordsConsumed} or null if no match
+ */
+const matchPunctuation = (words, index, lookup) => {
+    const match = matchPhrase(words, index, lookup.phrases);
+    if (match) {
+        return match;
+    }
+
+    const endMatch = matchPhrase(words, index, lookup.endPhrases);
+    return endMatch && index + endMatch.wordsConsumed === words.length ? endMatch : null;
+};
+
+/**
+ * Check if a punctuation symbol ends a sentence.
+ *
+ * @param {string} symbol The punctuation symbol
+ * @returns {boolean} True if it ends a sentence
+ */
+const isSentenceEnding = (symbol) => /[.?!।…]$|\n\n$/.test(symbol);
+
+/**
+ * Check if a punctuation symbol opens a phrase.
+ *
+ * @param {string} symbol The punctuation symbol
+ * @returns {boolean} True if it attaches to the following word
+ */
+const isOpening = (symbol) => openingPunctuation.includes(symbol);
+
+/**
+ * Capitalize the first letter of a word.
+ *
+ * @param {string} word The word to capitalize
+ * @returns {string} The capitalized word
+ */
+export const capitalizeWord = (word) => {
+    if (!word || word.length === 0) {
+        return word;
+    }
+    return word.charAt(0).toUpperCase() + word.slice(1);
+};
+
+/**
+ * Add appropriate spacing before text.
+ *
+ * @param {string} currentResult Current result string
+ * @returns {string} Space character or empty string
+ */
+const getSpacingBefore = (currentResult) => {
+    if (currentResult.length === 0) {
+        return '';
+    }
+    if (currentResult.endsWith('\n') || currentResult.endsWith(' ')) {
+        return '';
+    }
+    if (isOpening(currentResult.slice(-1))) {
+        return '';
+    }
+    return ' ';
+};
+
+/**
+ * Process and convert text with punctuation handling.
+ *
+ * @param {string} text The text to process
+ * @param {string} language The recognition language tag selecting the dictionary
+ * @param {Object} dictionaries The dictionaries keyed by language, as in the punctuation directory of the plugin
+ * @returns {string} The processed text with proper spacing and capitalization
+ */
+export const processTextWithPunctuation = (text, language, dictionaries) => {
+    if (!text || !text.trim()) {
+        return '';
+    }
+
+    const lookup = getLookups(dictionaries, language);
+    const words = text.trim().split(/\s+/);
+    let result = '';
+    let shouldCapitalize = false;
+    let i = 0;
+
+    while (i < words.length) {
+        const punctMatch = matchPunctuation(words, i, lookup);
+
+        if (punctMatch) {
+            const symbol = punctMatch.value;
+
+            if (isOpening(symbol)) {
+                // Opening marks are spaced like words
+                result += getSpacingBefore(result);
+                result += symbol;
+            } else {
+                // Add punctuation symbol directly (no space before)
+                result = result.replace(/ $/, '') + symbol;
+
+                // Add space after (except newlines)
+                if (!symbol.endsWith('\n')) {
+                    result += ' ';
+                }
+            }
+
+            // Mark next word for capitalization if sentence-ending
+            if (isSentenceEnding(symbol)) {
+                shouldCapitalize = true;
+            }
+
+            i += punctMatch.wordsConsumed;
+        } else {
+            // Regular word - add spacing and handle capitalization
+            result += getSpacingBefore(result);
+
+            let word = words[i];
+            if (shouldCapitalize) {
+                word = capitalizeWord(word);
+                shouldCapitalize = false;
+            }
+
+            result += word;
+            i++;
+        }
+    }
+
+    return result;
+};
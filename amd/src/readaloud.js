@@ -0,0 +1,297 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Reading text aloud for the Moodle tiny_speechtotext plugin.
+ *
+ * Text can be heard back for proofreading with the browser speech synthesis,
+ * in the dictation language and at the rate set by the administrator, each
+ * word being highlighted in the editor as it is read. Words are highlighted
+ * with the CSS Custom Highlight API where supported, and by selecting them
+ * otherwise.
+ *
+ * Text is read one sentence at a time, as some browsers stop reading a long
+ * utterance part way through.
+ *
+ * @module      tiny_speechtotext/readaloud
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {notifyReadingStarted, notifyReadingStopped} from './events';
+import {collectText, getTextRange} from './textrange';
+
+const highlightName = 'tiny-speechtotext-reading';
+
+// Text ending a sentence, with the spaces after it
+const sentenceEnd = /[.!?…।]+["'»)\]]*\s*|\n+/g;
+
+// Length of the longest utterance, in characters, beyond which sentences are split between words
+const maxUtteranceLength = 200;
+
+// The reading in progress on the page, with the editor it is in and how to end it
+let reading = null;
+
+/**
+ * Check whether the browser can read text aloud.
+ *
+ * @returns {boolean}
+ */
+export const isSupported = () => ('speechSynthesis' in window) && ('SpeechSynthesisUtterance' in window);
+
+/**
+ * Whether text of an editor is being read aloud.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const isReading = (editor) => Boolean(reading && reading.editor === editor);
+
+/**
+ * Style the highlighted word in the content of an editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const addHighlightStyle = (editor) => {
+    editor.on('init', () => {
+        editor.dom.addStyle(`::highlight(${highlightName}) { background-color: #ffe066; color: #000; }`);
+    });
+};
+
+/**
+ * Choose the synthesis voice for a language.
+ *
+ * A voice for the language and region is preferred over one for the language
+ * only, and the default or a local voice over others.
+ *
+ * @param {string} language The language tag
+ * @returns {SpeechSynthesisVoice|null} The voice, or null to let the browser choose
+ */
+const getVoice = (language) => {
+    const normalise = (tag) => tag.toLowerCase().replace('_', '-');
+    const tag = normalise(language);
+    const voices = window.speechSynthesis.getVoices();
+
+    let candidates = voices.filter((voice) => normalise(voice.lang) === tag);
+    if (!candidates.length) {
+        candidates = voices.filter((voice) => normalise(voice.lang).split('-')[0] === tag.split('-')[0]);
+    }
+    return candidates.find((voice) => voice.default) || candidates.find((voice) => voice.localService)
+        || candidates[0] || null;
+};
+
+/**
+ * Whether words can be highlighted without selecting them.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+const canHighlight = (editor) => {
+    const win = editor.getWin();
+    return Boolean(win.CSS && win.CSS.highlights && win.Highlight);
+};
+
+/**
+ * Highlight the word being read.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range|null} range The word, or null to remove the highlight
+ */
+const highlight = (editor, range) => {
+    if (canHighlight(editor)) {
+        const win = editor.getWin();
+        if (range) {
+            win.CSS.highlights.set(highlightName, new win.Highlight(range));
+        } else {
+            win.CSS.highlights.delete(highlightName);
+        }
+    } else if (range) {
+        editor.selection.setRng(range);
+    }
+
+    if (range && range.startContainer.parentElement) {
+        range.startContainer.parentElement.scrollIntoView({block: 'nearest'});
+    }
+};
+
+/**
+ * Get the range of text to read.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} target What to read: 'selection', 'sentence' (around the caret), 'last' (dictated text) or 'document'
+ * @param {Range|null} lastChunk The most recently dictated text still in the editor, if any
+ * @returns {Range|null} The range, or null if there is nothing to read
+ */
+export const getReadingRange = (editor, target, lastChunk) => {
+    const selection = editor.selection.getRng();
+
+    switch (target) {
+        case 'selection':
+            return selection.collapsed ? null : selection;
+        case 'last':
+            return lastChunk;
+        case 'sentence': {
+            const dom = editor.dom;
+            const block = dom.getParent(selection.startContainer, dom.isBlock) || editor.getBody();
+            const blockRange = dom.createRng();
+            blockRange.selectNodeContents(block);
+            const {text, segments} = collectText(editor, blockRange);
+
+            const before = dom.createRng();
+            before.setStart(block, 0);
+            before.setEnd(selection.startContainer, selection.startOffset);
+            const caret = collectText(editor, before).text.length;
+
+            // The sentence runs from the end of the one before the caret to the next sentence end
+            const ends = Array.from(text.matchAll(sentenceEnd), (match) => ({
+                end: match.index + match[0].trimEnd().length,
+                next: match.index + match[0].length,
+            }));
+            const previous = ends.filter(({next}) => next <= caret).pop();
+            const following = ends.find(({next}) => next > caret);
+            const start = previous ? previous.next : 0;
+            const end = following ? following.end : text.length;
+            return end > start ? getTextRange(editor, segments, start, end) : null;
+        }
+        default: {
+            const range = editor.dom.createRng();
+            range.selectNodeContents(editor.getBody());
+            return range;
+        }
+    }
+};
+
+/**
+ * Split text into the parts read as separate utterances.
+ *
+ * Parts are sentences, and long sentences are split between words, after a
+ * comma or other punctuation where possible.
+ *
+ * @param {string} text The text
+ * @returns {Object[]} The parts {start, end} of the text holding words, in order
+ */
+export const splitUtterances = (text) => {
+    const parts = [];
+    const addPart = (start, end) => {
+        while (end - start > maxUtteranceLength) {
+            const breaks = Array.from(text.slice(start, start + maxUtteranceLength).matchAll(/([,;:])?\s+/g))
+                .filter((match) => match.index > 0);
+            const pause = breaks.filter((match) => match[1]).pop() || breaks.pop();
+            const cut = pause ? start + pause.index + pause[0].length : start + maxUtteranceLength;
+            parts.push({start, end: cut});
+            start = cut;
+        }
+        parts.push({start, end});
+    };
+
+    let start = 0;
+    for (const match of text.matchAll(sentenceEnd)) {
+        addPart(start, match.index + match[0].length);
+        start = match.index + match[0].length;
+    }
+    addPart(start, text.length);
+
+    return parts.filter(({start, end}) => text.slice(start, end).trim());
+};
+
+/**
+ * Stop reading aloud, if reading.
+ */
+export const stopReading = () => {
+    if (reading) {
+        reading.finish(false);
+        window.speechSynthesis.cancel();
+    }
+};
+
+/**
+ * Read the text of a range aloud, stopping any other reading first.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range} range The text to read
+ * @param {string} language The language tag of the text
+ * @param {number} rate The speaking rate, 1 for the normal rate of the voice
+ * @returns {Promise<boolean>} Resolved once reading ends, with whether all the text was read
+ */
+export const readAloud = (editor, range, language, rate = 1) => new Promise((resolve) => {
+    stopReading();
+
+    const {text, segments} = collectText(editor, range);
+    const parts = splitUtterances(text);
+    if (!parts.length) {
+        resolve(false);
+        return;
+    }
+    const voice = getVoice(language);
+
+    // Words are selected where they cannot be highlighted, so the selection is restored afterwards
+    const selection = editor.selection.getRng().cloneRange();
+    const selecting = !canHighlight(editor);
+
+    const current = {editor};
+    current.finish = (completed) => {
+        if (reading !== current) {
+            return;
+        }
+        reading = null;
+        highlight(editor, null);
+        if (selecting) {
+            editor.selection.setRng(selection);
+        }
+        notifyReadingStopped(editor, completed);
+        resolve(completed);
+    };
+
+    /**
+     * Read a part of the text, then the parts after it.
+     *
+     * @param {number} index The index of the part
+     */
+    const speak = (index) => {
+        if (reading !== current) {
+            return;
+        }
+        if (index >= parts.length) {
+            current.finish(true);
+            return;
+        }
+
+        const {start, end} = parts[index];
+        const partText = text.slice(start, end);
+        const utterance = new window.SpeechSynthesisUtterance(partText);
+        utterance.lang = language;
+        utterance.rate = rate;
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        // Boundaries are within the part, words are located within the whole text
+        utterance.onboundary = (event) => {
+            if (event.name && event.name !== 'word') {
+                return;
+            }
+            const length = event.charLength || /^\S*/.exec(partText.slice(event.charIndex))[0].length;
+            const wordStart = start + event.charIndex;
+            highlight(editor, getTextRange(editor, segments, wordStart, wordStart + length));
+        };
+        utterance.onend = () => speak(index + 1);
+        utterance.onerror = () => current.finish(false);
+        window.speechSynthesis.speak(utterance);
+    };
+
+    reading = current;
+    notifyReadingStarted(editor, language);
+    speak(0);
+});
@@ -0,0 +1,133 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Audio recording of dictation for the Moodle tiny_speechtotext plugin.
+ *
+ * The microphone is recorded alongside the recognition engine. Once dictation
+ * stops, the recording is uploaded to the draft file area of the editor like
+ * any other media file, and an audio player is inserted after the dictated text.
+ *
+ * @module      tiny_speechtotext/recorder
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import uploadFile from 'editor_tiny/uploader';
+import {getFilePicker} from 'editor_tiny/options';
+import {getAudioConstraints} from './meter';
+
+// File extensions of the audio types browsers record
+const fileExtensions = {
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+};
+
+/**
+ * Check whether dictation can be recorded and uploaded in an editor.
+ *
+ * Uploading needs the media file picker of the editor with the upload repository,
+ * which are only there if the user may add files to the text.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean}
+ */
+export const canRecord = (editor) => {
+    if (!('MediaRecorder' in window) || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return false;
+    }
+
+    const filePicker = getFilePicker(editor, 'media');
+    return Boolean(filePicker && filePicker.repositories
+        && Object.values(filePicker.repositories).some((repository) => repository.type === 'upload'));
+};
+
+/**
+ * Start recording a microphone.
+ *
+ * @param {string} deviceId The microphone, or an empty string for the default one
+ * @returns {Promise<function>} Resolved once recording, with a function stopping it and returning a promise of the audio
+ */
+export const startRecording = (deviceId) => navigator.mediaDevices.getUserMedia({audio: getAudioConstraints(deviceId)})
+    .then((stream) => {
+        const recorder = new MediaRecorder(stream);
+        const parts = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size) {
+                parts.push(event.data);
+            }
+        };
+        recorder.start();
+
+        return () => new Promise((resolve) => {
+            recorder.onstop = () => {
+                stream.getTracks().forEach((track) => track.stop());
+                resolve(new Blob(parts, {type: recorder.mimeType}));
+            };
+            recorder.stop();
+        });
+    });
+
+/**
+ * Upload a recording to the draft file area of the editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Blob} audio The recording
+ * @returns {Promise<string>} The URL of the uploaded file
+ */
+export const uploadRecording = (editor, audio) => {
+    const type = audio.type.split(';')[0];
+    const timestamp = new Date().toISOString().replace(/\..*$/, '').replace(/[-:]/g, '').replace('T', '-');
+    const fileName = `dictation-${timestamp}.${fileExtensions[type] || 'webm'}`;
+
+    // Recordings are small enough not to show the upload progress
+    return uploadFile(editor, 'media', audio, fileName, () => null);
+};
+
+/**
+ * Insert an audio player for an uploaded recording, with a link for browsers unable to play it.
+ *
+ * The player goes at the end of the given range, such as the text dictated
+ * while recording, and the selection is left where the user may have moved it
+ * during the upload.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range|null} range Where to insert the player, null for the selection
+ * @param {string} url The URL of the recording
+ * @param {string} type The MIME type of the recording
+ * @param {string} title The name of the recording
+ */
+export const insertRecording = (editor, range, url, type, title) => {
+    const dom = editor.dom;
+    const html = dom.createHTML('audio', {controls: 'controls', title},
+        dom.createHTML('source', {src: url, type: type.split(';')[0]}) + dom.createHTML('a', {href: url}, dom.encode(title)));
+
+    editor.undoManager.transact(() => {
+        if (!range || !editor.getBody().contains(range.endContainer)) {
+            editor.insertContent(html);
+            return;
+        }
+
+        const bookmark = editor.selection.getBookmark();
+        const target = dom.createRng();
+        target.setStart(range.endContainer, range.endOffset);
+        editor.selection.setRng(target);
+        editor.insertContent(' ' + html);
+        editor.selection.moveToBookmark(bookmark);
+    });
+};
@@ -0,0 +1,148 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Course replacement rules for the Moodle tiny_speechtotext plugin.
+ *
+ * Rules replace a spoken phrase, or text matching a regular expression, with
+ * written text. A phrase without replacement is vocabulary, written exactly as
+ * entered. Only string processing happens here, so rules can be tested
+ * without a browser.
+ *
+ * Spoken phrases match the words as recognised, so that "node dot js" can be
+ * written "Node.js" before "dot" becomes a full stop. They are replaced by
+ * placeholders that the later steps of the pipeline leave alone, and the
+ * written text is only put in once spoken punctuation has been converted, so
+ * that it stays exactly as entered, line breaks included. Regular expressions
+ * then match the converted text.
+ *
+ * @module      tiny_speechtotext/replacements
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+// Characters that are not part of words, in any script
+const boundary = '[^\\w\\u00C0-\\uFFFF]';
+
+// Placeholders for written text are a private use character followed by another one numbering the rule
+const placeholderStart = 0xE000;
+const placeholderFirstRule = 0xE100;
+const placeholders = /\uE000([\uE100-\uF8FF])/g;
+
+/**
+ * Escape text for use in a regular expression.
+ *
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check a regular expression of a rule.
+ *
+ * Patterns are compiled as JavaScript regular expressions, the dialect they run in.
+ *
+ * @param {string} pattern The regular expression
+ * @returns {string|null} The error message of the browser, or null if the pattern is valid
+ */
+export const validatePattern = (pattern) => {
+    try {
+        new RegExp(pattern, 'gi');
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+};
+
+/**
+ * Compile a rule into a regular expression and replacement.
+ *
+ * @param {Object} rule The rule
+ * @param {string} rule.phrase The spoken phrase, or a regular expression
+ * @param {string} rule.replacement The written text, may be empty
+ * @param {boolean} rule.regex Whether the phrase is a regular expression
+ * @returns {Object|null} The pattern and replacement for String.replace(), or null if the pattern is not valid
+ */
+export const compileRule = ({phrase, replacement, regex}) => {
+    if (regex) {
+        return validatePattern(phrase) === null ? {pattern: new RegExp(phrase, 'gi'), replacement: replacement || ''} : null;
+    }
+
+    const words = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    const written = replacement || phrase.trim();
+    return {
+        pattern: new RegExp(`(^|${boundary})${words}(?=$|${boundary})`, 'gi'),
+        replacement: (match, before) => before + written,
+    };
+};
+
+/**
+ * Compile rules, leaving out those with patterns that are not valid.
+ *
+ * Patterns are checked when the rules are saved, so this only happens to
+ * rules saved without JavaScript, or valid in another browser.
+ *
+ * @param {Object[]} rules The rules, see compileRule()
+ * @returns {Object[]} The compiled rules
+ */
+export const compileRules = (rules) => rules.map(compileRule).filter((rule) => rule !== null);
+
+/**
+ * Apply compiled rules to text, in order.
+ *
+ * @param {string} text The text
+ * @param {Object[]} compiledRules The rules from compileRules()
+ * @returns {string} The text with the rules applied
+ */
+export const applyRules = (text, compiledRules) => compiledRules.reduce(
+    (result, {pattern, replacement}) => result.replace(pattern, replacement),
+    text
+);
+
+/**
+ * Create the pipeline steps applying rules.
+ *
+ * The phrase step runs first, on the words as recognised, and replaces spoken
+ * phrases by placeholders; the pattern step runs after spoken punctuation is
+ * converted, puts the written text in and applies the regular expressions.
+ *
+ * @param {Object[]} rules The rules, see compileRule()
+ * @returns {Object} The phrase and pattern steps, taking and returning text
+ */
+export const createReplacementSteps = (rules) => {
+    const phraseRules = rules.filter((rule) => !rule.regex);
+    const placeholderRules = compileRules(phraseRules.map((rule, index) => ({
+        phrase: rule.phrase,
+        replacement: String.fromCharCode(placeholderStart, placeholderFirstRule + index),
+    })));
+    const written = phraseRules.map((rule) => rule.replacement || rule.phrase.trim());
+    const patternRules = compileRules(rules.filter((rule) => rule.regex));
+
+    return {
+        phraseStep: (text) => applyRules(text, placeholderRules),
+        patternStep: (text) => applyRules(
+            text.replace(placeholders, (placeholder, rule) => written[rule.charCodeAt(0) - placeholderFirstRule]),
+            patternRules
+        ),
+    };
+};
+
+/**
+ * Get the phrases to give the recognition engine as hints.
+ *
+ * @param {Object[]} rules The rules, see compileRule()
+ * @returns {string[]} The spoken phrases of the rules that are not regular expressions
+ */
+export const getHints = (rules) => [...new Set(rules.filter((rule) => !rule.regex).map((rule) => rule.phrase.trim()))];
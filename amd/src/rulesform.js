@@ -0,0 +1,97 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Checking of the replacement rules form of the Moodle tiny_speechtotext plugin.
+ *
+ * Regular expression rules run in the browser, so their patterns are checked
+ * here, with the regular expression syntax they run with. The error of the
+ * browser is shown on the phrase as it is edited, and the form is not saved
+ * while a pattern is not valid.
+ *
+ * @module      tiny_speechtotext/rulesform
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Notification from 'core/notification';
+import {get_string as getString} from 'core/str';
+import {notifyFieldValidationFailure} from 'core_form/events';
+import {component} from './common';
+import {validatePattern} from './replacements';
+
+/**
+ * Check the pattern of a rule.
+ *
+ * @param {HTMLFormElement} form The form
+ * @param {HTMLInputElement} phraseField The phrase field of the rule
+ * @returns {string|null} The error of the pattern, or null if it is valid or the rule is not a regular expression
+ */
+const checkRule = (form, phraseField) => {
+    const index = phraseField.name.match(/^phrase\[(\d+)\]$/)[1];
+    const regexField = form.querySelector(`input[type="checkbox"][name="isregex[${index}]"]`);
+    const pattern = phraseField.value.trim();
+
+    return regexField && regexField.checked && pattern ? validatePattern(pattern) : null;
+};
+
+/**
+ * Show the error of the pattern of a rule, or clear it.
+ *
+ * @param {HTMLInputElement} phraseField The phrase field of the rule
+ * @param {string|null} error The error of the pattern
+ * @returns {Promise}
+ */
+const showError = (phraseField, error) => (error ? getString('error:invalidpattern', component, error) : Promise.resolve(''))
+    .then((message) => notifyFieldValidationFailure(phraseField, message))
+    .catch(Notification.exception);
+
+/**
+ * Check the patterns of the rules form as they are edited and before it is saved.
+ *
+ * @param {string} formId The id of the form
+ */
+export const init = (formId) => {
+    const form = document.getElementById(formId);
+    if (!form) {
+        return;
+    }
+
+    const getPhraseFields = () => Array.from(form.querySelectorAll('input[name^="phrase["]'));
+
+    form.addEventListener('change', (event) => {
+        const match = event.target.name && event.target.name.match(/^(phrase|isregex)\[(\d+)\]$/);
+        if (match) {
+            const phraseField = form.querySelector(`input[name="phrase[${match[2]}]"]`);
+            showError(phraseField, checkRule(form, phraseField));
+        }
+    });
+
+    form.addEventListener('submit', (event) => {
+        // Only saving is checked, not cancelling or adding rules
+        if (event.submitter && event.submitter.name !== 'submitbutton') {
+            return;
+        }
+
+        const invalid = getPhraseFields()
+            .map((phraseField) => ({phraseField, error: checkRule(form, phraseField)}))
+            .filter(({error}) => error !== null);
+        if (invalid.length) {
+            event.preventDefault();
+            invalid.forEach(({phraseField, error}) => showError(phraseField, error));
+            invalid[0].phraseField.focus();
+        }
+    });
+};
@@ -0,0 +1,117 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Page-level dictation session for the Moodle tiny_speechtotext plugin.
+ *
+ * At most one editor on the page dictates at a time, so there is only ever
+ * one microphone in use and one preview panel.
+ *
+ * @module      tiny_speechtotext/session
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Storage from './storage';
+
+const followFocusKey = 'followfocus';
+const microphoneKey = 'microphone';
+const languageKey = 'language';
+
+// The editor currently dictating, and how to stop it
+let activeEditor = null;
+let stopActive = null;
+
+/**
+ * Get the editor currently dictating.
+ *
+ * @returns {Editor|null}
+ */
+export const getActiveEditor = () => activeEditor;
+
+/**
+ * Make an editor the one dictating, stopping any other editor first.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {function} stop Stops dictation in the editor
+ */
+export const activate = (editor, stop) => {
+    if (activeEditor && activeEditor !== editor) {
+        stopActive();
+    }
+
+    activeEditor = editor;
+    stopActive = stop;
+};
+
+/**
+ * Record that an editor stopped dictating.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ */
+export const release = (editor) => {
+    if (activeEditor === editor) {
+        activeEditor = null;
+        stopActive = null;
+    }
+};
+
+/**
+ * Whether dictation moves to whichever editor receives focus.
+ *
+ * @returns {boolean}
+ */
+export const isFollowingFocus = () => Storage.get(followFocusKey) === '1';
+
+/**
+ * Choose whether dictation moves to whichever editor receives focus.
+ *
+ * @param {boolean} follow
+ */
+export const setFollowingFocus = (follow) => {
+    Storage.set(followFocusKey, follow ? '1' : '0');
+};
+
+/**
+ * Get the microphone chosen for dictation.
+ *
+ * @returns {string} The device id, or an empty string for the default microphone
+ */
+export const getMicrophone = () => Storage.get(microphoneKey) || '';
+
+/**
+ * Choose the microphone used for dictation.
+ *
+ * @param {string} deviceId The device id, or an empty string for the default microphone
+ */
+export const setMicrophone = (deviceId) => {
+    Storage.set(microphoneKey, deviceId);
+};
+
+/**
+ * Get the recognition language the user last chose.
+ *
+ * @returns {string} The language tag, or an empty string if the user never chose one
+ */
+export const getChosenLanguage = () => Storage.get(languageKey) || '';
+
+/**
+ * Remember the recognition language the user chose.
+ *
+ * @param {string} language The language tag
+ */
+export const setChosenLanguage = (language) => {
+    Storage.set(languageKey, language);
+};
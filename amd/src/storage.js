@@ -0,0 +1,134 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Browser storage of the Moodle tiny_speechtotext plugin.
+ *
+ * Preferences and the dictation history are kept in window.localStorage rather
+ * than core/localstorage, which empties itself whenever the caches of the site
+ * are purged. Keys are scoped to the site and the user, so that neither other
+ * Moodle sites nor other users of the same browser see them, and are removed
+ * when the user logs out.
+ *
+ * @module      tiny_speechtotext/storage
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Config from 'core/config';
+
+// Whether the values of the user are removed when they log out
+let clearingOnLogout = false;
+
+/**
+ * Get the browser storage key of a plugin key.
+ *
+ * @param {string} key The key within the plugin
+ * @returns {string}
+ */
+const getStorageKey = (key) => `tiny_speechtotext/${Config.wwwroot}/${Config.userId}/${key}`;
+
+/**
+ * Get a value from the browser storage.
+ *
+ * @param {string} key The key within the plugin
+ * @returns {string|null} The value, or null if it is not stored or storage is not available
+ */
+export const get = (key) => {
+    try {
+        return window.localStorage.getItem(getStorageKey(key));
+    } catch (e) {
+        // Storage is disabled in the browser.
+        return null;
+    }
+};
+
+/**
+ * Store a value in the browser storage.
+ *
+ * @param {string} key The key within the plugin
+ * @param {string} value The value
+ * @returns {boolean} Whether the value was stored
+ */
+export const set = (key, value) => {
+    try {
+        window.localStorage.setItem(getStorageKey(key), value);
+        return true;
+    } catch (e) {
+        // Storage is disabled in the browser, or full.
+        return false;
+    }
+};
+
+/**
+ * Remove a value from the browser storage.
+ *
+ * @param {string} key The key within the plugin
+ */
+export const remove = (key) => {
+    try {
+        window.localStorage.removeItem(getStorageKey(key));
+    } catch (e) {
+        // Storage is disabled in the browser.
+    }
+};
+
+/**
+ * Get the keys stored for the user.
+ *
+ * @param {string} [prefix] Only get the keys starting with this prefix
+ * @returns {string[]} The keys within the plugin
+ */
+export const getKeys = (prefix = '') => {
+    const storagePrefix = getStorageKey('');
+    const keys = [];
+    try {
+        for (let i = 0; i < window.localStorage.length; i++) {
+            const storageKey = window.localStorage.key(i);
+            if (storageKey.startsWith(storagePrefix + prefix)) {
+                keys.push(storageKey.slice(storagePrefix.length));
+            }
+        }
+    } catch (e) {
+        // Storage is disabled in the browser.
+    }
+    return keys;
+};
+
+/**
+ * Remove all the values stored for the user.
+ */
+export const clear = () => {
+    getKeys().forEach(remove);
+};
+
+/**
+ * Remove all the values stored for the user when they follow a link to log out.
+ *
+ * Neither the dictation history nor the preferences then outlive the session on a shared computer.
+ */
+export const clearOnLogout = () => {
+    if (clearingOnLogout) {
+        return;
+    }
+    clearingOnLogout = true;
+
+    const selector = `a[href^="${Config.wwwroot}/login/logout.php"]`;
+    document.addEventListener('click', (event) => {
+        if (event.target instanceof Element && event.target.closest(selector)) {
+            clear();
+        }
+    });
+};
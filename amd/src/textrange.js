@@ -0,0 +1,122 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Text of editor content for the Moodle tiny_speechtotext plugin.
+ *
+ * The text of a range is collected with the text nodes it comes from, so that
+ * parts found by searching the text can be located in the editor again.
+ *
+ * @module      tiny_speechtotext/textrange
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+// Text ending a sentence before another one, with the spaces after it
+const sentenceBreak = /[.!?…।]+["'»)\]]*\s+|\n+/g;
+
+/**
+ * Collect the text of a range, with the text nodes it comes from.
+ *
+ * Blocks and line breaks are separated by newlines.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range} range The range
+ * @returns {Object} The text, and segments {node, offset, index, length} locating it in the text nodes
+ */
+export const collectText = (editor, range) => {
+    const dom = editor.dom;
+    const ancestor = range.commonAncestorContainer;
+    const root = ancestor.nodeType === Node.TEXT_NODE ? ancestor.parentNode : ancestor;
+    const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    const segments = [];
+    let text = '';
+    let lastBlock = null;
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!range.intersectsNode(node)) {
+            continue;
+        }
+        if (node.nodeName === 'BR') {
+            text += '\n';
+        } else if (node.nodeType === Node.TEXT_NODE) {
+            const start = node === range.startContainer ? range.startOffset : 0;
+            const end = node === range.endContainer ? range.endOffset : node.data.length;
+            const block = dom.getParent(node, dom.isBlock);
+            if (lastBlock && block !== lastBlock) {
+                text += '\n';
+            }
+            lastBlock = block;
+            segments.push({node, offset: start, index: text.length, length: end - start});
+            text += node.data.slice(start, end);
+        }
+    }
+
+    return {text, segments};
+};
+
+/**
+ * Get the range of part of collected text.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object[]} segments The segments from collectText()
+ * @param {number} start The position of the start of the part in the text
+ * @param {number} end The position after the end of the part in the text
+ * @returns {Range|null} The range, or null if the part is not in a text node
+ */
+export const getTextRange = (editor, segments, start, end) => {
+    const first = segments.find(({index, length}) => start >= index && start < index + length);
+    const last = segments.find(({index, length}) => end > index && end <= index + length);
+    if (!first || !last) {
+        return null;
+    }
+
+    const range = editor.dom.createRng();
+    range.setStart(first.node, first.offset + start - first.index);
+    range.setEnd(last.node, last.offset + end - last.index);
+    return range;
+};
+
+/**
+ * Get the range of the sentence before the caret, within its block.
+ *
+ * The sentence runs from the end of the sentence before it to the caret, so
+ * it includes its own punctuation and any spaces after it.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Range} caret The caret
+ * @returns {Range|null} The range, or null if there is no text before the caret
+ */
+export const getSentenceBeforeCaret = (editor, caret) => {
+    const dom = editor.dom;
+    const block = dom.getParent(caret.startContainer, dom.isBlock) || editor.getBody();
+    const before = dom.createRng();
+    before.setStart(block, 0);
+    before.setEnd(caret.startContainer, caret.startOffset);
+    const {text, segments} = collectText(editor, before);
+
+    // The sentence ends at the caret, so punctuation and spaces there do not end the one before it
+    const sentence = text.trimEnd();
+    const breaks = Array.from(sentence.matchAll(sentenceBreak));
+    const start = breaks.length ? breaks[breaks.length - 1].index + breaks[breaks.length - 1][0].length : 0;
+
+    if (sentence.length <= start) {
+        return null;
+    }
+
+    const last = segments[segments.length - 1];
+    return getTextRange(editor, segments, start, Math.max(sentence.length, last.index + last.length));
+};
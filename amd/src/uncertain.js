@@ -0,0 +1,263 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Review of uncertain words for the Moodle tiny_speechtotext plugin.
+ *
+ * Words the recognizer was unsure about are inserted wrapped in a marker
+ * holding the other hypotheses. A context toolbar on the marker offers to
+ * replace the words with one of them or keep them. Markers are removed when
+ * the content is saved, so they never reach the submitted text.
+ *
+ * @module      tiny_speechtotext/uncertain
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const markerClass = 'tiny-speechtotext-uncertain';
+const alternativesAttribute = 'data-speechtotext-alternatives';
+
+const alternativesButtonName = 'tiny_speechtotext_alternatives';
+const keepButtonName = 'tiny_speechtotext_keep';
+const nextButtonName = 'tiny_speechtotext_nextuncertain';
+
+/**
+ * Split text into words with their positions.
+ *
+ * @param {string} text The text
+ * @returns {Object[]} The words, with word, start and end properties
+ */
+const getWords = (text) => Array.from(text.matchAll(/\S+/g), (match) => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+}));
+
+/**
+ * Find the part of a transcript that differs between recognition hypotheses.
+ *
+ * The part spans the words between those common to the start and to the end
+ * of all hypotheses. Without differing hypotheses the whole transcript is uncertain.
+ *
+ * @param {string} text The processed transcript of the most likely hypothesis
+ * @param {string[]} hypotheses The processed transcripts of the other hypotheses
+ * @returns {Object|null} The start and end offsets of the part in the text and its alternatives,
+ *     or null for an empty transcript
+ */
+export const findUncertainPart = (text, hypotheses) => {
+    const words = getWords(text);
+    if (!words.length) {
+        return null;
+    }
+
+    const spoken = words.map(({word}) => word);
+    const others = hypotheses
+        .map((hypothesis) => getWords(hypothesis).map(({word}) => word))
+        .filter((other) => other.join(' ') !== spoken.join(' '));
+    if (!others.length) {
+        return {start: words[0].start, end: words[words.length - 1].end, alternatives: []};
+    }
+
+    const commonStart = (other) => {
+        let count = 0;
+        while (count < spoken.length && count < other.length && spoken[count] === other[count]) {
+            count++;
+        }
+        return count;
+    };
+    const first = Math.min(...others.map(commonStart));
+
+    const commonEnd = (other) => {
+        let count = 0;
+        while (count < spoken.length - first && count < other.length - first
+                && spoken[spoken.length - 1 - count] === other[other.length - 1 - count]) {
+            count++;
+        }
+        return count;
+    };
+    let start = first;
+    let last = spoken.length - Math.min(...others.map(commonEnd));
+
+    if (last === start) {
+        // The other hypotheses only have more words: mark the word before them, or else after
+        if (start > 0) {
+            start--;
+        } else {
+            last++;
+        }
+    }
+
+    const part = spoken.slice(start, last).join(' ');
+    const alternatives = others
+        .map((other) => other.slice(start, other.length - (spoken.length - last)).join(' '))
+        .filter((alternative, index, all) => alternative && alternative !== part && all.indexOf(alternative) === index);
+
+    return {start: words[start].start, end: words[last - 1].end, alternatives};
+};
+
+/**
+ * Get the HTML of text with uncertain parts marked.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} text The text
+ * @param {Object[]} parts The uncertain parts from findUncertainPart, in order
+ * @returns {string} The HTML
+ */
+export const getMarkedHtml = (editor, text, parts) => {
+    let html = '';
+    let position = 0;
+
+    parts.forEach(({start, end, alternatives}) => {
+        html += editor.dom.encode(text.slice(position, start));
+        html += editor.dom.createHTML('span', {
+            'class': markerClass,
+            [alternativesAttribute]: JSON.stringify(alternatives),
+        }, editor.dom.encode(text.slice(start, end)));
+        position = end;
+    });
+
+    return html + editor.dom.encode(text.slice(position));
+};
+
+/**
+ * Get the uncertain word marker containing a node.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Node} node The node
+ * @returns {HTMLElement|null}
+ */
+const getMarker = (editor, node) => editor.dom.getParent(node, `span.${markerClass}`) || null;
+
+/**
+ * Get the alternatives stored in a marker.
+ *
+ * @param {HTMLElement|null} marker The marker
+ * @returns {string[]}
+ */
+const getAlternatives = (marker) => {
+    try {
+        const alternatives = JSON.parse(marker.getAttribute(alternativesAttribute));
+        return Array.isArray(alternatives) ? alternatives : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Replace the words of a marker, or keep them and remove the marker.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {HTMLElement} marker The marker
+ * @param {string|null} replacement The replacement text, or null to keep the words
+ */
+const resolveMarker = (editor, marker, replacement) => {
+    editor.undoManager.transact(() => {
+        if (replacement === null) {
+            editor.dom.remove(marker, true);
+        } else {
+            const text = editor.getDoc().createTextNode(replacement);
+            editor.dom.replace(text, marker);
+            editor.selection.setCursorLocation(text, replacement.length);
+        }
+    });
+    editor.nodeChanged();
+};
+
+/**
+ * Select the next uncertain word marker after the selection, starting over from the top.
+ *
+ * Dictating while the marker is selected replaces it.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @returns {boolean} True if a marker was selected
+ */
+export const selectNextUncertain = (editor) => {
+    const markers = editor.dom.select(`span.${markerClass}`);
+    if (!markers.length) {
+        return false;
+    }
+
+    const selection = editor.selection.getRng();
+    const next = markers.find((marker) => selection.comparePoint(marker, 0) > 0) || markers[0];
+
+    editor.selection.select(next);
+    editor.selection.scrollIntoView(next);
+    editor.nodeChanged();
+    return true;
+};
+
+/**
+ * Strip markers from saved content, and offer to review them from a context toolbar.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} texts The titles of the alternatives, keep and next buttons
+ */
+export const registerUncertainReview = (editor, {alternatives, keep, next}) => {
+    editor.on('PreInit', () => {
+        editor.serializer.addAttributeFilter(alternativesAttribute, (nodes) => nodes.forEach((node) => node.unwrap()));
+    });
+    editor.on('init', () => {
+        editor.dom.addStyle(`.${markerClass} { text-decoration: underline wavy #c25700; text-decoration-skip-ink: none; }`);
+    });
+
+    editor.ui.registry.addMenuButton(alternativesButtonName, {
+        text: alternatives,
+        onSetup: (api) => {
+            const updateState = () => {
+                const marker = getMarker(editor, editor.selection.getNode());
+                api.setEnabled(Boolean(marker) && getAlternatives(marker).length > 0);
+            };
+
+            updateState();
+            editor.on('NodeChange', updateState);
+
+            return () => {
+                editor.off('NodeChange', updateState);
+            };
+        },
+        fetch: (callback) => {
+            const marker = getMarker(editor, editor.selection.getNode());
+            callback(getAlternatives(marker).map((alternative) => ({
+                type: 'menuitem',
+                text: alternative,
+                onAction: () => resolveMarker(editor, marker, alternative),
+            })));
+        },
+    });
+
+    editor.ui.registry.addButton(keepButtonName, {
+        icon: 'checkmark',
+        tooltip: keep,
+        onAction: () => {
+            const marker = getMarker(editor, editor.selection.getNode());
+            if (marker) {
+                resolveMarker(editor, marker, null);
+            }
+        },
+    });
+
+    editor.ui.registry.addButton(nextButtonName, {
+        icon: 'chevron-right',
+        tooltip: next,
+        onAction: () => selectNextUncertain(editor),
+    });
+
+    editor.ui.registry.addContextToolbar(markerClass, {
+        predicate: (node) => Boolean(getMarker(editor, node)),
+        items: `${alternativesButtonName} ${keepButtonName} ${nextButtonName}`,
+        position: 'node',
+        scope: 'node',
+    });
+};
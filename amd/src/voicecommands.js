@@ -0,0 +1,318 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Spoken editing commands for the Moodle tiny_speechtotext plugin.
+ *
+ * A command is recognised when a finalised utterance consists of nothing but
+ * the command phrase, so that dictating "please delete that file" still
+ * inserts text. Reading commands (readBack, readAll) are executed by the caller.
+ *
+ * @module      tiny_speechtotext/voicecommands
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {findDictionaryKey} from './phrases';
+import {getSentenceBeforeCaret} from './textrange';
+import {selectNextUncertain} from './uncertain';
+
+// Spoken command phrases per language, mapped to command names
+const commandPhrases = {
+    en: {
+        'scratch that': 'scratchThat',
+        'delete that': 'scratchThat',
+        'delete last phrase': 'scratchThat',
+        'delete last word': 'deleteLastWord',
+        'delete previous word': 'deleteLastWord',
+        'delete last sentence': 'deleteLastSentence',
+        'delete previous sentence': 'deleteLastSentence',
+        'undo': 'undo',
+        'undo that': 'undo',
+        'redo': 'redo',
+        'redo that': 'redo',
+        'select previous word': 'selectPreviousWord',
+        'select last word': 'selectPreviousWord',
+        'select last sentence': 'selectLastSentence',
+        'select previous sentence': 'selectLastSentence',
+        'move to end': 'moveToEnd',
+        'go to end': 'moveToEnd',
+        'go to the end': 'moveToEnd',
+        'read that back': 'readBack',
+        'read it back': 'readBack',
+        'read back': 'readBack',
+        'read everything': 'readAll',
+        'read it all': 'readAll',
+        'next uncertain word': 'nextUncertain',
+        'next uncertain': 'nextUncertain'
+    },
+    fr: {
+        'efface ça': 'scratchThat',
+        'supprime ça': 'scratchThat',
+        'supprimer la dernière phrase dictée': 'scratchThat',
+        'supprimer le dernier mot': 'deleteLastWord',
+        'supprimer la dernière phrase': 'deleteLastSentence',
+        'annuler': 'undo',
+        'rétablir': 'redo',
+        'sélectionner le mot précédent': 'selectPreviousWord',
+        'sélectionner la dernière phrase': 'selectLastSentence',
+        'aller à la fin': 'moveToEnd',
+        'relis ça': 'readBack',
+        'relire': 'readBack',
+        'lis tout': 'readAll',
+        'tout relire': 'readAll',
+        'mot incertain suivant': 'nextUncertain'
+    },
+    es: {
+        'borra eso': 'scratchThat',
+        'borrar eso': 'scratchThat',
+        'borrar la última palabra': 'deleteLastWord',
+        'borrar última palabra': 'deleteLastWord',
+        'borrar la última frase': 'deleteLastSentence',
+        'borrar última frase': 'deleteLastSentence',
+        'deshacer': 'undo',
+        'rehacer': 'redo',
+        'seleccionar la palabra anterior': 'selectPreviousWord',
+        'seleccionar palabra anterior': 'selectPreviousWord',
+        'seleccionar la última frase': 'selectLastSentence',
+        'ir al final': 'moveToEnd',
+        'lee eso': 'readBack',
+        'leer eso': 'readBack',
+        'lee todo': 'readAll',
+        'leer todo': 'readAll',
+        'siguiente palabra dudosa': 'nextUncertain'
+    }
+};
+
+// Number of dictated chunks remembered per editor for "scratch that"
+const maxChunks = 50;
+
+/**
+ * Normalise an utterance for command matching.
+ *
+ * @param {string} text The utterance
+ * @param {string} locale The locale used for lower-casing
+ * @returns {string} The normalised utterance
+ */
+const normalise = (text, locale) => text
+    .toLocaleLowerCase(locale)
+    .replace(/[.,!?¡¿;:]/g, '')
+    .trim()
+    .split(/\s+/)
+    .join(' ');
+
+/**
+ * Register or replace the spoken command phrases of a language.
+ *
+ * @param {string} language The language tag or primary language subtag
+ * @param {Object} phrases Map of spoken phrases to command names
+ */
+export const registerCommands = (language, phrases) => {
+    commandPhrases[language.toLowerCase()] = phrases;
+};
+
+/**
+ * Find the editing command spoken in a finalised utterance.
+ *
+ * @param {string} text The finalised utterance
+ * @param {string} language The recognition language tag
+ * @returns {string|null} The command name, or null if the utterance is dictation
+ */
+export const matchCommand = (text, language) => {
+    const key = findDictionaryKey(commandPhrases, language);
+
+    if (!key || !text) {
+        return null;
+    }
+
+    const utterance = normalise(text, key);
+    const match = Object.entries(commandPhrases[key]).find(([phrase]) => normalise(phrase, key) === utterance);
+    return match ? match[1] : null;
+};
+
+/**
+ * Insert dictated content and remember where it went.
+ *
+ * The chunk keeps a live DOM range spanning the inserted content, together
+ * with the text it contained, so it can be removed again later.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Array} chunks The dictated chunks of the editor, most recent last
+ * @param {string} content The content to insert
+ * @param {function} [decorate] Called with the range of the inserted content, in the same undo level
+ */
+export const insertChunk = (editor, chunks, content, decorate = null) => {
+    const start = editor.selection.getRng().cloneRange();
+
+    editor.undoManager.transact(() => {
+        editor.insertContent(content);
+
+        if (decorate) {
+            const caret = editor.selection.getRng();
+            const inserted = editor.dom.createRng();
+            inserted.setStart(start.startContainer, start.startOffset);
+            inserted.setEnd(caret.endContainer, caret.endOffset);
+            decorate(inserted);
+        }
+    });
+
+    const end = editor.selection.getRng();
+    const range = editor.dom.createRng();
+    range.setStart(start.startContainer, start.startOffset);
+    range.setEnd(end.endContainer, end.endOffset);
+
+    chunks.push({range, text: range.toString()});
+    if (chunks.length > maxChunks) {
+        chunks.shift();
+    }
+};
+
+/**
+ * Whether a dictated chunk is still in the editor as dictated.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Object} chunk The chunk
+ * @returns {boolean} False if the chunk has since been edited, undone or deleted
+ */
+const isChunkIntact = (editor, {range, text}) => !range.collapsed && range.toString() === text
+    && editor.getBody().contains(range.commonAncestorContainer);
+
+/**
+ * Get the range of the most recently dictated chunk that is still unchanged in the editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Array} chunks The dictated chunks of the editor
+ * @returns {Range|null} The range, or null if there is no such chunk
+ */
+export const getLastChunkRange = (editor, chunks) => {
+    const chunk = chunks.slice().reverse().find((candidate) => isChunkIntact(editor, candidate));
+    return chunk ? chunk.range : null;
+};
+
+/**
+ * Remove the most recently dictated chunk, if it is still unchanged in the editor.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {Array} chunks The dictated chunks of the editor
+ * @returns {boolean} True if a chunk was removed
+ */
+const scratchThat = (editor, chunks) => {
+    while (chunks.length) {
+        const chunk = chunks.pop();
+
+        // Skip chunks that have since been edited, undone or deleted.
+        if (isChunkIntact(editor, chunk)) {
+            editor.undoManager.transact(() => {
+                editor.selection.setRng(chunk.range);
+                editor.execCommand('Delete');
+            });
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Extend the selection backwards from the caret by one unit of text.
+ *
+ * Sentences are found by searching the text before the caret, as not every
+ * browser moves selections by sentence.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} granularity 'word' or 'sentence'
+ * @returns {boolean} True if something is now selected
+ */
+const selectBackwards = (editor, granularity) => {
+    editor.selection.collapse(false);
+
+    if (granularity === 'sentence') {
+        const range = getSentenceBeforeCaret(editor, editor.selection.getRng());
+        if (!range) {
+            return false;
+        }
+        editor.selection.setRng(range);
+    } else {
+        const selection = editor.selection.getSel();
+        if (!selection || typeof selection.modify !== 'function') {
+            return false;
+        }
+        selection.modify('extend', 'backward', granularity);
+    }
+    editor.nodeChanged();
+
+    return !editor.selection.isCollapsed();
+};
+
+/**
+ * Delete one unit of text before the caret.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} granularity 'word' or 'sentence'
+ * @returns {boolean} True if text was deleted
+ */
+const deleteBackwards = (editor, granularity) => {
+    if (!selectBackwards(editor, granularity)) {
+        return false;
+    }
+
+    editor.undoManager.transact(() => {
+        editor.execCommand('Delete');
+    });
+    return true;
+};
+
+/**
+ * Execute a spoken editing command.
+ *
+ * @param {Editor} editor The TinyMCE editor instance
+ * @param {string} command The command name returned by matchCommand
+ * @param {Array} chunks The dictated chunks of the editor
+ * @returns {boolean} True if the command changed the editor
+ */
+export const executeCommand = (editor, command, chunks) => {
+    switch (command) {
+        case 'scratchThat':
+            return scratchThat(editor, chunks);
+        case 'deleteLastWord':
+            return deleteBackwards(editor, 'word');
+        case 'deleteLastSentence':
+            return deleteBackwards(editor, 'sentence');
+        case 'undo':
+            if (!editor.undoManager.hasUndo()) {
+                return false;
+            }
+            editor.undoManager.undo();
+            return true;
+        case 'redo':
+            if (!editor.undoManager.hasRedo()) {
+                return false;
+            }
+            editor.undoManager.redo();
+            return true;
+        case 'selectPreviousWord':
+            return selectBackwards(editor, 'word');
+        case 'selectLastSentence':
+            return selectBackwards(editor, 'sentence');
+        case 'moveToEnd':
+            editor.selection.select(editor.getBody(), true);
+            editor.selection.collapse(false);
+            editor.nodeChanged();
+            return true;
+        case 'nextUncertain':
+            return selectNextUncertain(editor);
+        default:
+            return false;
+    }
+};
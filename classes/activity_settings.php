@@ -0,0 +1,72 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext;
+
+use context_module;
+
+/**
+ * Dictation settings of an activity.
+ *
+ * Dictation is disabled in an activity by prohibiting the tiny/speechtotext:use
+ * capability for every role in the activity context. The setting is therefore
+ * part of the activity: permission overrides are backed up, restored and
+ * duplicated with it, and deleted with it.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class activity_settings {
+
+    /** @var string The capability prohibited in activities where dictation is disabled */
+    const CAPABILITY = 'tiny/speechtotext:use';
+
+    /**
+     * Whether dictation is disabled in an activity.
+     *
+     * @param context_module $context The activity context
+     * @return bool
+     */
+    public static function is_disabled(context_module $context): bool {
+        global $DB;
+
+        return $DB->record_exists('role_capabilities', [
+            'contextid' => $context->id,
+            'capability' => self::CAPABILITY,
+            'permission' => CAP_PROHIBIT,
+        ]);
+    }
+
+    /**
+     * Disable or enable dictation in an activity.
+     *
+     * Enabling removes the overrides of the capability in the activity, including
+     * any made on the permissions page.
+     *
+     * @param context_module $context The activity context
+     * @param bool $disabled Whether dictation is disabled
+     */
+    public static function set_disabled(context_module $context, bool $disabled): void {
+        foreach (get_all_roles() as $role) {
+            if ($disabled) {
+                assign_capability(self::CAPABILITY, CAP_PROHIBIT, $role->id, $context->id, true);
+            } else {
+                unassign_capability(self::CAPABILITY, $role->id, $context->id);
+            }
+        }
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext;
+
+use context;
+
+/**
+ * Dictation settings of a course.
+ *
+ * Courses without a record use the defaults.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class course_settings {
+
+    /** @var array Default value of each setting */
+    const DEFAULTS = [
+        'numbers' => 1,
+    ];
+
+    /**
+     * Get the settings of a course.
+     *
+     * @param int $courseid The course id
+     * @return \stdClass The settings, by name
+     */
+    public static function get(int $courseid): \stdClass {
+        global $DB;
+
+        $settings = (object) self::DEFAULTS;
+        $record = $DB->get_record('tiny_speechtotext_course', ['courseid' => $courseid]);
+        if ($record) {
+            foreach (array_keys(self::DEFAULTS) as $name) {
+                $settings->$name = $record->$name;
+            }
+        }
+        return $settings;
+    }
+
+    /**
+     * Save the settings of a course.
+     *
+     * @param int $courseid The course id
+     * @param \stdClass $settings The settings, by name; settings left out keep their value
+     */
+    public static function set(int $courseid, \stdClass $settings): void {
+        global $DB;
+
+        $record = $DB->get_record('tiny_speechtotext_course', ['courseid' => $courseid]);
+        if (!$record) {
+            $record = (object) (['courseid' => $courseid] + self::DEFAULTS);
+        }
+        foreach (array_keys(self::DEFAULTS) as $name) {
+            if (isset($settings->$name)) {
+                $record->$name = empty($settings->$name) ? 0 : 1;
+            }
+        }
+        $record->timemodified = time();
+
+        if (empty($record->id)) {
+            $DB->insert_record('tiny_speechtotext_course', $record);
+        } else {
+            $DB->update_record('tiny_speechtotext_course', $record);
+        }
+    }
+
+    /**
+     * Delete the settings of a course.
+     *
+     * @param int $courseid The course id
+     */
+    public static function delete(int $courseid): void {
+        global $DB;
+
+        $DB->delete_records('tiny_speechtotext_course', ['courseid' => $courseid]);
+    }
+
+    /**
+     * Get the settings applying to editors in a context.
+     *
+     * @param context $context The context that the editor is used within
+     * @return \stdClass The settings of the course the context belongs to, or the defaults outside courses
+     */
+    public static function get_for_context(context $context): \stdClass {
+        $coursecontext = $context->get_course_context(false);
+        if (!$coursecontext) {
+            return (object) self::DEFAULTS;
+        }
+        return self::get($coursecontext->instanceid);
+    }
+}
@@ -0,0 +1,151 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext\form;
+
+use tiny_speechtotext\course_settings;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * Form editing the dictation settings and replacement rules of a course.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class rules_form extends \moodleform {
+
+    /**
+     * Define the form.
+     */
+    protected function definition() {
+        global $PAGE;
+
+        $mform = $this->_form;
+
+        // Patterns run in the browser, so they are checked there, in its regular expression syntax.
+        $PAGE->requires->js_call_amd('tiny_speechtotext/rulesform', 'init', [$mform->getAttribute('id')]);
+
+        $mform->addElement('hidden', 'courseid');
+        $mform->setType('courseid', PARAM_INT);
+
+        $mform->addElement('header', 'settings', get_string('coursesettings', 'tiny_speechtotext'));
+        $mform->addElement('advcheckbox', 'numbers', get_string('numbers', 'tiny_speechtotext'));
+        $mform->addHelpButton('numbers', 'numbers', 'tiny_speechtotext');
+        $mform->setDefault('numbers', 1);
+
+        $mform->addElement('header', 'vocabulary', get_string('rules', 'tiny_speechtotext'));
+        $mform->addElement('static', 'intro', '', get_string('rules_desc', 'tiny_speechtotext'));
+
+        $elements = [
+            $mform->createElement('header', 'rule', get_string('rulenumber', 'tiny_speechtotext', '{no}')),
+            $mform->createElement('text', 'phrase', get_string('rulephrase', 'tiny_speechtotext'), ['size' => 50]),
+            $mform->createElement('textarea', 'replacement', get_string('rulereplacement', 'tiny_speechtotext'),
+                ['rows' => 2, 'cols' => 50]),
+            $mform->createElement('advcheckbox', 'isregex', get_string('ruleisregex', 'tiny_speechtotext')),
+        ];
+        $options = [
+            'phrase' => ['type' => PARAM_TEXT, 'helpbutton' => ['rulephrase', 'tiny_speechtotext']],
+            'replacement' => ['type' => PARAM_RAW, 'helpbutton' => ['rulereplacement', 'tiny_speechtotext']],
+            'isregex' => ['helpbutton' => ['ruleisregex', 'tiny_speechtotext']],
+        ];
+        $repeats = max(3, $this->_customdata['rulecount'] + 1);
+        $this->repeat_elements($elements, $repeats, $options, 'rulerepeats', 'addrules', 3,
+            get_string('addfields', 'form', 3), true);
+
+        $this->add_action_buttons();
+    }
+
+    /**
+     * Validate the rules.
+     *
+     * @param array $data The submitted data
+     * @param array $files The submitted files
+     * @return array The errors, by element name
+     */
+    public function validation($data, $files) {
+        $errors = parent::validation($data, $files);
+
+        foreach ($data['phrase'] as $index => $phrase) {
+            $phrase = trim($phrase);
+            if ($phrase === '' && trim($data['replacement'][$index]) !== '') {
+                $errors["phrase[$index]"] = get_string('error:phraserequired', 'tiny_speechtotext');
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the submitted rules, leaving out empty ones.
+     *
+     * @return \stdClass[]|null The rules, or null if the form was not submitted
+     */
+    public function get_rules(): ?array {
+        $data = $this->get_data();
+        if (!$data) {
+            return null;
+        }
+
+        $rules = [];
+        foreach ($data->phrase as $index => $phrase) {
+            if (trim($phrase) === '') {
+                continue;
+            }
+            $rules[] = (object) [
+                'phrase' => trim($phrase),
+                'replacement' => $data->replacement[$index],
+                'isregex' => $data->isregex[$index],
+            ];
+        }
+        return $rules;
+    }
+
+    /**
+     * Get the submitted course settings.
+     *
+     * @return \stdClass|null The settings, or null if the form was not submitted
+     */
+    public function get_settings(): ?\stdClass {
+        $data = $this->get_data();
+        if (!$data) {
+            return null;
+        }
+        return (object) ['numbers' => $data->numbers];
+    }
+
+    /**
+     * Load the course settings and existing rules into the form.
+     *
+     * @param int $courseid The course id
+     * @param \stdClass[] $rules The rules
+     */
+    public function set_rules(int $courseid, array $rules): void {
+        $data = ['courseid' => $courseid, 'phrase' => [], 'replacement' => [], 'isregex' => []];
+        foreach ((array) course_settings::get($courseid) as $name => $value) {
+            $data[$name] = $value;
+        }
+        foreach ($rules as $index => $rule) {
+            $data['phrase'][$index] = $rule->phrase;
+            $data['replacement'][$index] = $rule->replacement;
+            $data['isregex'][$index] = $rule->isregex;
+        }
+        $this->set_data($data);
+    }
+}
@@ -24,8 +24,11 @@
 
 namespace tiny_speechtotext;
 
+use context;
+use editor_tiny\editor;
 use editor_tiny\plugin;
 use editor_tiny\plugin_with_buttons;
+use editor_tiny\plugin_with_configuration;
 use editor_tiny\plugin_with_menuitems;
 
 /**
@@ -35,7 +38,54 @@ use editor_tiny\plugin_with_menuitems;
  * @copyright  2026
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menuitems {
+class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menuitems, plugin_with_configuration {
+
+    /**
+     * Whether the plugin is enabled in the editor's context.
+     *
+     * Dictation requires the tiny/speechtotext:use capability, and can be
+     * disabled for individual activities (such as quizzes) in their settings,
+     * even for administrators.
+     *
+     * @param context $context The context that the editor is used within
+     * @param array $options The options passed in when requesting the editor
+     * @param array $fpoptions The filepicker options passed in when requesting the editor
+     * @param editor|null $editor The editor instance in which the plugin is initialised
+     * @return bool
+     */
+    public static function is_enabled(
+        context $context,
+        array $options,
+        array $fpoptions,
+        ?editor $editor = null
+    ): bool {
+        if (!has_capability('tiny/speechtotext:use', $context)) {
+            return false;
+        }
+
+        // Administrators have every capability, whatever the overrides disabling dictation.
+        $cmcontext = self::get_module_context($context);
+        if ($cmcontext && activity_settings::is_disabled($cmcontext)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the activity context a context belongs to.
+     *
+     * @param context $context The context
+     * @return \context_module|null The module context, or null outside activities
+     */
+    protected static function get_module_context(context $context): ?\context_module {
+        foreach (array_merge([$context], $context->get_parent_contexts()) as $candidate) {
+            if ($candidate->contextlevel == CONTEXT_MODULE) {
+                return $candidate;
+            }
+        }
+        return null;
+    }
 
     /**
      * Get the available buttons for the plugin.
@@ -45,6 +95,7 @@ class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menu
     public static function get_available_buttons(): array {
         return [
             'tiny_speechtotext/tiny_speechtotext_button',
+            'tiny_speechtotext/tiny_speechtotext_readaloud',
         ];
     }
 
@@ -56,6 +107,99 @@ class plugininfo extends plugin implements plugin_with_buttons, plugin_with_menu
     public static function get_available_menuitems(): array {
         return [
             'tiny_speechtotext/tiny_speechtotext_button',
+            'tiny_speechtotext/tiny_speechtotext_readaloud',
+        ];
+    }
+
+    /**
+     * Get the plugin configuration passed to the editor.
+     *
+     * @param context $context The context that the editor is used within
+     * @param array $options The options passed in when requesting the editor
+     * @param array $fpoptions The filepicker options passed in when requesting the editor
+     * @param editor|null $editor The editor instance in which the plugin is initialised
+     * @return array
+     */
+    public static function get_plugin_configuration_for_context(
+        context $context,
+        array $options,
+        array $fpoptions,
+        ?editor $editor = null
+    ): array {
+        $config = get_config('tiny_speechtotext');
+        $coursesettings = course_settings::get_for_context($context);
+
+        $replayscript = self::get_replay_script();
+
+        $configuration = [
+            'language' => !empty($config->defaultlanguage) ? $config->defaultlanguage : self::get_recognition_language(),
+            'engine' => $replayscript !== '' ? 'replay' : ($config->engine ?? 'webspeech'),
+            'serverendpoint' => $config->serverendpoint ?? '',
+            'replayscript' => $replayscript,
+            'continuous' => (bool) ($config->continuous ?? true),
+            'interimpreview' => (bool) ($config->interimpreview ?? true),
+            'autopunctuation' => (bool) ($config->autopunctuation ?? true),
+            'punctuation' => ($config->autopunctuation ?? true) ? punctuation::get_dictionaries() : new \stdClass(),
+            'pausepunctuation' => (int) ($config->pausepunctuation ?? 0),
+            'silencetimeout' => (int) ($config->silencetimeout ?? 0),
+            'keepalive' => (bool) ($config->keepalive ?? true),
+            'shortcut' => $config->shortcut ?? 'alt+shift+d',
+            'pushtotalk' => (bool) ($config->pushtotalk ?? false),
+            'previewposition' => $config->previewposition ?? 'corner',
+            'reviewmode' => (bool) ($config->reviewmode ?? false),
+            'history' => (bool) ($config->history ?? true),
+            'recordaudio' => (bool) ($config->recordaudio ?? false),
+            'confidencethreshold' => (float) ($config->confidencethreshold ?? 0),
+            'readaloudrate' => (float) ($config->readaloudrate ?? 1),
+            'numbers' => (bool) $coursesettings->numbers,
+            'rules' => rules::get_editor_rules($context),
         ];
+
+        // The editor offers its built-in list of languages unless the site configures them.
+        $languages = array_filter(array_map('trim', explode(',', $config->languages ?? '')));
+        if ($languages) {
+            $configuration['languages'] = array_values($languages);
+        }
+
+        return $configuration;
+    }
+
+    /**
+     * Get the script of recognition events replayed instead of listening, in automated tests.
+     *
+     * The script is set as $CFG->tiny_speechtotext_replayscript in config.php or, on
+     * Behat test sites only, as the replayscript setting of the plugin. It is never
+     * available to administrators of production sites.
+     *
+     * @return string The script as JSON, or an empty string to listen to the microphone
+     */
+    protected static function get_replay_script(): string {
+        global $CFG;
+
+        if (defined('BEHAT_SITE_RUNNING') && BEHAT_SITE_RUNNING) {
+            $script = get_config('tiny_speechtotext', 'replayscript');
+            if (!empty($script)) {
+                return $script;
+            }
+        }
+
+        return (string) ($CFG->tiny_speechtotext_replayscript ?? '');
+    }
+
+    /**
+     * Get the recognition language matching the current Moodle language.
+     *
+     * The current language already takes forced course and user languages into
+     * account. Moodle language codes such as 'pt_br' become BCP 47 tags such as 'pt-BR'.
+     *
+     * @return string
+     */
+    protected static function get_recognition_language(): string {
+        $parts = explode('_', current_language());
+        $language = strtolower($parts[0]);
+        if (isset($parts[1]) && strlen($parts[1]) === 2) {
+            $language .= '-' . strtoupper($parts[1]);
+        }
+        return $language;
     }
 }
@@ -16,22 +16,37 @@
 
 namespace tiny_speechtotext\privacy;
 
+use core_privacy\local\metadata\collection;
+
 /**
- * Privacy Subsystem for tiny_speechtotext implementing null_provider.
+ * Privacy Subsystem for tiny_speechtotext.
+ *
+ * The plugin stores no personal data itself, but may send microphone audio to
+ * a speech server configured by the site administrator. Audio recordings of
+ * dictation, if enabled, are uploaded as files of the edited text, which
+ * belong to the component the text is saved by. The dictation history is only
+ * kept in the user's browser, and can be cleared from the editor.
  *
  * @package    tiny_speechtotext
  * @copyright  2026
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-class provider implements \core_privacy\local\metadata\null_provider {
+class provider implements \core_privacy\local\metadata\provider {
 
     /**
-     * Get the language string identifier with the component's language
-     * file to explain why this plugin stores no data.
+     * Returns meta data about this system.
      *
-     * @return  string
+     * @param   collection $collection The initialised collection to add items to.
+     * @return  collection A listing of user data stored through this system.
      */
-    public static function get_reason(): string {
-        return 'privacy:metadata';
+    public static function get_metadata(collection $collection): collection {
+        $collection->add_external_location_link('speechserver', [
+            'audio' => 'privacy:metadata:speechserver:audio',
+            'language' => 'privacy:metadata:speechserver:language',
+        ], 'privacy:metadata:speechserver');
+
+        $collection->link_subsystem('core_files', 'privacy:metadata:core_files');
+
+        return $collection;
     }
 }
@@ -0,0 +1,70 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext;
+
+/**
+ * Spoken punctuation dictionaries.
+ *
+ * Each recognition language has a JSON file in the punctuation directory of
+ * the plugin, named after its language tag or primary language subtag
+ * (e.g. fr.json or fr-ca.json). The file maps spoken phrases to punctuation
+ * marks: "phrases" are converted anywhere, "endphrases" only at the end of an
+ * utterance, for words such as the French "point" that are also common words.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class punctuation {
+
+    /** @var \stdClass|null The dictionaries read during this request */
+    protected static $dictionaries = null;
+
+    /**
+     * Get the dictionaries of all languages.
+     *
+     * @return \stdClass The dictionaries keyed by language, each with phrases and endphrases objects
+     */
+    public static function get_dictionaries(): \stdClass {
+        if (self::$dictionaries === null) {
+            self::$dictionaries = self::load_dictionaries();
+        }
+        return self::$dictionaries;
+    }
+
+    /**
+     * Read the dictionaries from their files, skipping files that are not valid.
+     *
+     * @return \stdClass The dictionaries keyed by language
+     */
+    protected static function load_dictionaries(): \stdClass {
+        $dictionaries = new \stdClass();
+        foreach (glob(__DIR__ . '/../punctuation/*.json') as $file) {
+            $dictionary = json_decode(file_get_contents($file));
+            if (!is_object($dictionary)) {
+                debugging('Invalid spoken punctuation dictionary ' . basename($file), DEBUG_DEVELOPER);
+                continue;
+            }
+            $language = strtolower(basename($file, '.json'));
+            $dictionaries->$language = (object) [
+                'phrases' => (object) ($dictionary->phrases ?? []),
+                'endphrases' => (object) ($dictionary->endphrases ?? []),
+            ];
+        }
+        return $dictionaries;
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext;
+
+use context;
+
+/**
+ * Course replacement rules for dictated text.
+ *
+ * Each rule replaces a spoken phrase, or text matching a regular expression,
+ * with written text. A plain phrase without replacement is vocabulary: it is
+ * written exactly as entered, and given to the recognition engine as a hint.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class rules {
+
+    /**
+     * Get the rules of a course, in the order they are applied.
+     *
+     * @param int $courseid The course id
+     * @return \stdClass[] The rules, with phrase, replacement and isregex properties
+     */
+    public static function get_course_rules(int $courseid): array {
+        global $DB;
+
+        return array_values($DB->get_records('tiny_speechtotext_rules', ['courseid' => $courseid], 'sortorder',
+            'id, phrase, replacement, isregex'));
+    }
+
+    /**
+     * Replace the rules of a course.
+     *
+     * @param int $courseid The course id
+     * @param \stdClass[] $rules The rules, with phrase, replacement and isregex properties, in the order to apply them
+     */
+    public static function set_course_rules(int $courseid, array $rules): void {
+        global $DB;
+
+        $transaction = $DB->start_delegated_transaction();
+        $DB->delete_records('tiny_speechtotext_rules', ['courseid' => $courseid]);
+        foreach (array_values($rules) as $sortorder => $rule) {
+            $DB->insert_record('tiny_speechtotext_rules', (object) [
+                'courseid' => $courseid,
+                'phrase' => $rule->phrase,
+                'replacement' => $rule->replacement,
+                'isregex' => empty($rule->isregex) ? 0 : 1,
+                'sortorder' => $sortorder,
+                'timemodified' => time(),
+            ]);
+        }
+        $transaction->allow_commit();
+    }
+
+    /**
+     * Delete the rules of a course.
+     *
+     * @param int $courseid The course id
+     */
+    public static function delete_course_rules(int $courseid): void {
+        global $DB;
+
+        $DB->delete_records('tiny_speechtotext_rules', ['courseid' => $courseid]);
+    }
+
+    /**
+     * Get the rules applying to editors in a context, as passed to the editor.
+     *
+     * @param context $context The context that the editor is used within
+     * @return array The rules of the course the context belongs to, if any
+     */
+    public static function get_editor_rules(context $context): array {
+        $coursecontext = $context->get_course_context(false);
+        if (!$coursecontext) {
+            return [];
+        }
+
+        return array_map(function($rule) {
+            return [
+                'phrase' => $rule->phrase,
+                'replacement' => $rule->replacement,
+                'regex' => (bool) $rule->isregex,
+            ];
+        }, self::get_course_rules($coursecontext->instanceid));
+    }
+}
@@ -24,6 +24,120 @@
 
 $string['pluginname'] = 'Speech to Text';
 $string['buttontitle'] = 'Speech to Text';
-$string['privacy:metadata'] = 'The Speech to Text plugin does not store any personal data.';
 $string['helplinktext'] = 'Speech to Text';
 $string['previewtitle'] = 'Speech Preview';
+$string['engine'] = 'Recognition engine';
+$string['engine_desc'] = 'How speech is turned into text. The browser speech recognition is only available in some browsers, such as Chrome, Edge and Safari. The speech server works in any browser with microphone access, using the speech server endpoint below.';
+$string['engine:auto'] = 'Browser speech recognition, or the speech server where the browser has none';
+$string['engine:server'] = 'Speech server';
+$string['engine:webspeech'] = 'Browser speech recognition (Web Speech API)';
+$string['privacy:metadata:speechserver'] = 'When the speech server is used as recognition engine, microphone audio is sent to the speech server configured by the site administrator to be transcribed.';
+$string['privacy:metadata:speechserver:audio'] = 'The audio recorded from the microphone while dictating.';
+$string['privacy:metadata:speechserver:language'] = 'The dictation language.';
+$string['serverendpoint'] = 'Speech server endpoint';
+$string['serverendpoint_desc'] = 'URL of a self-hosted speech server. For an http(s):// URL, audio segments ending at pauses in speech are posted as multipart form data with a \'file\' field, and a JSON response with a \'text\' property is expected, as with Whisper servers. For a ws(s):// URL, 16-bit PCM audio is streamed and JSON messages with \'partial\' and \'text\' properties are expected, as with Vosk servers.';
+$string['autopunctuation'] = 'Convert spoken punctuation';
+$string['autopunctuation_desc'] = 'Turn spoken punctuation such as "comma" or "new paragraph" into punctuation marks and line breaks. When disabled, every word is inserted as spoken.';
+$string['continuous'] = 'Continuous dictation';
+$string['continuous_desc'] = 'Keep listening until dictation is stopped. When disabled, dictation ends after a single utterance.';
+$string['defaultlanguage'] = 'Default dictation language';
+$string['defaultlanguage_desc'] = 'Language tag, such as en-GB or fr-FR, used for dictation unless the user chooses another one. Leave empty to use the language of the user or course.';
+$string['languages'] = 'Dictation languages';
+$string['languages_desc'] = 'Language tags offered in the language menu of the editor, separated by commas, for example en-GB, fr-FR, de-DE. The default language is always offered. Leave empty to offer a built-in list of common languages.';
+$string['interimpreview'] = 'Show interim preview';
+$string['interimpreview_desc'] = 'Show a preview panel with the words recognised so far while speaking.';
+$string['silencetimeout'] = 'Silence timeout';
+$string['silencetimeout_desc'] = 'Stop dictation after this long without any speech being recognised. Set to 0 to keep listening.';
+$string['disableinactivity'] = 'Disable dictation';
+$string['disableinactivity_help'] = 'If enabled, the Speech to Text button is not available in the editors of this activity, for example during quiz attempts or exams. This prohibits the "Use Speech to Text dictation" capability for every role in the activity, so the setting is kept when the activity is backed up, restored or duplicated.';
+$string['speechtotext:use'] = 'Use Speech to Text dictation';
+$string['dictatinginto'] = 'Dictating into: {$a}';
+$string['dictatingintounnamed'] = 'Dictating into the selected text editor';
+$string['followfocus'] = 'Follow the focused editor';
+$string['error:aborted'] = 'Dictation was interrupted, possibly by another application using the microphone.';
+$string['error:audiocapture'] = 'No microphone was found. Check that a microphone is connected and not used by another application.';
+$string['error:languagenotsupported'] = 'Dictation in {$a} is not supported by this browser. Choose another language from the dictation menu.';
+$string['error:network'] = 'Dictation stopped because the speech recognition service could not be reached. Check your internet connection.';
+$string['error:nospeech'] = 'No speech was detected. Check that your microphone is not muted, then try again.';
+$string['error:notallowed'] = 'Microphone access was denied. Allow this site to use the microphone in your browser settings, then start dictation again.';
+$string['error:startfailed'] = 'Dictation could not be started.';
+$string['error:unknown'] = 'Dictation stopped because of an unexpected error.';
+$string['retry'] = 'Try again';
+$string['error:inactive'] = 'Dictation stopped because no speech was heard for a while.';
+$string['error:restartfailed'] = 'Dictation stopped because the speech recognition service kept ending the session.';
+$string['keepalive'] = 'Keep dictation alive';
+$string['keepalive_desc'] = 'Restart continuous dictation transparently when the browser ends it after a pause or time limit. Dictation then only ends when stopped by the user or after the silence timeout.';
+$string['dictationstarted'] = 'Dictation started';
+$string['dictationstartedholding'] = 'Dictation started, release the keys to stop';
+$string['dictationstopped'] = 'Dictation stopped';
+$string['pushtotalk'] = 'Push-to-talk';
+$string['pushtotalk_desc'] = 'Only dictate while the keyboard shortcut is held down. What was said is inserted when the keys are released.';
+$string['shortcut'] = 'Keyboard shortcut';
+$string['shortcut_desc'] = 'Keyboard shortcut toggling dictation, in TinyMCE notation such as alt+shift+d. Meta is the Ctrl key, or Command on macOS. Leave empty for no shortcut.';
+$string['closepreview'] = 'Stop dictation and close';
+$string['listening'] = 'Listening…';
+$string['previewposition'] = 'Preview position';
+$string['previewposition_desc'] = 'Where the dictation preview is shown.';
+$string['previewposition:corner'] = 'In the bottom corner of the window';
+$string['previewposition:docked'] = 'Below the editor';
+$string['acceptallphrases'] = 'Insert all';
+$string['acceptphrase'] = 'Insert recognised phrase {$a}';
+$string['acceptphrases'] = 'Insert';
+$string['alternatives'] = 'Other suggestions';
+$string['discardallphrases'] = 'Discard all';
+$string['discardphrase'] = 'Discard recognised phrase {$a}';
+$string['discardphrases'] = 'Discard';
+$string['discardphrasesconfirm'] = 'Recognised phrases not inserted yet: {$a}. Discard them and close the preview?';
+$string['discardphrasestitle'] = 'Discard recognised phrases?';
+$string['phrase'] = 'Recognised phrase {$a}';
+$string['reviewmode'] = 'Review before inserting';
+$string['reviewmode_desc'] = 'Collect recognised phrases in the preview, where they can be corrected or swapped for other suggestions, and only insert them once accepted, one by one or all together. Closing the preview asks before discarding phrases not inserted yet. Spoken formatting commands are not applied in review mode. When disabled, recognised text is inserted directly.';
+$string['error:invalidpattern'] = 'This is not a valid regular expression: {$a}';
+$string['error:phraserequired'] = 'Enter the spoken phrase to replace.';
+$string['rulenumber'] = 'Rule {$a}';
+$string['rules'] = 'Dictation vocabulary';
+$string['rules_desc'] = 'Rules correct dictated text in this course. Spoken phrases are replaced first, then regular expressions, each in the order listed. Leave the written text empty to add a term to the vocabulary: it is then always written as entered here, and the speech recogniser is told to expect it where possible.';
+$string['ruleisregex'] = 'Regular expression';
+$string['ruleisregex_help'] = 'Treat the spoken phrase as a case-insensitive JavaScript regular expression, matched against the dictated text once spoken punctuation and numbers are converted and spoken phrases are replaced. The written text may refer to captured groups as $1, $2 and so on.';
+$string['rulephrase'] = 'Spoken phrase';
+$string['rulephrase_help'] = 'The words as recognised, before spoken punctuation and numbers are converted, for example "insert signature", "node dot js" or "amoxicillin". Matching ignores case and only matches whole words.';
+$string['rulereplacement'] = 'Written text';
+$string['rulereplacement_help'] = 'The text written instead of the spoken phrase. It may span several lines, for example to expand a phrase into a signature.';
+$string['speechtotext:managerules'] = 'Manage the dictation vocabulary of a course';
+$string['coursesettings'] = 'Dictation settings';
+$string['numbers'] = 'Write numbers as figures';
+$string['numbers_help'] = 'Write spoken numbers, ordinals, percentages, amounts of money, measurements, dates and times as figures, for example "twenty five percent" as 25% and "january fifth twenty twenty six" as January 5, 2026, formatted for the dictation language. Numbers below ten are left as words unless they have a unit. Available in English, French and Spanish.';
+$string['mathended'] = 'Math mode off, formula inserted';
+$string['mathstarted'] = 'Math mode on. Speak a formula, then say "end math" to insert it.';
+$string['elapsed'] = 'Time dictating';
+$string['microphone'] = 'Microphone';
+$string['microphonenumber'] = 'Microphone {$a}';
+$string['noinput'] = 'No sound is coming from the microphone. Check that it is connected and not muted.';
+$string['clearhistory'] = 'Clear history';
+$string['copied'] = 'Copied to the clipboard';
+$string['copysession'] = 'Copy';
+$string['heard'] = 'Heard:';
+$string['history'] = 'Dictation history';
+$string['history_desc'] = 'Text dictated into this field in the last week, kept in this browser only until you log out. It is not shown to other people who log in with this browser.';
+$string['history_setting_desc'] = 'Keep recent dictation sessions in the browser of each user, so that dictated text can be inserted again after leaving or reloading the page. The history is never sent to the server, is kept for a week at most, is removed when the user logs out and can be cleared by the user at any time.';
+$string['insertsession'] = 'Insert';
+$string['nohistory'] = 'Nothing has been dictated into this field recently.';
+$string['readaloud'] = 'Read aloud';
+$string['readaloudrate'] = 'Read aloud speed';
+$string['readaloudrate_desc'] = 'How fast text is read aloud, compared with the normal speed of the voice.';
+$string['readdocument'] = 'Read everything';
+$string['readlast'] = 'Read the last dictated text';
+$string['readselection'] = 'Read the selection';
+$string['readsentence'] = 'Read the current sentence';
+$string['pausepunctuation'] = 'Sentence breaks at pauses';
+$string['pausepunctuation_desc'] = 'Start a new sentence when the speaker pauses for this long between phrases. The previous sentence is ended with a full stop, or a question mark when it starts with a question word, unless it already ends with punctuation. The pronoun "I" is also capitalised. Pauses are only detected with the interim preview on, and not by speech servers receiving audio segments over HTTP.';
+$string['confidencethreshold'] = 'Mark uncertain words below confidence';
+$string['confidencethreshold_desc'] = 'Underline dictated words the recognition engine is less confident about than this, so they can be checked. Selecting them offers the other words the engine considered, and saying "next uncertain word" selects the next one. The marks are removed when the text is saved, so they never appear in submitted work.';
+$string['uncertainalternatives'] = 'Alternatives';
+$string['uncertainkeep'] = 'Keep as dictated';
+$string['uncertainnext'] = 'Next uncertain word';
+$string['dictationrecording'] = 'Dictation recording';
+$string['privacy:metadata:core_files'] = 'Audio recordings of dictation are uploaded as files of the text being edited, and are kept with that text.';
+$string['recordaudio'] = 'Record dictation audio';
+$string['recordaudio_desc'] = 'Record the microphone while dictating, and save the recording as an audio file with an audio player after the dictated text, so that what was said can be heard later. Users are shown that they are being recorded. Recordings are only saved in editors where the user may upload media files.';
+$string['recording'] = 'Your voice is being recorded and will be saved with the text.';
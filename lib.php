@@ -0,0 +1,88 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Callbacks for the tiny_speechtotext plugin.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Add the option to disable dictation to the settings form of every activity.
+ *
+ * @param moodleform_mod $formwrapper The moodle quickforms wrapper object
+ * @param MoodleQuickForm $mform The actual form object
+ */
+function tiny_speechtotext_coursemodule_standard_elements($formwrapper, $mform) {
+    $mform->addElement('header', 'tiny_speechtotext', get_string('pluginname', 'tiny_speechtotext'));
+    $mform->addElement('advcheckbox', 'tiny_speechtotext_disabled', get_string('disableinactivity', 'tiny_speechtotext'));
+    $mform->addHelpButton('tiny_speechtotext_disabled', 'disableinactivity', 'tiny_speechtotext');
+
+    $cm = $formwrapper->get_coursemodule();
+    if ($cm && \tiny_speechtotext\activity_settings::is_disabled(context_module::instance($cm->id))) {
+        $mform->setDefault('tiny_speechtotext_disabled', 1);
+    }
+}
+
+/**
+ * Save whether dictation is disabled when an activity is added or updated.
+ *
+ * @param stdClass $data The data submitted with the activity settings form
+ * @param stdClass $course The course
+ * @return stdClass The data
+ */
+function tiny_speechtotext_coursemodule_edit_post_actions($data, $course) {
+    if (!isset($data->tiny_speechtotext_disabled) || empty($data->coursemodule)) {
+        return $data;
+    }
+
+    $context = context_module::instance($data->coursemodule);
+    $disabled = !empty($data->tiny_speechtotext_disabled);
+    if ($disabled !== \tiny_speechtotext\activity_settings::is_disabled($context)) {
+        \tiny_speechtotext\activity_settings::set_disabled($context, $disabled);
+    }
+
+    return $data;
+}
+
+/**
+ * Link to the dictation settings and vocabulary of a course from its navigation.
+ *
+ * @param navigation_node $navigation The course navigation node
+ * @param stdClass $course The course
+ * @param context $context The course context
+ */
+function tiny_speechtotext_extend_navigation_course($navigation, $course, $context) {
+    if (!has_capability('tiny/speechtotext:managerules', $context)) {
+        return;
+    }
+
+    $url = new moodle_url('/lib/editor/tiny/plugins/speechtotext/rules.php', ['courseid' => $course->id]);
+    $navigation->add(get_string('coursesettings', 'tiny_speechtotext'), $url, navigation_node::TYPE_SETTING, null,
+        'tiny_speechtotext_rules', new pix_icon('i/settings', ''));
+}
+
+/**
+ * Delete the dictation settings and rules of a course that is being deleted.
+ *
+ * @param stdClass $course The course
+ */
+function tiny_speechtotext_pre_course_delete($course) {
+    \tiny_speechtotext\course_settings::delete($course->id);
+    \tiny_speechtotext\rules::delete_course_rules($course->id);
+}
@@ -0,0 +1,61 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Edit the dictation settings, vocabulary and replacement rules of a course.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+use tiny_speechtotext\course_settings;
+use tiny_speechtotext\form\rules_form;
+use tiny_speechtotext\rules;
+
+require_once(__DIR__ . '/../../../../../config.php');
+
+$courseid = required_param('courseid', PARAM_INT);
+
+$course = get_course($courseid);
+require_login($course);
+$context = context_course::instance($course->id);
+require_capability('tiny/speechtotext:managerules', $context);
+
+$url = new moodle_url('/lib/editor/tiny/plugins/speechtotext/rules.php', ['courseid' => $course->id]);
+$PAGE->set_url($url);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('incourse');
+$PAGE->set_title(get_string('coursesettings', 'tiny_speechtotext'));
+$PAGE->set_heading($course->fullname);
+
+$existing = rules::get_course_rules($course->id);
+$form = new rules_form($url, ['rulecount' => count($existing)]);
+
+if ($form->is_cancelled()) {
+    redirect(course_get_url($course));
+} else if (($submitted = $form->get_rules()) !== null) {
+    course_settings::set($course->id, $form->get_settings());
+    rules::set_course_rules($course->id, $submitted);
+    redirect($url, get_string('changessaved'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
+$form->set_rules($course->id, $existing);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('coursesettings', 'tiny_speechtotext'));
+$form->display();
+echo $OUTPUT->footer();
@@ -0,0 +1,189 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Settings for the tiny_speechtotext plugin.
+ *
+ * @package    tiny_speechtotext
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+defined('MOODLE_INTERNAL') || die();
+
+if ($ADMIN->fulltree) {
+    $settings->add(new admin_setting_configtext(
+        'tiny_speechtotext/defaultlanguage',
+        new lang_string('defaultlanguage', 'tiny_speechtotext'),
+        new lang_string('defaultlanguage_desc', 'tiny_speechtotext'),
+        '',
+        '/^([a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*)?$/'
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'tiny_speechtotext/languages',
+        new lang_string('languages', 'tiny_speechtotext'),
+        new lang_string('languages_desc', 'tiny_speechtotext'),
+        '',
+        '/^([a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*(\s*,\s*[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*)*)?$/'
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/continuous',
+        new lang_string('continuous', 'tiny_speechtotext'),
+        new lang_string('continuous_desc', 'tiny_speechtotext'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/keepalive',
+        new lang_string('keepalive', 'tiny_speechtotext'),
+        new lang_string('keepalive_desc', 'tiny_speechtotext'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/interimpreview',
+        new lang_string('interimpreview', 'tiny_speechtotext'),
+        new lang_string('interimpreview_desc', 'tiny_speechtotext'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/reviewmode',
+        new lang_string('reviewmode', 'tiny_speechtotext'),
+        new lang_string('reviewmode_desc', 'tiny_speechtotext'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/history',
+        new lang_string('history', 'tiny_speechtotext'),
+        new lang_string('history_setting_desc', 'tiny_speechtotext'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/recordaudio',
+        new lang_string('recordaudio', 'tiny_speechtotext'),
+        new lang_string('recordaudio_desc', 'tiny_speechtotext'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'tiny_speechtotext/confidencethreshold',
+        new lang_string('confidencethreshold', 'tiny_speechtotext'),
+        new lang_string('confidencethreshold_desc', 'tiny_speechtotext'),
+        0,
+        [
+            0 => new lang_string('never'),
+            '0.5' => new lang_string('percents', 'core', 50),
+            '0.7' => new lang_string('percents', 'core', 70),
+            '0.8' => new lang_string('percents', 'core', 80),
+            '0.9' => new lang_string('percents', 'core', 90),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'tiny_speechtotext/readaloudrate',
+        new lang_string('readaloudrate', 'tiny_speechtotext'),
+        new lang_string('readaloudrate_desc', 'tiny_speechtotext'),
+        '1',
+        [
+            '0.5' => new lang_string('percents', 'core', 50),
+            '0.75' => new lang_string('percents', 'core', 75),
+            '1' => new lang_string('percents', 'core', 100),
+            '1.25' => new lang_string('percents', 'core', 125),
+            '1.5' => new lang_string('percents', 'core', 150),
+            '2' => new lang_string('percents', 'core', 200),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'tiny_speechtotext/previewposition',
+        new lang_string('previewposition', 'tiny_speechtotext'),
+        new lang_string('previewposition_desc', 'tiny_speechtotext'),
+        'corner',
+        [
+            'corner' => new lang_string('previewposition:corner', 'tiny_speechtotext'),
+            'docked' => new lang_string('previewposition:docked', 'tiny_speechtotext'),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/autopunctuation',
+        new lang_string('autopunctuation', 'tiny_speechtotext'),
+        new lang_string('autopunctuation_desc', 'tiny_speechtotext'),
+        1
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'tiny_speechtotext/pausepunctuation',
+        new lang_string('pausepunctuation', 'tiny_speechtotext'),
+        new lang_string('pausepunctuation_desc', 'tiny_speechtotext'),
+        0,
+        [
+            0 => new lang_string('never'),
+            1000 => new lang_string('numseconds', 'core', 1),
+            1500 => new lang_string('numseconds', 'core', 1.5),
+            2000 => new lang_string('numseconds', 'core', 2),
+            3000 => new lang_string('numseconds', 'core', 3),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configduration(
+        'tiny_speechtotext/silencetimeout',
+        new lang_string('silencetimeout', 'tiny_speechtotext'),
+        new lang_string('silencetimeout_desc', 'tiny_speechtotext'),
+        0,
+        1
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'tiny_speechtotext/shortcut',
+        new lang_string('shortcut', 'tiny_speechtotext'),
+        new lang_string('shortcut_desc', 'tiny_speechtotext'),
+        'alt+shift+d',
+        '/^(((meta|ctrl|alt|shift|access)\+)*([a-z0-9]|f[1-9]|f1[0-2]))?$/i'
+    ));
+
+    $settings->add(new admin_setting_configcheckbox(
+        'tiny_speechtotext/pushtotalk',
+        new lang_string('pushtotalk', 'tiny_speechtotext'),
+        new lang_string('pushtotalk_desc', 'tiny_speechtotext'),
+        0
+    ));
+
+    $settings->add(new admin_setting_configselect(
+        'tiny_speechtotext/engine',
+        new lang_string('engine', 'tiny_speechtotext'),
+        new lang_string('engine_desc', 'tiny_speechtotext'),
+        'webspeech',
+        [
+            'webspeech' => new lang_string('engine:webspeech', 'tiny_speechtotext'),
+            'server' => new lang_string('engine:server', 'tiny_speechtotext'),
+            'auto' => new lang_string('engine:auto', 'tiny_speechtotext'),
+        ]
+    ));
+
+    $settings->add(new admin_setting_configtext(
+        'tiny_speechtotext/serverendpoint',
+        new lang_string('serverendpoint', 'tiny_speechtotext'),
+        new lang_string('serverendpoint_desc', 'tiny_speechtotext'),
+        '',
+        PARAM_URL
+    ));
+}
@@ -0,0 +1,109 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace tiny_speechtotext;
+
+use context_module;
+
+/**
+ * Tests for the dictation settings of activities.
+ *
+ * @package    tiny_speechtotext
+ * @category   test
+ * @copyright  2026
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \tiny_speechtotext\activity_settings
+ */
+final class activity_settings_test extends \advanced_testcase {
+
+    /**
+     * Disabling dictation prohibits it for every role, even with the capability in the course.
+     */
+    public function test_set_disabled(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $context = context_module::instance($quiz->cmid);
+
+        $this->assertFalse(activity_settings::is_disabled($context));
+        $this->assertTrue(has_capability(activity_settings::CAPABILITY, $context, $student));
+
+        activity_settings::set_disabled($context, true);
+        $this->assertTrue(activity_settings::is_disabled($context));
+        $this->assertFalse(has_capability(activity_settings::CAPABILITY, $context, $student));
+
+        activity_settings::set_disabled($context, false);
+        $this->assertFalse(activity_settings::is_disabled($context));
+        $this->assertTrue(has_capability(activity_settings::CAPABILITY, $context, $student));
+    }
+
+    /**
+     * Duplicated activities keep dictation disabled.
+     */
+    public function test_duplicate_module(): void {
+        global $CFG;
+        require_once($CFG->dirroot . '/course/lib.php');
+
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $page = $this->getDataGenerator()->create_module('page', ['course' => $course->id]);
+        activity_settings::set_disabled(context_module::instance($quiz->cmid), true);
+
+        $quizcopy = duplicate_module($course, get_fast_modinfo($course)->get_cm($quiz->cmid));
+        $pagecopy = duplicate_module($course, get_fast_modinfo($course)->get_cm($page->cmid));
+
+        $this->assertTrue(activity_settings::is_disabled(context_module::instance($quizcopy->id)));
+        $this->assertFalse(activity_settings::is_disabled(context_module::instance($pagecopy->id)));
+    }
+
+    /**
+     * Restored courses keep dictation disabled in their activities.
+     */
+    public function test_backup_restore(): void {
+        global $CFG, $USER;
+        require_once($CFG->dirroot . '/backup/util/includes/backup_includes.php');
+        require_once($CFG->dirroot . '/backup/util/includes/restore_includes.php');
+
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        activity_settings::set_disabled(context_module::instance($quiz->cmid), true);
+
+        $bc = new \backup_controller(\backup::TYPE_1COURSE, $course->id, \backup::FORMAT_MOODLE,
+            \backup::INTERACTIVE_NO, \backup::MODE_GENERAL, $USER->id);
+        $bc->execute_plan();
+        $backupid = $bc->get_backupid();
+        $bc->destroy();
+
+        $newcourseid = \restore_dbops::create_new_course($course->fullname, $course->shortname . '_2', $course->category);
+        $rc = new \restore_controller($backupid, $newcourseid, \backup::INTERACTIVE_NO, \backup::MODE_GENERAL,
+            $USER->id, \backup::TARGET_NEW_COURSE);
+        $rc->execute_precheck();
+        $rc->execute_plan();
+        $rc->destroy();
+
+        $quizzes = get_fast_modinfo($newcourseid)->get_instances_of('quiz');
+        $restored = reset($quizzes);
+        $this->assertTrue(activity_settings::is_disabled(context_module::instance($restored->id)));
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ */
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the dictation history of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Storage from '../../amd/src/storage';
+import {getSessions, pruneHistories, recordPhrase, startSession} from '../../amd/src/history';
+
+jest.mock('core/config', () => ({wwwroot: 'https://moodle.example.com', userId: 2}), {virtual: true});
+jest.mock('editor_tiny/options', () => ({getContextId: () => 5}), {virtual: true});
+
+const day = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an editor of a text field.
+ *
+ * @param {string} id The id of the field
+ * @returns {Object} The editor
+ */
+const createEditor = (id) => ({id, getElement: () => ({id})});
+
+/**
+ * Store the history of a text field with a session started some time ago.
+ *
+ * @param {string} id The id of the field
+ * @param {number} age The age of the session, in milliseconds
+ */
+const storeSession = (id, age) => {
+    const started = Date.now() - age;
+    Storage.set(`history/5/${id}`, JSON.stringify([{started, language: 'en-GB', phrases: [{time: started, heard: id, text: id}]}]));
+};
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('history', () => {
+    it('records the phrases of a session', () => {
+        const editor = createEditor('id_text');
+        startSession(editor, 'en-GB');
+        recordPhrase(editor, 'hello', 'Hello');
+        recordPhrase(editor, 'world', 'world');
+
+        expect(getSessions(editor).map((session) => session.phrases.map((phrase) => phrase.text))).toEqual([['Hello', 'world']]);
+    });
+
+    it('removes the histories with no recent session', () => {
+        storeSession('id_old', 8 * day);
+        storeSession('id_recent', day);
+        pruneHistories();
+
+        expect(Storage.getKeys('history/')).toEqual(['history/5/id_recent']);
+    });
+
+    it('keeps the histories of the most recently used editors', () => {
+        for (let i = 0; i < 60; i++) {
+            storeSession(`id_text${i}`, i * 1000);
+        }
+        pruneHistories();
+
+        const keys = Storage.getKeys('history/');
+        expect(keys).toHaveLength(50);
+        expect(keys).toContain('history/5/id_text0');
+        expect(keys).not.toContain('history/5/id_text50');
+    });
+
+    it('removes histories that cannot be read', () => {
+        Storage.set('history/5/id_text', '{');
+        pruneHistories();
+
+        expect(Storage.getKeys('history/')).toEqual([]);
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * @jest-environment jsdom
+ */
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for fitting dictated text to its surroundings in the tiny_speechtotext plugin.
+ *
+ * The selection is marked in the HTML of the editor body with "|" for a caret,
+ * or "[" and "]" around selected text.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {fitToContext, getSelectionContext} from '../../amd/src/insertion';
+
+const blockNames = ['P', 'DIV', 'LI', 'UL', 'OL', 'TD', 'TH', 'TABLE', 'TBODY', 'TR', 'BLOCKQUOTE', 'H1', 'H2', 'H3'];
+
+/**
+ * Create an editor body with a selection, with the parts of the TinyMCE editor used.
+ *
+ * @param {string} html The body HTML, with the selection marked
+ * @returns {Object} The editor and the selection range
+ */
+const createEditor = (html) => {
+    const body = document.createElement('div');
+    body.innerHTML = html.replace(/[|[\]]/g, (mark) => `<span data-mark="${mark}"></span>`);
+
+    const dom = {
+        isBlock: (node) => blockNames.includes(node.nodeName),
+        getParent: (node, predicate) => {
+            for (let parent = node; parent && parent !== body; parent = parent.parentNode) {
+                if (parent.nodeType === Node.ELEMENT_NODE && predicate(parent)) {
+                    return parent;
+                }
+            }
+            return null;
+        },
+        createRng: () => document.createRange(),
+    };
+    const editor = {dom, getBody: () => body};
+
+    // Replace the marks by the range boundaries
+    const range = document.createRange();
+    body.querySelectorAll('[data-mark]').forEach((mark) => {
+        const type = mark.getAttribute('data-mark');
+        const parent = mark.parentNode;
+        const offset = Array.prototype.indexOf.call(parent.childNodes, mark);
+        parent.removeChild(mark);
+        if (type !== ']') {
+            range.setStart(parent, offset);
+        }
+        if (type !== '[') {
+            range.setEnd(parent, offset);
+        }
+    });
+    body.normalize();
+
+    return {editor, range};
+};
+
+/**
+ * Fit text to the selection of an editor body.
+ *
+ * @param {string} text The dictated text
+ * @param {string} html The body HTML, with the selection marked
+ * @returns {string} The text to insert
+ */
+const fitAt = (text, html) => {
+    const {editor, range} = createEditor(html);
+    return fitToContext(text, getSelectionContext(editor, range));
+};
+
+describe('getSelectionContext', () => {
+    it('gets the text around the caret within its paragraph', () => {
+        const {editor, range} = createEditor('<p>First.</p><p>Some |text</p><p>Last.</p>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Some ', after: 'text'});
+    });
+
+    it('gets the text around a selection', () => {
+        const {editor, range} = createEditor('<p>Keep [this] here</p>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Keep ', after: ' here'});
+    });
+
+    it('looks through inline formatting', () => {
+        const {editor, range} = createEditor('<p>Some <strong>bold <em>word|</em></strong>, then</p>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Some bold word', after: ', then'});
+    });
+
+    it('stops at list items and table cells', () => {
+        let {editor, range} = createEditor('<ul><li>One.</li><li>Two |three</li></ul>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Two ', after: 'three'});
+
+        ({editor, range} = createEditor('<table><tbody><tr><td>A1</td><td>|</td></tr></tbody></table>'));
+        expect(getSelectionContext(editor, range)).toEqual({before: '', after: ''});
+    });
+
+    it('writes line breaks as newlines and non-breaking spaces as spaces', () => {
+        const {editor, range} = createEditor('<p>Line one<br>line&nbsp;two |</p>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Line one\nline two ', after: ''});
+    });
+
+    it('ignores the caret characters left by TinyMCE', () => {
+        const {editor, range} = createEditor('<p>Word<strong>\uFEFF|</strong></p>');
+        expect(getSelectionContext(editor, range)).toEqual({before: 'Word', after: ''});
+    });
+});
+
+describe('fitToContext', () => {
+    it('capitalises text at the start of a block', () => {
+        expect(fitAt('hello there', '<p>|</p>')).toBe('Hello there');
+        expect(fitAt('hello', '<p>|world</p>')).toBe('Hello ');
+    });
+
+    it('capitalises and spaces text after a full stop', () => {
+        expect(fitAt('then it rained', '<p>We left.|</p>')).toBe(' Then it rained');
+        expect(fitAt('then it rained', '<p>We left. |</p>')).toBe('Then it rained');
+        expect(fitAt('why', '<p>Really? |And</p>')).toBe('Why ');
+    });
+
+    it('continues a sentence in the middle of a paragraph', () => {
+        expect(fitAt('very', '<p>It was |cold.</p>')).toBe('very ');
+        expect(fitAt('very', '<p>It was| cold.</p>')).toBe(' very');
+    });
+
+    it('spaces text dictated in the middle of a word', () => {
+        expect(fitAt('big', '<p>The hou|se</p>')).toBe(' big ');
+    });
+
+    it('spaces text after inline formatting', () => {
+        expect(fitAt('and more', '<p>Some <strong>bold</strong>|</p>')).toBe(' and more');
+        expect(fitAt('and more', '<p>Some <strong>bold|</strong> text</p>')).toBe(' and more');
+        expect(fitAt('start', '<p><em>|</em></p>')).toBe('Start');
+    });
+
+    it('does not space punctuation', () => {
+        expect(fitAt(', then', '<p>First|</p>')).toBe(', then');
+        expect(fitAt('aside', '<p>Note (|)</p>')).toBe('aside');
+    });
+
+    it('replaces a selection', () => {
+        expect(fitAt('red', '<p>The [blue] car</p>')).toBe('red');
+        expect(fitAt('red', '<p>The[ blue ]car</p>')).toBe(' red ');
+    });
+
+    it('does not look past the block', () => {
+        expect(fitAt('next', '<p>Ends here</p><p>|</p>')).toBe('Next');
+        expect(fitAt('item', '<ol><li>One,</li><li>|</li></ol>')).toBe('Item');
+    });
+});
@@ -0,0 +1,85 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the spoken mathematics parser of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {toLatex} from '../../amd/src/math';
+
+describe('toLatex', () => {
+    it('converts sums, products and fractions', () => {
+        expect(toLatex('x squared plus two x over three', 'en-US')).toBe('\\( x^{2} + \\frac{2x}{3} \\)');
+        expect(toLatex('a times b minus c', 'en-GB')).toBe('\\( a \\cdot b - c \\)');
+    });
+
+    it('divides the whole sum before "all over"', () => {
+        expect(toLatex('x plus one all over two', 'en-US')).toBe('\\( \\frac{x + 1}{2} \\)');
+        expect(toLatex('a plus b over c', 'en-US')).toBe('\\( a + \\frac{b}{c} \\)');
+    });
+
+    it('converts the quadratic formula', () => {
+        expect(toLatex('x equals minus b plus or minus the square root of b squared minus four a c all over two a', 'en-US'))
+            .toBe('\\( x = \\frac{-b \\pm \\sqrt{b^{2} - 4ac}}{2a} \\)');
+    });
+
+    it('takes the sum after a root, up to "end root"', () => {
+        expect(toLatex('square root of x plus one', 'en-US')).toBe('\\( \\sqrt{x + 1} \\)');
+        expect(toLatex('square root of x end root plus one', 'en-US')).toBe('\\( \\sqrt{x} + 1 \\)');
+        expect(toLatex('cube root of x equals two', 'en-US')).toBe('\\( \\sqrt[3]{x} = 2 \\)');
+    });
+
+    it('converts spoken fractions', () => {
+        expect(toLatex('one half', 'en-US')).toBe('\\( \\frac{1}{2} \\)');
+        expect(toLatex('three quarters plus x', 'en-US')).toBe('\\( \\frac{3}{4} + x \\)');
+        expect(toLatex('two thirds x', 'en-US')).toBe('\\( \\frac{2}{3}x \\)');
+        expect(toLatex('un demi', 'fr-FR')).toBe('\\( \\frac{1}{2} \\)');
+        expect(toLatex('tres cuartos', 'es-ES')).toBe('\\( \\frac{3}{4} \\)');
+    });
+
+    it('reads fraction words without a number as ordinals or text', () => {
+        expect(toLatex('x to the third', 'en-US')).toBe('\\( x^{3} \\)');
+        expect(toLatex('a half', 'en-US')).toBe('\\( a\\text{ half} \\)');
+    });
+
+    it('groups spoken parentheses', () => {
+        expect(toLatex('open paren a plus b close paren squared', 'en-US')).toBe('\\( (a + b)^{2} \\)');
+        expect(toLatex('f of x equals sine x', 'en-US')).toBe('\\( f(x) = \\sin x \\)');
+    });
+
+    it('writes words as spaced text', () => {
+        expect(toLatex('hello world', 'en-US')).toBe('\\( \\text{hello world} \\)');
+        expect(toLatex('x is positive', 'en-US')).toBe('\\( x\\text{ is positive} \\)');
+        expect(toLatex('speed equals d over t', 'en-US')).toBe('\\( \\text{speed} = \\frac{d}{t} \\)');
+        expect(toLatex('for all x', 'en-US')).toBe('\\( \\text{for all }x \\)');
+    });
+
+    it('escapes text', () => {
+        expect(toLatex('cost_total', 'en-US')).toBe('\\( \\text{cost\\_total} \\)');
+    });
+
+    it('converts French and Spanish formulas', () => {
+        expect(toLatex('x plus un le tout sur deux', 'fr-FR')).toBe('\\( \\frac{x + 1}{2} \\)');
+        expect(toLatex('racine carrée de x au carré plus un', 'fr-FR')).toBe('\\( \\sqrt{x^{2} + 1} \\)');
+        expect(toLatex('a más b todo sobre c', 'es-ES')).toBe('\\( \\frac{a + b}{c} \\)');
+    });
+
+    it('returns nothing for nothing spoken', () => {
+        expect(toLatex('  ', 'en-US')).toBe('');
+    });
+});
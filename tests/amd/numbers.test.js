@@ -0,0 +1,48 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the spoken number formatting of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {normaliseNumbers} from '../../amd/src/numbers';
+
+describe('normaliseNumbers', () => {
+    it('writes large numbers and quantities in figures, small numbers in words', () => {
+        expect(normaliseNumbers('i have twenty five apples', 'en-GB')).toBe('i have 25 apples');
+        expect(normaliseNumbers('three apples', 'en-GB')).toBe('three apples');
+        expect(normaliseNumbers('fifty percent', 'en-GB')).toBe('50%');
+    });
+
+    it('writes a spoken sign before a number', () => {
+        expect(normaliseNumbers('minus three degrees', 'en-GB')).toBe('-3°');
+        expect(normaliseNumbers('it was negative five', 'en-GB')).toBe('it was -5');
+        expect(normaliseNumbers('moins trois degrés', 'fr-FR')).toBe('-3°');
+        expect(normaliseNumbers('menos tres grados', 'es-ES')).toBe('-3°');
+    });
+
+    it('keeps a sign after a number as subtraction', () => {
+        expect(normaliseNumbers('ten minus three', 'en-GB')).toBe('10 minus three');
+        expect(normaliseNumbers('twenty minus fifteen', 'en-GB')).toBe('20 minus 15');
+        expect(normaliseNumbers('dix moins trois', 'fr-FR')).toBe('10 moins trois');
+    });
+
+    it('leaves a sign without a number', () => {
+        expect(normaliseNumbers('a minus grade', 'en-GB')).toBe('a minus grade');
+    });
+});
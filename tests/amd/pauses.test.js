@@ -0,0 +1,113 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the sentence breaks from pauses of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {addPauseBreak, capitalizePronoun, createPauseTracker} from '../../amd/src/pauses';
+
+/**
+ * Replay recorded results through a pause tracker.
+ *
+ * @param {Array[]} results The results, as [isFinal, time] pairs
+ * @returns {number[]} The pauses returned for the final results
+ */
+const replay = (results) => {
+    const tracker = createPauseTracker();
+    return results
+        .map(([isFinal, time]) => ({isFinal, pause: tracker.addResult(isFinal, time)}))
+        .filter(({isFinal}) => isFinal)
+        .map(({pause}) => pause);
+};
+
+describe('createPauseTracker', () => {
+    it('measures from the final result to the first result of the next utterance', () => {
+        expect(replay([
+            [false, 0], [false, 400], [true, 900],
+            [false, 3400], [false, 3800], [true, 4500],
+            [false, 4800], [true, 5200],
+        ])).toEqual([0, 2500, 300]);
+    });
+
+    it('does not count the length of the next utterance', () => {
+        expect(replay([
+            [false, 0], [true, 500],
+            [false, 1000], [false, 2000], [false, 6000], [true, 9000],
+        ])).toEqual([0, 500]);
+    });
+
+    it('never returns a negative pause', () => {
+        expect(replay([[true, 1000], [false, 900], [true, 1200]])).toEqual([0, 0]);
+    });
+
+    it('starts over when reset', () => {
+        const tracker = createPauseTracker();
+        tracker.addResult(false, 0);
+        tracker.addResult(true, 500);
+        tracker.reset();
+        tracker.addResult(false, 10000);
+        expect(tracker.addResult(true, 10500)).toBe(0);
+    });
+});
+
+describe('addPauseBreak', () => {
+    const context = {language: 'en-GB', before: 'I went home', pause: 2000};
+
+    it('ends the previous sentence after a long pause', () => {
+        expect(addPauseBreak('then it rained', context, 1500)).toBe('. Then it rained');
+    });
+
+    it('leaves text after a short pause alone', () => {
+        expect(addPauseBreak('then it rained', {...context, pause: 1000}, 1500)).toBe('then it rained');
+    });
+
+    it('ends questions with a question mark', () => {
+        expect(addPauseBreak('yes', {...context, before: 'Done. Where did you go'}, 1500)).toBe('? Yes');
+        expect(addPauseBreak('oui', {language: 'fr-FR', before: 'Pourquoi pas', pause: 2000}, 1500)).toBe('? Oui');
+    });
+
+    it('does not take statements starting with auxiliaries for questions', () => {
+        expect(addPauseBreak('it was fine', {...context, before: 'Will came round'}, 1500)).toBe('. It was fine');
+        expect(addPauseBreak('it was fine', {...context, before: 'May is warm'}, 1500)).toBe('. It was fine');
+        expect(addPauseBreak('then leave', {...context, before: 'Have a look'}, 1500)).toBe('. Then leave');
+    });
+
+    it('keeps punctuation already there or spoken', () => {
+        expect(addPauseBreak('then', {...context, before: 'I went home,'}, 1500)).toBe('then');
+        expect(addPauseBreak('. Then', context, 1500)).toBe('. Then');
+    });
+
+    it('adds nothing at the start of a block', () => {
+        expect(addPauseBreak('hello', {...context, before: ''}, 1500)).toBe('hello');
+    });
+
+    it('keeps trailing line breaks', () => {
+        expect(addPauseBreak('then\n', context, 1500)).toBe('. Then\n');
+    });
+});
+
+describe('capitalizePronoun', () => {
+    it('capitalises the pronoun in English', () => {
+        expect(capitalizePronoun("i think i'm right, i.e. i am", 'en-US')).toBe("I think I'm right, i.e. I am");
+    });
+
+    it('leaves other languages alone', () => {
+        expect(capitalizePronoun('i nostri amici', 'it-IT')).toBe('i nostri amici');
+    });
+});
@@ -0,0 +1,145 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the transcript pipeline and replacement rules of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {createPipeline, createTranscriptPipeline} from '../../amd/src/pipeline';
+import {createReplacementSteps, getHints, validatePattern} from '../../amd/src/replacements';
+import en from '../../punctuation/en.json';
+import fr from '../../punctuation/fr.json';
+
+const punctuation = {en, fr};
+const context = {language: 'en-GB'};
+
+/**
+ * Create a transcript pipeline with the default settings.
+ *
+ * @param {Object} settings The settings to change
+ * @returns {function} The pipeline
+ */
+const createDefaultPipeline = (settings = {}) => createTranscriptPipeline({
+    numbers: true,
+    punctuation,
+    rules: [],
+    sentencePause: 0,
+    ...settings,
+});
+
+describe('createPipeline', () => {
+    it('runs the steps in order with the context', () => {
+        const pipeline = createPipeline([
+            (text) => `${text} one`,
+            (text, {language}) => `${text} ${language}`,
+        ]);
+        expect(pipeline('zero', context)).toBe('zero one en-GB');
+    });
+});
+
+describe('createTranscriptPipeline', () => {
+    it('converts numbers and spoken punctuation', () => {
+        expect(createDefaultPipeline()('i have twenty five apples full stop', context)).toBe('i have 25 apples. ');
+    });
+
+    it('converts decimal numbers before punctuation', () => {
+        expect(createDefaultPipeline()('trois virgule cinq', {language: 'fr-FR'})).toBe('3,5');
+    });
+
+    it('only collapses whitespace without spoken punctuation', () => {
+        const pipeline = createDefaultPipeline({punctuation: null, numbers: false});
+        expect(pipeline('  one   comma two ', context)).toBe('one comma two');
+    });
+
+    it('replaces spoken phrases before spoken punctuation is converted', () => {
+        const pipeline = createDefaultPipeline({rules: [{phrase: 'node dot js', replacement: 'Node.js', regex: false}]});
+        expect(pipeline('i like node dot js full stop it is fast', context)).toBe('i like Node.js. It is fast');
+    });
+
+    it('writes replacements exactly as entered', () => {
+        const rules = [
+            {phrase: 'insert signature', replacement: 'Kind regards,\nDr Smith', regex: false},
+            {phrase: 'amoxicillin', replacement: '', regex: false},
+            {phrase: 'room', replacement: 'Room twenty', regex: false},
+        ];
+        const pipeline = createDefaultPipeline({rules});
+        expect(pipeline('thanks full stop insert signature', context)).toBe('thanks. Kind regards,\nDr Smith');
+        expect(pipeline('take AMOXICILLIN daily', context)).toBe('take amoxicillin daily');
+        expect(pipeline('meet in room', context)).toBe('meet in Room twenty');
+    });
+
+    it('applies regular expressions to the converted text', () => {
+        const rules = [{phrase: '(\\d+) percent', replacement: '$1%', regex: true}];
+        expect(createDefaultPipeline({rules})('fifty percent comma more', context)).toBe('50%, more');
+    });
+
+    it('applies regular expressions after the spoken phrases', () => {
+        const rules = [
+            {phrase: 'Node\\.js', replacement: 'Node.js®', regex: true},
+            {phrase: 'node dot js', replacement: 'Node.js', regex: false},
+        ];
+        expect(createDefaultPipeline({rules})('use node dot js', context)).toBe('use Node.js®');
+    });
+
+    it('skips rules with patterns that are not valid', () => {
+        const rules = [
+            {phrase: '(unclosed', replacement: 'x', regex: true},
+            {phrase: 'colour', replacement: 'color', regex: false},
+        ];
+        expect(createDefaultPipeline({rules})('what colour', context)).toBe('what color');
+    });
+
+    it('breaks sentences at pauses last', () => {
+        const pipeline = createDefaultPipeline({sentencePause: 1500});
+        expect(pipeline('then we left', {...context, before: 'We ate', pause: 2000})).toBe('. Then we left');
+        expect(pipeline('full stop then', {...context, before: 'We ate', pause: 2000})).toBe('. Then');
+    });
+});
+
+describe('createReplacementSteps', () => {
+    it('only matches whole words', () => {
+        const {phraseStep, patternStep} = createReplacementSteps([{phrase: 'cat', replacement: 'dog', regex: false}]);
+        expect(patternStep(phraseStep('cat catalogue cat'))).toBe('dog catalogue dog');
+    });
+
+    it('matches phrases whatever the spacing', () => {
+        const {phraseStep, patternStep} = createReplacementSteps([{phrase: 'new  york', replacement: 'New York', regex: false}]);
+        expect(patternStep(phraseStep('in new york city'))).toBe('in New York city');
+    });
+});
+
+describe('validatePattern', () => {
+    it('accepts valid JavaScript patterns', () => {
+        expect(validatePattern('(?<year>\\d{4})')).toBeNull();
+    });
+
+    it('returns the error of patterns that are not valid', () => {
+        expect(validatePattern('a(b')).toMatch(/Invalid regular expression/);
+        expect(validatePattern('(?P<name>x)')).toMatch(/Invalid/);
+    });
+});
+
+describe('getHints', () => {
+    it('lists the spoken phrases once', () => {
+        expect(getHints([
+            {phrase: ' amoxicillin ', replacement: '', regex: false},
+            {phrase: 'amoxicillin', replacement: '', regex: false},
+            {phrase: '\\d+', replacement: '', regex: true},
+        ])).toEqual(['amoxicillin']);
+    });
+});
@@ -0,0 +1,84 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the spoken punctuation of the tiny_speechtotext plugin, in each shipped language.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {capitalizeWord, processTextWithPunctuation} from '../../amd/src/punctuation';
+import bn from '../../punctuation/bn.json';
+import en from '../../punctuation/en.json';
+import es from '../../punctuation/es.json';
+import fr from '../../punctuation/fr.json';
+
+// The dictionaries as passed to the editor
+const dictionaries = {bn, en, es, fr};
+
+const convert = (text, language) => processTextWithPunctuation(text, language, dictionaries);
+
+describe('processTextWithPunctuation', () => {
+    it('converts English punctuation', () => {
+        expect(convert('hello comma world full stop how are you question mark', 'en-GB'))
+            .toBe('hello, world. How are you? ');
+        expect(convert('open bracket aside close bracket new paragraph next', 'en-US')).toBe('(aside)\n\nNext');
+    });
+
+    it('matches phrases whatever their case', () => {
+        expect(convert('Hello Full Stop', 'en-US')).toBe('Hello. ');
+    });
+
+    it('converts French punctuation', () => {
+        expect(convert("bonjour virgule ça va point d'interrogation", 'fr-FR')).toBe('bonjour, ça va? ');
+        expect(convert('ouvrez les guillemets oui fermez les guillemets à la ligne', 'fr-CA')).toBe('«oui»\n');
+        expect(convert('fin point final suite', 'fr-FR')).toBe('fin. Suite');
+    });
+
+    it('only takes the French "point" for a full stop at the end of an utterance', () => {
+        expect(convert('mon point de vue point', 'fr-FR')).toBe('mon point de vue. ');
+        expect(convert('un point important', 'fr-FR')).toBe('un point important');
+    });
+
+    it('converts Spanish punctuation', () => {
+        expect(convert('abrir interrogación qué tal cerrar interrogación', 'es-ES')).toBe('¿qué tal? ');
+        expect(convert('hola coma adiós punto y aparte fin', 'es-MX')).toBe('hola, adiós.\n\nFin');
+        expect(convert('uno punto y coma dos', 'es-ES')).toBe('uno; dos');
+    });
+
+    it('converts Bengali punctuation', () => {
+        expect(convert('আমি ভাত খাই দাঁড়ি তুমি কমা সে', 'bn-BD')).toBe('আমি ভাত খাই। তুমি, সে');
+    });
+
+    it('leaves languages without a dictionary alone', () => {
+        expect(convert('hallo komma  welt', 'de-DE')).toBe('hallo komma welt');
+    });
+
+    it('does not take other languages\' phrases', () => {
+        expect(convert('la coma virgule', 'en-US')).toBe('la coma virgule');
+    });
+
+    it('returns nothing for blank text', () => {
+        expect(convert('  ', 'en-US')).toBe('');
+    });
+});
+
+describe('capitalizeWord', () => {
+    it('capitalises the first letter', () => {
+        expect(capitalizeWord('élan')).toBe('Élan');
+        expect(capitalizeWord('')).toBe('');
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @jest-environment jsdom
+ */
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for reading text aloud in the tiny_speechtotext plugin.
+ *
+ * The browser speech synthesis is replaced by a fake that lets the tests play
+ * the events of each utterance.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {readAloud, splitUtterances, stopReading} from '../../amd/src/readaloud';
+
+// Utterances spoken, most recent last
+let spoken = [];
+
+class FakeUtterance {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+/**
+ * Create an editor with the parts of the TinyMCE editor used, without the CSS Custom Highlight API.
+ *
+ * @param {string} html The body HTML
+ * @returns {Object} The editor
+ */
+const createEditor = (html) => {
+    const body = document.createElement('div');
+    body.innerHTML = html;
+    document.body.replaceChildren(body);
+
+    let selection = document.createRange();
+    return {
+        dom: {
+            isBlock: (node) => node.nodeName === 'P',
+            getParent: (node, predicate) => {
+                for (let parent = node; parent && parent !== body; parent = parent.parentNode) {
+                    if (parent.nodeType === Node.ELEMENT_NODE && predicate(parent)) {
+                        return parent;
+                    }
+                }
+                return null;
+            },
+            createRng: () => document.createRange(),
+        },
+        selection: {
+            getRng: () => selection,
+            setRng: (range) => {
+                selection = range;
+            },
+        },
+        getBody: () => body,
+        getWin: () => ({}),
+        dispatch: jest.fn(),
+    };
+};
+
+/**
+ * Read the whole body of an editor aloud.
+ *
+ * @param {Object} editor The editor
+ * @param {number} rate The speaking rate
+ * @returns {Promise<boolean>} Whether all the text was read
+ */
+const readBody = (editor, rate) => {
+    const range = document.createRange();
+    range.selectNodeContents(editor.getBody());
+    return readAloud(editor, range, 'en-GB', rate);
+};
+
+beforeAll(() => {
+    Element.prototype.scrollIntoView = () => null;
+    window.SpeechSynthesisUtterance = FakeUtterance;
+    window.speechSynthesis = {
+        getVoices: () => [],
+        speak: (utterance) => spoken.push(utterance),
+        cancel: () => null,
+    };
+});
+
+beforeEach(() => {
+    spoken = [];
+});
+
+describe('splitUtterances', () => {
+    it('splits text into sentences', () => {
+        const text = 'One. Two? Three!\nFour';
+        expect(splitUtterances(text).map(({start, end}) => text.slice(start, end)))
+            .toEqual(['One. ', 'Two? ', 'Three!\n', 'Four']);
+    });
+
+    it('splits long sentences between words, after punctuation where possible', () => {
+        const text = `${'word '.repeat(30)}then, ${'more '.repeat(30)}end.`;
+        const parts = splitUtterances(text).map(({start, end}) => text.slice(start, end));
+        expect(parts).toEqual([`${'word '.repeat(30)}then, `, `${'more '.repeat(30)}end.`]);
+        expect(parts.join('')).toBe(text);
+    });
+
+    it('skips parts without words', () => {
+        expect(splitUtterances('\n\n')).toEqual([]);
+    });
+});
+
+describe('readAloud', () => {
+    it('reads each sentence at the rate, highlighting words across sentences', async() => {
+        const editor = createEditor('<p>Hello there. How are you?</p>');
+        const reading = readBody(editor, 1.5);
+
+        expect(spoken.map(({text, rate, lang}) => [text, rate, lang])).toEqual([['Hello there. ', 1.5, 'en-GB']]);
+        spoken[0].onboundary({name: 'word', charIndex: 6, charLength: 5});
+        expect(editor.selection.getRng().toString()).toBe('there');
+        spoken[0].onend();
+
+        expect(spoken.map(({text}) => text)).toEqual(['Hello there. ', 'How are you?']);
+        spoken[1].onboundary({name: 'word', charIndex: 4, charLength: 3});
+        expect(editor.selection.getRng().toString()).toBe('are');
+        spoken[1].onend();
+
+        await expect(reading).resolves.toBe(true);
+        expect(editor.selection.getRng().toString()).toBe('');
+    });
+
+    it('stops between sentences when stopped', async() => {
+        const editor = createEditor('<p>First. Second.</p>');
+        const reading = readBody(editor, 1);
+
+        stopReading();
+        spoken[0].onerror();
+        await expect(reading).resolves.toBe(false);
+        expect(spoken).toHaveLength(1);
+    });
+});
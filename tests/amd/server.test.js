@@ -0,0 +1,334 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Contract tests for the speech server recognition engine of the tiny_speechtotext plugin.
+ *
+ * HTTP endpoints are served by a local mock server; the microphone, MediaRecorder,
+ * Web Audio and WebSocket browser APIs are replaced by fakes.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import http from 'http';
+import ServerEngine from '../../amd/src/engine/server';
+import {createPauseTracker, trackPauses} from '../../amd/src/pauses';
+
+// Amplitude of the fake microphone input, 0 for silence
+let amplitude = 0;
+
+const track = {stop: jest.fn()};
+const stream = {getTracks: () => [track]};
+
+class FakeMediaRecorder {
+    constructor() {
+        this.state = 'inactive';
+        this.mimeType = 'audio/webm';
+    }
+
+    start() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        setTimeout(() => {
+            this.ondataavailable({data: new Blob(['audio'], {type: this.mimeType})});
+            if (this.onstop) {
+                this.onstop();
+            }
+        }, 0);
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 16000;
+        this.destination = {};
+    }
+
+    createAnalyser() {
+        return {fftSize: 32, getFloatTimeDomainData: (samples) => samples.fill(amplitude)};
+    }
+
+    createMediaStreamSource() {
+        return {connect: () => null};
+    }
+
+    createScriptProcessor() {
+        this.processor = {connect: () => null, disconnect: jest.fn()};
+        return this.processor;
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+// Sockets opened by the engine, most recent last
+const sockets = [];
+
+class FakeWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        sockets.push(this);
+    }
+
+    // The mock server accepting the connection
+    accept() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen();
+    }
+
+    send(message) {
+        this.sent.push(message);
+    }
+
+    close() {
+        this.readyState = 3;
+        this.onclose();
+    }
+}
+FakeWebSocket.OPEN = 1;
+
+/**
+ * Create an engine recording its events.
+ *
+ * @param {string} endpoint The speech server endpoint
+ * @returns {Object} The engine, and the events it dispatched as [type, event] pairs
+ */
+const createEngine = (endpoint) => {
+    const engine = new ServerEngine({endpoint});
+    const events = [];
+    ['start', 'result', 'error', 'end'].forEach((type) => {
+        engine[`on${type}`] = (event) => events.push([type, event]);
+    });
+    return {engine, events};
+};
+
+/**
+ * Wait until an engine dispatched an event.
+ *
+ * @param {Object[]} events The events of the engine
+ * @param {string} type The event type
+ * @returns {Promise<Object>} The event
+ */
+const waitForEvent = (events, type) => new Promise((resolve) => {
+    const check = () => {
+        const found = events.find(([eventType]) => eventType === type);
+        if (found) {
+            resolve(found[1]);
+        } else {
+            setTimeout(check, 20);
+        }
+    };
+    check();
+});
+
+const wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+// Final transcripts of the result events
+const getFinals = (events) => events
+    .filter(([type, event]) => type === 'result' && event.results[0].isFinal)
+    .map(([, event]) => event.results[0][0].transcript);
+
+beforeAll(() => {
+    globalThis.navigator = {mediaDevices: {getUserMedia: () => Promise.resolve(stream)}};
+    globalThis.MediaRecorder = FakeMediaRecorder;
+    globalThis.AudioContext = FakeAudioContext;
+    globalThis.WebSocket = FakeWebSocket;
+});
+
+afterAll(() => {
+    delete globalThis.navigator;
+    delete globalThis.MediaRecorder;
+    delete globalThis.AudioContext;
+    delete globalThis.WebSocket;
+});
+
+beforeEach(() => {
+    amplitude = 0;
+});
+
+describe('HTTP endpoints', () => {
+    let server;
+    let endpoint;
+    let requests;
+    let respond;
+
+    beforeAll(() => new Promise((resolve) => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.setEncoding('latin1');
+            request.on('data', (chunk) => {
+                body += chunk;
+            });
+            request.on('end', () => {
+                requests.push({method: request.method, type: request.headers['content-type'], body});
+                respond(response);
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            endpoint = `http://127.0.0.1:${server.address().port}/transcribe`;
+            resolve();
+        });
+    }));
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        respond = (response) => {
+            response.setHeader('Content-Type', 'application/json');
+            response.end(JSON.stringify({text: ' hello world '}));
+        };
+    });
+
+    it('posts each segment of speech once the speaker pauses', async() => {
+        const {engine, events} = createEngine(endpoint);
+        engine.lang = 'fr-FR';
+        engine.hints = ['Moodle', 'TinyMCE'];
+        engine.start();
+        await waitForEvent(events, 'start');
+
+        amplitude = 0.5;
+        await wait(300);
+        amplitude = 0;
+        await waitForEvent(events, 'result');
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].method).toBe('POST');
+        expect(requests[0].type).toMatch(/^multipart\/form-data; boundary=/);
+        expect(requests[0].body).toMatch(/name="file"; filename="speech\.webm"/);
+        expect(requests[0].body).toMatch(/name="language"\r\n\r\nfr\r\n/);
+        expect(requests[0].body).toMatch(/name="response_format"\r\n\r\njson\r\n/);
+        expect(requests[0].body).toMatch(/name="prompt"\r\n\r\nMoodle, TinyMCE\r\n/);
+        expect(getFinals(events)).toEqual(['hello world']);
+
+        engine.stop();
+        await waitForEvent(events, 'end');
+        expect(track.stop).toHaveBeenCalled();
+    });
+
+    it('does not post segments without speech', async() => {
+        const {engine, events} = createEngine(endpoint);
+        engine.start();
+        await waitForEvent(events, 'start');
+
+        await wait(1000);
+        engine.stop();
+        await waitForEvent(events, 'end');
+
+        expect(requests).toHaveLength(0);
+        expect(getFinals(events)).toEqual([]);
+    });
+
+    it('never reports pauses between segments, whose results are all final', async() => {
+        const {engine, events} = createEngine(endpoint);
+        const tracker = createPauseTracker();
+        expect(engine.interimResults).toBe(true);
+        expect(engine.finalisesAtPauses).toBe(false);
+
+        engine.start();
+        await waitForEvent(events, 'start');
+        for (let segment = 0; segment < 2; segment++) {
+            amplitude = 0.5;
+            await wait(300);
+            amplitude = 0;
+            await wait(1200);
+        }
+        engine.stop();
+        await waitForEvent(events, 'end');
+
+        const finals = events.filter(([type, event]) => type === 'result' && event.results[0].isFinal);
+        expect(finals).toHaveLength(2);
+        expect(finals.map((final, index) => trackPauses(tracker, engine, true, false, index * 5000))).toEqual([0, 0]);
+    });
+
+    it('reports server failures as network errors', async() => {
+        respond = (response) => {
+            response.statusCode = 500;
+            response.end();
+        };
+        const {engine, events} = createEngine(endpoint);
+        engine.start();
+        await waitForEvent(events, 'start');
+
+        amplitude = 0.5;
+        await wait(200);
+        engine.stop();
+        await waitForEvent(events, 'end');
+
+        expect(requests).toHaveLength(1);
+        expect(events.find(([type]) => type === 'error')[1]).toEqual({
+            error: 'network',
+            message: 'Speech server responded with status 500',
+        });
+    });
+});
+
+describe('WebSocket endpoints', () => {
+    it('streams audio and dispatches partial and final results', async() => {
+        const {engine, events} = createEngine('wss://speech.example.com/');
+        engine.start();
+        await waitForEvent(events, 'start');
+
+        const socket = sockets[sockets.length - 1];
+        expect(socket.url).toBe('wss://speech.example.com/');
+        socket.accept();
+        expect(JSON.parse(socket.sent[0])).toEqual({config: {'sample_rate': 16000}});
+
+        engine.audioContext.processor.onaudioprocess({inputBuffer: {getChannelData: () => new Float32Array([0, 0.5, -1])}});
+        expect(Array.from(new Int16Array(socket.sent[1]))).toEqual([0, 16383, -32768]);
+
+        expect(engine.finalisesAtPauses).toBe(true);
+        socket.onmessage({data: JSON.stringify({partial: 'hello'})});
+        socket.onmessage({data: JSON.stringify({text: 'hello world'})});
+        const results = events.filter(([type]) => type === 'result').map(([, event]) => event.results[0]);
+        expect(results.map((result) => [result[0].transcript, result.isFinal])).toEqual([
+            ['hello', false],
+            ['hello world', true],
+        ]);
+
+        engine.stop();
+        expect(JSON.parse(socket.sent[socket.sent.length - 1])).toEqual({eof: 1});
+        socket.close();
+        await waitForEvent(events, 'end');
+    });
+
+    it('reports invalid messages as recognition errors and carries on', async() => {
+        const {engine, events} = createEngine('ws://127.0.0.1:2700');
+        engine.start();
+        await waitForEvent(events, 'start');
+
+        const socket = sockets[sockets.length - 1];
+        socket.accept();
+        socket.onmessage({data: 'not json'});
+        socket.onmessage({data: 'null'});
+        socket.onmessage({data: JSON.stringify({text: 'still listening'})});
+
+        expect(events.filter(([type]) => type === 'error').map(([, event]) => event)).toEqual([
+            {error: 'network', message: 'Speech server sent an invalid message'},
+            {error: 'network', message: 'Speech server sent an invalid message'},
+        ]);
+        expect(getFinals(events)).toEqual(['still listening']);
+
+        engine.abort();
+        await waitForEvent(events, 'end');
+    });
+});
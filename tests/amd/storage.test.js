@@ -0,0 +1,116 @@
+/**
+ * @jest-environment jsdom
+ */
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the browser storage of the tiny_speechtotext plugin.
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Config from 'core/config';
+import * as Storage from '../../amd/src/storage';
+import {
+    getChosenLanguage,
+    getMicrophone,
+    isFollowingFocus,
+    setChosenLanguage,
+    setFollowingFocus,
+    setMicrophone,
+} from '../../amd/src/session';
+
+jest.mock('core/config', () => ({wwwroot: 'https://moodle.example.com', userId: 2}), {virtual: true});
+
+beforeEach(() => {
+    window.localStorage.clear();
+    Config.wwwroot = 'https://moodle.example.com';
+    Config.userId = 2;
+});
+
+describe('storage', () => {
+    it('scopes keys to the site and the user', () => {
+        Storage.set('microphone', 'usb');
+        expect(window.localStorage.getItem('tiny_speechtotext/https://moodle.example.com/2/microphone')).toBe('usb');
+
+        Config.userId = 3;
+        expect(Storage.get('microphone')).toBeNull();
+
+        Config.userId = 2;
+        Config.wwwroot = 'https://other.example.com';
+        expect(Storage.get('microphone')).toBeNull();
+    });
+
+    it('removes values', () => {
+        Storage.set('history/5/id_text', '[]');
+        Storage.remove('history/5/id_text');
+        expect(Storage.get('history/5/id_text')).toBeNull();
+    });
+
+    it('lists and clears the keys of the user only', () => {
+        Storage.set('microphone', 'usb');
+        Storage.set('history/5/id_text', '[]');
+        Config.userId = 3;
+        Storage.set('history/5/id_text', '[]');
+        Config.userId = 2;
+
+        expect(Storage.getKeys().sort()).toEqual(['history/5/id_text', 'microphone']);
+        expect(Storage.getKeys('history/')).toEqual(['history/5/id_text']);
+
+        Storage.clear();
+        expect(Storage.getKeys()).toEqual([]);
+        Config.userId = 3;
+        expect(Storage.getKeys()).toEqual(['history/5/id_text']);
+    });
+
+    it('clears the keys of the user when they follow a link to log out', () => {
+        document.body.innerHTML = '<a href="https://moodle.example.com/course/view.php?id=2">Course</a>'
+            + '<a href="https://moodle.example.com/login/logout.php?sesskey=abc"><span>Log out</span></a>';
+        document.addEventListener('click', (event) => event.preventDefault());
+        Storage.clearOnLogout();
+        Storage.set('microphone', 'usb');
+
+        document.querySelector('a').click();
+        expect(Storage.get('microphone')).toBe('usb');
+
+        document.querySelector('span').click();
+        expect(Storage.get('microphone')).toBeNull();
+    });
+
+    it('carries on when the browser storage is not available', () => {
+        const spy = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+            throw new Error('SecurityError');
+        });
+        expect(Storage.set('microphone', 'usb')).toBe(false);
+        expect(Storage.get('microphone')).toBeNull();
+        expect(() => Storage.remove('microphone')).not.toThrow();
+        expect(Storage.getKeys()).toEqual([]);
+        spy.mockRestore();
+    });
+});
+
+describe('session preferences', () => {
+    it('keeps the microphone, focus and language preferences of each user', () => {
+        setMicrophone('usb');
+        setFollowingFocus(true);
+        setChosenLanguage('fr-FR');
+        expect([getMicrophone(), isFollowingFocus(), getChosenLanguage()]).toEqual(['usb', true, 'fr-FR']);
+
+        Config.userId = 3;
+        expect([getMicrophone(), isFollowingFocus(), getChosenLanguage()]).toEqual(['', false, '']);
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment jsdom
+ */
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for finding text in the editor content in the tiny_speechtotext plugin.
+ *
+ * The caret is marked in the HTML of the editor body with "|".
+ *
+ * @copyright   2026
+ * @license     http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import {collectText, getSentenceBeforeCaret} from '../../amd/src/textrange';
+
+const blockNames = ['P', 'DIV', 'LI', 'UL', 'OL'];
+
+/**
+ * Create an editor body with a caret, with the parts of the TinyMCE editor used.
+ *
+ * @param {string} html The body HTML, with the caret marked
+ * @returns {Object} The editor and the caret range
+ */
+const createEditor = (html) => {
+    const body = document.createElement('div');
+    body.innerHTML = html.replace('|', '<span data-mark></span>');
+
+    const dom = {
+        isBlock: (node) => blockNames.includes(node.nodeName),
+        getParent: (node, predicate) => {
+            for (let parent = node; parent && parent !== body; parent = parent.parentNode) {
+                if (parent.nodeType === Node.ELEMENT_NODE && predicate(parent)) {
+                    return parent;
+                }
+            }
+            return null;
+        },
+        createRng: () => document.createRange(),
+    };
+    const editor = {dom, getBody: () => body};
+
+    const mark = body.querySelector('[data-mark]');
+    const caret = document.createRange();
+    caret.setStart(mark.parentNode, Array.prototype.indexOf.call(mark.parentNode.childNodes, mark));
+    mark.remove();
+    body.normalize();
+
+    return {editor, caret};
+};
+
+/**
+ * Get the text of the sentence before the caret.
+ *
+ * @param {string} html The body HTML, with the caret marked
+ * @returns {string|null} The text, or null if there is no sentence
+ */
+const getSentence = (html) => {
+    const {editor, caret} = createEditor(html);
+    const range = getSentenceBeforeCaret(editor, caret);
+    return range ? range.toString() : null;
+};
+
+describe('collectText', () => {
+    it('separates blocks and line breaks by newlines', () => {
+        const {editor} = createEditor('<p>One <em>two</em></p><p>Three<br>four|</p>');
+        const range = document.createRange();
+        range.selectNodeContents(editor.getBody());
+        expect(collectText(editor, range).text).toBe('One two\nThree\nfour');
+    });
+});
+
+describe('getSentenceBeforeCaret', () => {
+    it('finds the sentence ending at the caret', () => {
+        expect(getSentence('<p>First one. Second one.|</p>')).toBe('Second one.');
+        expect(getSentence('<p>First one. Second one. |</p>')).toBe('Second one. ');
+        expect(getSentence('<p>Is it? Yes it is|</p>')).toBe('Yes it is');
+    });
+
+    it('finds the sentence in the middle of a paragraph', () => {
+        expect(getSentence('<p>First one. Second one. |Third one.</p>')).toBe('Second one. ');
+    });
+
+    it('looks through inline formatting', () => {
+        expect(getSentence('<p>First. A <strong>bold</strong> claim.|</p>')).toBe('A bold claim.');
+    });
+
+    it('does not look past the block or a line break', () => {
+        expect(getSentence('<p>Above.</p><p>Only this|</p>')).toBe('Only this');
+        expect(getSentence('<p>Above<br>only this|</p>')).toBe('only this');
+    });
+
+    it('does not split at decimal points', () => {
+        expect(getSentence('<p>Start. It costs 3.5 pounds.|</p>')).toBe('It costs 3.5 pounds.');
+    });
+
+    it('finds nothing at the start of a block', () => {
+        expect(getSentence('<p>Above.</p><p>|Below</p>')).toBeNull();
+    });
+});
@@ -0,0 +1,31 @@
+@editor @editor_tiny @tiny @tiny_speechtotext @javascript
+Feature: Dictate text into the TinyMCE editor
+  In order to write without typing
+  As a user
+  I need to dictate text into the TinyMCE editor
+
+  Background:
+    # The replay engine plays the script instead of listening to the microphone, on Behat sites only.
+    Given the following config values are set as admin:
+      | config       | value                                                                                                                                           | plugin            |
+      | replayscript | [{"at": 200, "transcript": "hello"}, {"at": 400, "transcript": "hello world comma this is dictation", "final": true}, {"at": 600, "end": true}] | tiny_speechtotext |
+      | continuous   | 0                                                                                                                                               | tiny_speechtotext |
+    And I log in as "admin"
+    And I open my profile in edit mode
+
+  Scenario: Dictated text is inserted with spoken punctuation
+    When I click on the "Speech to Text" button for the "Description" TinyMCE editor
+    And I wait "2" seconds
+    Then the field "Description" matches value "<p>Hello world, this is dictation</p>"
+
+  Scenario: Dictated phrases are only inserted once reviewed
+    Given the following config values are set as admin:
+      | config     | value | plugin            |
+      | reviewmode | 1     | tiny_speechtotext |
+    And I reload the page
+    When I click on the "Speech to Text" button for the "Description" TinyMCE editor
+    And I wait "2" seconds
+    Then the field "Description" matches value ""
+    And I press "Insert all"
+    And the field "Description" matches value "<p>Hello world, this is dictation</p>"
+
@@ -25,5 +25,5 @@
 defined('MOODLE_INTERNAL') || die();
 
 $plugin->component = 'tiny_speechtotext';
-$plugin->version   = 2026011500;
+$plugin->version   = 2026011531;
 $plugin->requires  = 2022041900;